@@ -0,0 +1,136 @@
+// scripts/replayEvents.js - Replay recorded PumpPortal traffic through the monitors offline
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+// Replays must not read or pollute the live bot's persisted dedupe history or queues
+process.env.DEDUPE_FILE = path.join(os.tmpdir(), `replay_dedupe_${process.pid}.json`);
+process.env.QUEUE_DIR = path.join(os.tmpdir(), `replay_queues_${process.pid}`);
+
+const WebSocketManager = require('../src/services/websocketManager');
+const EventReplayer = require('../src/services/eventReplayer');
+
+function parseArgs(argv) {
+    const options = {
+        path: null,
+        speed: 1,
+        mode: process.env.BOT_MODE || 'both',
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--speed') {
+            options.speed = parseFloat(argv[++i]);
+        } else if (arg === '--mode') {
+            options.mode = argv[++i];
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (!options.path) {
+            options.path = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('▶️ PumpPortal Event Replay');
+    console.log('='.repeat(30));
+    console.log('Usage:');
+    console.log('  node scripts/replayEvents.js <file|directory> [--speed N] [--mode creation|migration|both] [--dry-run]');
+    console.log('\nOptions:');
+    console.log('  --speed N     Replay speed multiplier (1 = real time, 0 = as fast as possible)');
+    console.log('  --mode M      Which monitors to run (defaults to BOT_MODE)');
+    console.log('  --dry-run     Only count events, do not run the monitors');
+    console.log('\nExamples:');
+    console.log('  node scripts/replayEvents.js recordings/pumpportal_2025-06-01_0.jsonl --speed 10');
+    console.log('  node scripts/replayEvents.js recordings --speed 0 --dry-run');
+}
+
+async function waitForMonitors(monitors) {
+    for (;;) {
+        const busy = monitors.some(monitor => {
+            const status = monitor.getStatus();
+            return status.queueLength > 0 || status.currentlyAnalyzing > 0;
+        });
+        if (!busy) return;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.path || isNaN(options.speed)) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const wsManager = new WebSocketManager();
+    const counts = { creations: 0, migrations: 0 };
+    const monitors = [];
+
+    wsManager.on('newToken', () => counts.creations++);
+    wsManager.on('tokenMigration', () => counts.migrations++);
+
+    if (!options.dryRun) {
+        if (options.mode === 'creation' || options.mode === 'both') {
+            const TokenDeploymentMonitor = require('../src/monitors/tokenDeploymentMonitor');
+            const creationMonitor = new TokenDeploymentMonitor({
+                telegram: { channels: [] }
+            });
+            wsManager.on('newToken', creationMonitor.processNewToken);
+            monitors.push(creationMonitor);
+        }
+
+        if (options.mode === 'migration' || options.mode === 'both') {
+            const MigrationMonitor = require('../src/monitors/migrationMonitor');
+            const migrationMonitor = new MigrationMonitor({
+                telegram: { channels: [] }
+            });
+            wsManager.on('tokenMigration', migrationMonitor.processTokenMigration);
+            monitors.push(migrationMonitor);
+        }
+    }
+
+    const replayer = new EventReplayer(wsManager, {
+        path: options.path,
+        speed: options.speed
+    });
+
+    replayer.on('progress', stats => {
+        console.log(`⏩ ${stats.replayed} messages replayed (${counts.creations} creations, ${counts.migrations} migrations)`);
+    });
+
+    process.on('SIGINT', () => replayer.stop());
+
+    const stats = await replayer.start();
+
+    if (monitors.length > 0) {
+        console.log('\n⏳ Waiting for monitors to drain their queues...');
+        await waitForMonitors(monitors);
+    }
+
+    console.log('\n📊 REPLAY SUMMARY');
+    console.log('='.repeat(40));
+    console.log(`   • Files: ${stats.files}`);
+    console.log(`   • Messages replayed: ${stats.replayed}`);
+    console.log(`   • Lines skipped: ${stats.skipped}`);
+    console.log(`   • Creations: ${counts.creations}`);
+    console.log(`   • Migrations: ${counts.migrations}`);
+    if (stats.firstReceivedAt) {
+        console.log(`   • Recorded window: ${new Date(stats.firstReceivedAt).toISOString()} → ${new Date(stats.lastReceivedAt).toISOString()}`);
+    }
+    console.log(wsManager.getStatsString());
+    monitors.forEach(monitor => console.log(monitor.getStatsString()));
+
+    process.exit(0);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Replay failed:', error);
+        process.exit(1);
+    });
+}
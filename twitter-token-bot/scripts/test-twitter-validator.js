@@ -27,9 +27,12 @@ async function testCleanedValidator() {
         console.log('\n📊 Results:');
         console.log(`   Views: ${result?.views || 0}`);
         console.log(`   Likes: ${result?.likes || 0}`);
-        console.log(`   Retweets: ${result?.retweets || 0}`);
-        console.log(`   Replies: ${result?.replies || 0}`);
+        console.log(`   Retweets: ${result?.retweets ?? 'N/A'}`);
+        console.log(`   Replies: ${result?.replies ?? 'N/A'}`);
+        console.log(`   Quotes: ${result?.quotes ?? 'N/A'}`);
+        console.log(`   Author: ${result?.author ? `@${result.author.handle} (${result.author.followers ?? '?'} followers${result.author.verified ? ', verified' : ''})` : 'N/A'}`);
         console.log(`   Published: ${result?.publishedAt || 'N/A'}`);
+        console.log(`   Sources: ${Object.entries(result?.sources || {}).map(([metric, provider]) => `${metric}=${provider}`).join(', ') || 'N/A'}`);
         console.log(`   Duration: ${duration}ms`);
         
         if (result?.views > 0) {
@@ -49,8 +52,8 @@ async function testCleanedValidator() {
         console.log('\n📊 Results (No Page Extraction):');
         console.log(`   Views: ${resultNoPageExtraction?.views || 0}`);
         console.log(`   Likes: ${resultNoPageExtraction?.likes || 0}`);
-        console.log(`   Retweets: ${resultNoPageExtraction?.retweets || 0}`);
-        console.log(`   Replies: ${resultNoPageExtraction?.replies || 0}`);
+        console.log(`   Retweets: ${resultNoPageExtraction?.retweets ?? 'N/A'}`);
+        console.log(`   Replies: ${resultNoPageExtraction?.replies ?? 'N/A'}`);
         
         // Comparison
         console.log('\n🔍 COMPARISON:');
@@ -1,5 +1,6 @@
 // scripts/testViewDetection.js - Debug view extraction specifically
 require('dotenv').config();
+const { getBrowserPool } = require('../src/services/browserPool');
 
 async function testViewDetection() {
     console.log('🔍 View Detection Debug Test');
@@ -105,7 +106,7 @@ async function testViewDetection() {
         }
         
         // Cleanup
-        await validator.cleanup();
+        await getBrowserPool().close();
         console.log(`✅ Cleaned up ${configTest.name}`);
     }
 }
@@ -309,8 +310,8 @@ async function testSpecificTwitterURL(url) {
             console.log(`✅ Full validation (${fullTime}ms):`);
             console.log(`   Views: ${fullMetrics.views || 0}`);
             console.log(`   Likes: ${fullMetrics.likes || 0}`);
-            console.log(`   Retweets: ${fullMetrics.retweets || 0}`);
-            console.log(`   Replies: ${fullMetrics.replies || 0}`);
+            console.log(`   Retweets: ${fullMetrics.retweets ?? 'N/A'}`);
+            console.log(`   Replies: ${fullMetrics.replies ?? 'N/A'}`);
             console.log(`   Published: ${fullMetrics.publishedAt || 'N/A'}`);
         } else {
             console.log(`❌ Full validation failed (${fullTime}ms)`);
@@ -320,7 +321,7 @@ async function testSpecificTwitterURL(url) {
         console.log(`❌ Test failed: ${error.message}`);
         console.log(error.stack);
     } finally {
-        await validator.cleanup();
+        await getBrowserPool().close();
     }
 }
 
@@ -0,0 +1,81 @@
+// scripts/watchlist.js - Edit the watchlist file; a running bot picks changes up within seconds
+require('dotenv').config();
+const WatchlistStore = require('../src/services/watchlistStore');
+const { watchlist: watchlistConfig } = require('../src/config');
+
+function parseArgs(argv) {
+    const options = {
+        command: argv[0],
+        mint: argv[1],
+        fields: {}
+    };
+
+    for (let i = 2; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--interval') {
+            options.fields.interval = parseInt(argv[++i]) * 60 * 1000;
+        } else if (arg === '--symbol') {
+            options.fields.symbol = argv[++i];
+        } else if (arg === '--note') {
+            options.fields.note = argv[++i];
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('👁️ Watchlist');
+    console.log('='.repeat(30));
+    console.log('Usage:');
+    console.log('  node scripts/watchlist.js add <mint> [--symbol S] [--interval MINUTES] [--note TEXT]');
+    console.log('  node scripts/watchlist.js analyze <mint>   Analyze now and publish (adds the mint if missing)');
+    console.log('  node scripts/watchlist.js remove <mint>');
+    console.log('  node scripts/watchlist.js list');
+    console.log(`\nFile: ${watchlistConfig.filePath}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = new WatchlistStore(watchlistConfig.filePath);
+
+    switch (options.command) {
+        case 'add':
+        case 'analyze': {
+            if (!options.mint || (options.fields.interval !== undefined && isNaN(options.fields.interval))) {
+                printUsage();
+                process.exit(1);
+            }
+            const entry = store.upsert(options.mint, { ...options.fields, refresh: options.command === 'analyze' });
+            console.log(`✅ ${options.command === 'analyze' ? 'Analysis requested for' : 'Watching'} ${entry.symbol || entry.mint}`);
+            break;
+        }
+        case 'remove':
+            if (!options.mint) {
+                printUsage();
+                process.exit(1);
+            }
+            console.log(store.remove(options.mint) ? `🗑️ Removed ${options.mint}` : `ℹ️ ${options.mint} was not on the watchlist`);
+            break;
+        case 'list': {
+            const entries = store.load();
+            console.log(`👁️ ${entries.length} tokens on the watchlist`);
+            entries.forEach(entry => {
+                const interval = entry.interval ? `every ${Math.round(entry.interval / 60000)}min` : 'default interval';
+                console.log(`   • ${entry.mint}${entry.symbol ? ` (${entry.symbol})` : ''} - ${interval}${entry.note ? ` - ${entry.note}` : ''}`);
+            });
+            break;
+        }
+        default:
+            printUsage();
+            process.exit(options.command ? 1 : 0);
+    }
+
+    if (!watchlistConfig.enabled) {
+        console.log('ℹ️ WATCHLIST_ENABLED is not true - the bot will not analyze these tokens');
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,235 @@
+// src/analysis/tweetRelevanceAnalyzer.js - Whether the tweet a token links is actually about the token
+const logger = require('../utils/logger');
+const { fetchTokenMetadata, fetchImage } = require('../integrations/tokenMetadata');
+const { decodeGrayscale } = require('../utils/imageDecoder');
+const { differenceHash, hammingDistance } = require('../utils/imageHash');
+const { normalizeTokenText } = require('../utils/textNormalization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points per signal - the score is their sum, clamped to 0-100
+const SIGNAL_POINTS = {
+    contractAddress: 60,
+    cashtag: 40,
+    name: 30,
+    mediaMatch: 30,
+    authorHandle: 20,
+    descriptionMentionsAuthor: 20,
+    tickerWord: 15,
+    descriptionOverlap: 10
+};
+
+// Tweets older than the token by more than `after` lose `points`, largest gap first
+const PREDATES_PENALTIES = [
+    { after: 365 * DAY_MS, points: -50 },
+    { after: 30 * DAY_MS, points: -30 },
+    { after: 7 * DAY_MS, points: -20 },
+    { after: DAY_MS, points: -10 }
+];
+
+const VERDICTS = [
+    { min: 30, verdict: 'relevant' },
+    { min: 15, verdict: 'weak' },
+    { min: 0, verdict: 'unrelated' }
+];
+
+// Too common to say anything about the tweet and the description sharing a topic
+const STOPWORDS = new Set([
+    'this', 'that', 'with', 'from', 'have', 'will', 'your', 'just', 'what', 'when', 'they', 'them',
+    'their', 'there', 'been', 'were', 'about', 'into', 'more', 'than', 'then', 'only', 'like', 'also',
+    'coin', 'token', 'pump', 'solana', 'community', 'first', 'best', 'here', 'going', 'moon'
+]);
+
+/**
+ * Pump.fun tokens routinely link whatever tweet is going viral. Each check
+ * below is a signal with points and a readable message ("tweet mentions
+ * $TICKER"); together they give a 0-100 relevance score and a verdict.
+ * Tweets whose text couldn't be read get a null score, so an unknown never
+ * counts against a token.
+ */
+class TweetRelevanceAnalyzer {
+    /**
+     * @param {Object} config - { enabled, compareMedia, mediaMaxDistance, maxImageBytes, fetchTimeout }
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: config.enabled !== false,
+            compareMedia: config.compareMedia !== false,
+            mediaMaxDistance: config.mediaMaxDistance || 10,
+            maxImageBytes: config.maxImageBytes || 5 * 1024 * 1024,
+            fetchTimeout: config.fetchTimeout || 10000,
+            maxTweetImages: config.maxTweetImages || 2
+        };
+
+        this.stats = {
+            analyzed: 0,
+            relevant: 0,
+            weak: 0,
+            unrelated: 0,
+            unknown: 0,
+            mediaCompared: 0,
+            mediaErrors: 0
+        };
+    }
+
+    /**
+     * @param {TweetMetrics} tweet
+     * @param {Object} token - { mint, name, symbol, uri, image, description, createdAt } image and
+     *                         description are read from the metadata uri when missing
+     * @returns {Promise<Object>} { score, verdict, signals: [{ id, points, message }] } score and
+     *          verdict are null when the tweet text is unknown
+     */
+    async analyze(tweet, token) {
+        this.stats.analyzed++;
+
+        if (typeof tweet?.text !== 'string') {
+            this.stats.unknown++;
+            return { score: null, verdict: null, signals: [] };
+        }
+
+        const metadata = (!token.description || !token.image) && token.uri ? await fetchTokenMetadata(token.uri) : null;
+        const description = token.description || (typeof metadata?.description === 'string' ? metadata.description : '');
+        const image = token.image || (typeof metadata?.image === 'string' ? metadata.image : null);
+
+        const signals = [
+            ...this.textSignals(tweet, token, description),
+            ...await this.mediaSignals(tweet, image),
+            ...this.timingSignals(tweet, token)
+        ];
+
+        const score = Math.max(0, Math.min(100, signals.reduce((sum, signal) => sum + signal.points, 0)));
+        const { verdict } = VERDICTS.find(level => score >= level.min);
+        this.stats[verdict]++;
+
+        return { score, verdict, signals };
+    }
+
+    textSignals(tweet, token, description) {
+        const signals = [];
+        const text = tweet.text;
+        const symbol = normalizeTokenText(token.symbol);
+        const name = normalizeTokenText(token.name);
+        const words = text.split(/[^\p{L}\p{N}$_]+/u).filter(Boolean);
+
+        if (token.mint && text.includes(token.mint)) {
+            signals.push(signal('contractAddress', 'tweet contains this CA'));
+        }
+
+        const cashtags = words.filter(word => word.startsWith('$')).map(word => normalizeTokenText(word.slice(1)));
+        if (symbol && cashtags.includes(symbol)) {
+            signals.push(signal('cashtag', `tweet mentions $${token.symbol}`));
+        } else if (symbol.length >= 3 && words.some(word => normalizeTokenText(word) === symbol)) {
+            signals.push(signal('tickerWord', `tweet uses the word ${token.symbol}`));
+        }
+
+        // A name that is just the ticker was already counted
+        if (name.length >= 4 && name !== symbol && normalizeTokenText(text).includes(name)) {
+            signals.push(signal('name', `tweet mentions "${token.name}"`));
+        }
+
+        const handle = normalizeTokenText(tweet.author?.handle);
+        if (handle && [symbol, name].some(value => value.length >= 3 && (handle.includes(value) || value.includes(handle)))) {
+            signals.push(signal('authorHandle', `author @${tweet.author.handle} matches the token`));
+        }
+
+        if (description) {
+            if (tweet.author?.handle && new RegExp(`@${tweet.author.handle}(?![A-Za-z0-9_])`, 'i').test(description)) {
+                signals.push(signal('descriptionMentionsAuthor', `description mentions @${tweet.author.handle}`));
+            }
+
+            const shared = sharedWords(text, description);
+            if (shared.length >= 2) {
+                signals.push(signal('descriptionOverlap', `tweet and description share "${shared.slice(0, 3).join('", "')}"`));
+            }
+        }
+
+        return signals;
+    }
+
+    /**
+     * dHash of the token image against the tweet's photos (see imageHash)
+     */
+    async mediaSignals(tweet, image) {
+        const tweetImages = (tweet.mediaUrls || []).slice(0, this.config.maxTweetImages);
+        if (!this.config.compareMedia || !image || tweetImages.length === 0) {
+            return [];
+        }
+
+        try {
+            const tokenHash = await this.hashImage(image);
+            if (!tokenHash) return [];
+
+            this.stats.mediaCompared++;
+            for (const url of tweetImages) {
+                const tweetHash = await this.hashImage(url);
+                if (tweetHash && hammingDistance(tokenHash, tweetHash) <= this.config.mediaMaxDistance) {
+                    return [signal('mediaMatch', 'tweet image matches the token image')];
+                }
+            }
+        } catch (error) {
+            this.stats.mediaErrors++;
+            logger.debug(`Tweet media comparison failed: ${error.message}`);
+        }
+
+        return [];
+    }
+
+    async hashImage(url) {
+        const bytes = await fetchImage(url, {
+            maxBytes: this.config.maxImageBytes,
+            timeout: this.config.fetchTimeout
+        });
+        const decoded = decodeGrayscale(bytes);
+        if (!decoded) return null;
+
+        const { hash, flat } = differenceHash(decoded);
+        return flat ? null : hash;
+    }
+
+    timingSignals(tweet, token) {
+        const published = tweet.publishedAt ? new Date(tweet.publishedAt).getTime() : NaN;
+        const created = token.createdAt ? new Date(token.createdAt).getTime() : NaN;
+        if (!Number.isFinite(published) || !Number.isFinite(created)) {
+            return [];
+        }
+
+        const gap = created - published;
+        const penalty = PREDATES_PENALTIES.find(level => gap > level.after);
+        return penalty
+            ? [{ id: 'predates', points: penalty.points, message: `tweet predates token by ${formatGap(gap)}` }]
+            : [];
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            compareMedia: this.config.compareMedia,
+            stats: this.stats
+        };
+    }
+}
+
+function signal(id, message) {
+    return { id, points: SIGNAL_POINTS[id], message };
+}
+
+function sharedWords(a, b) {
+    const significant = text => new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= 4 && !STOPWORDS.has(word) && !/^\d+$/.test(word)));
+
+    const inB = significant(b);
+    return Array.from(significant(a)).filter(word => inB.has(word));
+}
+
+function formatGap(ms) {
+    const days = ms / DAY_MS;
+    if (days >= 365) return plural(Math.floor(days / 365), 'year');
+    if (days >= 30) return plural(Math.floor(days / 30), 'month');
+    return plural(Math.floor(days), 'day');
+}
+
+function plural(count, unit) {
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+module.exports = TweetRelevanceAnalyzer;
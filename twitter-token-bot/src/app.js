@@ -1,7 +1,22 @@
 // src/app.js - Unified PumpFun Monitoring Application (FIXED CONFIG)
-const WebSocketManager = require('./services/websocketManager');
+const EventSourceManager = require('./sources/eventSourceManager');
+const PumpPortalSource = require('./sources/pumpPortalSource');
+const SolanaLogsSource = require('./sources/solanaLogsSource');
+const ReplaySource = require('./sources/replaySource');
 const TokenDeploymentMonitor = require('./monitors/tokenDeploymentMonitor');
 const MigrationMonitor = require('./monitors/migrationMonitor');
+const BondingCurveMonitor = require('./monitors/bondingCurveMonitor');
+const WatchlistMonitor = require('./monitors/watchlistMonitor');
+const WalletExitMonitor = require('./monitors/walletExitMonitor');
+const EventRecorder = require('./services/eventRecorder');
+const TradeTape = require('./services/tradeTape');
+const MessageQuarantine = require('./services/messageQuarantine');
+const { getDedupeStore } = require('./services/dedupeStore');
+const { getTweetIndex } = require('./services/tweetIndex');
+const { getLaunchIndex } = require('./services/launchIndex');
+const { getArtworkIndex } = require('./services/artworkIndex');
+const { getBrowserPool } = require('./services/browserPool');
+const { getTweetMetricsCache } = require('./services/tweetMetricsCache');
 const logger = require('./utils/logger');
 const config = require('./config'); // FIXED: Use simplified config
 
@@ -13,18 +28,48 @@ class PumpFunUnifiedApp {
         this.config = {
             // WebSocket configuration
             websocket: {
-                maxReconnectAttempts: 10,
-                reconnectDelay: 5000,
-                pingInterval: 30000,
+                ...config.websocket,
                 ...appConfig.websocket
             },
             
+            // Event sources and failover
+            eventSources: {
+                ...config.eventSources,
+                ...appConfig.eventSources
+            },
+            
+            // Post-alert trade stream
+            tradeTape: {
+                ...config.tradeTape,
+                ...appConfig.tradeTape
+            },
+            
+            // Dev / bundle exit follow-ups
+            walletExit: {
+                ...config.walletExit,
+                ...appConfig.walletExit
+            },
+            
+            // Raw event recording
+            recording: {
+                ...config.recording,
+                ...appConfig.recording
+            },
+            
+            // Rejected inbound messages
+            quarantine: {
+                ...config.quarantine,
+                ...appConfig.quarantine
+            },
+            
             // Creation Bot Configuration
             creation: {
                 minTwitterLikes: config.twitter.minLikesCreation,
                 analysisTimeout: config.analysis.timeout,
                 maxConcurrentAnalyses: config.analysis.maxConcurrent,
+                maxConcurrentLikesChecks: config.processing.maxConcurrentLikesChecks,
                 processingDelay: config.processing.delay,
+                maxQueueAge: config.processing.maxQueueAge,
                 telegram: {
                     botToken: config.telegram.botToken,
                     channels: config.telegram.creationChannels,
@@ -38,7 +83,9 @@ class PumpFunUnifiedApp {
                 minTwitterLikes: config.twitter.minLikesMigration,
                 analysisTimeout: config.analysis.timeout,
                 maxConcurrentAnalyses: config.analysis.maxConcurrent,
+                maxConcurrentLikesChecks: config.processing.maxConcurrentLikesChecks,
                 processingDelay: config.processing.delay,
+                maxQueueAge: config.processing.maxQueueAge,
                 telegram: {
                     botToken: config.telegram.botToken,
                     channels: config.telegram.migrationChannels,
@@ -47,6 +94,34 @@ class PumpFunUnifiedApp {
                 ...appConfig.migration
             },
             
+            // Bonding Curve Milestone Configuration (follows tweeted new tokens)
+            bondingCurve: {
+                ...config.bondingCurve,
+                analysisTimeout: config.analysis.timeout,
+                maxConcurrentAnalyses: config.analysis.maxConcurrent,
+                maxConcurrentLikesChecks: config.processing.maxConcurrentLikesChecks,
+                processingDelay: config.processing.delay,
+                maxQueueAge: config.processing.maxQueueAge,
+                telegram: {
+                    botToken: config.telegram.botToken,
+                    channels: config.telegram.bondingCurveChannels,
+                },
+                enabledAnalyses: config.analysis.bondingCurve.enabledAnalyses,
+                ...appConfig.bondingCurve
+            },
+            
+            // Watchlist Configuration (mints from a local file, independent of bot mode)
+            watchlist: {
+                ...config.watchlist,
+                analysisTimeout: config.analysis.timeout,
+                telegram: {
+                    botToken: config.telegram.botToken,
+                    channels: config.telegram.watchlistChannels,
+                },
+                enabledAnalyses: config.analysis.watchlist.enabledAnalyses,
+                ...appConfig.watchlist
+            },
+            
             // Application settings
             app: {
                 enableHealthCheck: true,
@@ -58,9 +133,16 @@ class PumpFunUnifiedApp {
         };
 
         // Initialize components
+        this.eventSources = null;
         this.wsManager = null;
+        this.eventRecorder = null;
+        this.messageQuarantine = null;
+        this.tradeTape = null;
+        this.walletExitMonitor = null;
         this.creationMonitor = null;
         this.migrationMonitor = null;
+        this.bondingCurveMonitor = null;
+        this.watchlistMonitor = null;
         this.isRunning = false;
         this.startTime = null;
         this.metrics = {
@@ -99,8 +181,8 @@ class PumpFunUnifiedApp {
             // Validate configuration
             await this.validateConfiguration();
 
-            // Initialize WebSocket manager
-            await this.initializeWebSocket();
+            // Initialize event sources (PumpPortal / Solana logs / replay)
+            await this.initializeEventSources();
 
             // Initialize monitors based on mode
             await this.initializeMonitors();
@@ -151,88 +233,113 @@ class PumpFunUnifiedApp {
         if (this.shouldRunMigration() && this.config.migration.telegram.channels.length === 0) {
             logger.warn('⚠️ No migration Telegram channels configured');
         }
+        
+        if (this.config.bondingCurve.enabled && !this.shouldRunCreation()) {
+            logger.warn('⚠️ Bonding curve alerts need creation events - disabled in migration-only mode');
+        }
 
         logger.info('✅ Configuration validation completed');
     }
 
-    async initializeWebSocket() {
-        logger.info('🔌 Initializing WebSocket connection...');
+    async initializeEventSources() {
+        logger.info('🔌 Initializing event sources...');
         
-        this.wsManager = new WebSocketManager(this.config.websocket);
+        if (this.config.recording.enabled) {
+            this.eventRecorder = new EventRecorder(this.config.recording);
+        }
         
-        // Setup event listeners
-        this.wsManager.on('connected', () => {
-            logger.info('✅ WebSocket connected successfully');
-            
-            // 🚀 FIXED: Explicitly set what we want to subscribe to
-            if (this.shouldRunCreation()) {
-                logger.info('🆕 Setting up NEW TOKEN subscription...');
-                this.wsManager.subscribeNewToken();
-            }
-            
-            if (this.shouldRunMigration()) {
-                logger.info('🔄 Setting up MIGRATION subscription...');
-                this.wsManager.subscribeMigration();
-            }
-            
-            // 🚀 ADDED: Log subscription status after setup
-            setTimeout(() => {
-                const status = this.wsManager.getSubscriptionStatus();
-                logger.info('📊 Subscription Status:', JSON.stringify(status, null, 2));
-            }, 3000);
-        });
-
-        this.wsManager.on('disconnected', ({ code, reason }) => {
-            logger.warn(`⚠️ WebSocket disconnected: ${code} - ${reason}`);
-            this.metrics.errors++;
+        if (this.config.quarantine.enabled) {
+            this.messageQuarantine = new MessageQuarantine(this.config.quarantine);
+            this.messageQuarantine.on('formatDrift', ({ type, consecutive, errors }) => {
+                this.handleCriticalError(`${consecutive} consecutive ${type} messages failed validation - PumpPortal format may have changed (${errors.join('; ')})`);
+            });
+        }
+        
+        const sourceOptions = {
+            creation: this.shouldRunCreation(),
+            migration: this.shouldRunMigration()
+        };
+        
+        const sources = this.config.eventSources.order.map(name => this.createEventSource(name, sourceOptions));
+        
+        // Migrations alone can be minutes apart - don't mistake a quiet feed for a dead one
+        const silenceTimeout = this.config.eventSources.silenceTimeout ||
+            (this.shouldRunCreation() ? 2 * 60 * 1000 : 60 * 60 * 1000);
+        
+        this.eventSources = new EventSourceManager(sources, {
+            ...this.config.eventSources,
+            silenceTimeout
         });
-
+        
+        // Keep a handle on the PumpPortal connection for health reporting
+        this.wsManager = this.eventSources.getSource('pumpportal')?.wsManager || null;
+        
+        // Market caps from open trade streams rank clone originals by success
+        if (this.wsManager) {
+            this.wsManager.on('trade', trade => getLaunchIndex().noteMarketCap(trade.mint, trade.marketCapSol));
+        }
+        
+        // Trade streams only exist on PumpPortal
+        if (this.config.tradeTape.enabled && this.wsManager) {
+            this.tradeTape = new TradeTape(this.config.tradeTape);
+            this.tradeTape.attach(this.wsManager);
+        }
+        
+        if (this.config.walletExit.enabled && this.wsManager) {
+            this.walletExitMonitor = new WalletExitMonitor(this.config.walletExit);
+            this.walletExitMonitor.attach(this.wsManager);
+        }
+        
         // Setup event handlers based on mode
         if (this.shouldRunCreation()) {
-            this.wsManager.on('newToken', this.handleNewToken);
+            this.eventSources.on('newToken', this.handleNewToken);
             logger.info('🆕 Registered newToken event handler');
         }
         
         if (this.shouldRunMigration()) {
-            this.wsManager.on('tokenMigration', this.handleTokenMigration);
+            this.eventSources.on('tokenMigration', this.handleTokenMigration);
             logger.info('🔄 Registered tokenMigration event handler');
         }
         
-        this.wsManager.on('error', this.handleError);
+        this.eventSources.on('error', this.handleError);
         
-        this.wsManager.on('maxReconnectAttemptsReached', () => {
-            logger.error('❌ Max WebSocket reconnection attempts reached');
-            this.handleCriticalError('WebSocket connection failed permanently');
+        this.eventSources.on('failover', ({ from, to, reason }) => {
+            logger.warn(`⚠️ Event source switched ${from} → ${to}: ${reason}`);
+            this.metrics.errors++;
         });
-
-        // Connect to WebSocket
-        await this.wsManager.connect();
         
-        // 🚀 ADDED: Set up periodic subscription verification
-        this.setupSubscriptionMonitoring();
-    }
+        this.eventSources.on('exhausted', ({ reason }) => {
+            logger.error('❌ All event sources keep failing');
+            this.handleCriticalError(`Event sources failing repeatedly: ${reason}`);
+        });
 
+        await this.eventSources.start();
+    }
 
-    setupSubscriptionMonitoring() {
-        setInterval(() => {
-            if (this.wsManager && this.wsManager.isConnected) {
-                const stats = this.wsManager.getStatsString();
-                logger.debug(stats);
-                
-                const status = this.wsManager.getSubscriptionStatus();
-                
-                // Check for subscription issues
-                if (this.shouldRunMigration() && !status.subscriptions.migration.working) {
-                    logger.warn('⚠️ Migration subscription not working, attempting resubscribe...');
-                    this.wsManager.subscribeMigration();
-                }
-                
-                if (this.shouldRunCreation() && !status.subscriptions.newToken.working) {
-                    logger.warn('⚠️ New token subscription not working, attempting resubscribe...');
-                    this.wsManager.subscribeNewToken();
-                }
-            }
-        }, 60000); // Check every minute
+    createEventSource(name, options) {
+        switch (name) {
+            case 'pumpportal':
+                return new PumpPortalSource({
+                    ...options,
+                    websocket: this.config.websocket,
+                    recorder: this.eventRecorder,
+                    quarantine: this.messageQuarantine
+                });
+            case 'solana':
+                return new SolanaLogsSource({
+                    ...options,
+                    wsUrl: this.config.eventSources.solanaWsUrl,
+                    programId: this.config.eventSources.programId
+                });
+            case 'replay':
+                return new ReplaySource({
+                    ...options,
+                    path: this.config.eventSources.replayPath,
+                    speed: this.config.eventSources.replaySpeed
+                });
+            default:
+                throw new Error(`Unknown event source: ${name}. Must be 'pumpportal', 'solana', or 'replay'`);
+        }
     }
     
     async initializeMonitors() {
@@ -259,6 +366,28 @@ class PumpFunUnifiedApp {
             this.migrationMonitor.on('error', this.handleError);
             logger.info('✅ Migration Monitor initialized');
         }
+        
+        // Bonding curve progress comes from PumpPortal trade streams of new tokens
+        if (this.shouldRunCreation() && this.config.bondingCurve.enabled && this.wsManager) {
+            logger.info('📈 Initializing Bonding Curve Monitor...');
+            this.bondingCurveMonitor = new BondingCurveMonitor(this.config.bondingCurve);
+            this.bondingCurveMonitor.attach(this.wsManager);
+            this.bondingCurveMonitor.on('analysisCompleted', (data) => {
+                this.handleAnalysisCompleted({ ...data, source: 'bondingCurve' });
+            });
+            this.bondingCurveMonitor.on('error', this.handleError);
+            logger.info('✅ Bonding Curve Monitor initialized');
+        }
+        
+        if (this.config.watchlist.enabled) {
+            logger.info('👁️ Initializing Watchlist Monitor...');
+            this.watchlistMonitor = new WatchlistMonitor(this.config.watchlist);
+            this.watchlistMonitor.on('analysisCompleted', (data) => {
+                this.handleAnalysisCompleted({ ...data, source: 'watchlist' });
+            });
+            this.watchlistMonitor.start();
+            logger.info('✅ Watchlist Monitor initialized');
+        }
     }
 
     shouldRunCreation() {
@@ -278,9 +407,17 @@ class PumpFunUnifiedApp {
             this.metrics.tokensProcessed++;
             logger.debug(`📥 New token received: ${tokenEvent.symbol} (${tokenEvent.mint})`);
             
+            // Every launch, qualified or not - later copies are matched against it
+            getLaunchIndex().record(tokenEvent);
+            
             // Process the token through the creation monitor
             this.creationMonitor.processNewToken(tokenEvent);
             
+            // Follow its curve regardless of today's likes - the tweet may catch up
+            if (this.bondingCurveMonitor) {
+                this.bondingCurveMonitor.track(tokenEvent);
+            }
+            
         } catch (error) {
             logger.error('Error handling new token:', error);
             this.metrics.errors++;
@@ -297,6 +434,10 @@ class PumpFunUnifiedApp {
             logger.info(`📥 Migration received: ${migrationEvent.mint}`);
             logger.debug(`Migration details:`, migrationEvent);
             
+            // Migrated tokens have left the bonding curve
+            this.bondingCurveMonitor?.untrack(migrationEvent.mint);
+            getLaunchIndex().markMigrated(migrationEvent.mint);
+            
             // Process the migration through the migration monitor
             this.migrationMonitor.processTokenMigration(migrationEvent);
             
@@ -312,15 +453,39 @@ class PumpFunUnifiedApp {
             
             if (analysisResult.success) {
                 this.metrics.analysesPublished++;
-                const eventType = source === 'migration' ? 'migration' : 'creation';
+                const eventType = source;
                 logger.info(`✅ Analysis completed and published for ${tokenEvent.symbol} (${eventType})`);
+                getLaunchIndex().markPublished(tokenEvent.mint);
+                
+                if (this.tradeTape) {
+                    this.tradeTape.track(tokenEvent.mint, {
+                        symbol: tokenEvent.symbol,
+                        name: tokenEvent.name,
+                        source: eventType
+                    });
+                }
+                
+                if (this.walletExitMonitor) {
+                    const monitor = {
+                        creation: this.creationMonitor,
+                        migration: this.migrationMonitor,
+                        bondingCurve: this.bondingCurveMonitor,
+                        watchlist: this.watchlistMonitor
+                    }[eventType];
+                    this.walletExitMonitor.watch({
+                        tokenEvent,
+                        analysisResult,
+                        source: eventType,
+                        publisher: monitor?.telegramPublisher
+                    });
+                }
             } else {
                 logger.warn(`⚠️ Analysis completed with limited success for ${tokenEvent.symbol}`);
             }
 
             // Log summary with source indicator
             const duration = analysisResult.duration ? `${Math.round(analysisResult.duration / 1000)}s` : 'unknown';
-            const eventEmoji = source === 'migration' ? '🔄' : '🆕';
+            const eventEmoji = { migration: '🔄', bondingCurve: '📈', watchlist: '👁️' }[source] || '🆕';
             
             logger.info(`📈 ${eventEmoji} ${tokenEvent.symbol} (${source}): Duration=${duration}, Twitter=${twitterMetrics.views} views`);
             
@@ -397,8 +562,19 @@ class PumpFunUnifiedApp {
             uptime: Date.now() - this.startTime,
             mode: this.botMode,
             websocket: this.wsManager?.getConnectionInfo() || {},
+            eventSources: this.eventSources?.getStatus() || null,
+            tradeTape: this.tradeTape?.getStatus() || null,
+            walletExitMonitor: this.walletExitMonitor?.getStatus() || null,
+            dedupe: getDedupeStore().getStatus(),
+            tweetIndex: getTweetIndex().getStatus(),
+            launchIndex: getLaunchIndex().getStatus(),
+            artworkIndex: getArtworkIndex().getStatus(),
+            browserPool: getBrowserPool().getStatus(),
+            tweetMetricsCache: getTweetMetricsCache().getStatus(),
             creationMonitor: this.creationMonitor?.getStatus() || null,
             migrationMonitor: this.migrationMonitor?.getStatus() || null,
+            bondingCurveMonitor: this.bondingCurveMonitor?.getStatus() || null,
+            watchlistMonitor: this.watchlistMonitor?.getStatus() || null,
             metrics: this.getMetrics(),
             memory: process.memoryUsage(),
             errors: this.metrics.errors
@@ -415,6 +591,24 @@ class PumpFunUnifiedApp {
             logger.warn(`⚠️ High WebSocket reconnection attempts: ${health.websocket.reconnectAttempts}`);
         }
 
+        if (health.websocket.circuit && health.websocket.circuit.state !== 'CLOSED') {
+            const { state, timesOpened, nextAttemptAt } = health.websocket.circuit;
+            const nextAttempt = nextAttemptAt ? `, next attempt in ${Math.max(0, Math.round((nextAttemptAt - Date.now()) / 1000))}s` : '';
+            logger.warn(`⚠️ WebSocket circuit ${state} (opened ${timesOpened}x${nextAttempt})`);
+        }
+
+        if (health.websocket.health?.stalledSubscriptions?.length > 0) {
+            logger.warn(`⚠️ Stalled WebSocket subscriptions: ${health.websocket.health.stalledSubscriptions.join(', ')}`);
+        }
+
+        for (const monitor of [health.creationMonitor, health.migrationMonitor, health.bondingCurveMonitor]) {
+            const queue = monitor?.queue;
+            if (queue && queue.oldestWaitMs > 2 * 60 * 1000) {
+                const head = queue.waiting[0];
+                logger.warn(`⚠️ Analysis queue "${queue.name}" saturated: ${queue.ready} waiting, oldest ${Math.round(queue.oldestWaitMs / 1000)}s, next up ${head?.label || head?.id} (priority ${head?.priority})`);
+            }
+        }
+
         if (health.memory.heapUsed > 500 * 1024 * 1024) { // 500MB
             logger.warn(`⚠️ High memory usage: ${Math.round(health.memory.heapUsed / 1024 / 1024)}MB`);
         }
@@ -440,6 +634,12 @@ class PumpFunUnifiedApp {
         if (this.migrationMonitor) {
             this.migrationMonitor.clearProcessedTokens();
         }
+        if (this.bondingCurveMonitor) {
+            this.bondingCurveMonitor.clearProcessedTokens();
+        }
+        getTweetIndex().prune();
+        getLaunchIndex().prune();
+        getArtworkIndex().prune();
     }
 
     getMetrics() {
@@ -478,8 +678,19 @@ class PumpFunUnifiedApp {
             logger.info(`   • Migration Enabled Analyses: ${this.config.migration.enabledAnalyses.join(', ')}`);
         }
         
+        if (this.bondingCurveMonitor) {
+            logger.info(`   • Bonding Curve Milestones: ${this.config.bondingCurve.milestones.join('%, ')}%, KOTH at ${this.config.bondingCurve.kingOfTheHillMarketCapSol} SOL`);
+            logger.info(`   • Bonding Curve Telegram Channels: ${this.config.bondingCurve.telegram.channels.length}`);
+        }
+        
+        if (this.watchlistMonitor) {
+            logger.info(`   • Watchlist: ${this.watchlistMonitor.entries.size} tokens, every ${Math.round(this.config.watchlist.interval / 60000)}min (${this.config.watchlist.filePath})`);
+        }
+        
         logger.info(`   • Max Concurrent Analyses: ${this.config.creation.maxConcurrentAnalyses}`);
-        logger.info(`   • WebSocket Reconnects: ${this.config.websocket.maxReconnectAttempts}`);
+        logger.info(`   • WebSocket Circuit Threshold: ${this.config.websocket.maxReconnectAttempts} failed connections`);
+        logger.info(`   • Event Sources: ${this.config.eventSources.order.join(' → ')}`);
+        logger.info(`   • Event Recording: ${this.config.recording.enabled ? this.config.recording.directory : 'Disabled'}`);
     }
 
     setupShutdownHandlers() {
@@ -538,25 +749,62 @@ class PumpFunUnifiedApp {
         this.isRunning = false;
         
         try {
-            // Disconnect WebSocket
-            if (this.wsManager) {
-                this.wsManager.disconnect();
+            // Release trade / wallet subscriptions before the socket goes away
+            if (this.tradeTape) {
+                this.tradeTape.stop();
+                this.tradeTape = null;
+            }
+
+            if (this.walletExitMonitor) {
+                this.walletExitMonitor.stop();
+                this.walletExitMonitor = null;
+            }
+
+            if (this.bondingCurveMonitor) {
+                await this.bondingCurveMonitor.cleanup();
+                this.bondingCurveMonitor = null;
+            }
+
+            if (this.watchlistMonitor) {
+                this.watchlistMonitor.stop();
+                this.watchlistMonitor = null;
+            }
+
+            // Disconnect event sources
+            if (this.eventSources) {
+                await this.eventSources.stop();
+                this.eventSources = null;
                 this.wsManager = null;
             }
+            
+            if (this.eventRecorder) {
+                await this.eventRecorder.close();
+                this.eventRecorder = null;
+            }
 
             // Stop monitors
             if (this.creationMonitor) {
                 const status = this.creationMonitor.getStatus();
                 logger.info(`Stopping creation monitor with ${status.currentlyAnalyzing} active analyses`);
+                await this.creationMonitor.cleanup();
                 this.creationMonitor = null;
             }
             
             if (this.migrationMonitor) {
                 const status = this.migrationMonitor.getStatus();
                 logger.info(`Stopping migration monitor with ${status.currentlyAnalyzing} active analyses`);
+                await this.migrationMonitor.cleanup();
                 this.migrationMonitor = null;
             }
 
+            // Persist processed mints so the next start doesn't re-publish them
+            await getDedupeStore().flush();
+            await getTweetIndex().flush();
+            await getArtworkIndex().flush();
+
+            // Shared by every monitor, so only closed once they're all stopped
+            await getBrowserPool().close();
+
             logger.info('🛑 Application stopped');
             
         } catch (error) {
@@ -572,8 +820,19 @@ class PumpFunUnifiedApp {
             mode: this.botMode,
             startTime: this.startTime,
             websocket: this.wsManager?.getConnectionInfo() || null,
+            eventSources: this.eventSources?.getStatus() || null,
+            tradeTape: this.tradeTape?.getStatus() || null,
+            walletExitMonitor: this.walletExitMonitor?.getStatus() || null,
+            dedupe: getDedupeStore().getStatus(),
+            tweetIndex: getTweetIndex().getStatus(),
+            launchIndex: getLaunchIndex().getStatus(),
+            artworkIndex: getArtworkIndex().getStatus(),
+            browserPool: getBrowserPool().getStatus(),
+            tweetMetricsCache: getTweetMetricsCache().getStatus(),
             creationMonitor: this.creationMonitor?.getStatus() || null,
             migrationMonitor: this.migrationMonitor?.getStatus() || null,
+            bondingCurveMonitor: this.bondingCurveMonitor?.getStatus() || null,
+            watchlistMonitor: this.watchlistMonitor?.getStatus() || null,
             metrics: this.getMetrics(),
             config: {
                 mode: this.botMode,
@@ -584,6 +843,10 @@ class PumpFunUnifiedApp {
                 migration: this.shouldRunMigration() ? {
                     minTwitterViews: this.config.migration.minTwitterViews,
                     telegramChannels: this.config.migration.telegram.channels.length
+                } : null,
+                bondingCurve: this.bondingCurveMonitor ? {
+                    milestones: this.config.bondingCurve.milestones,
+                    telegramChannels: this.config.bondingCurve.telegram.channels.length
                 } : null
             }
         };
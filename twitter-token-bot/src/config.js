@@ -1,5 +1,42 @@
 // src/config.js - Simplified configuration
 require('dotenv').config();
+const path = require('path');
+
+// Comma-separated X handles, e.g. "@alice, bob"
+function handleList(value) {
+    return (value || '').split(',').map(handle => handle.trim()).filter(Boolean);
+}
+
+// Per-bot overrides for specific tweet authors
+function authorOverrides(prefix) {
+    return {
+        forceQualify: handleList(process.env[`${prefix}_AUTHOR_FORCE_QUALIFY`]),
+        boost: handleList(process.env[`${prefix}_AUTHOR_BOOST`]),
+        block: handleList(process.env[`${prefix}_AUTHOR_BLOCK`]),
+    };
+}
+
+// Per-bot engagement velocity thresholds (unset = no requirement)
+function velocityThresholds(prefix) {
+    const minAcceleration = parseFloat(process.env[`${prefix}_MIN_LIKES_ACCELERATION`]);
+    return {
+        minLikesPerMinute: parseFloat(process.env[`${prefix}_MIN_LIKES_PER_MINUTE`]) || 0,
+        minAcceleration: Number.isFinite(minAcceleration) ? minAcceleration : null,
+    };
+}
+
+// Per-bot limit on how much older than the token its tweet may be (unset = no limit)
+function maxTweetAge(prefix) {
+    return (parseFloat(process.env[`${prefix}_MAX_TWEET_AGE_HOURS`]) || 0) * 60 * 60 * 1000;
+}
+
+// Request budget for one engagement provider, e.g. X_API_BUDGET_REQUESTS per X_API_BUDGET_WINDOW ms
+function providerBudget(prefix, requests, window) {
+    return {
+        requests: parseInt(process.env[`${prefix}_BUDGET_REQUESTS`]) || requests,
+        window: parseInt(process.env[`${prefix}_BUDGET_WINDOW`]) || window,
+    };
+}
 
 const config = {
     // Core settings
@@ -20,6 +57,8 @@ const config = {
         botToken: process.env.TELEGRAM_BOT_TOKEN,
         creationChannels: [process.env.CREATION_TELEGRAM_CHANNEL_ID].filter(Boolean),
         migrationChannels: [process.env.MIGRATION_TELEGRAM_CHANNEL_ID].filter(Boolean),
+        bondingCurveChannels: [process.env.BONDING_CURVE_TELEGRAM_CHANNEL_ID].filter(Boolean),
+        watchlistChannels: [process.env.WATCHLIST_TELEGRAM_CHANNEL_ID].filter(Boolean),
     },
     
     // Analysis settings
@@ -38,6 +77,17 @@ const config = {
             enableBundle: process.env.MIGRATION_ENABLE_BUNDLE_ANALYSIS !== 'false', 
             enableTopHolders: process.env.MIGRATION_ENABLE_TOP_HOLDERS_ANALYSIS !== 'false',
             enabledAnalyses: []
+        },
+        bondingCurve: {
+            enableBundle: process.env.BONDING_CURVE_ENABLE_BUNDLE_ANALYSIS !== 'false',
+            enableTopHolders: process.env.BONDING_CURVE_ENABLE_TOP_HOLDERS_ANALYSIS !== 'false',
+            enabledAnalyses: []
+        },
+        // Watchlist alerts are driven by these two, so both default on
+        watchlist: {
+            enableBundle: process.env.WATCHLIST_ENABLE_BUNDLE_ANALYSIS !== 'false',
+            enableTopHolders: process.env.WATCHLIST_ENABLE_TOP_HOLDERS_ANALYSIS !== 'false',
+            enabledAnalyses: []
         }
     },
     
@@ -45,6 +95,20 @@ const config = {
     processing: {
         delay: parseInt(process.env.PROCESSING_DELAY) || 2000,
         queueMaxSize: parseInt(process.env.QUEUE_MAX_SIZE) || 100,
+        maxConcurrentLikesChecks: parseInt(process.env.MAX_CONCURRENT_LIKES_CHECKS) || 5,
+        maxQueueAge: parseInt(process.env.MAX_QUEUE_AGE) || 15 * 60 * 1000, // Qualified tokens older than this are dropped
+    },
+    
+    // Analysis queue ordering - see src/utils/analysisPriority.js
+    priority: {
+        likes: parseFloat(process.env.PRIORITY_LIKES_WEIGHT) || 10,
+        velocity: parseFloat(process.env.PRIORITY_VELOCITY_WEIGHT) || 15,
+        agePerHour: parseFloat(process.env.PRIORITY_AGE_PENALTY_PER_HOUR) || 2,
+        eventType: {
+            migration: parseFloat(process.env.PRIORITY_MIGRATION_BONUS) || 5,
+            bondingCurve: parseFloat(process.env.PRIORITY_BONDING_CURVE_BONUS) || 3,
+            creation: 0
+        }
     },
     
     // WebSocket
@@ -53,6 +117,236 @@ const config = {
         maxReconnectAttempts: parseInt(process.env.WS_MAX_RECONNECT_ATTEMPTS) || 10,
         reconnectDelay: parseInt(process.env.WS_RECONNECT_DELAY) || 5000,
         pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 30000,
+        pongTimeout: parseInt(process.env.WS_PONG_TIMEOUT) || 10000,
+        maxReconnectDelay: parseInt(process.env.WS_MAX_RECONNECT_DELAY) || 5 * 60 * 1000,
+        circuitOpenDuration: parseInt(process.env.WS_CIRCUIT_OPEN_DURATION) || 5 * 60 * 1000,
+        // Force a reconnect when a subscription stays silent this long (0 = never)
+        creationSilenceTimeout: process.env.WS_CREATION_SILENCE_TIMEOUT !== undefined ? parseInt(process.env.WS_CREATION_SILENCE_TIMEOUT) : 60 * 1000,
+        migrationSilenceTimeout: process.env.WS_MIGRATION_SILENCE_TIMEOUT !== undefined ? parseInt(process.env.WS_MIGRATION_SILENCE_TIMEOUT) : 30 * 60 * 1000,
+    },
+    
+    // Event sources (priority order) and failover
+    eventSources: {
+        order: (process.env.EVENT_SOURCES || 'pumpportal,solana').split(',').map(name => name.trim()).filter(Boolean),
+        silenceTimeout: parseInt(process.env.EVENT_SOURCE_SILENCE_TIMEOUT) || 0, // 0 = pick based on bot mode
+        failbackDelay: parseInt(process.env.EVENT_SOURCE_FAILBACK_DELAY) || 10 * 60 * 1000,
+        dedupeWindow: parseInt(process.env.EVENT_DEDUPE_WINDOW) || 10 * 60 * 1000,
+        solanaWsUrl: process.env.SOLANA_WS_URL || null,
+        programId: process.env.PUMPFUN_PROGRAM_ID || null,
+        replayPath: process.env.REPLAY_PATH || path.join(process.cwd(), 'recordings'),
+        replaySpeed: process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1,
+    },
+    
+    // Live trade tape for alerted tokens (PumpPortal subscribeTokenTrade)
+    tradeTape: {
+        enabled: process.env.TRADE_TAPE_ENABLED !== 'false',
+        window: parseInt(process.env.TRADE_TAPE_WINDOW) || 60 * 60 * 1000,
+        maxTradesPerMint: parseInt(process.env.TRADE_TAPE_MAX_TRADES) || 1000,
+    },
+    
+    // Follow-up alerts when dev / bundle wallets sell after we published
+    walletExit: {
+        enabled: process.env.WALLET_EXIT_ALERTS !== 'false',
+        sellThresholdPercent: parseFloat(process.env.WALLET_EXIT_THRESHOLD_PERCENT) || 1.0, // % of supply
+        window: parseInt(process.env.WALLET_EXIT_WINDOW) || 6 * 60 * 60 * 1000,
+        maxWalletsPerToken: parseInt(process.env.WALLET_EXIT_MAX_WALLETS) || 50,
+    },
+    
+    // Milestone alerts as tweeted tokens fill their bonding curve (PumpPortal subscribeTokenTrade)
+    bondingCurve: {
+        enabled: process.env.BONDING_CURVE_ENABLED === 'true',
+        milestones: (process.env.BONDING_CURVE_MILESTONES || '50,75')
+            .split(',').map(percent => parseFloat(percent)).filter(percent => percent > 0 && percent < 100),
+        kingOfTheHillMarketCapSol: parseFloat(process.env.BONDING_CURVE_KOTH_MARKET_CAP_SOL) || 200,
+        completeVirtualSol: parseFloat(process.env.BONDING_CURVE_COMPLETE_VSOL) || 115,
+        minTwitterLikes: parseInt(process.env.BONDING_CURVE_MIN_TWITTER_LIKES) || 50,
+        window: parseInt(process.env.BONDING_CURVE_WINDOW) || 3 * 60 * 60 * 1000,
+        maxTracked: parseInt(process.env.BONDING_CURVE_MAX_TRACKED) || 300,
+    },
+    
+    // Hand-picked mints, re-analyzed on a schedule (file is editable while running)
+    watchlist: {
+        enabled: process.env.WATCHLIST_ENABLED === 'true',
+        filePath: process.env.WATCHLIST_FILE || path.join(process.cwd(), 'data', 'watchlist.json'),
+        interval: parseInt(process.env.WATCHLIST_INTERVAL) || 30 * 60 * 1000,
+        maxConcurrentAnalyses: parseInt(process.env.WATCHLIST_MAX_CONCURRENT_ANALYSES) || 1,
+        // Publish again once a metric moves this much since the last alert
+        thresholds: {
+            bundleHolding: parseFloat(process.env.WATCHLIST_BUNDLE_HOLDING_CHANGE) || 5, // percentage points
+            top10: parseFloat(process.env.WATCHLIST_TOP10_CHANGE) || 5, // percentage points
+            freshWallets: parseInt(process.env.WATCHLIST_FRESH_WALLET_CHANGE) || 3,
+        },
+    },
+    
+    // Processed-mint dedupe shared by both monitors (survives restarts)
+    dedupe: {
+        filePath: process.env.DEDUPE_FILE || path.join(process.cwd(), 'data', 'dedupe.json'),
+        ttl: parseInt(process.env.DEDUPE_TTL) || 48 * 60 * 60 * 1000,
+        maxEntries: parseInt(process.env.DEDUPE_MAX_ENTRIES) || 50000,
+    },
+    
+    // Tokens reusing a tweet another token already claimed
+    tweetReuse: {
+        policy: ['all', 'first', 'volume'].includes(process.env.TWEET_REUSE_POLICY) ? process.env.TWEET_REUSE_POLICY : 'all',
+        filePath: process.env.TWEET_INDEX_FILE || path.join(process.cwd(), 'data', 'tweet_index.json'),
+        ttl: parseInt(process.env.TWEET_INDEX_TTL) || 7 * 24 * 60 * 60 * 1000,
+        maxTweets: parseInt(process.env.TWEET_INDEX_MAX_TWEETS) || 20000,
+    },
+    
+    // Where ipfs:// and ar:// metadata and images are fetched from
+    gateways: {
+        ipfs: process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/',
+        arweave: process.env.ARWEAVE_GATEWAY_URL || 'https://arweave.net/',
+        rewritePublicGateways: process.env.IPFS_REWRITE_PUBLIC_GATEWAYS !== 'false',
+        metadataTimeout: parseInt(process.env.METADATA_FETCH_TIMEOUT) || 10000,
+        metadataCacheTtl: parseInt(process.env.METADATA_CACHE_TTL) || 10 * 60 * 1000,
+    },
+    
+    // Token images reused from recently analyzed tokens
+    artwork: {
+        enabled: process.env.ARTWORK_CHECK_ENABLED !== 'false',
+        filePath: process.env.ARTWORK_INDEX_FILE || path.join(process.cwd(), 'data', 'artwork_index.json'),
+        ttl: parseInt(process.env.ARTWORK_INDEX_TTL) || 3 * 24 * 60 * 60 * 1000,
+        maxEntries: parseInt(process.env.ARTWORK_INDEX_MAX_ENTRIES) || 20000,
+        maxDistance: parseInt(process.env.ARTWORK_MAX_DISTANCE) || 6,
+        maxImageBytes: parseInt(process.env.ARTWORK_MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+        fetchTimeout: parseInt(process.env.ARTWORK_FETCH_TIMEOUT) || 10000,
+    },
+    
+    // Name/ticker copies of recent launches
+    cloneDetection: {
+        enabled: process.env.CLONE_DETECTION_ENABLED !== 'false',
+        window: parseInt(process.env.CLONE_INDEX_WINDOW) || 24 * 60 * 60 * 1000,
+        maxEntries: parseInt(process.env.CLONE_INDEX_MAX_ENTRIES) || 50000,
+        nameSimilarity: parseFloat(process.env.CLONE_NAME_SIMILARITY) || 0.85,
+    },
+    
+    // Re-check tweets that just missed the likes threshold
+    engagementRecheck: {
+        enabled: process.env.ENGAGEMENT_RECHECK_ENABLED !== 'false',
+        schedule: (process.env.ENGAGEMENT_RECHECK_SCHEDULE || '60000,180000,600000,1800000')
+            .split(',').map(delay => parseInt(delay)).filter(delay => delay > 0),
+        nearMissRatio: parseFloat(process.env.ENGAGEMENT_RECHECK_NEAR_MISS_RATIO) || 0.2,
+        maxWatched: parseInt(process.env.ENGAGEMENT_RECHECK_MAX_WATCHED) || 500,
+    },
+    
+    // Likes sampled a few times after qualification - adds (samples - 1) × interval before queueing.
+    // Disabled, the rate is likes per minute since the tweet was posted.
+    engagementVelocity: {
+        enabled: process.env.ENGAGEMENT_VELOCITY_ENABLED === 'true',
+        samples: parseInt(process.env.ENGAGEMENT_VELOCITY_SAMPLES) || 3,
+        interval: parseInt(process.env.ENGAGEMENT_VELOCITY_INTERVAL) || 20000,
+        sampleViews: process.env.ENGAGEMENT_VELOCITY_SAMPLE_VIEWS === 'true',
+        creation: velocityThresholds('CREATION'),
+        migration: velocityThresholds('MIGRATION'),
+        bondingCurve: velocityThresholds('BONDING_CURVE'),
+    },
+    
+    // Where tweet likes / views come from - tried in order, falling back when one fails or is out of budget
+    engagementProviders: {
+        order: (process.env.ENGAGEMENT_PROVIDERS || 'syndication,xapi,page')
+            .split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+        // The X API provider is skipped without a token
+        bearerToken: process.env.X_BEARER_TOKEN || process.env.TWITTER_BEARER_TOKEN || null,
+        timeout: parseInt(process.env.X_API_TIMEOUT) || 5000,
+        budgets: {
+            syndication: providerBudget('SYNDICATION', 300, 60 * 1000),
+            xapi: providerBudget('X_API', 15, 15 * 60 * 1000),
+            page: providerBudget('PAGE_SCRAPE', 30, 60 * 1000),
+        },
+    },
+    
+    // Recently fetched tweet metrics, shared by all monitors (likes go stale faster than views)
+    tweetMetricsCache: {
+        enabled: process.env.TWEET_CACHE_ENABLED !== 'false',
+        likesTtl: parseInt(process.env.TWEET_CACHE_LIKES_TTL) || 15000,
+        viewsTtl: parseInt(process.env.TWEET_CACHE_VIEWS_TTL) || 2 * 60 * 1000,
+        maxEntries: parseInt(process.env.TWEET_CACHE_MAX_ENTRIES) || 5000,
+    },
+    
+    // Tokens linking an X profile or community instead of a tweet
+    profileQualification: {
+        enabled: process.env.PROFILE_QUALIFICATION_ENABLED === 'true',
+        cacheTtl: parseInt(process.env.PROFILE_CACHE_TTL) || 10 * 60 * 1000,
+        profile: {
+            minFollowers: parseInt(process.env.PROFILE_MIN_FOLLOWERS) || 5000,
+            minAccountAgeDays: parseInt(process.env.PROFILE_MIN_ACCOUNT_AGE_DAYS) || 30,
+            requireVerified: process.env.PROFILE_REQUIRE_VERIFIED === 'true',
+            minAvgRecentLikes: parseInt(process.env.PROFILE_MIN_AVG_RECENT_LIKES) || 50,
+        },
+        community: {
+            minMembers: parseInt(process.env.COMMUNITY_MIN_MEMBERS) || 1000,
+            minAvgRecentLikes: parseInt(process.env.COMMUNITY_MIN_AVG_RECENT_LIKES) || 20,
+        },
+    },
+    
+    // Shared headless browser (tweet views, X communities, PumpFun API)
+    browserPool: {
+        maxPages: parseInt(process.env.BROWSER_MAX_PAGES) || 4,
+        maxPagesPerDomain: parseInt(process.env.BROWSER_MAX_PAGES_PER_DOMAIN) || 2,
+        // "x.com:1,pump.fun:3" - overrides maxPagesPerDomain for those domains
+        domainLimits: Object.fromEntries((process.env.BROWSER_DOMAIN_LIMITS || '')
+            .split(',').map(limit => limit.split(':').map(part => part.trim()))
+            .filter(([domain, pages]) => domain && parseInt(pages) > 0)
+            .map(([domain, pages]) => [domain.toLowerCase(), parseInt(pages)])),
+        maxPageUses: parseInt(process.env.BROWSER_PAGE_MAX_USES) || 20,
+        recycleAfterPages: parseInt(process.env.BROWSER_RECYCLE_AFTER_PAGES) || 500,
+        maxMemoryMb: parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 1024,
+        maxRestarts: parseInt(process.env.BROWSER_MAX_RESTARTS) || 5,
+        restartWindow: parseInt(process.env.BROWSER_RESTART_WINDOW) || 10 * 60 * 1000,
+        cooldown: parseInt(process.env.BROWSER_CRASH_COOLDOWN) || 5 * 60 * 1000,
+    },
+    
+    // Old and vanished tweets - a per-bot max tweet age relative to token creation, and a
+    // re-read of the tweet right before publishing
+    tweetFreshness: {
+        revalidateBeforePublish: process.env.TWEET_REVALIDATE_BEFORE_PUBLISH !== 'false',
+        creation: { maxTweetAge: maxTweetAge('CREATION') },
+        migration: { maxTweetAge: maxTweetAge('MIGRATION') },
+        bondingCurve: { maxTweetAge: maxTweetAge('BONDING_CURVE') },
+    },
+    
+    // Tweet-to-token relevance (feeds alert confidence); a per-bot minimum makes it a gate (0 = off)
+    tweetRelevance: {
+        enabled: process.env.TWEET_RELEVANCE_ENABLED !== 'false',
+        compareMedia: process.env.TWEET_RELEVANCE_COMPARE_MEDIA !== 'false',
+        mediaMaxDistance: parseInt(process.env.TWEET_RELEVANCE_MEDIA_MAX_DISTANCE) || 10,
+        creation: { minScore: parseInt(process.env.CREATION_MIN_TWEET_RELEVANCE) || 0 },
+        migration: { minScore: parseInt(process.env.MIGRATION_MIN_TWEET_RELEVANCE) || 0 },
+        bondingCurve: { minScore: parseInt(process.env.BONDING_CURVE_MIN_TWEET_RELEVANCE) || 0 },
+    },
+    
+    // Tweet author scoring (feeds alert confidence) and handle overrides
+    authorReputation: {
+        enabled: process.env.AUTHOR_REPUTATION_ENABLED !== 'false',
+        filePath: process.env.KNOWN_HANDLES_FILE || path.join(process.cwd(), 'data', 'known_handles.json'),
+        lookupAccountAge: process.env.AUTHOR_LOOKUP_ACCOUNT_AGE !== 'false',
+        boostPoints: parseInt(process.env.AUTHOR_BOOST_POINTS) || 20,
+        creation: authorOverrides('CREATION'),
+        migration: authorOverrides('MIGRATION'),
+        bondingCurve: authorOverrides('BONDING_CURVE'),
+    },
+    
+    // Disk-backed processing queues (unfinished tokens resume after a restart)
+    queue: {
+        directory: process.env.QUEUE_DIR || path.join(process.cwd(), 'data', 'queues'),
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+        visibilityTimeout: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT) || 15 * 60 * 1000,
+        retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY) || 30 * 1000,
+    },
+    
+    // Inbound messages that fail schema validation
+    quarantine: {
+        enabled: process.env.QUARANTINE_ENABLED !== 'false',
+        directory: process.env.QUARANTINE_DIR || path.join(process.cwd(), 'quarantine'),
+        warnThreshold: parseInt(process.env.QUARANTINE_WARN_THRESHOLD) || 5, // consecutive rejections per type
+    },
+    
+    // Raw event recording (for offline replay)
+    recording: {
+        enabled: process.env.RECORD_EVENTS === 'true',
+        directory: process.env.RECORDINGS_DIR || path.join(process.cwd(), 'recordings'),
+        maxFileSize: parseInt(process.env.RECORDING_MAX_FILE_SIZE) || 50 * 1024 * 1024,
     },
     
     // Environment
@@ -75,6 +369,33 @@ if (config.analysis.migration.enableTopHolders) {
     config.analysis.migration.enabledAnalyses.push('topHolders');
 }
 
+if (config.analysis.bondingCurve.enableBundle) {
+    config.analysis.bondingCurve.enabledAnalyses.push('bundle');
+}
+if (config.analysis.bondingCurve.enableTopHolders) {
+    config.analysis.bondingCurve.enabledAnalyses.push('topHolders');
+}
+
+if (config.analysis.watchlist.enableBundle) {
+    config.analysis.watchlist.enabledAnalyses.push('bundle');
+}
+if (config.analysis.watchlist.enableTopHolders) {
+    config.analysis.watchlist.enabledAnalyses.push('topHolders');
+}
+
+// Clone detection only reads the in-memory launch index, so it runs for every bot type
+if (config.cloneDetection.enabled) {
+    ['creation', 'migration', 'bondingCurve', 'watchlist'].forEach(botType => {
+        config.analysis[botType].enabledAnalyses.push('clone');
+    });
+}
+
+if (config.artwork.enabled) {
+    ['creation', 'migration', 'bondingCurve', 'watchlist'].forEach(botType => {
+        config.analysis[botType].enabledAnalyses.push('artwork');
+    });
+}
+
 // Helper functions for backward compatibility
 config.getConfigForBot = function(botType) {
     const botConfig = this.analysis[botType] || this.analysis.creation;
@@ -0,0 +1,93 @@
+// src/integrations/tokenMetadata.js - Token metadata JSON and images through configurable IPFS/Arweave gateways
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; TokenScanner/1.0)';
+
+// uri → { data, expiresAt } - the tweet lookup and the artwork check read the same document
+const metadataCache = new Map();
+const MAX_CACHED_METADATA = 2000;
+
+function gateways() {
+    return require('../config').gateways;
+}
+
+/**
+ * Turn ipfs:// / ar:// URIs, and links to public IPFS gateways, into URLs on the
+ * configured gateways. Everything else is returned unchanged.
+ * @param {string} uri
+ * @returns {string}
+ */
+function resolveContentUrl(uri) {
+    if (!uri || typeof uri !== 'string') return uri;
+
+    const { ipfs, arweave, rewritePublicGateways } = gateways();
+
+    if (uri.startsWith('ipfs://')) {
+        return ipfs + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+    }
+    if (uri.startsWith('ar://')) {
+        return arweave + uri.slice('ar://'.length);
+    }
+
+    // pump.fun stores full gateway links (ipfs.io, cf-ipfs.com, pinata…) - route them through ours
+    const gatewayPath = rewritePublicGateways && uri.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+    if (gatewayPath && !uri.startsWith(ipfs)) {
+        return ipfs + gatewayPath[1];
+    }
+
+    return uri;
+}
+
+/**
+ * @param {string} uri - Metadata URI from the create event
+ * @returns {Promise<Object|null>} Parsed metadata, null when it couldn't be fetched
+ */
+async function fetchTokenMetadata(uri) {
+    const cached = metadataCache.get(uri);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.data;
+    }
+
+    try {
+        const response = await axios.get(resolveContentUrl(uri), {
+            timeout: gateways().metadataTimeout,
+            headers: { 'User-Agent': USER_AGENT }
+        });
+
+        const data = response.data || null;
+        if (data) {
+            if (metadataCache.size >= MAX_CACHED_METADATA) {
+                metadataCache.delete(metadataCache.keys().next().value);
+            }
+            metadataCache.set(uri, { data, expiresAt: Date.now() + gateways().metadataCacheTtl });
+        }
+        return data;
+
+    } catch (error) {
+        logger.debug(`Failed to fetch metadata from ${uri}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * @param {string} uri - Image URI from the metadata
+ * @param {Object} options - { maxBytes, timeout }
+ * @returns {Promise<Buffer>} Raw image bytes
+ * @throws {Error} On network errors and images over maxBytes
+ */
+async function fetchImage(uri, { maxBytes = 5 * 1024 * 1024, timeout = 10000 } = {}) {
+    const response = await axios.get(resolveContentUrl(uri), {
+        timeout,
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        headers: { 'User-Agent': USER_AGENT }
+    });
+    return Buffer.from(response.data);
+}
+
+module.exports = {
+    resolveContentUrl,
+    fetchTokenMetadata,
+    fetchImage
+};
@@ -0,0 +1,57 @@
+// src/integrations/xApi.js - Read-only X API v2 tweet lookup (app bearer token)
+const axios = require('axios');
+
+const TWEET_FIELDS = 'public_metrics,created_at,lang,author_id,attachments,referenced_tweets,in_reply_to_user_id,note_tweet';
+const USER_FIELDS = 'public_metrics,verified,verified_type,created_at';
+
+class XApiClient {
+    /**
+     * @param {Object} config - { bearerToken, timeout, baseUrl }
+     */
+    constructor({ bearerToken, timeout = 5000, baseUrl = 'https://api.twitter.com/2' } = {}) {
+        this.httpClient = axios.create({
+            baseURL: baseUrl,
+            timeout,
+            headers: { 'Authorization': `Bearer ${bearerToken}` }
+        });
+    }
+
+    /**
+     * One tweet with its public metrics (including impression_count), author,
+     * media and the user it replies to
+     * @returns {Promise<Object>} { body, rateLimit } rateLimit is { remaining, resetAt } when the
+     *          headers were present. Failed requests throw with `status` (and `resetAt` on a 429).
+     */
+    async getTweet(tweetId) {
+        try {
+            const response = await this.httpClient.get(`/tweets/${encodeURIComponent(tweetId)}`, {
+                params: {
+                    'tweet.fields': TWEET_FIELDS,
+                    'user.fields': USER_FIELDS,
+                    'media.fields': 'type,url,preview_image_url',
+                    'expansions': 'author_id,attachments.media_keys,in_reply_to_user_id'
+                }
+            });
+
+            return { body: response.data, rateLimit: readRateLimit(response.headers) };
+
+        } catch (error) {
+            if (error.response) {
+                const apiError = new Error(`X API ${error.response.status}: ${error.response.data?.title || error.message}`);
+                apiError.status = error.response.status;
+                apiError.resetAt = readRateLimit(error.response.headers)?.resetAt || null;
+                throw apiError;
+            }
+            throw error;
+        }
+    }
+}
+
+function readRateLimit(headers = {}) {
+    const remaining = parseInt(headers['x-rate-limit-remaining']);
+    const reset = parseInt(headers['x-rate-limit-reset']); // epoch seconds
+    if (isNaN(remaining) || isNaN(reset)) return null;
+    return { remaining, resetAt: reset * 1000 };
+}
+
+module.exports = XApiClient;
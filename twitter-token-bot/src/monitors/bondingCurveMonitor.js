@@ -0,0 +1,280 @@
+// src/monitors/bondingCurveMonitor.js - Alerts as tweeted tokens climb the pump.fun bonding curve
+const PipelineMonitor = require('./pipelineMonitor');
+const logger = require('../utils/logger');
+const { createTimer } = require('../utils/simpleTimer');
+const { serializeEvent } = require('../sources/tokenEvents');
+const {
+    ingestStage,
+    extractTweetStage,
+    tweetReuseStage,
+    tweetReusePolicyStage,
+    qualifyStage,
+    velocityStage,
+    relevanceStage,
+    analyzeStage,
+    revalidateStage,
+    publishStage
+} = require('../pipeline/stages');
+
+// pump.fun curves start with 30 virtual SOL and complete at roughly 85 real SOL on top
+const INITIAL_VIRTUAL_SOL = 30;
+
+/**
+ * New tokens with a valid tweet are tracked through PumpPortal's trade stream
+ * (subscribeTokenTrade). Every trade carries vSolInBondingCurve and
+ * marketCapSol; crossing a configured progress milestone, or the
+ * king-of-the-hill market cap, feeds a milestone event into the usual
+ * pipeline: ingest → extract tweet → qualify → analyze → publish.
+ *
+ * Each milestone fires at most once per mint. Tracking stops when the curve
+ * completes, the token migrates, or the tracking window runs out.
+ */
+class BondingCurveMonitor extends PipelineMonitor {
+    constructor(config = {}) {
+        super('bondingCurve', {
+            minTwitterLikes: 50,
+            maxConcurrentAnalyses: 2,
+            milestones: [50, 75],
+            kingOfTheHillMarketCapSol: 200,
+            completeVirtualSol: 115,
+            window: 3 * 60 * 60 * 1000,
+            maxTracked: 300,
+            ...config
+        });
+
+        this.wsManager = null;
+        this.tracked = new Map(); // mint → curve state
+        this.handleTrade = this.handleTrade.bind(this);
+
+        this.curveStats = {
+            tracked: 0,
+            milestonesHit: 0,
+            completed: 0,
+            expired: 0,
+            rejectedFull: 0
+        };
+
+        this.timers.push(setInterval(() => this.expireTracked(), 60 * 1000));
+    }
+
+    buildStages() {
+        return {
+            intake: [
+                ingestStage({
+                    dedupe: this.processedTokens,
+                    key: tokenEvent => `${tokenEvent.mint}:${tokenEvent.milestone.key}`
+                }),
+                // The tweet found when tracking started travels on the event
+                extractTweetStage({ twitterValidator: this.twitterValidator }),
+                tweetReuseStage({
+                    tweetIndex: this.tweetIndex,
+                    twitterValidator: this.twitterValidator,
+                    botType: this.botType,
+                    policy: this.tweetReuse.policy
+                }),
+                qualifyStage({
+                    twitterValidator: this.twitterValidator,
+                    minLikes: this.config.minTwitterLikes,
+                    rechecker: this.engagementRechecker,
+                    slots: this.likesCheckSlots,
+                    toPayload: ctx => this.toQueuePayload(ctx),
+                    authorReputation: this.authorReputation,
+                    maxTweetAge: this.tweetFreshness.maxTweetAge
+                })
+            ],
+            screening: [
+                tweetReusePolicyStage({
+                    tweetIndex: this.tweetIndex,
+                    twitterValidator: this.twitterValidator,
+                    policy: this.tweetReuse.policy,
+                    volumeLookup: mint => this.getRecentVolume(mint)
+                }),
+                relevanceStage({
+                    analyzer: this.tweetRelevance,
+                    minScore: this.tweetRelevanceSettings.minScore
+                }),
+                velocityStage({
+                    twitterValidator: this.twitterValidator,
+                    settings: this.engagementVelocity,
+                    slots: this.likesCheckSlots
+                })
+            ],
+            analysis: [
+                analyzeStage({
+                    orchestrator: this.analysisOrchestrator,
+                    twitterValidator: this.twitterValidator,
+                    eventType: 'bondingCurve',
+                    maxQueueAge: this.config.maxQueueAge,
+                    extractViews: this.config.enableViewCountExtraction,
+                    inFlight: this.currentlyAnalyzing,
+                    authorReputation: this.authorReputation,
+                    describeToken: tokenEvent => ({ milestone: tokenEvent.milestone })
+                }),
+                revalidateStage({
+                    twitterValidator: this.twitterValidator,
+                    enabled: this.tweetFreshness.revalidateBeforePublish
+                }),
+                publishStage({ orchestrator: this.analysisOrchestrator })
+            ]
+        };
+    }
+
+    attach(wsManager) {
+        if (this.wsManager) {
+            this.wsManager.off('trade', this.handleTrade);
+        }
+
+        this.wsManager = wsManager;
+        this.wsManager.on('trade', this.handleTrade);
+    }
+
+    /**
+     * Start following a new token's curve if it links a tweet
+     * @param {Object} tokenEvent - Creation event
+     */
+    async track(tokenEvent) {
+        if (!this.wsManager || !tokenEvent?.mint || this.tracked.has(tokenEvent.mint)) {
+            return false;
+        }
+
+        if (this.tracked.size >= this.config.maxTracked) {
+            this.curveStats.rejectedFull++;
+            return false;
+        }
+
+        try {
+            const twitterUrl = await this.twitterValidator.extractTwitterUrl(tokenEvent);
+            if (!twitterUrl || this.tracked.has(tokenEvent.mint)) {
+                return false;
+            }
+
+            const now = Date.now();
+            this.tracked.set(tokenEvent.mint, {
+                tokenEvent: serializeEvent(tokenEvent),
+                twitterUrl,
+                hit: new Set(),
+                progress: this.getProgress(tokenEvent.vSolInBondingCurve),
+                marketCapSol: tokenEvent.marketCapSol || 0,
+                startedAt: now,
+                expiresAt: now + this.config.window
+            });
+
+            this.wsManager.subscribeTokenTrade([tokenEvent.mint]);
+            this.curveStats.tracked++;
+            logger.debug(`📈 Tracking bonding curve for ${tokenEvent.symbol}`);
+            return true;
+
+        } catch (error) {
+            logger.debug(`Bonding curve tracking failed for ${tokenEvent.symbol}: ${error.message}`);
+            return false;
+        }
+    }
+
+    untrack(mint) {
+        if (!this.tracked.delete(mint)) {
+            return false;
+        }
+        this.wsManager?.unsubscribeTokenTrade([mint]);
+        return true;
+    }
+
+    /**
+     * @param {number} vSol - vSolInBondingCurve
+     * @returns {number} Curve progress in percent (0-100)
+     */
+    getProgress(vSol) {
+        if (!vSol) {
+            return 0;
+        }
+        const range = this.config.completeVirtualSol - INITIAL_VIRTUAL_SOL;
+        return Math.min(100, Math.max(0, ((vSol - INITIAL_VIRTUAL_SOL) / range) * 100));
+    }
+
+    handleTrade(trade) {
+        const state = this.tracked.get(trade.mint);
+        if (!state || !trade.vSol) {
+            return;
+        }
+
+        state.progress = this.getProgress(trade.vSol);
+        state.marketCapSol = trade.marketCapSol || state.marketCapSol;
+
+        // Only the highest newly crossed milestone alerts; lower ones are marked as passed
+        const crossed = this.config.milestones.filter(percent => state.progress >= percent && !state.hit.has(`progress_${percent}`));
+        crossed.forEach(percent => state.hit.add(`progress_${percent}`));
+        if (crossed.length > 0) {
+            const percent = Math.max(...crossed);
+            this.fireMilestone(state, trade, { key: `progress_${percent}`, label: `${percent}% BONDED`, percent });
+        }
+
+        if (!state.hit.has('king_of_the_hill') && state.marketCapSol >= this.config.kingOfTheHillMarketCapSol) {
+            state.hit.add('king_of_the_hill');
+            this.fireMilestone(state, trade, { key: 'king_of_the_hill', label: 'KING OF THE HILL' });
+        }
+
+        if (state.progress >= 100) {
+            this.curveStats.completed++;
+            logger.info(`🎓 ${state.tokenEvent.symbol} bonding curve complete - no longer tracking`);
+            this.untrack(trade.mint);
+        }
+    }
+
+    fireMilestone(state, trade, milestone) {
+        this.curveStats.milestonesHit++;
+
+        const operationId = `${state.tokenEvent.symbol}_bondingCurve_${milestone.key}_${Date.now()}`;
+        const event = {
+            ...state.tokenEvent,
+            eventType: 'bondingCurve',
+            twitter: state.twitterUrl,
+            milestone: {
+                ...milestone,
+                progress: Math.round(state.progress * 10) / 10,
+                marketCapSol: state.marketCapSol,
+                vSol: trade.vSol,
+                minutesSinceCreation: Math.round((Date.now() - (state.tokenEvent.timestamp || state.startedAt)) / 60000)
+            },
+            operationId,
+            timestamp: Date.now(),
+            timer: createTimer(operationId)
+        };
+
+        logger.info(`📈 ${state.tokenEvent.symbol} hit ${milestone.label} (${event.milestone.progress}%, MC ${Math.round(state.marketCapSol)} SOL)`);
+        this.ingest(event);
+    }
+
+    expireTracked() {
+        const now = Date.now();
+        for (const [mint, state] of this.tracked) {
+            if (now >= state.expiresAt) {
+                this.curveStats.expired++;
+                this.untrack(mint);
+            }
+        }
+    }
+
+    async cleanup() {
+        for (const mint of Array.from(this.tracked.keys())) {
+            this.untrack(mint);
+        }
+        if (this.wsManager) {
+            this.wsManager.off('trade', this.handleTrade);
+        }
+        await super.cleanup();
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            curve: {
+                tracking: this.tracked.size,
+                maxTracked: this.config.maxTracked,
+                milestones: this.config.milestones,
+                kingOfTheHillMarketCapSol: this.config.kingOfTheHillMarketCapSol,
+                stats: this.curveStats
+            }
+        };
+    }
+}
+
+module.exports = BondingCurveMonitor;
@@ -0,0 +1,453 @@
+// src/monitors/pipelineMonitor.js - Shared queueing, dedupe, stats and shutdown for the stage-based monitors
+const EventEmitter = require('events');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getDedupeStore } = require('../services/dedupeStore');
+const DurableQueue = require('../services/durableQueue');
+const EngagementRechecker = require('../services/engagementRechecker');
+const { serializeEvent, rehydrateEvent } = require('../sources/tokenEvents');
+const Semaphore = require('../utils/semaphore');
+const { scoreAnalysisPriority } = require('../utils/analysisPriority');
+const { Pipeline } = require('../pipeline/pipeline');
+const {
+    queue: queueDefaults,
+    engagementRecheck: recheckDefaults,
+    priority: priorityDefaults,
+    profileQualification: profileDefaults,
+    tweetReuse: tweetReuseDefaults,
+    authorReputation: reputationDefaults,
+    engagementVelocity: velocityDefaults,
+    tweetRelevance: relevanceDefaults,
+    tweetFreshness: freshnessDefaults
+} = require('../config');
+const { getTweetIndex } = require('../services/tweetIndex');
+const { AuthorReputation } = require('../services/authorReputation');
+const TweetRelevanceAnalyzer = require('../analysis/tweetRelevanceAnalyzer');
+const pumpfunApi = require('../integrations/pumpfunApi');
+const TwitterValidator = require('../validators/twitterValidator');
+const TwitterProfileValidator = require('../validators/twitterProfileValidator');
+const AnalysisOrchestrator = require('../orchestrators/analysisOrchestrator');
+
+/**
+ * Every monitor runs three pipelines around a durable, prioritized queue:
+ *
+ *   ingest(event) → intake stages ─┬─ qualified ─→ screening stages → processingQueue → analysis stages
+ *                                  └─ near miss → engagementRechecker ─┘ (if it qualifies later)
+ *
+ * Intake ends at the likes threshold; screening holds the gates that apply to
+ * every qualified token, whether it qualified right away or on a re-check.
+ * Subclasses only describe their stages in buildStages(); queueing, the
+ * analysis worker pool, dedupe, stats and cleanup live here. A new monitor
+ * type is a botType plus a stage list.
+ */
+class PipelineMonitor extends EventEmitter {
+    /**
+     * @param {string} botType - 'creation' | 'migration' | ... (queue, dedupe namespace and alert channel key)
+     * @param {Object} config - Monitor config, already merged with the subclass defaults
+     */
+    constructor(botType, config = {}) {
+        super();
+
+        this.botType = botType;
+        this.config = {
+            minTwitterLikes: 1,
+            maxConcurrentAnalyses: 2,
+            maxConcurrentLikesChecks: 5,
+            processingDelay: 1000,
+            maxQueueAge: 15 * 60 * 1000,
+            analysisTimeout: 5 * 60 * 1000,
+            enableViewCountExtraction: true,
+            viewCountTimeout: 10000,
+            quickTimeout: 3000,
+            ...config
+        };
+
+        this.twitterValidator = new TwitterValidator({
+            enablePageExtraction: this.config.enableViewCountExtraction,
+            timeout: this.config.viewCountTimeout,
+            quickTimeout: this.config.quickTimeout,
+            engagementProviders: this.config.engagementProviders
+        });
+
+        // Tokens linking an X profile / community instead of a tweet (off unless configured)
+        const profileConfig = { ...profileDefaults, ...this.config.profileQualification };
+        this.profileValidator = profileConfig.enabled
+            ? new TwitterProfileValidator(profileConfig, this.twitterValidator)
+            : null;
+
+        // Tweet author scores and this bot's handle overrides; account ages come from
+        // the same cached profile lookups as profile qualification
+        const profileLookup = this.profileValidator || new TwitterProfileValidator(profileConfig, this.twitterValidator);
+        this.authorReputation = new AuthorReputation(
+            { ...reputationDefaults, ...reputationDefaults[botType], ...this.config.authorReputation },
+            { profileLookup: profileLink => profileLookup.resolve(profileLink) }
+        );
+
+        // Tweet-to-token relevance, with this bot's minimum (0 = shown in alerts only)
+        this.tweetRelevanceSettings = { ...relevanceDefaults, ...relevanceDefaults[botType], ...this.config.tweetRelevance };
+        this.tweetRelevance = this.tweetRelevanceSettings.enabled
+            ? new TweetRelevanceAnalyzer(this.tweetRelevanceSettings)
+            : null;
+
+        // Publishing is its own stage, so the orchestrator only analyzes
+        this.analysisOrchestrator = new AnalysisOrchestrator({
+            ...this.config,
+            botType,
+            publishResults: false
+        });
+        this.telegramPublisher = this.analysisOrchestrator.telegramPublisher;
+
+        // Shared with the other monitors and persisted, so restarts don't re-publish a mint
+        this.processedTokens = getDedupeStore().namespace(botType);
+        // Shared across monitors so a migration also sees the creations that used its tweet
+        this.tweetIndex = getTweetIndex();
+        this.tweetReuse = { ...tweetReuseDefaults, ...this.config.tweetReuse };
+        this.engagementVelocity = { ...velocityDefaults, ...velocityDefaults[botType], ...this.config.engagementVelocity };
+        this.tweetFreshness = { ...freshnessDefaults, ...freshnessDefaults[botType], ...this.config.tweetFreshness };
+        this.processingQueue = new DurableQueue({ ...queueDefaults, ...this.config.queue, name: botType });
+        this.currentlyAnalyzing = new Set();
+        this.isProcessing = false;
+
+        // Analysis worker pool - the queue is only leased from while a slot is free,
+        // so the highest-priority token waiting gets the next slot
+        this.analysisSlots = new Semaphore(this.config.maxConcurrentAnalyses);
+        this.likesCheckSlots = new Semaphore(this.config.maxConcurrentLikesChecks);
+
+        // Near misses get their tweet re-polled and re-enter the queue once they qualify.
+        // Their mints are already claimed in the dedupe store, so the list lives next to the queue on disk
+        this.engagementRechecker = new EngagementRechecker(
+            {
+                ...recheckDefaults,
+                ...this.config.engagementRecheck,
+                name: botType,
+                filePath: path.join(this.processingQueue.config.directory, `${botType}.recheck.json`)
+            },
+            twitterUrl => this.twitterValidator.quickLikesCheck(twitterUrl)
+        );
+        this.engagementRechecker.on('qualified', event => this.screenLateQualified(event));
+
+        this.stats = this.createStats();
+
+        const stages = this.buildStages();
+        this.intake = new Pipeline(`${botType}:intake`, stages.intake);
+        this.screening = new Pipeline(`${botType}:screening`, stages.screening);
+        this.analysis = new Pipeline(`${botType}:analysis`, stages.analysis);
+
+        this.ingest = this.ingest.bind(this);
+        this.processQueue = this.processQueue.bind(this);
+
+        this.timers = [];
+        this.startQueueProcessor();
+        this.startMemoryCleanup();
+        this.setupShutdownCleanup();
+
+        logger.info(`📋 ${this.constructor.name} Config:`);
+        logger.info(`   • Min Twitter Likes: ${this.config.minTwitterLikes.toLocaleString()}`);
+        logger.info(`   • View Count Extraction: ${this.config.enableViewCountExtraction ? 'Enabled' : 'Disabled'}`);
+        logger.info(`   • Engagement Providers: ${Object.keys(this.twitterValidator.getStatus()).join(' → ') || 'none'}`);
+        logger.info(`   • Stages: ${[...stages.intake, ...stages.screening, ...stages.analysis].map(stage => stage.name).join(' → ')}`);
+    }
+
+    /**
+     * @returns {Object} { intake: Stage[], screening: Stage[], analysis: Stage[] } - intake ends
+     *                   once a token qualifies; screening runs on every qualified token, late ones
+     *                   included; analysis runs on items leased from the queue
+     */
+    buildStages() {
+        throw new Error(`${this.constructor.name} must implement buildStages()`);
+    }
+
+    createStats() {
+        return {
+            received: 0,
+            queued: 0,
+            qualifiedLate: 0,
+            analyzed: 0,
+            viewCountsExtracted: 0,
+            published: 0,
+            skipped: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * Entry point for events from the event sources
+     */
+    async ingest(event) {
+        const ctx = {
+            tokenEvent: event,
+            timer: event.timer,
+            operationId: event.timer?.operationId || `${event.symbol || event.mint}_${this.botType}_${Date.now()}`
+        };
+
+        try {
+            this.stats.received++;
+            logger.info(`🔍 [${this.botType}] Processing ${event.symbol || event.mint}`);
+
+            const outcome = await this.intake.run(ctx);
+            if (!outcome.completed || !(await this.screening.run(ctx)).completed) {
+                this.stats.skipped++;
+                return;
+            }
+
+            this.enqueueQualified({ ...ctx, timestamp: Date.now() });
+
+        } catch (error) {
+            logger.error(`❌ [${ctx.operationId}] Error processing ${this.botType} event:`, error);
+            this.stats.errors++;
+        }
+    }
+
+    /**
+     * A near miss crossed the threshold on a re-check - it still has to pass screening
+     */
+    async screenLateQualified({ payload, quickMetrics, lateQualification }) {
+        const tokenEvent = rehydrateEvent(payload.tokenEvent);
+        const ctx = {
+            ...payload,
+            tokenEvent,
+            timer: tokenEvent.timer,
+            operationId: tokenEvent.timer.operationId || `${tokenEvent.symbol}_${this.botType}_${Date.now()}`,
+            quickMetrics,
+            lateQualification
+        };
+
+        try {
+            this.stats.qualifiedLate++;
+
+            const outcome = await this.screening.run(ctx);
+            if (!outcome.completed) {
+                this.stats.skipped++;
+                return;
+            }
+
+            this.enqueueQualified({ ...ctx, timestamp: Date.now() });
+
+        } catch (error) {
+            logger.error(`❌ [${ctx.operationId}] Error screening late ${this.botType} token:`, error);
+            this.stats.errors++;
+        }
+    }
+
+    toQueuePayload(ctx) {
+        return {
+            tokenEvent: serializeEvent(ctx.tokenEvent),
+            twitterUrl: ctx.twitterUrl,
+            quickMetrics: ctx.quickMetrics,
+            timestamp: ctx.timestamp || Date.now(),
+            lateQualification: ctx.lateQualification,
+            qualification: ctx.qualification,
+            tweetReuse: ctx.tweetReuse
+        };
+    }
+
+    /**
+     * Queue a qualified token, prioritized by its engagement
+     */
+    enqueueQualified(ctx) {
+        const payload = this.toQueuePayload(ctx);
+        const priority = scoreAnalysisPriority(
+            { ...payload.quickMetrics, eventType: this.botType },
+            this.config.priority || priorityDefaults
+        );
+
+        this.processingQueue.enqueue(payload, {
+            priority: priority.score,
+            label: payload.tokenEvent.symbol
+        });
+        this.stats.queued++;
+
+        logger.info(`📥 [${this.botType}] Queued ${payload.tokenEvent.symbol} (priority ${priority.score}, queue size: ${this.processingQueue.length})`);
+    }
+
+    /**
+     * SOL traded in a token's most recent trades - used to rank tokens sharing a tweet
+     */
+    async getRecentVolume(mint) {
+        const trades = await pumpfunApi.getAllTrades(mint, 200);
+        return trades.reduce((total, trade) => total + (trade.sol_amount || 0) / 1e9, 0);
+    }
+
+    startQueueProcessor() {
+        this.timers.push(setInterval(() => {
+            if (!this.isProcessing && this.processingQueue.length > 0) {
+                this.processQueue();
+            }
+        }, this.config.processingDelay));
+
+        logger.info(`Queue processor started with ${this.config.processingDelay}ms interval`);
+    }
+
+    processQueue() {
+        if (this.isProcessing || this.processingQueue.length === 0) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            // Fill every free analysis slot with the highest-priority item waiting
+            while (this.analysisSlots.available > 0) {
+                const [entry] = this.processingQueue.lease(1);
+                if (!entry) {
+                    break;
+                }
+
+                const release = this.analysisSlots.tryAcquire();
+
+                logger.info(`Starting ${entry.payload.tokenEvent.symbol} (priority ${entry.priority}, ${this.analysisSlots.available} slot(s) left)`);
+                this.processQueueEntry(entry).finally(() => {
+                    release();
+                    setImmediate(this.processQueue);
+                });
+            }
+
+        } catch (error) {
+            logger.error(`Error processing ${this.botType} queue:`, error);
+            this.stats.errors++;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Run one leased queue entry through the analysis stages and settle it:
+     * ack when done, nack on failure so it is retried and eventually dead-lettered
+     */
+    async processQueueEntry(entry) {
+        const tokenEvent = rehydrateEvent(entry.payload.tokenEvent);
+        const ctx = {
+            ...entry.payload,
+            tokenEvent,
+            timer: tokenEvent.timer,
+            operationId: tokenEvent.timer.operationId || `${tokenEvent.symbol}_${this.botType}_${Date.now()}`,
+            queueId: entry.id,
+            attempts: entry.attempts,
+            resumed: entry.resumed,
+            waitMs: Date.now() - entry.enqueuedAt
+        };
+
+        try {
+            logger.info(`🔄 [${ctx.operationId}] Analyzing ${tokenEvent.symbol} after ${Math.round(ctx.waitMs / 1000)}s in queue${ctx.attempts > 1 ? ` (attempt ${ctx.attempts})` : ''}`);
+
+            const outcome = await this.analysis.run(ctx);
+            this.processingQueue.ack(entry.id);
+
+            if (ctx.analysisResult) {
+                this.stats.analyzed++;
+            }
+            if (ctx.viewsExtracted) {
+                this.stats.viewCountsExtracted++;
+            }
+
+            if (!outcome.completed) {
+                this.stats.skipped++;
+                return;
+            }
+
+            this.stats.published++;
+            this.emit('analysisCompleted', {
+                tokenEvent,
+                twitterMetrics: ctx.twitterMetrics,
+                analysisResult: ctx.analysisResult,
+                operationId: ctx.operationId
+            });
+
+        } catch (error) {
+            logger.error(`❌ [${ctx.operationId}] Error analyzing ${tokenEvent.symbol}:`, error);
+            this.stats.errors++;
+            this.processingQueue.nack(entry.id, { error: error.message });
+        }
+    }
+
+    startMemoryCleanup() {
+        this.timers.push(setInterval(() => {
+            this.clearProcessedTokens();
+        }, 5 * 60 * 1000));
+    }
+
+    clearProcessedTokens() {
+        // Entries expire individually - only drop the ones past their TTL
+        const removed = this.processedTokens.prune();
+        if (removed > 0) {
+            logger.info(`Pruned ${removed} expired entries from processed ${this.botType} cache`);
+        }
+    }
+
+    setupShutdownCleanup() {
+        this.shutdownCleanup = () => this.cleanup();
+
+        process.on('SIGINT', this.shutdownCleanup);
+        process.on('SIGTERM', this.shutdownCleanup);
+        process.on('exit', this.shutdownCleanup);
+    }
+
+    async cleanup() {
+        logger.info(`🧹 Cleaning up ${this.constructor.name}...`);
+        try {
+            this.timers.forEach(timer => clearInterval(timer));
+            this.timers = [];
+            this.engagementRechecker.stop();
+            // Stopped monitors shouldn't pile up process listeners (the app may build new ones)
+            process.off('SIGINT', this.shutdownCleanup);
+            process.off('SIGTERM', this.shutdownCleanup);
+            process.off('exit', this.shutdownCleanup);
+            // The browser is shared with the other monitors - the app closes the pool on stop
+            logger.info(`✅ ${this.constructor.name} cleanup completed`);
+        } catch (error) {
+            logger.error('❌ Error during cleanup:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            botType: this.botType,
+            processedTokensCount: this.processedTokens.size,
+            queueLength: this.processingQueue.length,
+            queue: this.processingQueue.getStatus(),
+            engagementRecheck: this.engagementRechecker.getStatus(),
+            profileQualification: this.profileValidator?.getStatus() || null,
+            authorReputation: this.authorReputation.getStatus(),
+            engagementProviders: this.twitterValidator.getStatus(),
+            tweetRelevance: this.tweetRelevance?.getStatus() || null,
+            currentlyAnalyzing: this.currentlyAnalyzing.size,
+            analysisSlotsFree: this.analysisSlots.available,
+            maxConcurrentAnalyses: this.config.maxConcurrentAnalyses,
+            isProcessing: this.isProcessing,
+            stats: this.stats,
+            stages: {
+                ...this.intake.getMetrics(),
+                ...this.screening.getMetrics(),
+                ...this.analysis.getMetrics()
+            },
+            config: {
+                minTwitterLikes: this.config.minTwitterLikes,
+                maxQueueAge: this.config.maxQueueAge,
+                enableViewCountExtraction: this.config.enableViewCountExtraction,
+                analysisTimeout: this.config.analysisTimeout
+            }
+        };
+    }
+
+    getStatsString() {
+        const { received, queued, qualifiedLate, analyzed, published, skipped, errors } = this.stats;
+        const successRate = received > 0 ? ((published / received) * 100).toFixed(1) : 0;
+
+        const stageSummary = Object.entries({ ...this.intake.getMetrics(), ...this.screening.getMetrics(), ...this.analysis.getMetrics() })
+            .map(([name, metrics]) => `${name} ${metrics.passed}/${metrics.entered}`)
+            .join(' → ');
+
+        const label = this.botType.charAt(0).toUpperCase() + this.botType.slice(1);
+        return `📊 ${label} Stats: ${received} received | ${queued} queued (${qualifiedLate} late) | ${analyzed} analyzed | ${published} published | ${skipped} skipped | ${errors} errors | ${successRate}% success | Stages: ${stageSummary}`;
+    }
+
+    resetStats() {
+        this.stats = this.createStats();
+        this.intake.resetMetrics();
+        this.screening.resetMetrics();
+        this.analysis.resetMetrics();
+        logger.info(`${this.botType} statistics reset`);
+    }
+}
+
+module.exports = PipelineMonitor;
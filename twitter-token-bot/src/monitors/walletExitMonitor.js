@@ -0,0 +1,257 @@
+// src/monitors/walletExitMonitor.js - Follow-up alerts when the dev or bundle wallets dump after we published
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { formatPercentage, formatSol, formatAddress, escapeHtml } = require('../utils/formatters');
+
+const DEFAULT_TOTAL_SUPPLY = 1000000000; // PumpFun tokens
+
+/**
+ * Subscribes (subscribeAccountTrade) to the creator and bundle wallets of every
+ * published token. Sells are summed per group; each time a group's cumulative
+ * sells cross another sellThresholdPercent of supply, a "dev/bundle exiting"
+ * alert is posted as a reply to the original Telegram message.
+ */
+class WalletExitMonitor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            ...config,
+            sellThresholdPercent: config.sellThresholdPercent || 1.0,
+            window: config.window || 6 * 60 * 60 * 1000,
+            maxWalletsPerToken: config.maxWalletsPerToken || 50,
+            cleanupInterval: config.cleanupInterval || 60 * 1000
+        };
+
+        this.wsManager = null;
+        this.watches = new Map(); // mint → watch
+        this.cleanupTimer = null;
+        this.handleTrade = this.handleTrade.bind(this);
+
+        this.stats = {
+            tokensWatched: 0,
+            walletSells: 0,
+            alertsSent: 0,
+            alertsFailed: 0
+        };
+    }
+
+    attach(wsManager) {
+        if (this.wsManager) {
+            this.wsManager.off('trade', this.handleTrade);
+        }
+
+        this.wsManager = wsManager;
+        this.wsManager.on('trade', this.handleTrade);
+
+        if (!this.cleanupTimer) {
+            this.cleanupTimer = setInterval(() => this.expireWatches(), this.config.cleanupInterval);
+        }
+    }
+
+    /**
+     * Start watching the dev and bundle wallets of a published token
+     * @param {Object} params - { tokenEvent, analysisResult, source, publisher }
+     */
+    watch({ tokenEvent, analysisResult, source, publisher }) {
+        const mint = tokenEvent.mint;
+
+        if (!this.wsManager || !publisher || this.watches.has(mint)) {
+            return false;
+        }
+
+        if (publisher.hasPublished && !publisher.hasPublished(mint)) {
+            logger.debug(`👛 ${tokenEvent.symbol} was not published - not watching wallets`);
+            return false;
+        }
+
+        const bundleResult = analysisResult.analyses?.bundle?.result;
+        const creator = tokenEvent.creator || analysisResult.tokenInfo?.creator;
+        const wallets = new Map();
+
+        if (creator) {
+            wallets.set(creator, 'dev');
+        }
+
+        (bundleResult?.bundles || [])
+            .flatMap(bundle => bundle.uniqueWallets || [])
+            .forEach(wallet => {
+                if (!wallets.has(wallet) && wallets.size < this.config.maxWalletsPerToken) {
+                    wallets.set(wallet, 'bundle');
+                }
+            });
+
+        if (wallets.size === 0) {
+            return false;
+        }
+
+        const now = Date.now();
+        this.watches.set(mint, {
+            mint,
+            symbol: tokenEvent.symbol,
+            source,
+            publisher,
+            wallets,
+            totalSupply: bundleResult?.tokenInfo?.totalSupply || DEFAULT_TOTAL_SUPPLY,
+            startedAt: now,
+            expiresAt: now + this.config.window,
+            seenSignatures: new Set(), // Token + account subscriptions can both deliver the same trade
+            groups: {
+                dev: this.createGroup(creator ? 1 : 0, null),
+                bundle: this.createGroup(wallets.size - (creator ? 1 : 0), bundleResult?.totalHoldingAmountPercentage)
+            }
+        });
+
+        this.wsManager.subscribeAccountTrade(Array.from(wallets.keys()));
+        this.stats.tokensWatched++;
+
+        const bundleCount = this.watches.get(mint).groups.bundle.walletCount;
+        logger.info(`👛 Watching ${creator ? 'dev + ' : ''}${bundleCount} bundle wallet(s) for ${tokenEvent.symbol}`);
+        return true;
+    }
+
+    createGroup(walletCount, holdingPercentAtAlert) {
+        return {
+            walletCount,
+            holdingPercentAtAlert: holdingPercentAtAlert ?? null,
+            soldTokens: 0,
+            soldSol: 0,
+            sells: 0,
+            alertedPercent: 0,
+            balances: new Map() // wallet → last known token balance
+        };
+    }
+
+    unwatch(mint) {
+        const watch = this.watches.get(mint);
+        if (!watch) {
+            return false;
+        }
+
+        this.watches.delete(mint);
+        if (this.wsManager) {
+            this.wsManager.unsubscribeAccountTrade(Array.from(watch.wallets.keys()));
+        }
+        return true;
+    }
+
+    handleTrade(trade) {
+        const watch = this.watches.get(trade.mint);
+        const role = watch?.wallets.get(trade.trader);
+        if (!role || watch.seenSignatures.has(trade.signature)) {
+            return;
+        }
+        watch.seenSignatures.add(trade.signature);
+
+        const group = watch.groups[role];
+        if (trade.traderTokenBalance !== null && trade.traderTokenBalance !== undefined) {
+            group.balances.set(trade.trader, trade.traderTokenBalance);
+        }
+
+        if (trade.side !== 'sell') {
+            return;
+        }
+
+        group.soldTokens += trade.tokenAmount;
+        group.soldSol += trade.solAmount;
+        group.sells++;
+        this.stats.walletSells++;
+
+        const soldPercent = (group.soldTokens / watch.totalSupply) * 100;
+        if (soldPercent - group.alertedPercent < this.config.sellThresholdPercent) {
+            return;
+        }
+
+        group.alertedPercent = soldPercent;
+        this.sendExitAlert(watch, role, soldPercent).catch(error => {
+            logger.error(`Wallet exit alert failed for ${watch.symbol}: ${error.message}`);
+        });
+    }
+
+    async sendExitAlert(watch, role, soldPercent) {
+        const message = this.formatExitMessage(watch, role, soldPercent);
+        const sent = await watch.publisher.publishReply(watch.mint, message);
+
+        if (sent) {
+            this.stats.alertsSent++;
+            logger.info(`🚨 ${role.toUpperCase()} EXIT alert sent for ${watch.symbol} (${formatPercentage(soldPercent)} of supply sold)`);
+        } else {
+            this.stats.alertsFailed++;
+        }
+
+        this.emit('walletExit', {
+            mint: watch.mint,
+            symbol: watch.symbol,
+            role,
+            soldPercent,
+            soldSol: watch.groups[role].soldSol,
+            sent
+        });
+    }
+
+    formatExitMessage(watch, role, soldPercent) {
+        const group = watch.groups[role];
+        const title = role === 'dev' ? 'DEV EXITING' : 'BUNDLE EXITING';
+        const who = role === 'dev' ? 'Dev wallet' : `Bundle wallets (${group.walletCount})`;
+        const minutes = Math.max(1, Math.round((Date.now() - watch.startedAt) / 60000));
+
+        let message = `🚨 ${title} | ${escapeHtml(watch.symbol || 'Unknown')}\n\n`;
+        message += `${who} sold ${formatPercentage(soldPercent)} of supply `;
+        message += `(${formatSol(group.soldSol)}, ${group.sells} sell${group.sells === 1 ? '' : 's'}) in the ${minutes}min since our alert\n`;
+
+        if (group.balances.size > 0) {
+            const remaining = Array.from(group.balances.values()).reduce((sum, balance) => sum + balance, 0);
+            const remainingPercent = (remaining / watch.totalSupply) * 100;
+            message += remaining === 0 && role === 'dev'
+                ? `Remaining: fully exited\n`
+                : `Remaining (${group.balances.size} wallet${group.balances.size === 1 ? '' : 's'} seen): ${formatPercentage(remainingPercent)} of supply\n`;
+        } else if (group.holdingPercentAtAlert !== null) {
+            message += `Held at alert: ${formatPercentage(group.holdingPercentAtAlert)} of supply\n`;
+        }
+
+        message += `\n\`${watch.mint}\``;
+        if (role === 'dev') {
+            const [dev] = watch.wallets.keys();
+            message += `\nDev: \`${formatAddress(dev)}\``;
+        }
+
+        return message;
+    }
+
+    expireWatches() {
+        const now = Date.now();
+
+        for (const [mint, watch] of this.watches) {
+            if (now >= watch.expiresAt) {
+                logger.debug(`👛 Stopped watching wallets for ${watch.symbol}`);
+                this.unwatch(mint);
+            }
+        }
+    }
+
+    stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        for (const mint of Array.from(this.watches.keys())) {
+            this.unwatch(mint);
+        }
+
+        if (this.wsManager) {
+            this.wsManager.off('trade', this.handleTrade);
+        }
+    }
+
+    getStatus() {
+        return {
+            tokensWatched: this.watches.size,
+            walletsWatched: Array.from(this.watches.values()).reduce((sum, watch) => sum + watch.wallets.size, 0),
+            sellThresholdPercent: this.config.sellThresholdPercent,
+            window: this.config.window,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = WalletExitMonitor;
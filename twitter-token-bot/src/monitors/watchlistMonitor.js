@@ -0,0 +1,285 @@
+// src/monitors/watchlistMonitor.js - Scheduled re-analysis of hand-picked mints, published when holder metrics move
+const fs = require('fs');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const pumpfunApi = require('../integrations/pumpfunApi');
+const WatchlistStore = require('../services/watchlistStore');
+const AnalysisOrchestrator = require('../orchestrators/analysisOrchestrator');
+const Semaphore = require('../utils/semaphore');
+const { createTimer } = require('../utils/simpleTimer');
+
+// Metrics compared between runs - thresholds are absolute changes (percentage points / wallets)
+const TRACKED_METRICS = {
+    bundleHoldingPercentage: { label: 'Bundle holding', unit: '%', threshold: 'bundleHolding' },
+    top10Concentration: { label: 'Top 10 holders', unit: '%', threshold: 'top10' },
+    freshWalletCount: { label: 'Fresh wallets', unit: '', threshold: 'freshWallets' }
+};
+
+/**
+ * Mints come from the watchlist file rather than the live feed. The file is
+ * watched, so entries can be added or removed while the bot runs (by hand or
+ * with `scripts/watchlist.js`). Each mint goes through the same
+ * AnalysisOrchestrator as the live monitors: immediately when it is added or
+ * a refresh is requested, then every `interval`.
+ *
+ * The first successful analysis and requested refreshes are always published.
+ * After that a run is published only when a tracked metric moved by at least
+ * its threshold since the last published run, so slow drift still surfaces
+ * eventually.
+ */
+class WatchlistMonitor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            ...config,
+            filePath: config.filePath,
+            interval: config.interval || 30 * 60 * 1000,
+            tickInterval: config.tickInterval || 15 * 1000,
+            fileCheckInterval: config.fileCheckInterval || 2000,
+            maxConcurrentAnalyses: config.maxConcurrentAnalyses || 1,
+            thresholds: {
+                bundleHolding: 5,
+                top10: 5,
+                freshWallets: 3,
+                ...config.thresholds
+            }
+        };
+
+        this.store = new WatchlistStore(this.config.filePath);
+        this.analysisOrchestrator = new AnalysisOrchestrator({
+            ...this.config,
+            botType: 'watchlist',
+            publishResults: false,
+            // A watched token's concentration is the news - don't filter it out
+            telegram: { ...this.config.telegram, enableTop10Filter: false }
+        });
+        this.telegramPublisher = this.analysisOrchestrator.telegramPublisher;
+        this.analysisSlots = new Semaphore(this.config.maxConcurrentAnalyses);
+
+        this.entries = new Map(); // mint → { entry, nextRunAt, running, runs, lastPublished }
+        this.tickTimer = null;
+        this.onFileChange = () => this.reload();
+
+        this.stats = {
+            analyses: 0,
+            published: 0,
+            unchanged: 0,
+            undelivered: 0,
+            failed: 0,
+            reloads: 0
+        };
+    }
+
+    start() {
+        this.reload();
+        fs.watchFile(this.store.filePath, { interval: this.config.fileCheckInterval }, this.onFileChange);
+        this.tickTimer = setInterval(() => this.runDue(), this.config.tickInterval);
+        logger.info(`👁️ Watchlist monitor started (${this.entries.size} tokens from ${this.store.filePath})`);
+    }
+
+    stop() {
+        fs.unwatchFile(this.store.filePath, this.onFileChange);
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+
+    /**
+     * Sync in-memory state with the file: new mints and refresh requests run
+     * right away, removed mints stop being scheduled
+     */
+    reload() {
+        let entries;
+        try {
+            entries = this.store.load();
+        } catch (error) {
+            // Mid-edit files are often briefly invalid - keep the current list
+            logger.warn(`⚠️ Could not read watchlist ${this.store.filePath}: ${error.message}`);
+            return;
+        }
+
+        this.stats.reloads++;
+        const listed = new Set(entries.map(entry => entry.mint));
+
+        for (const mint of this.entries.keys()) {
+            if (!listed.has(mint)) {
+                this.entries.delete(mint);
+                logger.info(`👁️ ${mint} removed from watchlist`);
+            }
+        }
+
+        for (const entry of entries) {
+            const state = this.entries.get(entry.mint);
+
+            if (!state) {
+                this.entries.set(entry.mint, { entry, nextRunAt: 0, running: false, runs: 0, lastPublished: null, force: false });
+                logger.info(`👁️ ${entry.symbol || entry.mint} added to watchlist`);
+                continue;
+            }
+
+            const refreshRequested = entry.refreshRequestedAt && entry.refreshRequestedAt !== state.entry.refreshRequestedAt;
+            state.entry = entry;
+            if (refreshRequested) {
+                state.nextRunAt = 0;
+                state.force = true;
+            }
+        }
+
+        this.runDue();
+    }
+
+    /**
+     * Add a mint (or request a refresh of a listed one) from code
+     * @param {string} mint
+     * @param {Object} fields - See WatchlistStore.upsert()
+     */
+    add(mint, fields = {}) {
+        const entry = this.store.upsert(mint, { ...fields, refresh: true });
+        this.reload();
+        return entry;
+    }
+
+    remove(mint) {
+        const removed = this.store.remove(mint);
+        this.reload();
+        return removed;
+    }
+
+    runDue() {
+        const now = Date.now();
+        for (const state of this.entries.values()) {
+            if (!state.running && state.nextRunAt <= now) {
+                state.running = true;
+                this.analysisSlots.run(() => this.analyze(state))
+                    .catch(error => logger.error(`❌ Watchlist analysis of ${state.entry.mint} failed: ${error.message}`))
+                    .finally(() => {
+                        state.running = false;
+                        // A refresh requested mid-run gets its own run
+                        state.nextRunAt = state.force ? 0 : Date.now() + (state.entry.interval || this.config.interval);
+                    });
+            }
+        }
+    }
+
+    async analyze(state) {
+        const { entry } = state;
+        const force = state.force;
+        state.force = false;
+
+        // Removed while waiting for a slot
+        if (this.entries.get(entry.mint) !== state) {
+            return;
+        }
+
+        if (!state.tokenInfo) {
+            state.tokenInfo = await pumpfunApi.getTokenInfo(entry.mint);
+        }
+
+        const symbol = entry.symbol || state.tokenInfo?.symbol || entry.mint.slice(0, 8);
+        const operationId = `${symbol}_watchlist_${Date.now()}`;
+
+        const analysisResult = await this.analysisOrchestrator.analyzeToken({
+            tokenAddress: entry.mint,
+            tokenInfo: {
+                name: entry.name || state.tokenInfo?.name,
+                symbol,
+                creator: state.tokenInfo?.creator,
+                address: entry.mint,
+                uri: state.tokenInfo?.metadata_uri,
+                image: state.tokenInfo?.image_uri,
+                eventType: 'watchlist'
+            },
+            twitterMetrics: { likes: 0, views: 0, link: null },
+            operationId,
+            timer: createTimer(operationId)
+        });
+
+        this.stats.analyses++;
+        state.runs++;
+
+        if (!analysisResult?.success) {
+            this.stats.failed++;
+            throw new Error(analysisResult?.error || 'all analyses failed');
+        }
+
+        const metrics = extractWatchMetrics(analysisResult);
+        const changes = state.lastPublished ? diffWatchMetrics(state.lastPublished, metrics, this.config.thresholds) : [];
+
+        if (state.lastPublished && !force && changes.length === 0) {
+            this.stats.unchanged++;
+            logger.info(`👁️ [${operationId}] ${symbol} unchanged since last alert`);
+            return;
+        }
+
+        analysisResult.tokenInfo.watchlist = { changes, runs: state.runs, note: entry.note || null };
+        const delivered = await this.analysisOrchestrator.publishResultsWithWebhook(analysisResult);
+
+        // Filtered or every channel failed - compare the next run against what was last actually sent
+        if (!delivered) {
+            this.stats.undelivered++;
+            logger.info(`👁️ [${operationId}] ${symbol} alert was not delivered anywhere`);
+            return;
+        }
+
+        state.lastPublished = metrics;
+        this.stats.published++;
+        logger.info(`👁️ [${operationId}] ${symbol} published${changes.length ? `: ${changes.map(change => change.label).join(', ')} changed` : ''}`);
+
+        this.emit('analysisCompleted', {
+            tokenEvent: { mint: entry.mint, symbol, name: analysisResult.tokenInfo.name },
+            twitterMetrics: analysisResult.twitterMetrics,
+            analysisResult,
+            operationId
+        });
+    }
+
+    getStatus() {
+        return {
+            filePath: this.store.filePath,
+            watching: this.entries.size,
+            running: Array.from(this.entries.values()).filter(state => state.running).length,
+            tokens: Array.from(this.entries.values()).map(state => ({
+                mint: state.entry.mint,
+                symbol: state.entry.symbol || state.tokenInfo?.symbol || null,
+                runs: state.runs,
+                nextRunAt: state.nextRunAt,
+                lastPublished: state.lastPublished
+            })),
+            stats: this.stats
+        };
+    }
+}
+
+/**
+ * @param {Object} analysisResult - AnalysisOrchestrator.analyzeToken() result
+ * @returns {Object} Tracked metrics; null where the analysis didn't produce them
+ */
+function extractWatchMetrics({ analyses = {} }) {
+    const bundle = analyses.bundle?.success ? analyses.bundle.result : null;
+    const holders = analyses.topHolders?.success ? analyses.topHolders.result?.summary : null;
+    const top10 = parseFloat(holders?.concentration?.top10Percentage);
+
+    return {
+        bundleHoldingPercentage: bundle ? (bundle.totalHoldingAmountPercentage || 0) : null,
+        top10Concentration: isNaN(top10) ? null : top10,
+        freshWalletCount: holders ? (holders.freshWalletCount || 0) : null
+    };
+}
+
+/**
+ * @returns {Object[]} [{ metric, label, unit, from, to }] for metrics that moved at least their threshold
+ */
+function diffWatchMetrics(previous, current, thresholds) {
+    return Object.entries(TRACKED_METRICS)
+        .filter(([metric, { threshold }]) => {
+            const from = previous[metric];
+            const to = current[metric];
+            return from !== null && to !== null && Math.abs(to - from) >= thresholds[threshold];
+        })
+        .map(([metric, { label, unit }]) => ({ metric, label, unit, from: previous[metric], to: current[metric] }));
+}
+
+module.exports = WatchlistMonitor;
+module.exports.extractWatchMetrics = extractWatchMetrics;
+module.exports.diffWatchMetrics = diffWatchMetrics;
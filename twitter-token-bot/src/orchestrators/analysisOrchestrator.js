@@ -6,8 +6,18 @@ const BundleAnalyzer = require('../analysis/bundleAnalyzer');
 const TopHoldersAnalyzer = require('../analysis/topHoldersAnalyzer');
 const TelegramPublisher = require('../publishers/telegramPublisher');
 const JsonLogger = require('../services/jsonLogger');
+const { getLaunchIndex } = require('../services/launchIndex');
+const { getArtworkIndex } = require('../services/artworkIndex');
 const config = require('../config'); // FIXED: Use simplified config
 
+// Context for the alert, not a risk analysis - never decides whether the analysis succeeded
+const SUPPLEMENTARY_ANALYSES = ['clone', 'artwork'];
+
+function countSuccessful(analyses) {
+    return Object.entries(analyses)
+        .filter(([type, analysis]) => analysis.success && !SUPPLEMENTARY_ANALYSES.includes(type)).length;
+}
+
 class AnalysisOrchestrator {
     constructor(config = {}) {
         // Determine bot type from config
@@ -48,6 +58,8 @@ class AnalysisOrchestrator {
 
         this.bundleAnalyzer = BundleAnalyzer;
         this.topHoldersAnalyzer = new TopHoldersAnalyzer();
+        this.launchIndex = config.launchIndex || getLaunchIndex();
+        this.artworkIndex = config.artworkIndex || getArtworkIndex();
         this.telegramPublisher = new TelegramPublisher(config.telegram || {});
         
         // Initialize JSON logger
@@ -97,10 +109,12 @@ class AnalysisOrchestrator {
 
         try {
             const analysisPromises = [];
+            const analysisTypes = [];
 
             // Run analyses based on what's enabled for this bot type
             if (this.config.enabledAnalyses.includes('bundle')) {
                 logger.info(`🔬 [${operationId}] Starting bundle analysis (parallel)`);
+                analysisTypes.push('bundle');
                 analysisPromises.push(
                     this.runAnalysisWithTimeout(
                         'bundle',
@@ -115,6 +129,7 @@ class AnalysisOrchestrator {
 
             if (this.config.enabledAnalyses.includes('topHolders')) {
                 logger.info(`🔬 [${operationId}] Starting top holders analysis (parallel)`);
+                analysisTypes.push('topHolders');
                 analysisPromises.push(
                     this.runAnalysisWithTimeout(
                         'topHolders',
@@ -132,6 +147,31 @@ class AnalysisOrchestrator {
                 throw new Error(`No analyses enabled for ${this.botType} bot`);
             }
 
+            // Only reads the in-memory launch index - adds no latency next to the RPC-bound analyses
+            if (this.config.enabledAnalyses.includes('clone')) {
+                analysisTypes.push('clone');
+                analysisPromises.push(
+                    this.runAnalysisWithTimeout(
+                        'clone',
+                        async () => this.launchIndex.findOriginal({ ...tokenInfo, address: tokenAddress }),
+                        operationId,
+                        cancellationToken
+                    )
+                );
+            }
+
+            if (this.config.enabledAnalyses.includes('artwork')) {
+                analysisTypes.push('artwork');
+                analysisPromises.push(
+                    this.runAnalysisWithTimeout(
+                        'artwork',
+                        () => this.artworkIndex.check({ ...tokenInfo, address: tokenAddress }),
+                        operationId,
+                        cancellationToken
+                    )
+                );
+            }
+
             // Wait for ALL analyses to complete in parallel
             logger.info(`🔬 [${operationId}] Running ${analysisPromises.length} analyses in parallel...`);
             const analysisResults = await Promise.allSettled(analysisPromises);
@@ -139,9 +179,7 @@ class AnalysisOrchestrator {
 
             // Process results
             analysisResults.forEach((result, index) => {
-                const analysisType = this.config.enabledAnalyses.filter(type => 
-                    ['bundle', 'topHolders', 'devAnalysis'].includes(type)
-                )[index];
+                const analysisType = analysisTypes[index];
                 
                 if (result.status === 'fulfilled') {
                     analysisResult.analyses[analysisType] = result.value;
@@ -162,8 +200,7 @@ class AnalysisOrchestrator {
             this.generateComprehensiveSummary(analysisResult);
 
             // Determine overall success
-            const successfulAnalyses = Object.values(analysisResult.analyses)
-                .filter(analysis => analysis.success).length;
+            const successfulAnalyses = countSuccessful(analysisResult.analyses);
 
             analysisResult.success = successfulAnalyses > 0;
             analysisResult.endTime = Date.now();
@@ -181,7 +218,7 @@ class AnalysisOrchestrator {
 
             if (analysisResult.success) {
                 logger.info(`✅ [${operationId}] Comprehensive analysis completed successfully in ${analysisResult.duration}ms`);
-                logger.info(`📊 [${operationId}] Results: ${successfulAnalyses}/${Object.keys(analysisResult.analyses).length} analyses successful`);
+                logger.info(`📊 [${operationId}] Results: ${successfulAnalyses}/${analysisTypes.filter(type => !SUPPLEMENTARY_ANALYSES.includes(type)).length} analyses successful`);
             } else {
                 logger.warn(`⚠️ [${operationId}] All analyses failed - but notification sent`);
             }
@@ -210,6 +247,7 @@ class AnalysisOrchestrator {
     }
 
     // 🚀 NEW: Webhook-first publishing strategy for ultra-fast trading
+    // Resolves true if the webhook or at least one Telegram channel got the alert
     async publishResultsWithWebhook(analysisResult) {
         const { operationId } = analysisResult;
         const publishStart = Date.now();
@@ -233,19 +271,26 @@ class AnalysisOrchestrator {
                 
                 const totalTime = Date.now() - publishStart;
                 logger.info(`⚡ [${operationId}] Fast webhook-only publish completed in ${totalTime}ms`);
-            } else {
-                // Wait for Telegram as backup or primary
-                try {
-                    await telegramPromise;
-                    const totalTime = Date.now() - publishStart;
+                return true;
+            }
+
+            // Wait for Telegram as backup or primary
+            let telegramSent = false;
+            try {
+                // false when filtered (top 10 holdings), not initialized or every channel failed
+                telegramSent = await telegramPromise;
+                const totalTime = Date.now() - publishStart;
+                if (telegramSent) {
                     logger.info(`📤 [${operationId}] Full publish completed in ${totalTime}ms`);
-                } catch (telegramError) {
-                    logger.error(`[${operationId}] Telegram publish failed:`, telegramError.message);
-                    if (!webhookSuccess) {
-                        throw new Error('Both webhook and Telegram publishing failed');
-                    }
+                }
+            } catch (telegramError) {
+                logger.error(`[${operationId}] Telegram publish failed:`, telegramError.message);
+                if (!webhookSuccess) {
+                    throw new Error('Both webhook and Telegram publishing failed');
                 }
             }
+
+            return webhookSuccess || Boolean(telegramSent);
             
         } catch (error) {
             logger.error(`❌ [${operationId}] Publishing failed:`, error);
@@ -329,8 +374,47 @@ class AnalysisOrchestrator {
             twitter: {
                 likes: twitterMetrics.likes || 0,
                 views: twitterMetrics.views || 0,
+                // null when the source didn't report them
+                retweets: twitterMetrics.retweets ?? null,
+                replies: twitterMetrics.replies ?? null,
+                quotes: twitterMetrics.quotes ?? null,
                 url: twitterMetrics.link,
-                publishedAt: twitterMetrics.publishedAt
+                publishedAt: twitterMetrics.publishedAt,
+                // Which engagement provider supplied each metric, e.g. { likes: 'syndication', views: 'xapi' }
+                sources: twitterMetrics.sources || {},
+                // Likes/minute over the sampling window (or since posting) and its change per minute
+                velocity: twitterMetrics.velocity ? {
+                    likesPerMinute: twitterMetrics.velocity.likesPerMinute,
+                    viewsPerMinute: twitterMetrics.velocity.viewsPerMinute,
+                    acceleration: twitterMetrics.velocity.acceleration,
+                    trend: twitterMetrics.velocity.trend,
+                    samples: twitterMetrics.velocity.samples,
+                    windowMs: twitterMetrics.velocity.windowMs
+                } : null,
+                author: twitterMetrics.author || null,
+                authorReputation: twitterMetrics.authorReputation ? {
+                    score: twitterMetrics.authorReputation.score,
+                    tier: twitterMetrics.authorReputation.tier,
+                    category: twitterMetrics.authorReputation.category
+                } : null,
+                // 0-100 with the signals behind it, e.g. "tweet mentions $TICKER" (null for unread / profile tweets)
+                relevance: twitterMetrics.relevance && twitterMetrics.relevance.score !== null ? {
+                    score: twitterMetrics.relevance.score,
+                    verdict: twitterMetrics.relevance.verdict,
+                    signals: twitterMetrics.relevance.signals.map(signal => signal.message)
+                } : null,
+                isReply: twitterMetrics.isReply || false,
+                isQuote: twitterMetrics.isQuote || false,
+                hasMedia: twitterMetrics.hasMedia || false,
+                // 'tweet', or 'profile' / 'community' when there was no tweet to qualify on
+                qualifiedOn: twitterMetrics.qualification?.basis || 'tweet',
+                // Other tokens launched on the same tweet (null when this one is alone)
+                reuse: twitterMetrics.tweetReuse ? {
+                    otherTokens: twitterMetrics.tweetReuse.otherTokens,
+                    firstMint: twitterMetrics.tweetReuse.first.mint,
+                    firstSymbol: twitterMetrics.tweetReuse.first.symbol,
+                    firstClaimedAt: twitterMetrics.tweetReuse.first.claimedAt
+                } : null
             },
             
             // Analysis results (risk assessment)
@@ -347,6 +431,23 @@ class AnalysisOrchestrator {
                 top5Concentration: parseFloat(analyses.topHolders?.result?.summary?.concentration?.top5Percentage) || 0,
                 top10Concentration: parseFloat(analyses.topHolders?.result?.summary?.concentration?.top10Percentage) || 0,
                 
+                // Clone detection (null when the token copies no recent launch)
+                clone: analyses.clone?.result?.isClone ? {
+                    originalMint: analyses.clone.result.original.mint,
+                    originalSymbol: analyses.clone.result.original.symbol,
+                    confidence: analyses.clone.result.confidence,
+                    matchedOn: analyses.clone.result.matchedOn,
+                    homoglyphs: analyses.clone.result.homoglyphs
+                } : null,
+                
+                // Artwork reuse (null when the image matches no earlier token)
+                artwork: analyses.artwork?.result?.reused ? {
+                    firstMint: analyses.artwork.result.first.mint,
+                    firstSymbol: analyses.artwork.result.first.symbol,
+                    distance: analyses.artwork.result.first.distance,
+                    otherTokens: analyses.artwork.result.otherTokens
+                } : null,
+                
                 // Risk assessment
                 riskLevel: this.calculateRiskLevel(analyses),
                 riskScore: this.calculateRiskScore(analyses),
@@ -357,7 +458,7 @@ class AnalysisOrchestrator {
             performance: {
                 analysisSuccess: analysisResult.success,
                 analysisErrors: analysisResult.errors || [],
-                successfulAnalyses: Object.values(analysisResult.analyses).filter(a => a.success).length,
+                successfulAnalyses: countSuccessful(analysisResult.analyses),
                 totalAnalyses: Object.keys(analysisResult.analyses).length
             }
         };
@@ -496,6 +597,19 @@ class AnalysisOrchestrator {
         else if (twitterMetrics.views >= 500000) score += 2;
         else if (twitterMetrics.views >= 100000) score += 1;
         
+        // Author reputation - the same likes mean more from an established account than from a farm
+        const reputation = twitterMetrics.authorReputation;
+        if (reputation) {
+            if (reputation.score >= 70) score += 2;
+            else if (reputation.score >= 45) score += 1;
+            else if (reputation.score < 20) score -= 2;
+        }
+        
+        // A viral tweet attached to an unrelated token says nothing about the token
+        const relevance = twitterMetrics.relevance;
+        if (relevance?.verdict === 'unrelated') score -= 2;
+        else if (relevance?.score >= 60) score += 1;
+        
         // Risk penalties
         if (analyses.bundle?.result?.bundleDetected) score -= 2;
         if ((analyses.topHolders?.result?.summary?.whaleCount || 0) > 8) score -= 1;
@@ -626,11 +740,16 @@ class AnalysisOrchestrator {
     generateComprehensiveSummary(analysisResult) {
         const bundleAnalysis = analysisResult.analyses.bundle;
         const topHoldersAnalysis = analysisResult.analyses.topHolders;
+        const cloneAnalysis = analysisResult.analyses.clone;
+        const artworkAnalysis = analysisResult.analyses.artwork;
+        const riskAnalyses = Object.entries(analysisResult.analyses)
+            .filter(([type]) => !SUPPLEMENTARY_ANALYSES.includes(type))
+            .map(([, analysis]) => analysis);
         
         const summary = {
-            totalAnalyses: Object.keys(analysisResult.analyses).length,
-            successfulAnalyses: Object.values(analysisResult.analyses).filter(a => a.success).length,
-            failedAnalyses: Object.values(analysisResult.analyses).filter(a => !a.success).length,
+            totalAnalyses: riskAnalyses.length,
+            successfulAnalyses: countSuccessful(analysisResult.analyses),
+            failedAnalyses: riskAnalyses.filter(a => !a.success).length,
             flags: [],
             scores: {},
             alerts: [],
@@ -721,6 +840,41 @@ class AnalysisOrchestrator {
             summary.flags.push('⚠️ Top holders analysis failed');
         }
 
+        // Process Clone Detection Results - no score, a copy is a red flag whatever its holders look like
+        if (cloneAnalysis?.success && cloneAnalysis.result?.isClone) {
+            const original = cloneAnalysis.result.original;
+            const spoofed = cloneAnalysis.result.homoglyphs ? ' with look-alike characters' : '';
+            summary.flags.push(`🔴 Likely clone of ${original.symbol || original.mint}${spoofed}`);
+            summary.alerts.push({
+                type: 'clone',
+                severity: 'high',
+                message: `Likely clone of ${original.symbol || original.mint} (${original.mint})`
+            });
+            summary.cloneData = {
+                originalMint: original.mint,
+                originalSymbol: original.symbol,
+                confidence: cloneAnalysis.result.confidence,
+                matchedOn: cloneAnalysis.result.matchedOn
+            };
+        }
+
+        // Process Artwork Results - shared images are common for memes, so only a warning
+        if (artworkAnalysis?.success && artworkAnalysis.result?.reused) {
+            const first = artworkAnalysis.result.first;
+            summary.flags.push(`🟡 Artwork reused from ${first.symbol || first.mint}`);
+            summary.alerts.push({
+                type: 'artwork',
+                severity: 'medium',
+                message: `Image matches ${artworkAnalysis.result.otherTokens} earlier token(s), first ${first.symbol || first.mint} (${first.mint})`
+            });
+            summary.artworkData = {
+                firstMint: first.mint,
+                firstSymbol: first.symbol,
+                distance: first.distance,
+                otherTokens: artworkAnalysis.result.otherTokens
+            };
+        }
+
         // Calculate overall score and risk level
         const scores = Object.values(summary.scores).filter(score => typeof score === 'number');
         summary.overallScore = scores.length > 0 ? 
@@ -0,0 +1,109 @@
+// src/pipeline/pipeline.js - Runs a context object through an ordered list of stages, with per-stage metrics
+const logger = require('../utils/logger');
+
+const SKIP = Symbol('pipeline.skip');
+
+/**
+ * Return from a stage's run() to stop the pipeline for this item.
+ * The reason is counted under the stage's skipReasons.
+ */
+function skip(reason) {
+    return { [SKIP]: true, reason };
+}
+
+function isSkip(result) {
+    return Boolean(result && result[SKIP]);
+}
+
+function createStageMetrics() {
+    return {
+        entered: 0,
+        passed: 0,
+        skipped: 0,
+        failed: 0,
+        totalMs: 0,
+        maxMs: 0,
+        skipReasons: {},
+        lastError: null
+    };
+}
+
+/**
+ * A stage is { name, run(ctx) }. run() reads and writes fields on the shared
+ * context and may:
+ *   - return anything else  → continue with the next stage
+ *   - return skip(reason)   → stop here; the item is done, not failed
+ *   - throw                 → counted as a failure and rethrown to the caller
+ */
+class Pipeline {
+    constructor(name, stages = []) {
+        this.name = name;
+        this.stages = stages;
+        this.metrics = new Map(stages.map(stage => [stage.name, createStageMetrics()]));
+    }
+
+    /**
+     * @param {Object} ctx - Shared context, mutated by the stages
+     * @returns {Promise<Object>} { completed, stage, reason } - stage/reason are set when skipped
+     */
+    async run(ctx) {
+        for (const stage of this.stages) {
+            const metrics = this.metrics.get(stage.name);
+            const start = Date.now();
+            metrics.entered++;
+
+            let result;
+            try {
+                result = await stage.run(ctx);
+            } catch (error) {
+                metrics.failed++;
+                metrics.lastError = error.message;
+                this.recordTime(metrics, start);
+                throw error;
+            }
+
+            this.recordTime(metrics, start);
+
+            if (isSkip(result)) {
+                metrics.skipped++;
+                metrics.skipReasons[result.reason] = (metrics.skipReasons[result.reason] || 0) + 1;
+                logger.debug(`[${ctx.operationId || this.name}] ${this.name}/${stage.name} skipped: ${result.reason}`);
+                return { completed: false, stage: stage.name, reason: result.reason };
+            }
+
+            metrics.passed++;
+        }
+
+        return { completed: true, stage: null, reason: null };
+    }
+
+    recordTime(metrics, start) {
+        const duration = Date.now() - start;
+        metrics.totalMs += duration;
+        metrics.maxMs = Math.max(metrics.maxMs, duration);
+    }
+
+    getMetrics() {
+        const result = {};
+        for (const [name, metrics] of this.metrics) {
+            result[name] = {
+                ...metrics,
+                skipReasons: { ...metrics.skipReasons },
+                avgMs: metrics.entered > 0 ? Math.round(metrics.totalMs / metrics.entered) : 0
+            };
+        }
+        return result;
+    }
+
+    resetMetrics() {
+        for (const name of this.metrics.keys()) {
+            this.metrics.set(name, createStageMetrics());
+        }
+    }
+}
+
+module.exports = {
+    Pipeline,
+    skip,
+    isSkip
+};
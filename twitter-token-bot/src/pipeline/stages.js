@@ -0,0 +1,567 @@
+// src/pipeline/stages.js - Building blocks for monitor pipelines: ingest → enrich → extract tweet → qualify → analyze → publish
+const logger = require('../utils/logger');
+const { skip } = require('./pipeline');
+const { createTweetMetrics, isTweetUnavailable } = require('../validators/tweetMetrics');
+const { computeVelocity } = require('../utils/engagementVelocity');
+
+/**
+ * Drop malformed events and ones this monitor has already handled
+ * @param {Object} deps - { dedupe, key } dedupe is a DedupeStore namespace; key maps the
+ *                        event to its dedupe key (defaults to the mint)
+ */
+function ingestStage({ dedupe, key = tokenEvent => tokenEvent.mint }) {
+    return {
+        name: 'ingest',
+        async run(ctx) {
+            const mint = ctx.tokenEvent?.mint;
+            if (typeof mint !== 'string' || mint.trim().length === 0) {
+                return skip('invalid_event');
+            }
+
+            const dedupeKey = key(ctx.tokenEvent);
+            if (!dedupe.claim(dedupeKey)) {
+                logger.debug(`${dedupeKey} already processed, skipping`);
+                return skip('duplicate');
+            }
+        }
+    };
+}
+
+/**
+ * Fill in token details the raw event doesn't carry
+ * @param {Object} deps - { enrich } async (tokenEvent) => tokenEvent | null
+ */
+function enrichStage({ enrich }) {
+    return {
+        name: 'enrich',
+        async run(ctx) {
+            let enriched;
+            try {
+                enriched = await enrich(ctx.tokenEvent);
+            } catch (error) {
+                logger.warn(`❌ [${ctx.operationId}] Metadata fetch failed: ${error.message}`);
+                return skip('metadata_unavailable');
+            }
+
+            if (!enriched) {
+                logger.warn(`No token info found for ${ctx.tokenEvent.mint}, skipping`);
+                return skip('metadata_unavailable');
+            }
+
+            ctx.tokenEvent = enriched;
+        }
+    };
+}
+
+/**
+ * Find the tweet status URL in the token's links / metadata. With allowProfiles,
+ * tokens that only link an X profile or community keep going as ctx.profileLink.
+ * @param {Object} deps - { twitterValidator, linkSource, allowProfiles } linkSource maps the
+ *                        tokenEvent to the object TwitterValidator searches (defaults to the event itself)
+ */
+function extractTweetStage({ twitterValidator, linkSource = tokenEvent => tokenEvent, allowProfiles = false }) {
+    return {
+        name: 'extractTweet',
+        async run(ctx) {
+            const { statusUrl, profileLink } = await twitterValidator.extractTwitterLinks(
+                linkSource(ctx.tokenEvent),
+                { includeProfiles: allowProfiles }
+            );
+
+            if (statusUrl) {
+                logger.info(`📱 Valid tweet found for ${ctx.tokenEvent.symbol}: ${statusUrl}`);
+                ctx.twitterUrl = statusUrl;
+                return;
+            }
+
+            if (profileLink) {
+                logger.info(`🪪 No tweet for ${ctx.tokenEvent.symbol}, checking X ${profileLink.type}: ${profileLink.url}`);
+                ctx.profileLink = profileLink;
+                return;
+            }
+
+            logger.debug(`No valid tweet status URL found for ${ctx.tokenEvent.symbol}`);
+            return skip('no_tweet');
+        }
+    };
+}
+
+/**
+ * Record which mint uses the tweet and flag tokens whose tweet other tokens
+ * already use. The reuse policy is applied later by tweetReusePolicyStage,
+ * once the token has qualified.
+ * @param {Object} deps - { tweetIndex, twitterValidator, botType, policy }
+ */
+function tweetReuseStage({ tweetIndex, twitterValidator, botType, policy = 'all' }) {
+    return {
+        name: 'tweetReuse',
+        async run(ctx) {
+            const tweetId = ctx.twitterUrl && twitterValidator.extractTweetId(ctx.twitterUrl);
+            if (!tweetId) {
+                return;
+            }
+
+            const { mint, symbol } = ctx.tokenEvent;
+            const reuse = tweetIndex.claim(tweetId, { mint, symbol, botType, url: ctx.twitterUrl });
+            if (reuse.otherTokens === 0) {
+                return;
+            }
+
+            ctx.tweetReuse = { tweetId, otherTokens: reuse.otherTokens, first: reuse.first, policy };
+            logger.info(`♻️ [${ctx.operationId}] ${symbol}'s tweet is used by ${reuse.otherTokens} other token(s), first was ${reuse.first.symbol}`);
+        }
+    };
+}
+
+/**
+ * Apply the reuse policy to a qualified token: 'all' keeps every token
+ * (flagged), 'first' only the first token to use the tweet, 'volume' only the
+ * one with the most recent SOL volume among its users. Runs after qualify, so
+ * copycats of tweets that never reach the likes threshold cost no volume
+ * lookups. Claims are read again here - tokens that claimed the tweet while
+ * this one waited on a re-check count too.
+ * @param {Object} deps - { tweetIndex, twitterValidator, policy, volumeLookup, volumeMaxAge,
+ *                        maxVolumeLookups } volumeLookup is async (mint) => SOL
+ */
+function tweetReusePolicyStage({ tweetIndex, twitterValidator, policy = 'all', volumeLookup, volumeMaxAge = 60 * 1000, maxVolumeLookups = 10 }) {
+    const refreshVolume = async (tweetId, claim) => {
+        if (claim.volumeCheckedAt && Date.now() - claim.volumeCheckedAt < volumeMaxAge) {
+            return claim.volumeSol || 0;
+        }
+        const volumeSol = await volumeLookup(claim.mint).catch(() => null);
+        if (volumeSol === null) {
+            return claim.volumeSol || 0;
+        }
+        tweetIndex.setVolume(tweetId, claim.mint, volumeSol);
+        return volumeSol;
+    };
+
+    return {
+        name: 'tweetReusePolicy',
+        async run(ctx) {
+            // Profile-qualified tokens have no tweet id
+            const tweetId = policy !== 'all' && ctx.twitterUrl && twitterValidator.extractTweetId(ctx.twitterUrl);
+            if (!tweetId) {
+                return;
+            }
+
+            const { mint, symbol } = ctx.tokenEvent;
+            const reuse = tweetIndex.describe(tweetId, mint);
+            if (reuse.otherTokens === 0) {
+                return;
+            }
+
+            ctx.tweetReuse = { tweetId, otherTokens: reuse.otherTokens, first: reuse.first, policy };
+
+            if (policy === 'first' && !reuse.isFirst) {
+                logger.info(`[${ctx.operationId}] ${symbol} was not the first token to use its tweet (${reuse.first.symbol} was), skipping`);
+                return skip('tweet_reused');
+            }
+
+            if (policy === 'volume') {
+                // The first claimant and the most recent copycats are the realistic contenders
+                const [first, ...rest] = reuse.others;
+                const recent = maxVolumeLookups > 1 ? rest.slice(-(maxVolumeLookups - 1)) : [];
+                // Our own claim may have been trimmed (maxClaimsPerTweet) while we waited on a re-check -
+                // look our volume up by mint then; setVolume has nothing to record it on
+                const ownClaim = tweetIndex.get(tweetId)?.claims.find(claim => claim.mint === mint) || { mint };
+
+                const [ownVolume, ...otherVolumes] = await Promise.all(
+                    [ownClaim, first, ...recent].map(claim => refreshVolume(tweetId, claim))
+                );
+                const topOther = Math.max(0, ...otherVolumes);
+
+                ctx.tweetReuse.volumeSol = ownVolume;
+                if (ownVolume < topOther) {
+                    logger.info(`[${ctx.operationId}] ${symbol} has less volume (${ownVolume.toFixed(2)} SOL) than another token using the tweet (${topOther.toFixed(2)} SOL), skipping`);
+                    return skip('tweet_reused_lower_volume');
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Profile / community path of the qualify stage - separate thresholds, no re-checks
+ */
+async function qualifyProfile(ctx, profileValidator, slots) {
+    const check = () => profileValidator.check(ctx.profileLink);
+    const result = await (slots ? slots.run(check) : check());
+
+    if (!result) {
+        logger.info(`[${ctx.operationId}] Could not resolve X ${ctx.profileLink.type} for ${ctx.tokenEvent.symbol}`);
+        return skip('profile_unresolved');
+    }
+
+    if (!result.qualified) {
+        logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} X ${ctx.profileLink.type} below thresholds: ${result.reasons.join(', ')}`);
+        return skip('profile_below_threshold');
+    }
+
+    logger.info(`🚀 [${ctx.operationId}] ${ctx.tokenEvent.symbol} qualified on its X ${ctx.profileLink.type}!`);
+    ctx.twitterUrl = ctx.profileLink.url;
+    ctx.qualification = { basis: ctx.profileLink.type, ...result.metrics };
+    ctx.quickMetrics = createTweetMetrics({
+        link: ctx.profileLink.url,
+        likes: result.metrics.avgRecentLikes
+    });
+}
+
+/**
+ * Quick likes check against the threshold. Near misses are handed to the
+ * re-checker, which hands them back to the monitor if they qualify later. Tokens
+ * carrying a profileLink instead of a tweet are checked by profileValidator.
+ * Deleted / protected / withheld tweets, and tweets older than the token by
+ * more than maxTweetAge, are dropped before any of that.
+ * @param {Object} deps - { twitterValidator, minLikes, rechecker, slots, toPayload, profileValidator,
+ *                        authorReputation, maxTweetAge, tokenCreatedAt } authorReputation's per-bot lists
+ *                        block or force-qualify tweet authors; maxTweetAge is in ms (0 = no limit) and
+ *                        tokenCreatedAt maps the tokenEvent to its creation time (defaults to the event time)
+ */
+function qualifyStage({ twitterValidator, minLikes, rechecker, slots, toPayload, profileValidator, authorReputation, maxTweetAge = 0, tokenCreatedAt = tokenEvent => tokenEvent.timestamp }) {
+    return {
+        name: 'qualify',
+        async run(ctx) {
+            if (!ctx.twitterUrl && ctx.profileLink) {
+                return profileValidator ? qualifyProfile(ctx, profileValidator, slots) : skip('no_tweet');
+            }
+
+            const check = () => twitterValidator.quickLikesCheck(ctx.twitterUrl);
+            const quickMetrics = await (slots ? slots.run(check) : check());
+
+            if (isTweetUnavailable(quickMetrics)) {
+                logger.info(`[${ctx.operationId}] 🗑️ ${ctx.tokenEvent.symbol} links a ${quickMetrics.availability} tweet, skipping`);
+                return skip('tweet_unavailable');
+            }
+
+            if (!quickMetrics || !quickMetrics.likes) {
+                logger.info(`[${ctx.operationId}] Twitter validation failed for ${ctx.tokenEvent.symbol}`);
+                return skip('twitter_failed');
+            }
+
+            // Before the re-checker can pick it up - an old tweet doesn't get younger
+            const tweetAge = maxTweetAge > 0 ? tweetAgeAtCreation(quickMetrics, tokenCreatedAt(ctx.tokenEvent)) : null;
+            if (tweetAge !== null && tweetAge > maxTweetAge) {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} tweet is ${Math.round(tweetAge / 3600000)}h older than the token (max ${Math.round(maxTweetAge / 3600000)}h), skipping`);
+                return skip('tweet_too_old');
+            }
+
+            logger.info(`[${ctx.operationId}] ⚡ ${quickMetrics.likes} likes found`);
+
+            const override = authorReputation?.gate(quickMetrics.author);
+            if (override === 'block') {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} tweeted by blocked author @${quickMetrics.author.handle}, skipping`);
+                return skip('author_blocked');
+            }
+
+            if (override === 'force') {
+                logger.info(`🚀 [${ctx.operationId}] ${ctx.tokenEvent.symbol} force-qualified by author @${quickMetrics.author.handle}`);
+                ctx.quickMetrics = quickMetrics;
+                ctx.forceQualified = true;
+                return;
+            }
+
+            if (quickMetrics.likes < minLikes) {
+                const watching = rechecker && rechecker.watch(ctx.tokenEvent.mint, {
+                    twitterUrl: ctx.twitterUrl,
+                    likes: quickMetrics.likes,
+                    threshold: minLikes,
+                    symbol: ctx.tokenEvent.symbol,
+                    payload: toPayload(ctx)
+                });
+                if (!watching) {
+                    logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} has ${quickMetrics.likes} likes (< ${minLikes}), skipping`);
+                }
+                return skip(watching ? 'below_threshold_rechecking' : 'below_threshold');
+            }
+
+            logger.info(`🚀 [${ctx.operationId}] ${ctx.tokenEvent.symbol} qualified with ${quickMetrics.likes} likes!`);
+            ctx.quickMetrics = quickMetrics;
+        }
+    };
+}
+
+/**
+ * @returns {number|null} ms between the tweet and the token's creation, null when either is unknown
+ */
+function tweetAgeAtCreation(quickMetrics, createdAt) {
+    const published = quickMetrics.publishedAt ? new Date(quickMetrics.publishedAt).getTime() : NaN;
+    const created = createdAt ? new Date(createdAt).getTime() : NaN;
+    return Number.isFinite(published) && Number.isFinite(created) ? created - published : null;
+}
+
+/**
+ * Likes per minute and acceleration of the qualifying tweet, checked against
+ * this bot's minimums. With sampling enabled the tweet is re-read a few
+ * times (the qualify stage's read is the first sample); otherwise the rate
+ * is taken since publication, or for a token that qualified on a re-check,
+ * between its first look and the qualifying re-check. Force-qualified authors
+ * skip the minimums.
+ * @param {Object} deps - { twitterValidator, settings, slots } settings is the engagementVelocity
+ *                        config merged with this bot's { minLikesPerMinute, minAcceleration }
+ */
+function velocityStage({ twitterValidator, settings, slots }) {
+    return {
+        name: 'velocity',
+        async run(ctx) {
+            // Profile-qualified tokens have no tweet to sample
+            if (ctx.qualification || !ctx.quickMetrics) {
+                return;
+            }
+
+            // The qualify stage's read finished just before this stage started
+            const first = { at: Date.now(), likes: ctx.quickMetrics.likes, metrics: ctx.quickMetrics };
+            let metrics = ctx.quickMetrics;
+            let velocity;
+
+            if (settings.enabled && settings.samples > 1) {
+                const sampled = await twitterValidator.sampleEngagement(ctx.twitterUrl, {
+                    samples: settings.samples,
+                    interval: settings.interval,
+                    sampleViews: settings.sampleViews,
+                    first
+                }, slots ? fn => slots.run(fn) : undefined);
+                metrics = sampled.metrics;
+                velocity = sampled.velocity;
+            } else {
+                const late = ctx.lateQualification;
+                const samples = late
+                    ? [{ at: first.at - late.delay, likes: late.initialLikes }, first]
+                    : [first];
+                velocity = computeVelocity(samples, metrics.publishedAt);
+            }
+
+            // Keep what earlier stages added (relevance) - samples only bring fresh engagement
+            ctx.quickMetrics = { ...ctx.quickMetrics, ...metrics, velocity };
+
+            if (velocity.likesPerMinute !== null) {
+                logger.info(`[${ctx.operationId}] 📈 ${velocity.likesPerMinute} likes/min${velocity.acceleration !== null ? ` (${velocity.trend}, ${velocity.acceleration} likes/min²)` : ''}`);
+            }
+
+            if (ctx.forceQualified) {
+                return;
+            }
+
+            // Unknown rates (no publish time, too few samples) don't count against a token
+            const { minLikesPerMinute, minAcceleration } = settings;
+            if (minLikesPerMinute > 0 && velocity.likesPerMinute !== null && velocity.likesPerMinute < minLikesPerMinute) {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} at ${velocity.likesPerMinute} likes/min (< ${minLikesPerMinute}), skipping`);
+                return skip('below_velocity');
+            }
+            if (minAcceleration !== null && minAcceleration !== undefined && velocity.acceleration !== null && velocity.acceleration < minAcceleration) {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} accelerating at ${velocity.acceleration} likes/min² (< ${minAcceleration}), skipping`);
+                return skip('below_acceleration');
+            }
+        }
+    };
+}
+
+/**
+ * How much the qualifying tweet has to do with the token (see TweetRelevanceAnalyzer).
+ * With a minScore it is also a gate; tweets whose text couldn't be read and
+ * force-qualified authors pass, as with the velocity minimums.
+ * @param {Object} deps - { analyzer, minScore, tokenSource } analyzer is null when disabled;
+ *                        tokenSource maps the tokenEvent to { mint, name, symbol, uri, image,
+ *                        description, createdAt }
+ */
+function relevanceStage({ analyzer, minScore = 0, tokenSource = relevanceToken }) {
+    return {
+        name: 'relevance',
+        async run(ctx) {
+            // Disabled, or a profile-qualified token with no tweet to compare
+            if (!analyzer || ctx.qualification || !ctx.quickMetrics) {
+                return;
+            }
+
+            const relevance = await analyzer.analyze(ctx.quickMetrics, tokenSource(ctx.tokenEvent));
+            ctx.quickMetrics = { ...ctx.quickMetrics, relevance };
+
+            if (relevance.score === null) {
+                return;
+            }
+
+            const reasons = relevance.signals.map(signal => signal.message).join(', ');
+            logger.info(`[${ctx.operationId}] 🎯 Tweet relevance ${relevance.score}/100 (${relevance.verdict})${reasons ? `: ${reasons}` : ''}`);
+
+            if (!ctx.forceQualified && minScore > 0 && relevance.score < minScore) {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} tweet relevance ${relevance.score} (< ${minScore}), skipping`);
+                return skip('tweet_unrelated');
+            }
+        }
+    };
+}
+
+function relevanceToken(tokenEvent) {
+    return {
+        mint: tokenEvent.mint,
+        name: tokenEvent.name,
+        symbol: tokenEvent.symbol,
+        uri: tokenEvent.uri,
+        createdAt: tokenEvent.timestamp
+    };
+}
+
+/**
+ * Token analysis, with tweet view extraction running alongside it.
+ * Items that sat in the queue longer than maxQueueAge are dropped, unless
+ * they are being resumed after a restart.
+ * @param {Object} deps - { orchestrator, twitterValidator, eventType, maxQueueAge, extractViews, inFlight,
+ *                        describeToken, authorReputation } describeToken adds monitor-specific fields to
+ *                        tokenInfo; authorReputation scores the tweet's author for the confidence rating
+ */
+function analyzeStage({ orchestrator, twitterValidator, eventType, maxQueueAge, extractViews, inFlight, describeToken, authorReputation }) {
+    const fetchViews = async (ctx) => {
+        try {
+            return await twitterValidator.fetchViews(ctx.twitterUrl);
+        } catch (error) {
+            logger.warn(`⚠️ [${ctx.operationId}] View extraction error: ${error.message}`);
+            return null;
+        }
+    };
+
+    return {
+        name: 'analyze',
+        async run(ctx) {
+            if (!ctx.quickMetrics) {
+                return skip('unqualified');
+            }
+
+            const queueAge = Date.now() - ctx.timestamp;
+            if (queueAge > maxQueueAge && !ctx.resumed) {
+                logger.warn(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} too old (${Math.round(queueAge / 1000)}s), skipping`);
+                return skip('stale');
+            }
+
+            const { tokenEvent, operationId } = ctx;
+            inFlight?.add(tokenEvent.mint);
+
+            try {
+                // Profile-qualified tokens have no tweet author
+                const authorScore = authorReputation ? await authorReputation.evaluate(ctx.quickMetrics.author) : null;
+                const quickMetrics = authorScore ? { ...ctx.quickMetrics, authorReputation: authorScore } : ctx.quickMetrics;
+
+                logger.info(`[${operationId}] 🔬 Running token analysis${extractViews ? ' + view extraction' : ''}...`);
+                const analysisStart = Date.now();
+
+                const [analysisResult, viewMetrics] = await Promise.all([
+                    orchestrator.analyzeToken({
+                        tokenAddress: tokenEvent.mint,
+                        tokenInfo: {
+                            name: tokenEvent.name,
+                            symbol: tokenEvent.symbol,
+                            creator: tokenEvent.traderPublicKey || tokenEvent.creator,
+                            address: tokenEvent.mint,
+                            // For the artwork check - migrations carry the pump.fun coin record instead of a uri
+                            uri: tokenEvent.uri || tokenEvent.tokenInfo?.metadata_uri,
+                            image: tokenEvent.tokenInfo?.image_uri,
+                            eventType,
+                            ...(describeToken ? describeToken(tokenEvent) : {})
+                        },
+                        twitterMetrics: quickMetrics,
+                        operationId,
+                        timer: ctx.timer
+                    }),
+                    // Profile-qualified tokens have no tweet to read views from
+                    extractViews && !ctx.qualification ? fetchViews(ctx) : Promise.resolve(null)
+                ]);
+
+                if (!analysisResult || !analysisResult.success) {
+                    throw new Error(`Analysis failed: ${analysisResult?.error || 'no result'}`);
+                }
+
+                ctx.viewsExtracted = viewMetrics?.views > 0;
+                // Fresh views (and likes, when the views provider reported newer ones) replace the queued numbers
+                const fresher = viewMetrics?.sources.likes && viewMetrics.likes > quickMetrics.likes;
+                // Queued payloads from before TweetMetrics lack the newer fields - createTweetMetrics fills them in
+                ctx.twitterMetrics = createTweetMetrics({
+                    ...quickMetrics,
+                    link: ctx.twitterUrl,
+                    likes: fresher ? viewMetrics.likes : quickMetrics.likes,
+                    views: ctx.viewsExtracted ? viewMetrics.views : quickMetrics.views || 0,
+                    sources: {
+                        ...quickMetrics.sources,
+                        ...(fresher ? { likes: viewMetrics.sources.likes } : {}),
+                        ...(ctx.viewsExtracted ? { views: viewMetrics.sources.views } : {})
+                    },
+                    lateQualification: ctx.lateQualification,
+                    qualification: ctx.qualification,
+                    tweetReuse: ctx.tweetReuse
+                });
+                ctx.analysisResult = { ...analysisResult, twitterMetrics: ctx.twitterMetrics };
+
+                logger.info(`✅ [${operationId}] Analysis completed (${Date.now() - analysisStart}ms): ${ctx.twitterMetrics.views} views, ${ctx.twitterMetrics.likes} likes`);
+
+            } finally {
+                inFlight?.delete(tokenEvent.mint);
+            }
+        }
+    };
+}
+
+/**
+ * Re-read the tweet right before publishing - analysis and queueing take
+ * minutes, and an alert must not advertise a tweet that has been deleted or
+ * hidden since. A read that fails says nothing either way and doesn't block.
+ * @param {Object} deps - { twitterValidator, enabled }
+ */
+function revalidateStage({ twitterValidator, enabled = true }) {
+    return {
+        name: 'revalidate',
+        async run(ctx) {
+            // Profile-qualified tokens have no tweet to re-read
+            if (!enabled || ctx.qualification || !ctx.twitterUrl) {
+                return;
+            }
+
+            const metrics = await twitterValidator.checkAvailability(ctx.twitterUrl);
+            if (isTweetUnavailable(metrics)) {
+                logger.warn(`🗑️ [${ctx.operationId}] ${ctx.tokenEvent.symbol} tweet was ${metrics.availability} after qualifying - not publishing`);
+                return skip('tweet_unavailable');
+            }
+            if (!metrics) {
+                logger.debug(`[${ctx.operationId}] Could not re-check the tweet before publishing, publishing anyway`);
+            }
+        }
+    };
+}
+
+/**
+ * Send the alert - trading webhook first, then Telegram. An alert nobody
+ * received (filtered by the top 10 holdings check, or every channel failed)
+ * is skipped, so it isn't counted as published or followed up on.
+ * @param {Object} deps - { orchestrator }
+ */
+function publishStage({ orchestrator }) {
+    return {
+        name: 'publish',
+        async run(ctx) {
+            let delivered;
+            try {
+                delivered = await orchestrator.publishResultsWithWebhook(ctx.analysisResult);
+            } catch (error) {
+                // Re-running the analysis won't fix delivery - don't retry the item
+                logger.error(`❌ [${ctx.operationId}] Failed to publish analysis: ${error.message}`);
+                return skip('publish_failed');
+            }
+
+            if (!delivered) {
+                logger.info(`[${ctx.operationId}] ${ctx.tokenEvent.symbol} alert was not delivered anywhere`);
+                return skip('publish_filtered');
+            }
+        }
+    };
+}
+
+module.exports = {
+    ingestStage,
+    enrichStage,
+    extractTweetStage,
+    tweetReuseStage,
+    tweetReusePolicyStage,
+    qualifyStage,
+    velocityStage,
+    relevanceStage,
+    analyzeStage,
+    revalidateStage,
+    publishStage
+};
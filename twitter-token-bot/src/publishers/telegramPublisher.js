@@ -1,7 +1,12 @@
 // src/publishers/telegramPublisher.js - Add top 10 holdings filter
 const TelegramBot = require('node-telegram-bot-api');
 const logger = require('../utils/logger');
-const { formatNumber, formatPercentage, formatAddress, formatRiskLevel, escapeHtml } = require('../utils/formatters');
+const { formatNumber, formatPercentage, formatAddress, formatRiskLevel, escapeHtml, truncateText } = require('../utils/formatters');
+
+// Handles like @some_user and tweet text would otherwise open unterminated Markdown entities
+function escapeMarkdown(text) {
+    return text.replace(/[_*`[]/g, '\\$&');
+}
 
 class TelegramPublisher {
     constructor(config = {}) {
@@ -12,6 +17,7 @@ class TelegramPublisher {
             retryAttempts: config.retryAttempts || 3,
             retryDelay: config.retryDelay || 2000,
             maxMessageLength: config.maxMessageLength || 4000,
+            maxTrackedTokens: config.maxTrackedTokens || 500,
             
             // 🚀 NEW: Top 10 holdings filter
             maxTop10Holdings: config.maxTop10Holdings || parseFloat(process.env.MAX_TOP10_HOLDINGS) || 70.0,
@@ -22,6 +28,10 @@ class TelegramPublisher {
 
         this.bot = null;
         this.isInitialized = false;
+        
+        // mint → [{ channel, messageId }] of published alerts, so follow-ups can reply to them
+        this.sentMessages = new Map();
+        
         this.stats = {
             messagesSent: 0,
             messagesSuccessful: 0,
@@ -90,7 +100,8 @@ class TelegramPublisher {
             }
 
             const message = this.formatAnalysisMessage(analysisResult);
-            return await this.sendToAllChannels(message);
+            const mint = analysisResult.tokenAddress || analysisResult.tokenInfo?.address || analysisResult.tokenInfo?.mint;
+            return await this.sendToAllChannels(message, { trackAs: mint });
             
         } catch (error) {
             logger.error('Error publishing analysis to Telegram:', error);
@@ -137,8 +148,11 @@ class TelegramPublisher {
         
         // Event type
         const eventType = tokenInfo.eventType || 'creation';
-        const eventEmoji = eventType === 'migration' ? '🔄' : '🆕';
-        const eventTitle = eventType === 'migration' ? 'MIGRATION' : 'NEW TOKEN';
+        const milestone = eventType === 'bondingCurve' ? tokenInfo.milestone : null;
+        const eventEmoji = milestone ? (milestone.key === 'king_of_the_hill' ? '👑' : '📈') :
+            { migration: '🔄', watchlist: '👁️' }[eventType] || '🆕';
+        const eventTitle = milestone ? milestone.label :
+            { migration: 'MIGRATION', watchlist: 'WATCHLIST' }[eventType] || 'NEW TOKEN';
         
         // Build message in your clean format
         let message = `${eventEmoji} ${eventTitle} | ${escapeHtml(tokenInfo.symbol || 'Unknown')}\n`;
@@ -146,11 +160,42 @@ class TelegramPublisher {
         // Make address clickable/copiable with monospace formatting
         message += `\`${tokenInfo.address || tokenInfo.mint || 'Unknown'}\`\n\n`;
         
-        // Twitter metrics in compact format
-        if (twitterMetrics && (twitterMetrics.likes > 0 || twitterMetrics.views > 0)) {
+        // Bonding curve state when the milestone fired
+        if (milestone) {
+            const age = milestone.minutesSinceCreation !== undefined ? ` • ⏱️ ${milestone.minutesSinceCreation}min old` : '';
+            message += `📊 Curve ${milestone.progress}% • MC ${formatNumber(milestone.marketCapSol)} SOL${age}\n\n`;
+        }
+        
+        // What moved since the last watchlist alert
+        const watchlist = eventType === 'watchlist' ? tokenInfo.watchlist : null;
+        if (watchlist) {
+            if (watchlist.note) {
+                message += `📝 ${escapeMarkdown(watchlist.note)}\n`;
+            }
+            watchlist.changes.forEach(({ label, unit, from, to }) => {
+                const format = value => unit === '%' ? formatPercentage(value, 1) : `${value}`;
+                message += `${to > from ? '📈' : '📉'} ${label}: ${format(from)} → ${format(to)}\n`;
+            });
+            if (watchlist.note || watchlist.changes.length > 0) {
+                message += `\n`;
+            }
+        }
+        
+        // Qualified on the linked X profile / community - there is no tweet to show
+        if (twitterMetrics?.qualification) {
+            message += this.formatProfileQualification(twitterMetrics.qualification);
+        } else if (twitterMetrics && (twitterMetrics.likes > 0 || twitterMetrics.views > 0)) {
             const parts = [];
             if (twitterMetrics.views > 0) parts.push(`👀 ${formatNumber(twitterMetrics.views)} views`);
             if (twitterMetrics.likes > 0) parts.push(`❤️ ${formatNumber(twitterMetrics.likes)} likes`);
+            if (twitterMetrics.retweets > 0) parts.push(`🔁 ${formatNumber(twitterMetrics.retweets)}`);
+            if (twitterMetrics.replies > 0) parts.push(`💬 ${formatNumber(twitterMetrics.replies)}`);
+            
+            const velocity = twitterMetrics.velocity;
+            if (velocity?.likesPerMinute > 0) {
+                const trend = { accelerating: ' ↗️', slowing: ' ↘️', steady: ' ➡️' }[velocity.trend] || '';
+                parts.push(`📈 ${formatNumber(velocity.likesPerMinute)} likes/min${trend}`);
+            }
             
             // Add time ago if available
             if (twitterMetrics.publishedAt) {
@@ -159,8 +204,46 @@ class TelegramPublisher {
             }
             
             if (parts.length > 0) {
-                message += `🐦 ${parts.join(' • ')}\n\n`;
+                message += `🐦 ${parts.join(' • ')}\n`;
+            }
+            message += this.formatTweetDetails(twitterMetrics);
+
+            // How much the tweet has to do with this token
+            const relevance = twitterMetrics.relevance;
+            if (relevance && relevance.score !== null) {
+                const icon = { relevant: '🎯', weak: '🤔', unrelated: '❓' }[relevance.verdict];
+                const reasons = relevance.signals.map(signal => signal.message).join(' • ');
+                message += `${icon} Relevance ${relevance.score}/100 (${relevance.verdict})${reasons ? `: ${escapeMarkdown(escapeHtml(reasons))}` : ''}\n`;
             }
+
+            // Missed the threshold at first look, qualified on a re-check
+            const late = twitterMetrics.lateQualification;
+            if (late) {
+                const minutes = Math.max(1, Math.round(late.delay / 60000));
+                message += `⏰ Qualified late: ${formatNumber(late.initialLikes)} → ${formatNumber(late.likes)} likes after ${minutes}min\n`;
+            }
+
+            // Other launches on the same tweet
+            const reuse = twitterMetrics.tweetReuse;
+            if (reuse) {
+                const firstAt = new Date(reuse.first.claimedAt).toISOString().slice(11, 16);
+                message += `♻️ ${reuse.otherTokens} ${reuse.otherTokens === 1 ? 'other token uses' : 'other tokens use'} this tweet; first was ${escapeMarkdown(reuse.first.symbol || reuse.first.mint)} at ${firstAt} UTC\n`;
+            }
+
+            message += `\n`;
+        }
+        
+        // Copies the name/ticker of an earlier or more successful launch
+        if (analyses?.clone?.success && analyses.clone.result?.isClone) {
+            message += this.formatCloneWarning(analyses.clone.result);
+        }
+        
+        // Image matches an earlier token's artwork
+        if (analyses?.artwork?.success && analyses.artwork.result?.reused) {
+            const { first, otherTokens } = analyses.artwork.result;
+            const label = escapeHtml(first.symbol || formatAddress(first.mint)).replace(/[[\]]/g, '');
+            const others = otherTokens > 1 ? ` • ${otherTokens} tokens share it` : '';
+            message += `🖼️ Artwork reused from [${label}](https://pump.fun/${first.mint})${others}\n\n`;
         }
         
         // Bundle Analysis - Clean format
@@ -240,6 +323,7 @@ class TelegramPublisher {
                 enableTop10Filter: this.config.enableTop10Filter,
                 maxTop10Holdings: this.config.maxTop10Holdings
             },
+            trackedAlerts: this.sentMessages.size,
             stats: this.stats
         };
     }
@@ -268,6 +352,89 @@ class TelegramPublisher {
         return num.toFixed(0);
     }
 
+    formatCloneWarning(clone) {
+        const { original } = clone;
+        const parts = [`launched ${this.getTimeAgo(original.createdAt)}`];
+
+        if (original.migrated) {
+            parts.push('migrated');
+        } else if (original.marketCapSol > 0) {
+            parts.push(`MC ${formatNumber(original.marketCapSol)} SOL`);
+        }
+        if (clone.homoglyphs) {
+            parts.push('look-alike characters');
+        }
+
+        return `🧬 Likely clone of [${escapeHtml(original.symbol || formatAddress(original.mint)).replace(/[[\]]/g, '')}](https://pump.fun/${original.mint}) • ${parts.join(' • ')}\n\n`;
+    }
+
+    /**
+     * Author line and a short excerpt of the tweet; empty for metrics without syndication data
+     */
+    formatTweetDetails(twitterMetrics) {
+        let message = '';
+        const { author } = twitterMetrics;
+
+        if (author?.handle) {
+            const parts = [`👤 @${escapeMarkdown(author.handle)}`];
+            if (author.name) parts.push(escapeMarkdown(escapeHtml(author.name)));
+            if (author.followers !== null && author.followers !== undefined) {
+                parts.push(`${formatNumber(author.followers)} followers`);
+            }
+            if (author.verified) parts.push('✅ verified');
+            else if (author.blueVerified) parts.push('☑️ blue');
+
+            const reputation = twitterMetrics.authorReputation;
+            if (reputation) {
+                const badge = { kol: '🏅 KOL', news: '📰 news', farm: '⚠️ known shill farm' }[reputation.category];
+                if (badge) parts.push(badge);
+                parts.push(`rep ${reputation.score}/100`);
+            }
+            message += `${parts.join(' • ')}\n`;
+        }
+
+        const kind = [];
+        if (twitterMetrics.isReply) kind.push(`↩️ reply${twitterMetrics.inReplyTo ? ` to @${escapeMarkdown(twitterMetrics.inReplyTo)}` : ''}`);
+        if (twitterMetrics.isQuote) kind.push('🗨️ quote');
+        if (twitterMetrics.hasMedia) kind.push(`🖼️ ${twitterMetrics.mediaTypes?.includes('video') ? 'video' : 'media'}`);
+
+        const text = twitterMetrics.text?.replace(/\s+/g, ' ').trim();
+        if (text) {
+            kind.push(`"${escapeMarkdown(escapeHtml(truncateText(text, 120)))}"`);
+        }
+        if (kind.length > 0) {
+            message += `${kind.join(' • ')}\n`;
+        }
+
+        return message;
+    }
+
+    formatProfileQualification(qualification) {
+        const parts = [];
+        let message;
+
+        if (qualification.basis === 'community') {
+            message = `🪪 Qualified on X community${qualification.name ? ` "${escapeMarkdown(escapeHtml(qualification.name))}"` : ''} - no tweet\n`;
+            parts.push(`👥 ${formatNumber(qualification.members)} members`);
+        } else {
+            message = `🪪 Qualified on X profile @${escapeMarkdown(qualification.handle)} - no tweet\n`;
+            parts.push(`👥 ${formatNumber(qualification.followers)} followers`);
+            if (qualification.accountAgeDays !== null && qualification.accountAgeDays !== undefined) {
+                const age = qualification.accountAgeDays >= 365
+                    ? `${(qualification.accountAgeDays / 365).toFixed(1)}y`
+                    : `${qualification.accountAgeDays}d`;
+                parts.push(`📅 ${age} old`);
+            }
+            if (qualification.verified) parts.push('✅ verified');
+        }
+
+        if (qualification.recentPosts > 0) {
+            parts.push(`❤️ avg ${formatNumber(qualification.avgRecentLikes)} likes (last ${qualification.recentPosts} posts)`);
+        }
+
+        return `${message}${parts.join(' • ')}\n\n`;
+    }
+
     getTimeAgo(publishedAt) {
         if (!publishedAt) return null;
         
@@ -321,7 +488,7 @@ class TelegramPublisher {
         return '0.0';
     }
 
-    async sendToAllChannels(message) {
+    async sendToAllChannels(message, options = {}) {
         if (!this.isInitialized || this.config.channels.length === 0) {
             return false;
         }
@@ -339,6 +506,13 @@ class TelegramPublisher {
             this.stats.messagesSuccessful += successful;
             this.stats.messagesFailed += failed;
 
+            if (options.trackAs) {
+                this.trackSentMessages(options.trackAs, results.map((result, index) => ({
+                    channel: this.config.channels[index],
+                    messageId: result.status === 'fulfilled' ? result.value : null
+                })));
+            }
+
             if (successful > 0) {
                 logger.info(`📤 Sent to ${successful}/${this.config.channels.length} Telegram channels`);
                 return true;
@@ -354,18 +528,22 @@ class TelegramPublisher {
         }
     }
 
-    async sendToChannel(channel, message, retryCount = 0) {
+    /**
+     * Returns the Telegram message_id of the sent message
+     */
+    async sendToChannel(channel, message, retryCount = 0, extraOptions = {}) {
         try {
             const finalMessage = this.truncateMessage(message);
 
-            await this.bot.sendMessage(channel, finalMessage, {
+            const sent = await this.bot.sendMessage(channel, finalMessage, {
                 parse_mode: 'Markdown',
                 disable_web_page_preview: true,
-                disable_notification: false
+                disable_notification: false,
+                ...extraOptions
             });
 
             logger.debug(`✅ Message sent to channel ${channel}`);
-            return true;
+            return sent?.message_id || true;
 
         } catch (error) {
             logger.error(`❌ Failed to send to channel ${channel}:`, error.message);
@@ -373,13 +551,67 @@ class TelegramPublisher {
             if (retryCount < this.config.retryAttempts) {
                 logger.info(`🔄 Retrying send to ${channel} (${retryCount + 1}/${this.config.retryAttempts})`);
                 await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
-                return this.sendToChannel(channel, message, retryCount + 1);
+                return this.sendToChannel(channel, message, retryCount + 1, extraOptions);
             }
 
             throw error;
         }
     }
 
+    trackSentMessages(mint, messages) {
+        const sent = messages.filter(m => typeof m.messageId === 'number');
+        if (sent.length === 0) {
+            return;
+        }
+
+        this.sentMessages.delete(mint); // Re-insert so the newest alert is evicted last
+        this.sentMessages.set(mint, sent);
+
+        while (this.sentMessages.size > this.config.maxTrackedTokens) {
+            this.sentMessages.delete(this.sentMessages.keys().next().value);
+        }
+    }
+
+    hasPublished(mint) {
+        return this.sentMessages.has(mint);
+    }
+
+    /**
+     * Post a follow-up as a reply to the original alert for this token, in every
+     * channel it was published to. Returns false if we never published the token.
+     */
+    async publishReply(mint, message) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        const originals = this.sentMessages.get(mint);
+        if (!originals) {
+            logger.debug(`No published alert for ${mint} - skipping reply`);
+            return false;
+        }
+
+        try {
+            const results = await Promise.allSettled(originals.map(({ channel, messageId }) =>
+                this.sendToChannel(channel, message, 0, {
+                    reply_to_message_id: messageId,
+                    allow_sending_without_reply: true
+                })
+            ));
+            const successful = results.filter(r => r.status === 'fulfilled').length;
+
+            this.stats.messagesSent++;
+            this.stats.messagesSuccessful += successful;
+            this.stats.messagesFailed += results.length - successful;
+
+            return successful > 0;
+
+        } catch (error) {
+            logger.error('Error publishing reply:', error);
+            return false;
+        }
+    }
+
     truncateMessage(message) {
         if (message.length <= this.config.maxMessageLength) {
             return message;
@@ -0,0 +1,293 @@
+// src/services/artworkIndex.js - Perceptual hashes of token images, persisted so recycled artwork is caught across restarts
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { fetchTokenMetadata, fetchImage } = require('../integrations/tokenMetadata');
+const { decodeGrayscale } = require('../utils/imageDecoder');
+const { differenceHash, hammingDistance } = require('../utils/imageHash');
+
+const FILE_VERSION = 1;
+
+/**
+ * mint → { hash, symbol, imageUrl, seenAt }
+ *
+ * Each analyzed token's image is decoded and reduced to a 64-bit dHash (see
+ * imageHash). Re-uploads, rescales and format changes of the same artwork
+ * land within a few bits, so anything within `maxDistance` of an earlier
+ * token counts as reused. Flat single-color images are not indexed - they
+ * would all match each other.
+ *
+ * Persistence follows TweetIndex: debounced writes to a temp file renamed
+ * into place, plus a synchronous flush on exit.
+ */
+class ArtworkIndex {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            filePath: config.filePath || path.join(process.cwd(), 'data', 'artwork_index.json'),
+            ttl: config.ttl || 3 * 24 * 60 * 60 * 1000,
+            maxEntries: config.maxEntries || 20000,
+            maxDistance: config.maxDistance ?? 6,
+            maxImageBytes: config.maxImageBytes || 5 * 1024 * 1024,
+            fetchTimeout: config.fetchTimeout || 10000,
+            flushInterval: config.flushInterval || 5000
+        };
+
+        this.entries = new Map();
+        this.dirty = false;
+        this.flushTimer = null;
+
+        this.stats = {
+            fingerprinted: 0,
+            reused: 0,
+            noImage: 0,
+            unsupported: 0,
+            flat: 0,
+            expired: 0,
+            evicted: 0,
+            loaded: 0,
+            flushErrors: 0
+        };
+
+        this.load();
+
+        this.flushOnExit = () => this.flushSync();
+        process.on('exit', this.flushOnExit);
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.config.filePath)) {
+                return;
+            }
+
+            const content = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+            const cutoff = Date.now() - this.config.ttl;
+
+            for (const [mint, entry] of content.entries || []) {
+                if (entry.seenAt > cutoff) {
+                    this.entries.set(mint, entry);
+                }
+            }
+
+            this.evictOverflow();
+            this.stats.loaded = this.entries.size;
+            logger.info(`🖼️ Artwork index loaded ${this.entries.size} images from ${this.config.filePath}`);
+
+        } catch (error) {
+            logger.warn(`⚠️ Could not load artwork index (${error.message}) - starting empty`);
+        }
+    }
+
+    /**
+     * Fingerprint a token's image and compare it with earlier tokens
+     * @param {Object} tokenInfo - { address | mint, symbol, image?, uri? }
+     * @returns {Promise<Object>} { fingerprinted, reason, hash, reused, otherTokens, first } -
+     *          first is the earliest matching token { mint, symbol, seenAt, distance }
+     * @throws {Error} When the image can't be downloaded or decoded
+     */
+    async check(tokenInfo) {
+        const mint = tokenInfo.address || tokenInfo.mint;
+        let entry = this.get(mint);
+
+        if (!entry) {
+            const fingerprint = await this.fingerprint(tokenInfo);
+            if (!fingerprint.hash) {
+                this.stats[fingerprint.reason === 'no_image' ? 'noImage' : fingerprint.reason]++;
+                return { fingerprinted: false, reason: fingerprint.reason, hash: null, reused: false, otherTokens: 0, first: null };
+            }
+
+            entry = { hash: fingerprint.hash, symbol: tokenInfo.symbol || null, imageUrl: fingerprint.imageUrl, seenAt: Date.now() };
+            this.record(mint, entry);
+            this.stats.fingerprinted++;
+        }
+
+        const matches = this.findMatches(mint, entry);
+        if (matches.length > 0) {
+            this.stats.reused++;
+        }
+
+        return {
+            fingerprinted: true,
+            reason: null,
+            hash: entry.hash,
+            reused: matches.length > 0,
+            otherTokens: matches.length,
+            first: matches[0] || null
+        };
+    }
+
+    /**
+     * @returns {Promise<Object>} { hash, imageUrl } or { hash: null, reason: 'no_image' | 'unsupported' | 'flat' }
+     */
+    async fingerprint(tokenInfo) {
+        let imageUrl = tokenInfo.image;
+        if (!imageUrl && tokenInfo.uri) {
+            const metadata = await fetchTokenMetadata(tokenInfo.uri);
+            imageUrl = typeof metadata?.image === 'string' ? metadata.image : null;
+        }
+        if (!imageUrl) {
+            return { hash: null, reason: 'no_image' };
+        }
+
+        const bytes = await fetchImage(imageUrl, {
+            maxBytes: this.config.maxImageBytes,
+            timeout: this.config.fetchTimeout
+        });
+
+        const image = decodeGrayscale(bytes);
+        if (!image) {
+            return { hash: null, reason: 'unsupported' };
+        }
+
+        const { hash, flat } = differenceHash(image);
+        return flat ? { hash: null, reason: 'flat' } : { hash, imageUrl };
+    }
+
+    /**
+     * Earlier tokens within maxDistance, oldest first
+     */
+    findMatches(mint, entry) {
+        const matches = [];
+
+        for (const [otherMint, other] of this.entries) {
+            if (otherMint === mint || other.seenAt > entry.seenAt || this.isExpired(other)) {
+                continue;
+            }
+
+            const distance = hammingDistance(entry.hash, other.hash);
+            if (distance <= this.config.maxDistance) {
+                matches.push({ mint: otherMint, symbol: other.symbol, seenAt: other.seenAt, distance });
+            }
+        }
+
+        return matches.sort((a, b) => a.seenAt - b.seenAt);
+    }
+
+    record(mint, entry) {
+        this.entries.set(mint, entry);
+        this.evictOverflow();
+        this.markDirty();
+    }
+
+    get(mint) {
+        const entry = this.entries.get(mint);
+        if (entry && this.isExpired(entry)) {
+            this.entries.delete(mint);
+            this.stats.expired++;
+            this.markDirty();
+            return null;
+        }
+        return entry || null;
+    }
+
+    isExpired(entry) {
+        return entry.seenAt <= Date.now() - this.config.ttl;
+    }
+
+    evictOverflow() {
+        while (this.entries.size > this.config.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evicted++;
+        }
+    }
+
+    prune() {
+        let removed = 0;
+
+        for (const [mint, entry] of this.entries) {
+            if (this.isExpired(entry)) {
+                this.entries.delete(mint);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.stats.expired += removed;
+            this.markDirty();
+        }
+        return removed;
+    }
+
+    markDirty() {
+        this.dirty = true;
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(() => {});
+            }, this.config.flushInterval);
+            this.flushTimer.unref();
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({
+            version: FILE_VERSION,
+            savedAt: Date.now(),
+            entries: Array.from(this.entries)
+        });
+    }
+
+    async flush() {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.dirty = false;
+        const tempPath = `${this.config.filePath}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, this.serialize());
+            await fs.promises.rename(tempPath, this.config.filePath);
+        } catch (error) {
+            this.dirty = true;
+            this.stats.flushErrors++;
+            logger.warn(`⚠️ Artwork index flush failed: ${error.message}`);
+        }
+    }
+
+    flushSync() {
+        if (!this.dirty) {
+            return;
+        }
+
+        try {
+            const tempPath = `${this.config.filePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, this.serialize());
+            fs.renameSync(tempPath, this.config.filePath);
+            this.dirty = false;
+        } catch (error) {
+            this.stats.flushErrors++;
+        }
+    }
+
+    getStatus() {
+        return {
+            images: this.entries.size,
+            maxEntries: this.config.maxEntries,
+            maxDistance: this.config.maxDistance,
+            filePath: this.config.filePath,
+            stats: this.stats
+        };
+    }
+}
+
+let sharedIndex = null;
+
+/**
+ * Process-wide index shared by every AnalysisOrchestrator
+ */
+function getArtworkIndex() {
+    if (!sharedIndex) {
+        sharedIndex = new ArtworkIndex(require('../config').artwork);
+    }
+    return sharedIndex;
+}
+
+module.exports = {
+    ArtworkIndex,
+    getArtworkIndex
+};
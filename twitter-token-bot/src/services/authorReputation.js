@@ -0,0 +1,285 @@
+// src/services/authorReputation.js - Scores tweet authors and applies per-bot handle overrides
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CATEGORIES = ['kol', 'news', 'farm'];
+
+// Points added to the base score; a known shill farm caps the score instead
+const FOLLOWER_POINTS = [[1000000, 35], [100000, 25], [10000, 15], [1000, 5], [100, 0]];
+const ACCOUNT_AGE_POINTS = [[730, 20], [365, 15], [90, 5], [30, 0], [7, -15]];
+const BASE_SCORE = 30;
+const FARM_MAX_SCORE = 10;
+
+/**
+ * Curated handle file, edited by hand and re-read when it changes:
+ *
+ *   { "kol": ["handle", ...], "news": ["handle", ...], "farm": ["handle", ...] }
+ *
+ * Handles are matched case-insensitively, with or without the @.
+ */
+class KnownHandles {
+    constructor(filePath, checkInterval = 30000) {
+        this.filePath = filePath || path.join(process.cwd(), 'data', 'known_handles.json');
+        this.checkInterval = checkInterval;
+        this.categories = new Map(); // handle → category
+        this.mtime = 0;
+        this.checkedAt = 0;
+    }
+
+    /**
+     * @returns {string|null} 'kol' | 'news' | 'farm'
+     */
+    categoryOf(handle) {
+        this.refresh();
+        return this.categories.get(normalizeHandle(handle)) || null;
+    }
+
+    refresh() {
+        if (Date.now() - this.checkedAt < this.checkInterval) {
+            return;
+        }
+        this.checkedAt = Date.now();
+
+        try {
+            const { mtimeMs } = fs.statSync(this.filePath);
+            if (mtimeMs === this.mtime) {
+                return;
+            }
+
+            const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const categories = new Map();
+
+            for (const category of CATEGORIES) {
+                for (const handle of content[category] || []) {
+                    if (typeof handle === 'string' && normalizeHandle(handle)) {
+                        categories.set(normalizeHandle(handle), category);
+                    }
+                }
+            }
+
+            this.categories = categories;
+            this.mtime = mtimeMs;
+            logger.info(`🏅 Loaded ${categories.size} known handles from ${this.filePath}`);
+
+        } catch (error) {
+            // A missing file just means no curated list; a mid-edit file keeps the last good one
+            if (error.code !== 'ENOENT') {
+                logger.warn(`⚠️ Could not read known handles ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    get size() {
+        this.refresh();
+        return this.categories.size;
+    }
+}
+
+/**
+ * Reputation of a tweet's author, 0-100:
+ *
+ *   base 30 + followers (up to +35) + account age (-15..+20) + verification (+15, blue +5)
+ *           + curated category (KOL +20, news outlet +25) + per-bot boost
+ *
+ * Known shill farms are capped at 10 whatever their numbers. The per-bot
+ * lists override everything: `block` drops the token at qualification,
+ * `forceQualify` lets it through regardless of likes, `boost` adds
+ * `boostPoints`.
+ *
+ * Syndication tweets don't say when the account was created, so the age is
+ * looked up on the profile timeline (cached by TwitterProfileValidator).
+ */
+class AuthorReputation {
+    /**
+     * @param {Object} config - { enabled, lookupAccountAge, boostPoints, forceQualify, boost, block }
+     * @param {Object} deps - { knownHandles, profileLookup } profileLookup resolves
+     *                        { type: 'profile', handle } to { accountAgeDays } (TwitterProfileValidator.resolve)
+     */
+    constructor(config = {}, { knownHandles, profileLookup } = {}) {
+        this.config = {
+            enabled: true,
+            lookupAccountAge: true,
+            boostPoints: 20,
+            ...config
+        };
+
+        this.lists = {
+            forceQualify: new Set((this.config.forceQualify || []).map(normalizeHandle)),
+            boost: new Set((this.config.boost || []).map(normalizeHandle)),
+            block: new Set((this.config.block || []).map(normalizeHandle))
+        };
+        this.knownHandles = knownHandles || getKnownHandles();
+        this.profileLookup = profileLookup || null;
+
+        this.stats = {
+            scored: 0,
+            blocked: 0,
+            forced: 0,
+            knownFarms: 0,
+            lookupFailures: 0
+        };
+    }
+
+    /**
+     * Per-bot override for a handle
+     * @returns {string|null} 'block' | 'force' | 'boost'
+     */
+    override(handle) {
+        const key = normalizeHandle(handle);
+        if (!key) return null;
+        if (this.lists.block.has(key)) return 'block';
+        if (this.lists.forceQualify.has(key)) return 'force';
+        if (this.lists.boost.has(key)) return 'boost';
+        return null;
+    }
+
+    /**
+     * Qualification-time decision from the override lists alone (no lookups)
+     * @param {Object} author - TweetMetrics.author
+     * @returns {string|null} 'block' | 'force' | null
+     */
+    gate(author) {
+        if (!this.config.enabled) return null;
+
+        const override = this.override(author?.handle);
+        if (override === 'block') this.stats.blocked++;
+        if (override === 'force') this.stats.forced++;
+        return override === 'boost' ? null : override;
+    }
+
+    /**
+     * @param {Object} author - TweetMetrics.author
+     * @returns {Promise<Object|null>} { handle, score, tier, category, override, accountAgeDays, reasons } -
+     *          tier is 'high' | 'medium' | 'low' | 'blocked'; null without an author
+     */
+    async evaluate(author) {
+        if (!this.config.enabled || !author?.handle) {
+            return null;
+        }
+
+        const accountAgeDays = await this.resolveAccountAge(author);
+        const category = this.knownHandles.categoryOf(author.handle);
+        const override = this.override(author.handle);
+        const reasons = [];
+        let score = BASE_SCORE;
+
+        if (author.followers !== null && author.followers !== undefined) {
+            const points = pointsFor(author.followers, FOLLOWER_POINTS, -10);
+            score += points;
+            if (points !== 0) reasons.push(`${author.followers} followers (${signed(points)})`);
+        }
+
+        if (accountAgeDays !== null) {
+            const points = pointsFor(accountAgeDays, ACCOUNT_AGE_POINTS, -25);
+            score += points;
+            if (points !== 0) reasons.push(`account ${accountAgeDays}d old (${signed(points)})`);
+        }
+
+        if (author.verified) {
+            score += 15;
+            reasons.push('verified (+15)');
+        } else if (author.blueVerified) {
+            score += 5;
+            reasons.push('blue (+5)');
+        }
+
+        if (category === 'kol') {
+            score += 20;
+            reasons.push('known KOL (+20)');
+        } else if (category === 'news') {
+            score += 25;
+            reasons.push('news outlet (+25)');
+        }
+
+        if (override === 'boost') {
+            score += this.config.boostPoints;
+            reasons.push(`boosted (${signed(this.config.boostPoints)})`);
+        }
+
+        if (category === 'farm') {
+            score = Math.min(score, FARM_MAX_SCORE);
+            reasons.push('known shill farm');
+            this.stats.knownFarms++;
+        }
+
+        score = Math.max(0, Math.min(100, score));
+        this.stats.scored++;
+
+        return {
+            handle: author.handle,
+            score,
+            tier: override === 'block' ? 'blocked' : score >= 70 ? 'high' : score >= 45 ? 'medium' : 'low',
+            category,
+            override,
+            accountAgeDays,
+            reasons
+        };
+    }
+
+    async resolveAccountAge(author) {
+        if (author.createdAt) {
+            return Math.floor((Date.now() - new Date(author.createdAt).getTime()) / DAY_MS);
+        }
+        if (!this.config.lookupAccountAge || !this.profileLookup) {
+            return null;
+        }
+
+        try {
+            const profile = await this.profileLookup({ type: 'profile', handle: author.handle });
+            return profile?.accountAgeDays ?? null;
+        } catch (error) {
+            this.stats.lookupFailures++;
+            logger.debug(`Account age lookup failed for @${author.handle}: ${error.message}`);
+            return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            knownHandles: this.knownHandles.size,
+            lists: {
+                forceQualify: this.lists.forceQualify.size,
+                boost: this.lists.boost.size,
+                block: this.lists.block.size
+            },
+            stats: this.stats
+        };
+    }
+}
+
+function normalizeHandle(handle) {
+    return typeof handle === 'string' ? handle.trim().replace(/^@/, '').toLowerCase() : '';
+}
+
+// First threshold the value reaches wins; below all of them gets `floor`
+function pointsFor(value, thresholds, floor) {
+    for (const [minimum, points] of thresholds) {
+        if (value >= minimum) return points;
+    }
+    return floor;
+}
+
+function signed(points) {
+    return points > 0 ? `+${points}` : `${points}`;
+}
+
+let sharedKnownHandles = null;
+
+/**
+ * Process-wide curated list, shared by every monitor's AuthorReputation
+ */
+function getKnownHandles() {
+    if (!sharedKnownHandles) {
+        sharedKnownHandles = new KnownHandles(require('../config').authorReputation.filePath);
+    }
+    return sharedKnownHandles;
+}
+
+module.exports = {
+    AuthorReputation,
+    KnownHandles,
+    getKnownHandles
+};
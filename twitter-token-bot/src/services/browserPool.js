@@ -0,0 +1,450 @@
+// src/services/browserPool.js - One shared headless Chromium for every scraper, with bounded and reused pages
+const fs = require('fs');
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const logger = require('../utils/logger');
+const Semaphore = require('../utils/semaphore');
+
+puppeteer.use(StealthPlugin());
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-background-timer-throttling',
+    '--disable-renderer-backgrounding',
+    '--no-first-run',
+    '--disable-gpu',
+    '--disable-extensions',
+    '--disable-default-apps',
+    '--disable-sync',
+    '--disable-translate',
+    '--hide-scrollbars',
+    '--mute-audio',
+    '--no-default-browser-check'
+];
+
+// Hosts that share one rate limit
+const DOMAIN_ALIASES = {
+    'twitter.com': 'x.com'
+};
+
+/**
+ * Every Puppeteer user borrows pages from here instead of launching its own
+ * browser:
+ *
+ *   withPage(url, fn) → per-domain cap → global page cap → idle page of the same profile, or a new one
+ *
+ * Pages are handed back after use and reused up to `maxPageUses` times by
+ * callers with the same `profile` (pages keep whatever `configure` set up -
+ * headers, request interception). A browser that dies is relaunched on the
+ * next request; more than `maxRestarts` crashes within `restartWindow` puts
+ * the pool in a cooldown where requests fail fast. The browser is also
+ * recycled - drained and relaunched - after `recycleAfterPages` tasks or once
+ * its process tree uses more than `maxMemoryMb`.
+ */
+class BrowserPool {
+    constructor(config = {}) {
+        this.config = {
+            maxPages: 4,
+            maxPagesPerDomain: 2,
+            domainLimits: {},
+            maxPageUses: 20,
+            recycleAfterPages: 500,
+            maxMemoryMb: 1024,
+            memoryCheckInterval: 60 * 1000,
+            maxRestarts: 5,
+            restartWindow: 10 * 60 * 1000,
+            cooldown: 5 * 60 * 1000,
+            launchTimeout: 60000,
+            ...config
+        };
+
+        this.browser = null;
+        this.launching = null;
+        this.closing = false;
+
+        this.slots = new Semaphore(this.config.maxPages);
+        this.domainSlots = new Map(); // domain → Semaphore
+        this.idlePages = new Map();   // profile → [{ page, uses, browser }]
+        this.activePages = 0;
+        this.tasksSinceLaunch = 0;
+
+        this.crashes = [];            // timestamps within restartWindow
+        this.unavailableUntil = 0;
+        this.recycleReason = null;
+        this.recycled = null;         // resolves once a requested recycle has finished
+        this.finishRecycle = null;
+        this.recycling = null;
+        this.memoryTimer = null;
+        this.lastMemoryMb = null;
+
+        this.stats = {
+            tasks: 0,
+            failures: 0,
+            pagesOpened: 0,
+            pagesReused: 0,
+            launches: 0,
+            crashes: 0,
+            recycles: 0,
+            memoryRecycles: 0,
+            rejectedUnavailable: 0
+        };
+    }
+
+    /**
+     * Run fn with a page, within the global and per-domain page limits
+     * @param {string} url - Where the page will go; only its domain is used, for the per-domain cap
+     * @param {Function} fn - async (page) => result; the page is reused afterwards, so don't close it
+     * @param {Object} options - { profile, configure } pages are only reused within a profile;
+     *                           configure(page) runs once when a page is created
+     * @returns {Promise<*>} fn's result
+     * @throws {Error} fn's errors, and code 'BROWSER_UNAVAILABLE' while the pool is cooling down
+     */
+    async withPage(url, fn, { profile = 'default', configure = null } = {}) {
+        const releaseDomain = await this.domainSemaphore(domainOf(url)).acquire();
+        const releaseSlot = await this.slots.acquire();
+
+        try {
+            const lease = await this.leasePage(profile, configure);
+            let healthy = false;
+
+            try {
+                this.stats.tasks++;
+                const result = await fn(lease.page);
+                healthy = true;
+                return result;
+            } catch (error) {
+                this.stats.failures++;
+                throw error;
+            } finally {
+                await this.returnPage(profile, lease, healthy);
+            }
+
+        } finally {
+            releaseSlot();
+            releaseDomain();
+        }
+    }
+
+    domainSemaphore(domain) {
+        if (!this.domainSlots.has(domain)) {
+            const limit = this.config.domainLimits[domain] || this.config.maxPagesPerDomain;
+            this.domainSlots.set(domain, new Semaphore(limit));
+        }
+        return this.domainSlots.get(domain);
+    }
+
+    async leasePage(profile, configure) {
+        const browser = await this.getBrowser();
+        const idle = this.idlePages.get(profile) || [];
+
+        while (idle.length > 0) {
+            const lease = idle.pop();
+            if (lease.browser === browser && !lease.page.isClosed()) {
+                this.activePages++;
+                this.stats.pagesReused++;
+                return lease;
+            }
+        }
+
+        // Counted before the await so a recycle can't start under a page being created
+        this.activePages++;
+        try {
+            const page = await browser.newPage();
+            if (configure) {
+                await configure(page);
+            }
+            this.stats.pagesOpened++;
+            return { page, uses: 0, browser };
+        } catch (error) {
+            this.activePages--;
+            this.maybeFinishRecycle();
+            throw error;
+        }
+    }
+
+    async returnPage(profile, lease, healthy) {
+        lease.uses++;
+        this.tasksSinceLaunch++;
+
+        const idle = this.idlePages.get(profile) || [];
+        const reusable = healthy &&
+            !this.recycleReason &&
+            lease.browser === this.browser &&
+            !lease.page.isClosed() &&
+            lease.uses < this.config.maxPageUses &&
+            idle.length < this.config.maxPages;
+
+        let kept = false;
+        if (reusable) {
+            try {
+                // Unload the last site so it stops running scripts while idle
+                await lease.page.goto('about:blank');
+                idle.push(lease);
+                this.idlePages.set(profile, idle);
+                kept = true;
+            } catch (error) {
+                logger.debug(`Browser page reset failed: ${error.message}`);
+            }
+        }
+
+        if (!kept) {
+            await lease.page.close().catch(() => {});
+        }
+
+        this.activePages--;
+
+        if (this.tasksSinceLaunch >= this.config.recycleAfterPages) {
+            this.requestRecycle(`${this.tasksSinceLaunch} pages served`);
+        }
+        this.maybeFinishRecycle();
+    }
+
+    async getBrowser() {
+        if (this.recycleReason) {
+            await this.recycled;
+        }
+
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+
+        if (Date.now() < this.unavailableUntil) {
+            this.stats.rejectedUnavailable++;
+            const error = new Error(`Browser unavailable after repeated crashes (retrying in ${Math.ceil((this.unavailableUntil - Date.now()) / 1000)}s)`);
+            error.code = 'BROWSER_UNAVAILABLE';
+            throw error;
+        }
+
+        if (!this.launching) {
+            this.launching = this.launch().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    async launch() {
+        logger.info('🚀 Launching shared browser...');
+
+        const browser = await puppeteer.launch({
+            headless: true,
+            args: LAUNCH_ARGS,
+            timeout: this.config.launchTimeout,
+            defaultViewport: { width: 1024, height: 768 }
+        });
+
+        browser.on('disconnected', () => this.onDisconnected(browser));
+
+        this.browser = browser;
+        this.tasksSinceLaunch = 0;
+        this.stats.launches++;
+
+        if (!this.memoryTimer && this.config.maxMemoryMb > 0) {
+            this.memoryTimer = setInterval(() => this.checkMemory(), this.config.memoryCheckInterval);
+            this.memoryTimer.unref();
+        }
+
+        logger.info('✅ Shared browser ready');
+        return browser;
+    }
+
+    onDisconnected(browser) {
+        if (this.browser !== browser) {
+            return;
+        }
+
+        this.browser = null;
+        this.idlePages.clear();
+
+        if (this.closing) {
+            return;
+        }
+
+        // Not closed by us - count it as a crash; in-flight pages fail and their callers retry
+        this.stats.crashes++;
+        const now = Date.now();
+        this.crashes = this.crashes.filter(at => at > now - this.config.restartWindow);
+        this.crashes.push(now);
+
+        if (this.crashes.length > this.config.maxRestarts) {
+            this.unavailableUntil = now + this.config.cooldown;
+            this.crashes = [];
+            logger.error(`🔥 Browser crashed ${this.config.maxRestarts + 1} times in ${Math.ceil(this.config.restartWindow / 60000)}min - pausing browser work for ${Math.ceil(this.config.cooldown / 60000)}min`);
+        } else {
+            logger.warn('🔥 Browser disconnected unexpectedly - relaunching on next use');
+        }
+    }
+
+    /**
+     * Relaunch once the pages in use are handed back; new requests wait for the new browser
+     */
+    requestRecycle(reason) {
+        if (!this.browser || this.recycleReason) {
+            return;
+        }
+
+        this.recycleReason = reason;
+        this.recycled = new Promise(resolve => {
+            this.finishRecycle = resolve;
+        });
+        logger.info(`♻️ Recycling browser (${reason})`);
+        this.maybeFinishRecycle();
+    }
+
+    maybeFinishRecycle() {
+        if (!this.recycleReason || this.activePages > 0 || this.recycling) {
+            return;
+        }
+
+        this.recycling = this.closeBrowser().finally(() => {
+            this.stats.recycles++;
+            this.recycleReason = null;
+            this.recycling = null;
+            this.finishRecycle();
+        });
+    }
+
+    checkMemory() {
+        if (!this.browser) {
+            return;
+        }
+
+        this.lastMemoryMb = this.measureMemoryMb();
+        if (this.lastMemoryMb !== null && this.lastMemoryMb > this.config.maxMemoryMb) {
+            this.stats.memoryRecycles++;
+            this.requestRecycle(`${this.lastMemoryMb}MB > ${this.config.maxMemoryMb}MB`);
+        }
+    }
+
+    /**
+     * Resident memory of the browser and its renderer processes
+     * @returns {number|null} MB, null where /proc isn't available
+     */
+    measureMemoryMb() {
+        const rootPid = this.browser?.process()?.pid;
+        if (!rootPid) {
+            return null;
+        }
+
+        try {
+            const children = new Map(); // ppid → pids
+            for (const entry of fs.readdirSync('/proc')) {
+                if (!/^\d+$/.test(entry)) continue;
+                try {
+                    const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+                    // The command name may contain spaces - fields restart after its closing paren
+                    const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+                    if (!children.has(ppid)) children.set(ppid, []);
+                    children.get(ppid).push(parseInt(entry));
+                } catch (error) {
+                    // Process exited while scanning
+                }
+            }
+
+            let pages = 0;
+            const queue = [rootPid];
+            while (queue.length > 0) {
+                const pid = queue.pop();
+                try {
+                    pages += parseInt(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1]) || 0;
+                } catch (error) {
+                    // Process exited while scanning
+                }
+                queue.push(...(children.get(pid) || []));
+            }
+
+            return Math.round(pages * 4096 / 1024 / 1024);
+
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async closeBrowser() {
+        const browser = this.browser;
+        if (!browser) {
+            return;
+        }
+
+        this.closing = true;
+        try {
+            await browser.close();
+        } catch (error) {
+            logger.debug(`Error closing browser: ${error.message}`);
+        } finally {
+            this.browser = null;
+            this.idlePages.clear();
+            this.closing = false;
+        }
+    }
+
+    /**
+     * Shut the browser down; the next withPage() launches a new one
+     */
+    async close() {
+        if (this.memoryTimer) {
+            clearInterval(this.memoryTimer);
+            this.memoryTimer = null;
+        }
+        await this.closeBrowser();
+    }
+
+    async healthCheck() {
+        try {
+            return Boolean(this.browser) && Boolean(await this.browser.version());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getStatus() {
+        const domains = {};
+        for (const [domain, semaphore] of this.domainSlots) {
+            domains[domain] = { inUse: semaphore.inUse, waiting: semaphore.pending };
+        }
+
+        return {
+            browserActive: Boolean(this.browser),
+            activePages: this.activePages,
+            idlePages: Array.from(this.idlePages.values()).reduce((sum, idle) => sum + idle.length, 0),
+            waiting: this.slots.pending,
+            maxPages: this.config.maxPages,
+            tasksSinceLaunch: this.tasksSinceLaunch,
+            memoryMb: this.lastMemoryMb,
+            recycling: this.recycleReason,
+            unavailableUntil: this.unavailableUntil > Date.now() ? new Date(this.unavailableUntil).toISOString() : null,
+            domains,
+            stats: this.stats
+        };
+    }
+}
+
+function domainOf(url) {
+    try {
+        const labels = new URL(url).hostname.toLowerCase().split('.');
+        const domain = labels.slice(-2).join('.');
+        return DOMAIN_ALIASES[domain] || domain;
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+let sharedPool = null;
+
+/**
+ * Process-wide pool shared by TwitterValidator, TwitterProfileValidator and PumpFunApi
+ */
+function getBrowserPool() {
+    if (!sharedPool) {
+        sharedPool = new BrowserPool(require('../config').browserPool);
+    }
+    return sharedPool;
+}
+
+module.exports = {
+    BrowserPool,
+    getBrowserPool
+};
@@ -0,0 +1,291 @@
+// src/services/dedupeStore.js - Bounded LRU with per-entry TTL, persisted to disk across restarts
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FILE_VERSION = 1;
+
+/**
+ * Keys map to their expiry time. Map insertion order doubles as LRU order:
+ * every hit re-inserts the key, so the first entry is always the least
+ * recently used one and is evicted first once maxEntries is reached.
+ *
+ * Writes are debounced to a temp file and renamed into place, so a crash
+ * mid-write never leaves a truncated store behind.
+ */
+class DedupeStore {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            filePath: config.filePath || path.join(process.cwd(), 'data', 'dedupe.json'),
+            maxEntries: config.maxEntries || 50000,
+            ttl: config.ttl || 48 * 60 * 60 * 1000,
+            flushInterval: config.flushInterval || 5000
+        };
+
+        this.entries = new Map();
+        this.dirty = false;
+        this.flushTimer = null;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            added: 0,
+            expired: 0,
+            evicted: 0,
+            loaded: 0,
+            flushes: 0,
+            flushErrors: 0
+        };
+
+        this.load();
+
+        this.flushOnExit = () => this.flushSync();
+        process.on('exit', this.flushOnExit);
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.config.filePath)) {
+                return;
+            }
+
+            const content = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+            const now = Date.now();
+
+            for (const [key, expiresAt] of content.entries || []) {
+                if (expiresAt > now) {
+                    this.entries.set(key, expiresAt);
+                }
+            }
+
+            this.evictOverflow();
+            this.stats.loaded = this.entries.size;
+            logger.info(`🗂️ Dedupe store loaded ${this.entries.size} entries from ${this.config.filePath}`);
+
+        } catch (error) {
+            // A corrupt store only costs us dedupe history - start empty rather than crash
+            logger.warn(`⚠️ Could not load dedupe store (${error.message}) - starting empty`);
+        }
+    }
+
+    has(key) {
+        const expiresAt = this.entries.get(key);
+
+        if (expiresAt === undefined) {
+            this.stats.misses++;
+            return false;
+        }
+
+        if (expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.stats.expired++;
+            this.stats.misses++;
+            this.markDirty();
+            return false;
+        }
+
+        // Touch for LRU
+        this.entries.delete(key);
+        this.entries.set(key, expiresAt);
+        this.stats.hits++;
+        return true;
+    }
+
+    add(key, ttl = this.config.ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, Date.now() + ttl);
+        this.stats.added++;
+        this.evictOverflow();
+        this.markDirty();
+    }
+
+    /**
+     * Check-and-add in one step
+     * @returns {boolean} true if the key was not present and is now claimed
+     */
+    claim(key, ttl = this.config.ttl) {
+        if (this.has(key)) {
+            return false;
+        }
+        this.add(key, ttl);
+        return true;
+    }
+
+    delete(key) {
+        const deleted = this.entries.delete(key);
+        if (deleted) {
+            this.markDirty();
+        }
+        return deleted;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Drop expired entries
+     * @returns {number} Number of entries removed
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [key, expiresAt] of this.entries) {
+            if (expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.stats.expired += removed;
+            this.markDirty();
+        }
+        return removed;
+    }
+
+    evictOverflow() {
+        while (this.entries.size > this.config.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evicted++;
+        }
+    }
+
+    /**
+     * Keys stored under `${name}:` - lets both monitors share one store
+     */
+    namespace(name, options = {}) {
+        return new DedupeNamespace(this, name, options.ttl);
+    }
+
+    markDirty() {
+        this.dirty = true;
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(() => {});
+            }, this.config.flushInterval);
+            this.flushTimer.unref();
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({
+            version: FILE_VERSION,
+            savedAt: Date.now(),
+            entries: Array.from(this.entries)
+        });
+    }
+
+    async flush() {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.dirty = false;
+        const tempPath = `${this.config.filePath}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, this.serialize());
+            await fs.promises.rename(tempPath, this.config.filePath);
+            this.stats.flushes++;
+        } catch (error) {
+            this.dirty = true;
+            this.stats.flushErrors++;
+            logger.warn(`⚠️ Dedupe store flush failed: ${error.message}`);
+        }
+    }
+
+    flushSync() {
+        if (!this.dirty) {
+            return;
+        }
+
+        try {
+            const tempPath = `${this.config.filePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, this.serialize());
+            fs.renameSync(tempPath, this.config.filePath);
+            this.dirty = false;
+            this.stats.flushes++;
+        } catch (error) {
+            this.stats.flushErrors++;
+        }
+    }
+
+    close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.flushSync();
+        process.removeListener('exit', this.flushOnExit);
+    }
+
+    getStatus() {
+        return {
+            entries: this.entries.size,
+            maxEntries: this.config.maxEntries,
+            ttl: this.config.ttl,
+            filePath: this.config.filePath,
+            stats: this.stats
+        };
+    }
+}
+
+class DedupeNamespace {
+    constructor(store, name, ttl) {
+        this.store = store;
+        this.prefix = `${name}:`;
+        this.ttl = ttl || store.config.ttl;
+    }
+
+    has(key) {
+        return this.store.has(this.prefix + key);
+    }
+
+    add(key, ttl = this.ttl) {
+        this.store.add(this.prefix + key, ttl);
+    }
+
+    claim(key, ttl = this.ttl) {
+        return this.store.claim(this.prefix + key, ttl);
+    }
+
+    delete(key) {
+        return this.store.delete(this.prefix + key);
+    }
+
+    prune() {
+        return this.store.prune();
+    }
+
+    get size() {
+        let count = 0;
+        for (const key of this.store.entries.keys()) {
+            if (key.startsWith(this.prefix)) count++;
+        }
+        return count;
+    }
+}
+
+let sharedStore = null;
+
+/**
+ * Process-wide store shared by the creation and migration monitors
+ */
+function getDedupeStore() {
+    if (!sharedStore) {
+        sharedStore = new DedupeStore(require('../config').dedupe);
+    }
+    return sharedStore;
+}
+
+module.exports = {
+    DedupeStore,
+    getDedupeStore
+};
@@ -0,0 +1,310 @@
+// src/services/durableQueue.js - Disk-backed work queue with leases, retries and dead-lettering
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Lifecycle of an item:
+ *   enqueue() → lease() → ack()            done, removed
+ *                       → nack()           retried after retryDelay, or dead-lettered
+ *                       → defer()          put back without counting an attempt
+ *                       → (no answer)      lease expires after visibilityTimeout, item is retried
+ *
+ * lease() hands out the highest-priority available items first; equal
+ * priorities keep enqueue order, so a queue nobody prioritizes stays FIFO.
+ *
+ * The whole queue is rewritten atomically (temp file + rename) on every change;
+ * queues here hold tens of items, so durability wins over write volume.
+ * Items that were leased when the process died are made available again on load.
+ */
+class DurableQueue {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            name: config.name || 'default',
+            directory: config.directory || path.join(process.cwd(), 'data', 'queues'),
+            visibilityTimeout: config.visibilityTimeout || 15 * 60 * 1000,
+            maxAttempts: config.maxAttempts || 3,
+            retryDelay: config.retryDelay || 30 * 1000
+        };
+
+        this.filePath = path.join(this.config.directory, `${this.config.name}.json`);
+        this.deadLetterPath = path.join(this.config.directory, `${this.config.name}.dead.jsonl`);
+        this.items = new Map(); // id → item, in enqueue order
+
+        this.stats = {
+            enqueued: 0,
+            acked: 0,
+            retried: 0,
+            deferred: 0,
+            leaseExpired: 0,
+            deadLettered: 0,
+            resumed: 0,
+            leased: 0,
+            totalWaitMs: 0,
+            writeErrors: 0
+        };
+
+        fs.mkdirSync(this.config.directory, { recursive: true });
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            for (const item of content.items || []) {
+                // Whoever held the lease is gone - make it available right away
+                item.leasedUntil = null;
+                item.resumed = true;
+                this.items.set(item.id, item);
+            }
+
+            this.stats.resumed = this.items.size;
+            if (this.items.size > 0) {
+                logger.info(`📥 Queue "${this.config.name}" resuming ${this.items.size} unfinished item(s)`);
+            }
+
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            logger.error(`❌ Queue "${this.config.name}" state unreadable (${error.message}) - moved to ${corruptPath}`);
+            try {
+                fs.renameSync(this.filePath, corruptPath);
+            } catch (renameError) {
+                // Nothing more we can do - start empty
+            }
+        }
+    }
+
+    persist() {
+        const tempPath = `${this.filePath}.tmp`;
+
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify({
+                name: this.config.name,
+                savedAt: Date.now(),
+                items: Array.from(this.items.values())
+            }));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.stats.writeErrors++;
+            logger.error(`❌ Queue "${this.config.name}" persist failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object} payload - JSON-serializable work item
+     * @param {Object} options - { delay, priority, label }
+     * @returns {string} Item id
+     */
+    enqueue(payload, options = {}) {
+        const now = Date.now();
+        const id = crypto.randomUUID();
+
+        this.items.set(id, {
+            id,
+            payload,
+            attempts: 0,
+            enqueuedAt: now,
+            availableAt: now + (options.delay || 0),
+            priority: options.priority || 0,
+            label: options.label || null, // Shown in status
+            leasedUntil: null,
+            lastError: null
+        });
+
+        this.stats.enqueued++;
+        this.persist();
+        return id;
+    }
+
+    /**
+     * Take up to `max` available items, highest priority first; each counts as one attempt
+     * @returns {Object[]} [{ id, payload, attempts, enqueuedAt, resumed, priority }]
+     */
+    lease(max = 1) {
+        const now = Date.now();
+        const leased = [];
+        let changed = false;
+
+        for (const item of this.getAvailable(now)) {
+            if (leased.length >= max) break;
+
+            if (item.leasedUntil) {
+                this.stats.leaseExpired++;
+                logger.warn(`⏰ Queue "${this.config.name}" lease expired for ${item.id} - retrying`);
+            }
+
+            if (item.attempts >= this.config.maxAttempts) {
+                this.moveToDeadLetter(item, item.lastError || 'lease expired on final attempt');
+                changed = true;
+                continue;
+            }
+
+            item.attempts++;
+            item.leasedUntil = now + this.config.visibilityTimeout;
+            this.stats.leased++;
+            this.stats.totalWaitMs += now - item.enqueuedAt;
+            leased.push({
+                id: item.id,
+                payload: item.payload,
+                attempts: item.attempts,
+                enqueuedAt: item.enqueuedAt,
+                priority: item.priority || 0,
+                resumed: !!item.resumed // Survived a restart
+            });
+            item.resumed = false;
+        }
+
+        if (leased.length > 0 || changed) {
+            this.persist();
+        }
+        return leased;
+    }
+
+    /**
+     * Items that can be leased right now, in lease order
+     */
+    getAvailable(now = Date.now()) {
+        return Array.from(this.items.values())
+            .filter(item => item.availableAt <= now && !(item.leasedUntil && item.leasedUntil > now))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0)); // Stable - ties stay in enqueue order
+    }
+
+    ack(id) {
+        if (this.items.delete(id)) {
+            this.stats.acked++;
+            this.persist();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Processing failed - retry later, or dead-letter once maxAttempts is used up
+     */
+    nack(id, options = {}) {
+        const item = this.items.get(id);
+        if (!item) {
+            return false;
+        }
+
+        item.lastError = options.error || item.lastError;
+
+        if (item.attempts >= this.config.maxAttempts) {
+            this.moveToDeadLetter(item, item.lastError || 'max attempts reached');
+        } else {
+            item.leasedUntil = null;
+            item.availableAt = Date.now() + (options.delay ?? this.config.retryDelay);
+            this.stats.retried++;
+        }
+
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Put an item back without spending an attempt (e.g. no capacity right now)
+     * @param {Object} payload - Optional replacement payload
+     */
+    defer(id, delay = this.config.retryDelay, payload = undefined) {
+        const item = this.items.get(id);
+        if (!item) {
+            return false;
+        }
+
+        item.attempts = Math.max(0, item.attempts - 1);
+        item.leasedUntil = null;
+        item.availableAt = Date.now() + delay;
+        if (payload !== undefined) {
+            item.payload = payload;
+        }
+
+        this.stats.deferred++;
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Record progress on a leased item so a restart resumes from there
+     * @param {Object} options - { priority, label }
+     */
+    update(id, payload, options = {}) {
+        const item = this.items.get(id);
+        if (!item) {
+            return false;
+        }
+
+        item.payload = payload;
+        if (options.priority !== undefined) item.priority = options.priority;
+        if (options.label !== undefined) item.label = options.label;
+        this.persist();
+        return true;
+    }
+
+    moveToDeadLetter(item, reason) {
+        this.items.delete(item.id);
+        this.stats.deadLettered++;
+
+        logger.error(`☠️ Queue "${this.config.name}" dead-lettered ${item.id} after ${item.attempts} attempt(s): ${reason}`);
+
+        try {
+            fs.appendFileSync(this.deadLetterPath, JSON.stringify({ ...item, deadLetteredAt: Date.now(), reason }) + '\n');
+        } catch (error) {
+            this.stats.writeErrors++;
+            logger.error(`❌ Queue "${this.config.name}" dead-letter write failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Items waiting or in flight
+     */
+    get length() {
+        return this.items.size;
+    }
+
+    /**
+     * @param {Object} options - { maxWaiting } how many queued items to list
+     */
+    getStatus(options = {}) {
+        const now = Date.now();
+        let delayed = 0;
+        let inFlight = 0;
+
+        for (const item of this.items.values()) {
+            if (item.leasedUntil && item.leasedUntil > now) inFlight++;
+            else if (item.availableAt > now) delayed++;
+        }
+
+        const available = this.getAvailable(now);
+        const waiting = available.slice(0, options.maxWaiting ?? 10).map((item, index) => ({
+            position: index + 1,
+            id: item.id,
+            label: item.label || null,
+            priority: item.priority || 0,
+            waitMs: now - item.enqueuedAt,
+            attempts: item.attempts
+        }));
+
+        return {
+            name: this.config.name,
+            length: this.items.size,
+            ready: available.length,
+            delayed,
+            inFlight,
+            waiting,
+            oldestWaitMs: available.length > 0 ? Math.max(...available.map(item => now - item.enqueuedAt)) : 0,
+            averageWaitMs: this.stats.leased > 0 ? Math.round(this.stats.totalWaitMs / this.stats.leased) : 0,
+            maxAttempts: this.config.maxAttempts,
+            visibilityTimeout: this.config.visibilityTimeout,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = DurableQueue;
@@ -0,0 +1,268 @@
+// src/services/engagementRechecker.js - Re-polls tweets of tokens that just missed the likes threshold
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { isTweetUnavailable } = require('../validators/tweetMetrics');
+
+/**
+ * A token whose tweet is below minTwitterLikes, but within nearMissRatio of it,
+ * is put on a watch list instead of being dropped. Its tweet is polled again
+ * after each delay in `schedule` (measured from when it first missed); as soon
+ * as it crosses the threshold 'qualified' is emitted with the payload it was
+ * watched with, so the owning monitor can queue it for analysis again.
+ * Tokens still short after the last check are dropped ('expired').
+ *
+ * With a filePath the watch list is written to disk on every change (temp file
+ * + rename, like DurableQueue) and reloaded on start. The monitor has already
+ * claimed these mints in the dedupe store, so a watch list lost on restart
+ * would never see them again.
+ */
+class EngagementRechecker extends EventEmitter {
+    /**
+     * @param {Object} config - { enabled, name, schedule, nearMissRatio, maxWatched, checkInterval, filePath }
+     * @param {Function} checkLikes - async (twitterUrl) => quickMetrics | null
+     */
+    constructor(config = {}, checkLikes) {
+        super();
+        this.config = {
+            ...config,
+            enabled: config.enabled !== false,
+            name: config.name || 'default',
+            schedule: config.schedule || [60 * 1000, 3 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000],
+            nearMissRatio: config.nearMissRatio ?? 0.2,
+            maxWatched: config.maxWatched || 500,
+            checkInterval: config.checkInterval || 15 * 1000,
+            filePath: config.filePath || null // Memory only without one
+        };
+
+        this.checkLikes = checkLikes;
+        this.watched = new Map(); // key → entry
+        this.isChecking = false;
+        this.timer = null;
+        this.stopped = false;
+
+        this.stats = {
+            watched: 0,
+            checks: 0,
+            checkFailures: 0,
+            qualified: 0,
+            expired: 0,
+            unavailable: 0,
+            rejectedFull: 0,
+            resumed: 0,
+            writeErrors: 0
+        };
+
+        this.load();
+    }
+
+    load() {
+        if (!this.config.filePath || !fs.existsSync(this.config.filePath)) {
+            return;
+        }
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+
+            for (const entry of content.entries || []) {
+                this.watched.set(entry.key, entry);
+            }
+
+            this.stats.resumed = this.watched.size;
+            if (this.watched.size > 0) {
+                // Checks that fell due while we were down run on the first pass
+                logger.info(`⏳ [${this.config.name}] Resuming re-checks for ${this.watched.size} token(s)`);
+                this.start();
+            }
+
+        } catch (error) {
+            logger.warn(`⚠️ [${this.config.name}] Could not load re-check list (${error.message}) - starting empty`);
+        }
+    }
+
+    persist() {
+        // A pass still running after stop() would otherwise overwrite the list with the cleared map
+        if (!this.config.filePath || this.stopped) {
+            return;
+        }
+
+        const tempPath = `${this.config.filePath}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify({
+                name: this.config.name,
+                savedAt: Date.now(),
+                entries: Array.from(this.watched.values())
+            }));
+            fs.renameSync(tempPath, this.config.filePath);
+        } catch (error) {
+            this.stats.writeErrors++;
+            logger.error(`❌ [${this.config.name}] Re-check list persist failed: ${error.message}`);
+        }
+    }
+
+    start() {
+        this.stopped = false;
+        if (!this.timer) {
+            this.timer = setInterval(() => this.runDueChecks(), this.config.checkInterval);
+        }
+    }
+
+    /**
+     * Is this like count close enough to the threshold to be worth re-checking?
+     */
+    isNearMiss(likes, threshold) {
+        return likes > 0 && likes < threshold && likes >= threshold * this.config.nearMissRatio;
+    }
+
+    /**
+     * @param {string} key - Usually the mint
+     * @param {Object} params - { twitterUrl, likes, threshold, symbol, payload }
+     * @returns {boolean} true if the token is now being watched
+     */
+    watch(key, { twitterUrl, likes, threshold, symbol, payload }) {
+        if (!this.config.enabled || !this.isNearMiss(likes, threshold) || this.watched.has(key)) {
+            return false;
+        }
+
+        if (this.watched.size >= this.config.maxWatched) {
+            this.stats.rejectedFull++;
+            logger.debug(`⏳ [${this.config.name}] Re-check list full, not watching ${symbol || key}`);
+            return false;
+        }
+
+        const now = Date.now();
+        this.watched.set(key, {
+            key,
+            symbol,
+            twitterUrl,
+            threshold,
+            payload,
+            initialLikes: likes,
+            lastLikes: likes,
+            firstSeenAt: now,
+            nextCheckAt: now + this.config.schedule[0],
+            checks: 0
+        });
+
+        this.stats.watched++;
+        this.persist();
+        logger.info(`⏳ [${this.config.name}] ${symbol || key} near miss (${likes}/${threshold} likes) - re-checking in ${Math.round(this.config.schedule[0] / 1000)}s`);
+        this.start();
+        return true;
+    }
+
+    unwatch(key) {
+        const removed = this.watched.delete(key);
+        if (removed) {
+            this.persist();
+        }
+        return removed;
+    }
+
+    async runDueChecks() {
+        if (this.isChecking || this.watched.size === 0) {
+            return;
+        }
+
+        this.isChecking = true;
+
+        try {
+            const now = Date.now();
+            const due = Array.from(this.watched.values()).filter(entry => entry.nextCheckAt <= now);
+
+            // Sequential - these share the same scraper/API budget as the live pipeline
+            for (const entry of due) {
+                await this.recheck(entry);
+            }
+
+            if (due.length > 0) {
+                this.persist();
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async recheck(entry) {
+        entry.checks++;
+        this.stats.checks++;
+
+        let quickMetrics = null;
+        try {
+            quickMetrics = await this.checkLikes(entry.twitterUrl);
+        } catch (error) {
+            logger.debug(`[${this.config.name}] Re-check failed for ${entry.symbol || entry.key}: ${error.message}`);
+        }
+
+        // Deleted or hidden since the first look - it won't gain any more likes
+        if (isTweetUnavailable(quickMetrics)) {
+            this.watched.delete(entry.key);
+            this.stats.unavailable++;
+            logger.info(`🗑️ [${this.config.name}] ${entry.symbol || entry.key} tweet is ${quickMetrics.availability} - no longer re-checking`);
+            return;
+        }
+
+        if (!quickMetrics || !quickMetrics.likes) {
+            this.stats.checkFailures++;
+        } else {
+            entry.lastLikes = quickMetrics.likes;
+
+            if (quickMetrics.likes >= entry.threshold) {
+                this.watched.delete(entry.key);
+                this.stats.qualified++;
+                // Before handing it on, so a restart can't hand it on twice
+                this.persist();
+
+                const lateQualification = {
+                    initialLikes: entry.initialLikes,
+                    likes: quickMetrics.likes,
+                    checks: entry.checks,
+                    delay: Date.now() - entry.firstSeenAt
+                };
+
+                logger.info(`📈 [${this.config.name}] ${entry.symbol || entry.key} qualified late: ${entry.initialLikes} → ${quickMetrics.likes} likes after ${Math.round(lateQualification.delay / 60000)}min`);
+                this.emit('qualified', { key: entry.key, payload: entry.payload, quickMetrics, lateQualification });
+                return;
+            }
+        }
+
+        const nextDelay = this.config.schedule[entry.checks];
+        if (nextDelay === undefined) {
+            this.watched.delete(entry.key);
+            this.stats.expired++;
+            logger.debug(`[${this.config.name}] ${entry.symbol || entry.key} never qualified (${entry.lastLikes}/${entry.threshold} likes) - dropped`);
+            this.emit('expired', { key: entry.key, lastLikes: entry.lastLikes });
+            return;
+        }
+
+        entry.nextCheckAt = entry.firstSeenAt + nextDelay;
+    }
+
+    /**
+     * Stop polling. The persisted list is kept for the next start.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.stopped = true;
+        this.watched.clear();
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            watching: this.watched.size,
+            maxWatched: this.config.maxWatched,
+            schedule: this.config.schedule,
+            nearMissRatio: this.config.nearMissRatio,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = EngagementRechecker;
@@ -0,0 +1,120 @@
+// src/services/eventRecorder.js - Records raw inbound WebSocket messages to rotating JSONL files
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+class EventRecorder {
+    constructor(config = {}) {
+        this.config = {
+            directory: config.directory || path.join(process.cwd(), 'recordings'),
+            source: config.source || 'pumpportal',
+            maxFileSize: config.maxFileSize || 50 * 1024 * 1024, // 50MB
+            ...config
+        };
+
+        this.stream = null;
+        this.currentFile = null;
+        this.currentDate = null;
+        this.currentSize = 0;
+        this.fileIndex = 0;
+
+        this.stats = {
+            recorded: 0,
+            bytesWritten: 0,
+            filesCreated: 0,
+            errors: 0
+        };
+
+        fs.mkdirSync(this.config.directory, { recursive: true });
+        logger.info(`🎙️ EventRecorder writing ${this.config.source} messages to ${this.config.directory}`);
+    }
+
+    /**
+     * Append one raw message, as received, with its receive timestamp
+     */
+    record(rawMessage, receivedAt = Date.now()) {
+        try {
+            const data = typeof rawMessage === 'string' ? rawMessage : rawMessage.toString();
+            const line = JSON.stringify({ receivedAt, source: this.config.source, data }) + '\n';
+
+            this.ensureStream(receivedAt, Buffer.byteLength(line));
+            this.stream.write(line);
+
+            this.currentSize += Buffer.byteLength(line);
+            this.stats.recorded++;
+            this.stats.bytesWritten += Buffer.byteLength(line);
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`EventRecorder write failed: ${error.message}`);
+        }
+    }
+
+    ensureStream(receivedAt, nextLineSize) {
+        const date = new Date(receivedAt).toISOString().slice(0, 10);
+
+        if (this.stream && date !== this.currentDate) {
+            this.fileIndex = 0;
+            this.closeStream();
+        } else if (this.stream && this.currentSize + nextLineSize > this.config.maxFileSize) {
+            this.fileIndex++;
+            this.closeStream();
+        }
+
+        if (this.stream) {
+            return;
+        }
+
+        this.currentDate = date;
+        this.currentFile = this.nextAvailableFile(date);
+        this.currentSize = fs.existsSync(this.currentFile) ? fs.statSync(this.currentFile).size : 0;
+        this.stream = fs.createWriteStream(this.currentFile, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            this.stats.errors++;
+            logger.error(`EventRecorder stream error: ${error.message}`);
+        });
+
+        this.stats.filesCreated++;
+        logger.info(`🎙️ Recording to ${path.basename(this.currentFile)}`);
+    }
+
+    nextAvailableFile(date) {
+        // Skip past files that are already full (e.g. after a restart)
+        for (;;) {
+            const file = path.join(this.config.directory, `${this.config.source}_${date}_${this.fileIndex}.jsonl`);
+            if (!fs.existsSync(file) || fs.statSync(file).size < this.config.maxFileSize) {
+                return file;
+            }
+            this.fileIndex++;
+        }
+    }
+
+    closeStream() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            directory: this.config.directory,
+            currentFile: this.currentFile ? path.basename(this.currentFile) : null,
+            currentSize: this.currentSize,
+            stats: this.stats
+        };
+    }
+
+    async close() {
+        if (!this.stream) {
+            return;
+        }
+
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise(resolve => stream.end(resolve));
+        logger.info(`🎙️ EventRecorder closed (${this.stats.recorded} messages recorded)`);
+    }
+}
+
+module.exports = EventRecorder;
@@ -0,0 +1,155 @@
+// src/services/eventReplayer.js - Feeds recorded JSONL messages back through a WebSocketManager
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+class EventReplayer extends EventEmitter {
+    constructor(target, config = {}) {
+        super();
+
+        if (!target || typeof target.handleRawMessage !== 'function') {
+            throw new Error('EventReplayer target must implement handleRawMessage()');
+        }
+
+        this.target = target;
+        this.config = {
+            path: config.path || path.join(process.cwd(), 'recordings'),
+            speed: config.speed !== undefined ? config.speed : 1, // 1 = real time, 0 = as fast as possible
+            maxGapMs: config.maxGapMs || 60000, // Cap idle gaps so a quiet hour doesn't stall the replay
+            ...config
+        };
+
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.stats = {
+            files: 0,
+            replayed: 0,
+            skipped: 0,
+            errors: 0,
+            firstReceivedAt: null,
+            lastReceivedAt: null
+        };
+    }
+
+    /**
+     * List recording files in replay order
+     */
+    resolveFiles() {
+        const target = this.config.path;
+        if (!fs.existsSync(target)) {
+            throw new Error(`Recording path not found: ${target}`);
+        }
+
+        if (fs.statSync(target).isFile()) {
+            return [target];
+        }
+
+        return fs.readdirSync(target)
+            .filter(file => file.endsWith('.jsonl'))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(file => path.join(target, file));
+    }
+
+    async start() {
+        if (this.isRunning) {
+            logger.warn('EventReplayer already running');
+            return this.stats;
+        }
+
+        const files = this.resolveFiles();
+        this.isRunning = true;
+        this.stopRequested = false;
+
+        const speedLabel = this.config.speed > 0 ? `${this.config.speed}x` : 'max speed';
+        logger.info(`▶️ Replaying ${files.length} recording file(s) at ${speedLabel}`);
+
+        try {
+            let previousReceivedAt = null;
+
+            for (const file of files) {
+                if (this.stopRequested) break;
+
+                this.stats.files++;
+                logger.info(`▶️ Replaying ${path.basename(file)}`);
+                previousReceivedAt = await this.replayFile(file, previousReceivedAt);
+            }
+        } finally {
+            this.isRunning = false;
+        }
+
+        logger.info(`⏹️ Replay finished: ${this.stats.replayed} replayed, ${this.stats.skipped} skipped, ${this.stats.errors} errors`);
+        this.emit('end', this.stats);
+        return this.stats;
+    }
+
+    async replayFile(file, previousReceivedAt) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(file, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (this.stopRequested) {
+                lines.close();
+                break;
+            }
+
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                this.stats.skipped++;
+                continue;
+            }
+
+            if (!record || typeof record.data !== 'string') {
+                this.stats.skipped++;
+                continue;
+            }
+
+            if (previousReceivedAt !== null && this.config.speed > 0) {
+                const gap = Math.min(Math.max(record.receivedAt - previousReceivedAt, 0), this.config.maxGapMs);
+                const delay = gap / this.config.speed;
+                if (delay >= 1) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+            previousReceivedAt = record.receivedAt;
+
+            try {
+                this.target.handleRawMessage(record.data, { replay: true, receivedAt: record.receivedAt });
+                this.stats.replayed++;
+                this.stats.firstReceivedAt = this.stats.firstReceivedAt || record.receivedAt;
+                this.stats.lastReceivedAt = record.receivedAt;
+
+                if (this.stats.replayed % 1000 === 0) {
+                    this.emit('progress', this.stats);
+                }
+            } catch (error) {
+                this.stats.errors++;
+                logger.debug(`Replay dispatch failed: ${error.message}`);
+            }
+        }
+
+        return previousReceivedAt;
+    }
+
+    stop() {
+        this.stopRequested = true;
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            path: this.config.path,
+            speed: this.config.speed,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = EventReplayer;
@@ -45,6 +45,25 @@ class JsonLogger {
                 tweetLink: twitterMetrics?.link || '',
                 likes: twitterMetrics?.likes || 0,
                 views: twitterMetrics?.views || 0,
+                retweets: twitterMetrics?.retweets ?? null,
+                replies: twitterMetrics?.replies ?? null,
+                quotes: twitterMetrics?.quotes ?? null,
+                likesPerMinute: twitterMetrics?.velocity?.likesPerMinute ?? null,
+                likesAcceleration: twitterMetrics?.velocity?.acceleration ?? null,
+                likesSource: twitterMetrics?.sources?.likes || null,
+                viewsSource: twitterMetrics?.sources?.views || null,
+                author: twitterMetrics?.author?.handle || null,
+                authorFollowers: twitterMetrics?.author?.followers ?? null,
+                authorVerified: twitterMetrics?.author?.verified || false,
+                authorBlueVerified: twitterMetrics?.author?.blueVerified || false,
+                authorReputation: twitterMetrics?.authorReputation?.score ?? null,
+                authorCategory: twitterMetrics?.authorReputation?.category || null,
+                isReply: twitterMetrics?.isReply || false,
+                isQuote: twitterMetrics?.isQuote || false,
+                hasMedia: twitterMetrics?.hasMedia || false,
+                tweetText: twitterMetrics?.text || null,
+                tweetRelevance: twitterMetrics?.relevance?.score ?? null,
+                tweetRelevanceSignals: twitterMetrics?.relevance?.signals?.map(signal => signal.id) || [],
                 
                 // 🚀 NEW: Enhanced analysis metrics
                 analysis: this.extractAnalysisMetrics(analyses)
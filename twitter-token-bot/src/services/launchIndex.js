@@ -0,0 +1,275 @@
+// src/services/launchIndex.js - Rolling index of recent launches for spotting name/ticker clones
+const logger = require('../utils/logger');
+const { normalizeTokenText, containsConfusables, levenshtein, similarity } = require('../utils/textNormalization');
+
+/**
+ * mint → { mint, symbol, name, symbolKey, nameKey, createdAt, marketCapSol, migrated, published }
+ *
+ * Every launch from the live feed is recorded under its folded ticker (see
+ * normalizeTokenText) and folded name. Tickers are also indexed under each
+ * single-character deletion, so a lookup finds tickers one edit away without
+ * scanning the whole window. Only launches seen since start-up are known -
+ * the index lives in memory and covers the last `window`.
+ *
+ * A token is a clone when an earlier or more successful launch has the same
+ * (or one edit away) ticker and a similar name, or exactly the same name.
+ */
+class LaunchIndex {
+    constructor(config = {}) {
+        this.config = {
+            window: 24 * 60 * 60 * 1000,
+            maxEntries: 50000,
+            nameSimilarity: 0.85,
+            minFuzzySymbolLength: 4,
+            minNameMatchLength: 5,
+            ...config
+        };
+
+        this.launches = new Map();
+        this.bySymbol = new Map(); // folded ticker or one of its deletions → Set(mint)
+        this.byName = new Map(); // folded name → Set(mint)
+
+        this.stats = {
+            recorded: 0,
+            checks: 0,
+            clones: 0,
+            expired: 0,
+            evicted: 0
+        };
+    }
+
+    /**
+     * @param {Object} tokenEvent - Normalized newToken event
+     */
+    record(tokenEvent) {
+        if (!tokenEvent?.mint || this.launches.has(tokenEvent.mint)) {
+            return;
+        }
+
+        const launch = {
+            mint: tokenEvent.mint,
+            symbol: tokenEvent.symbol || null,
+            name: tokenEvent.name || null,
+            symbolKey: normalizeTokenText(tokenEvent.symbol),
+            nameKey: normalizeTokenText(tokenEvent.name),
+            createdAt: tokenEvent.timestamp || Date.now(),
+            marketCapSol: tokenEvent.marketCapSol || 0,
+            migrated: false,
+            published: false
+        };
+
+        this.launches.set(launch.mint, launch);
+        for (const key of symbolKeys(launch.symbolKey)) {
+            addToBucket(this.bySymbol, key, launch.mint);
+        }
+        if (launch.nameKey) {
+            addToBucket(this.byName, launch.nameKey, launch.mint);
+        }
+        this.stats.recorded++;
+
+        while (this.launches.size > this.config.maxEntries) {
+            this.forget(this.launches.keys().next().value);
+            this.stats.evicted++;
+        }
+    }
+
+    noteMarketCap(mint, marketCapSol) {
+        const launch = this.launches.get(mint);
+        if (launch && marketCapSol > launch.marketCapSol) {
+            launch.marketCapSol = marketCapSol;
+        }
+    }
+
+    markMigrated(mint) {
+        const launch = this.launches.get(mint);
+        if (launch) launch.migrated = true;
+    }
+
+    markPublished(mint) {
+        const launch = this.launches.get(mint);
+        if (launch) launch.published = true;
+    }
+
+    /**
+     * Find the launch a token most likely copies
+     * @param {Object} tokenInfo - { address | mint, symbol, name }
+     * @returns {Object} { isClone, confidence, matchedOn, homoglyphs, matches, original } -
+     *          original is { mint, symbol, name, createdAt, marketCapSol, migrated, published } or null
+     */
+    findOriginal(tokenInfo) {
+        this.stats.checks++;
+
+        const mint = tokenInfo.address || tokenInfo.mint;
+        const self = this.launches.get(mint);
+        const createdAt = self?.createdAt || Date.now();
+        const symbolKey = self?.symbolKey ?? normalizeTokenText(tokenInfo.symbol);
+        const nameKey = self?.nameKey ?? normalizeTokenText(tokenInfo.name);
+        const homoglyphs = containsConfusables(tokenInfo.symbol) || containsConfusables(tokenInfo.name);
+        const ownScore = self ? successScore(self) : 0;
+
+        const candidates = new Set();
+        for (const key of symbolKeys(symbolKey)) {
+            this.bySymbol.get(key)?.forEach(candidate => candidates.add(candidate));
+        }
+        this.byName.get(nameKey)?.forEach(candidate => candidates.add(candidate));
+
+        const matches = [];
+        for (const candidateMint of candidates) {
+            const candidate = this.launches.get(candidateMint);
+            if (!candidate || candidateMint === mint || this.isExpired(candidate)) {
+                continue;
+            }
+
+            // A later, less successful launch would be the clone of this one, not the other way round
+            if (candidate.createdAt >= createdAt && successScore(candidate) <= ownScore) {
+                continue;
+            }
+
+            const matchedOn = this.compare(symbolKey, nameKey, candidate);
+            if (matchedOn) {
+                matches.push({ candidate, matchedOn });
+            }
+        }
+
+        if (matches.length === 0) {
+            return { isClone: false, confidence: null, matchedOn: [], homoglyphs, matches: 0, original: null };
+        }
+
+        matches.sort((a, b) => successScore(b.candidate) - successScore(a.candidate) ||
+            a.candidate.createdAt - b.candidate.createdAt);
+        const { candidate, matchedOn } = matches[0];
+        const exact = matchedOn.includes('symbol') && matchedOn.includes('name');
+
+        this.stats.clones++;
+        return {
+            isClone: true,
+            confidence: exact || homoglyphs ? 'high' : 'medium',
+            matchedOn,
+            homoglyphs,
+            matches: matches.length,
+            original: {
+                mint: candidate.mint,
+                symbol: candidate.symbol,
+                name: candidate.name,
+                createdAt: candidate.createdAt,
+                marketCapSol: candidate.marketCapSol,
+                migrated: candidate.migrated,
+                published: candidate.published
+            }
+        };
+    }
+
+    /**
+     * @returns {string[]|null} What matched - 'symbol'/'name' exact, 'similarSymbol'/'similarName' fuzzy
+     */
+    compare(symbolKey, nameKey, candidate) {
+        const symbolExact = symbolKey !== '' && symbolKey === candidate.symbolKey;
+        const symbolClose = !symbolExact &&
+            Math.min(symbolKey.length, candidate.symbolKey.length) >= this.config.minFuzzySymbolLength &&
+            levenshtein(symbolKey, candidate.symbolKey, 1) <= 1;
+        const nameExact = nameKey.length >= this.config.minNameMatchLength && nameKey === candidate.nameKey;
+        const nameClose = !nameExact && nameKey !== '' && candidate.nameKey !== '' &&
+            similarity(nameKey, candidate.nameKey) >= this.config.nameSimilarity;
+
+        if (!nameExact && !((symbolExact || symbolClose) && nameClose)) {
+            return null;
+        }
+
+        return [
+            symbolExact && 'symbol',
+            symbolClose && 'similarSymbol',
+            nameExact && 'name',
+            nameClose && 'similarName'
+        ].filter(Boolean);
+    }
+
+    isExpired(launch) {
+        return launch.createdAt <= Date.now() - this.config.window;
+    }
+
+    forget(mint) {
+        const launch = this.launches.get(mint);
+        if (!launch) return;
+
+        this.launches.delete(mint);
+        for (const key of symbolKeys(launch.symbolKey)) {
+            removeFromBucket(this.bySymbol, key, mint);
+        }
+        removeFromBucket(this.byName, launch.nameKey, mint);
+    }
+
+    prune() {
+        let removed = 0;
+
+        // Insertion order is launch order, so stop at the first live entry
+        for (const launch of this.launches.values()) {
+            if (!this.isExpired(launch)) break;
+            this.forget(launch.mint);
+            removed++;
+        }
+
+        if (removed > 0) {
+            this.stats.expired += removed;
+            logger.debug(`🧬 Launch index pruned ${removed} launches`);
+        }
+        return removed;
+    }
+
+    getStatus() {
+        return {
+            launches: this.launches.size,
+            symbolKeys: this.bySymbol.size,
+            window: this.config.window,
+            maxEntries: this.config.maxEntries,
+            stats: this.stats
+        };
+    }
+}
+
+/**
+ * The ticker itself plus every single-character deletion - two tickers are at
+ * most one edit apart only if they share one of these keys
+ */
+function symbolKeys(symbolKey) {
+    if (!symbolKey) return [];
+
+    const keys = new Set([symbolKey]);
+    for (let i = 0; i < symbolKey.length; i++) {
+        keys.add(symbolKey.slice(0, i) + symbolKey.slice(i + 1));
+    }
+    return keys;
+}
+
+// Migration beats a published alert beats market cap
+function successScore(launch) {
+    return (launch.migrated ? 1e9 : 0) + (launch.published ? 1e6 : 0) + (launch.marketCapSol || 0);
+}
+
+function addToBucket(buckets, key, mint) {
+    if (!buckets.has(key)) buckets.set(key, new Set());
+    buckets.get(key).add(mint);
+}
+
+function removeFromBucket(buckets, key, mint) {
+    const bucket = buckets.get(key);
+    if (!bucket) return;
+    bucket.delete(mint);
+    if (bucket.size === 0) buckets.delete(key);
+}
+
+let sharedIndex = null;
+
+/**
+ * Process-wide index fed by the app and read by every AnalysisOrchestrator
+ */
+function getLaunchIndex() {
+    if (!sharedIndex) {
+        sharedIndex = new LaunchIndex(require('../config').cloneDetection);
+    }
+    return sharedIndex;
+}
+
+module.exports = {
+    LaunchIndex,
+    getLaunchIndex
+};
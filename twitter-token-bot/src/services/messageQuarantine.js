@@ -0,0 +1,114 @@
+// src/services/messageQuarantine.js - Stores rejected inbound messages and warns loudly on format drift
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Every message that fails schema validation is appended, raw, to
+ * quarantine/<source>_<YYYY-MM-DD>.jsonl with the reason it was rejected.
+ *
+ * A run of consecutive rejections for the same message type almost always
+ * means the upstream format changed; once it reaches warnThreshold the
+ * quarantine logs an error and emits 'formatDrift' (repeated every further
+ * warnThreshold rejections) so it can't go unnoticed.
+ */
+class MessageQuarantine extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            ...config,
+            directory: config.directory || path.join(process.cwd(), 'quarantine'),
+            source: config.source || 'pumpportal',
+            warnThreshold: config.warnThreshold || 5
+        };
+
+        this.currentDate = null;
+        this.currentFile = null;
+
+        this.stats = {
+            quarantined: 0,
+            writeErrors: 0,
+            driftWarnings: 0,
+            byType: {},
+            byReason: {}
+        };
+        this.consecutiveRejections = {};
+        this.lastRejection = null;
+
+        fs.mkdirSync(this.config.directory, { recursive: true });
+    }
+
+    /**
+     * @param {string|Buffer} rawMessage - Message exactly as received
+     * @param {Object} details - { type, reason, errors, schemaVersion }
+     */
+    quarantine(rawMessage, details = {}) {
+        const type = details.type || 'unknown';
+        const reason = details.reason || 'invalid';
+        const receivedAt = Date.now();
+
+        this.stats.quarantined++;
+        this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+        this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+        this.consecutiveRejections[type] = (this.consecutiveRejections[type] || 0) + 1;
+        this.lastRejection = { type, reason, errors: details.errors || [], at: receivedAt };
+
+        this.write({
+            receivedAt,
+            source: this.config.source,
+            type,
+            reason,
+            schemaVersion: details.schemaVersion ?? null,
+            errors: details.errors || [],
+            data: typeof rawMessage === 'string' ? rawMessage : rawMessage.toString()
+        });
+
+        logger.warn(`🧪 Quarantined ${type} message (${reason}): ${(details.errors || []).join('; ')}`);
+
+        const streak = this.consecutiveRejections[type];
+        if (streak % this.config.warnThreshold === 0) {
+            this.stats.driftWarnings++;
+            logger.error(`🚨 ${streak} consecutive ${type} messages rejected - PumpPortal message format may have changed! Latest: ${(details.errors || []).join('; ')} (see ${this.config.directory})`);
+            this.emit('formatDrift', { type, consecutive: streak, errors: details.errors || [] });
+        }
+    }
+
+    /**
+     * A valid message of this type ends the rejection streak
+     */
+    recordAccepted(type) {
+        if (this.consecutiveRejections[type]) {
+            this.consecutiveRejections[type] = 0;
+        }
+    }
+
+    write(record) {
+        try {
+            const date = new Date(record.receivedAt).toISOString().slice(0, 10);
+            if (date !== this.currentDate) {
+                this.currentDate = date;
+                this.currentFile = path.join(this.config.directory, `${this.config.source}_${date}.jsonl`);
+            }
+
+            // Rejections are rare - a sync append keeps ordering simple
+            fs.appendFileSync(this.currentFile, JSON.stringify(record) + '\n');
+
+        } catch (error) {
+            this.stats.writeErrors++;
+            logger.debug(`MessageQuarantine write failed: ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return {
+            directory: this.config.directory,
+            currentFile: this.currentFile,
+            consecutiveRejections: this.consecutiveRejections,
+            lastRejection: this.lastRejection,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = MessageQuarantine;
@@ -0,0 +1,223 @@
+// src/services/tradeTape.js - In-memory per-mint trade history for alerted tokens
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Keeps the live PumpPortal trade stream (subscribeTokenTrade) for every
+ * alerted token for a fixed window, so post-alert buys, sells, market cap
+ * and volume are available without polling the pump.fun frontend API.
+ *
+ * Emits 'trade' (trade, summary) for each trade on a tracked mint.
+ */
+class TradeTape extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            ...config,
+            window: config.window || 60 * 60 * 1000,
+            maxTradesPerMint: config.maxTradesPerMint || 1000,
+            cleanupInterval: config.cleanupInterval || 60 * 1000
+        };
+
+        this.wsManager = null;
+        this.tapes = new Map();
+        this.cleanupTimer = null;
+        this.handleTrade = this.handleTrade.bind(this);
+
+        this.stats = {
+            tracked: 0,
+            expired: 0,
+            trades: 0
+        };
+    }
+
+    /**
+     * Start consuming trades from a WebSocketManager
+     */
+    attach(wsManager) {
+        if (this.wsManager) {
+            this.wsManager.off('trade', this.handleTrade);
+        }
+
+        this.wsManager = wsManager;
+        this.wsManager.on('trade', this.handleTrade);
+
+        if (!this.cleanupTimer) {
+            this.cleanupTimer = setInterval(() => this.expireTapes(), this.config.cleanupInterval);
+        }
+    }
+
+    /**
+     * Start (or extend) the trade tape for a mint
+     * @param {string} mint
+     * @param {Object} meta - { symbol, name, source }
+     */
+    track(mint, meta = {}) {
+        if (!this.wsManager || !mint) {
+            return false;
+        }
+
+        const now = Date.now();
+        const existing = this.tapes.get(mint);
+
+        if (existing) {
+            existing.expiresAt = now + this.config.window;
+            return true;
+        }
+
+        this.tapes.set(mint, {
+            mint,
+            symbol: meta.symbol || null,
+            name: meta.name || null,
+            source: meta.source || null,
+            trackedAt: now,
+            expiresAt: now + this.config.window,
+            trades: [],
+            totals: {
+                buys: 0,
+                sells: 0,
+                buyVolumeSol: 0,
+                sellVolumeSol: 0,
+                firstMarketCapSol: null,
+                lastMarketCapSol: null,
+                peakMarketCapSol: null,
+                lastTradeAt: null
+            },
+            traders: new Set()
+        });
+
+        this.wsManager.subscribeTokenTrade(mint);
+        this.stats.tracked++;
+        logger.debug(`📼 Trade tape started for ${meta.symbol || mint} (${Math.round(this.config.window / 60000)}min window)`);
+        return true;
+    }
+
+    untrack(mint) {
+        if (!this.tapes.delete(mint)) {
+            return false;
+        }
+
+        if (this.wsManager) {
+            this.wsManager.unsubscribeTokenTrade(mint);
+        }
+        return true;
+    }
+
+    isTracking(mint) {
+        return this.tapes.has(mint);
+    }
+
+    handleTrade(trade) {
+        const tape = this.tapes.get(trade.mint);
+        if (!tape) {
+            return;
+        }
+
+        tape.trades.push(trade);
+        if (tape.trades.length > this.config.maxTradesPerMint) {
+            tape.trades.shift(); // Totals stay cumulative; only the raw list is capped
+        }
+
+        const totals = tape.totals;
+        if (trade.side === 'buy') {
+            totals.buys++;
+            totals.buyVolumeSol += trade.solAmount;
+        } else {
+            totals.sells++;
+            totals.sellVolumeSol += trade.solAmount;
+        }
+
+        if (trade.marketCapSol) {
+            if (totals.firstMarketCapSol === null) {
+                totals.firstMarketCapSol = trade.marketCapSol;
+            }
+            totals.lastMarketCapSol = trade.marketCapSol;
+            totals.peakMarketCapSol = Math.max(totals.peakMarketCapSol || 0, trade.marketCapSol);
+        }
+
+        totals.lastTradeAt = trade.timestamp;
+        tape.traders.add(trade.trader);
+        this.stats.trades++;
+
+        this.emit('trade', trade, this.getSummary(trade.mint));
+    }
+
+    /**
+     * Raw trades for a mint (oldest first), capped at maxTradesPerMint
+     */
+    getTape(mint) {
+        const tape = this.tapes.get(mint);
+        return tape ? tape.trades.slice() : [];
+    }
+
+    getSummary(mint) {
+        const tape = this.tapes.get(mint);
+        if (!tape) {
+            return null;
+        }
+
+        const { totals } = tape;
+        const marketCapChange = totals.firstMarketCapSol
+            ? ((totals.lastMarketCapSol - totals.firstMarketCapSol) / totals.firstMarketCapSol) * 100
+            : null;
+
+        return {
+            mint: tape.mint,
+            symbol: tape.symbol,
+            source: tape.source,
+            trackedAt: tape.trackedAt,
+            expiresAt: tape.expiresAt,
+            buys: totals.buys,
+            sells: totals.sells,
+            uniqueTraders: tape.traders.size,
+            buyVolumeSol: totals.buyVolumeSol,
+            sellVolumeSol: totals.sellVolumeSol,
+            volumeSol: totals.buyVolumeSol + totals.sellVolumeSol,
+            netFlowSol: totals.buyVolumeSol - totals.sellVolumeSol,
+            firstMarketCapSol: totals.firstMarketCapSol,
+            lastMarketCapSol: totals.lastMarketCapSol,
+            peakMarketCapSol: totals.peakMarketCapSol,
+            marketCapChangePercent: marketCapChange,
+            lastTradeAt: totals.lastTradeAt
+        };
+    }
+
+    expireTapes() {
+        const now = Date.now();
+
+        for (const [mint, tape] of this.tapes) {
+            if (now < tape.expiresAt) {
+                continue;
+            }
+
+            const summary = this.getSummary(mint);
+            logger.info(`📼 Trade tape closed for ${tape.symbol || mint}: ${summary.buys} buys / ${summary.sells} sells, ${summary.volumeSol.toFixed(2)} SOL volume`);
+            this.untrack(mint);
+            this.stats.expired++;
+        }
+    }
+
+    stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        if (this.wsManager) {
+            this.wsManager.unsubscribeTokenTrade(Array.from(this.tapes.keys()));
+            this.wsManager.off('trade', this.handleTrade);
+        }
+        this.tapes.clear();
+    }
+
+    getStatus() {
+        return {
+            activeTapes: this.tapes.size,
+            window: this.config.window,
+            stats: this.stats,
+            tokens: Array.from(this.tapes.keys()).map(mint => this.getSummary(mint))
+        };
+    }
+}
+
+module.exports = TradeTape;
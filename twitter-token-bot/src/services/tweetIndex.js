@@ -0,0 +1,259 @@
+// src/services/tweetIndex.js - Which mints claimed each tweet, persisted so copycats are caught across restarts
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FILE_VERSION = 1;
+
+/**
+ * tweetId → { url, claims: [{ mint, symbol, botType, claimedAt, volumeSol, volumeCheckedAt }], lastSeenAt }
+ *
+ * Claims stay in arrival order, so claims[0] is always the first token that
+ * used the tweet. A mint is only listed once per tweet (its creation,
+ * migration and milestone events share the claim). Tweets expire `ttl` after
+ * they were last claimed; Map order doubles as LRU order for maxTweets.
+ *
+ * Persistence follows DedupeStore: debounced writes to a temp file renamed
+ * into place, plus a synchronous flush on exit.
+ */
+class TweetIndex {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            filePath: config.filePath || path.join(process.cwd(), 'data', 'tweet_index.json'),
+            ttl: config.ttl || 7 * 24 * 60 * 60 * 1000,
+            maxTweets: config.maxTweets || 20000,
+            maxClaimsPerTweet: config.maxClaimsPerTweet || 100,
+            flushInterval: config.flushInterval || 5000
+        };
+
+        this.tweets = new Map();
+        this.dirty = false;
+        this.flushTimer = null;
+
+        this.stats = {
+            claims: 0,
+            reusedClaims: 0,
+            expired: 0,
+            evicted: 0,
+            loaded: 0,
+            flushErrors: 0
+        };
+
+        this.load();
+
+        this.flushOnExit = () => this.flushSync();
+        process.on('exit', this.flushOnExit);
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.config.filePath)) {
+                return;
+            }
+
+            const content = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+            const cutoff = Date.now() - this.config.ttl;
+
+            for (const [tweetId, record] of content.tweets || []) {
+                if (record.lastSeenAt > cutoff) {
+                    this.tweets.set(tweetId, record);
+                }
+            }
+
+            this.evictOverflow();
+            this.stats.loaded = this.tweets.size;
+            logger.info(`🗂️ Tweet index loaded ${this.tweets.size} tweets from ${this.config.filePath}`);
+
+        } catch (error) {
+            // Losing the index only costs us copycat history - start empty rather than crash
+            logger.warn(`⚠️ Could not load tweet index (${error.message}) - starting empty`);
+        }
+    }
+
+    /**
+     * Record that a mint uses a tweet
+     * @param {string} tweetId
+     * @param {Object} claim - { mint, symbol, botType, url }
+     * @returns {Object} Reuse info, see describe()
+     */
+    claim(tweetId, { mint, symbol, botType, url }) {
+        const now = Date.now();
+        let record = this.get(tweetId);
+
+        if (!record) {
+            record = { url, claims: [], lastSeenAt: now };
+        }
+
+        if (!record.claims.some(existing => existing.mint === mint)) {
+            record.claims.push({ mint, symbol, botType, claimedAt: now, volumeSol: null, volumeCheckedAt: null });
+            // Keep the first claimant - it's the one alerts point back to
+            if (record.claims.length > this.config.maxClaimsPerTweet) {
+                record.claims.splice(1, 1);
+            }
+            this.stats.claims++;
+        }
+
+        // Re-insert for LRU order
+        record.lastSeenAt = now;
+        this.tweets.delete(tweetId);
+        this.tweets.set(tweetId, record);
+        this.evictOverflow();
+        this.markDirty();
+
+        const info = this.describe(tweetId, mint);
+        if (info.otherTokens > 0) {
+            this.stats.reusedClaims++;
+        }
+        return info;
+    }
+
+    get(tweetId) {
+        const record = this.tweets.get(tweetId);
+        if (record && record.lastSeenAt <= Date.now() - this.config.ttl) {
+            this.tweets.delete(tweetId);
+            this.stats.expired++;
+            this.markDirty();
+            return null;
+        }
+        return record || null;
+    }
+
+    /**
+     * @returns {Object} { tweetId, otherTokens, isFirst, first, others } from the point of view of `mint`
+     */
+    describe(tweetId, mint) {
+        const claims = this.get(tweetId)?.claims || [];
+        const first = claims[0] || null;
+        const others = claims.filter(claim => claim.mint !== mint);
+
+        return {
+            tweetId,
+            otherTokens: others.length,
+            isFirst: !first || first.mint === mint,
+            first: first && { mint: first.mint, symbol: first.symbol, claimedAt: first.claimedAt },
+            others
+        };
+    }
+
+    setVolume(tweetId, mint, volumeSol) {
+        const claim = this.get(tweetId)?.claims.find(existing => existing.mint === mint);
+        if (claim) {
+            claim.volumeSol = volumeSol;
+            claim.volumeCheckedAt = Date.now();
+            this.markDirty();
+        }
+    }
+
+    evictOverflow() {
+        while (this.tweets.size > this.config.maxTweets) {
+            this.tweets.delete(this.tweets.keys().next().value);
+            this.stats.evicted++;
+        }
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.config.ttl;
+        let removed = 0;
+
+        for (const [tweetId, record] of this.tweets) {
+            if (record.lastSeenAt <= cutoff) {
+                this.tweets.delete(tweetId);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.stats.expired += removed;
+            this.markDirty();
+        }
+        return removed;
+    }
+
+    markDirty() {
+        this.dirty = true;
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(() => {});
+            }, this.config.flushInterval);
+            this.flushTimer.unref();
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({
+            version: FILE_VERSION,
+            savedAt: Date.now(),
+            tweets: Array.from(this.tweets)
+        });
+    }
+
+    async flush() {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.dirty = false;
+        const tempPath = `${this.config.filePath}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, this.serialize());
+            await fs.promises.rename(tempPath, this.config.filePath);
+        } catch (error) {
+            this.dirty = true;
+            this.stats.flushErrors++;
+            logger.warn(`⚠️ Tweet index flush failed: ${error.message}`);
+        }
+    }
+
+    flushSync() {
+        if (!this.dirty) {
+            return;
+        }
+
+        try {
+            const tempPath = `${this.config.filePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, this.serialize());
+            fs.renameSync(tempPath, this.config.filePath);
+            this.dirty = false;
+        } catch (error) {
+            this.stats.flushErrors++;
+        }
+    }
+
+    getStatus() {
+        let reusedTweets = 0;
+        for (const record of this.tweets.values()) {
+            if (record.claims.length > 1) reusedTweets++;
+        }
+
+        return {
+            tweets: this.tweets.size,
+            reusedTweets,
+            maxTweets: this.config.maxTweets,
+            filePath: this.config.filePath,
+            stats: this.stats
+        };
+    }
+}
+
+let sharedIndex = null;
+
+/**
+ * Process-wide index shared by all monitors
+ */
+function getTweetIndex() {
+    if (!sharedIndex) {
+        sharedIndex = new TweetIndex(require('../config').tweetReuse);
+    }
+    return sharedIndex;
+}
+
+module.exports = {
+    TweetIndex,
+    getTweetIndex
+};
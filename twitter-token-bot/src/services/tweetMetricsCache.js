@@ -0,0 +1,166 @@
+// src/services/tweetMetricsCache.js - Recently fetched tweet metrics, shared by every TwitterValidator
+const { createTweetMetrics } = require('../validators/tweetMetrics');
+const { METRIC_GROUPS } = require('../validators/engagementProviders');
+
+/**
+ * tweetId → { metrics, fetchedAt: { group: timestamp } }
+ *
+ * The same tweet is read by the creation monitor, again at migration and by
+ * every copycat token that links it. Likes (and the other cheap syndication
+ * fields) go stale quickly, views change slowly and are expensive to read, so
+ * each metric group is stamped when it was fetched and judged against its own
+ * TTL. Only the stale groups are re-fetched, and callers asking for the same
+ * stale groups of the same tweet at the same time share one lookup.
+ *
+ * Map order doubles as LRU order for maxEntries. Nothing is persisted - a
+ * restart just starts cold.
+ */
+class TweetMetricsCache {
+    /**
+     * @param {Object} config - { enabled, likesTtl, viewsTtl, maxEntries }
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: config.enabled !== false,
+            likesTtl: config.likesTtl || 15000,
+            viewsTtl: config.viewsTtl || 2 * 60 * 1000,
+            maxEntries: config.maxEntries || 5000
+        };
+
+        this.entries = new Map();
+        this.inFlight = new Map(); // "tweetId:groups" → Promise<TweetMetrics|null>
+
+        this.stats = {
+            hits: 0,
+            partialHits: 0,
+            misses: 0,
+            coalesced: 0,
+            bypassed: 0,
+            evicted: 0
+        };
+    }
+
+    /**
+     * Cached metrics when every wanted group is fresh, otherwise fetch the stale ones
+     * @param {string} tweetId
+     * @param {string[]} want - Metric groups (see engagementProviders)
+     * @param {Function} fetch - (groups) => Promise<TweetMetrics|null> for the stale groups only
+     * @param {Object} options - { fresh } fresh skips cached values (the result is still cached)
+     * @returns {Promise<TweetMetrics|null>} null when nothing is cached and the fetch found nothing
+     */
+    async get(tweetId, want, fetch, { fresh = false } = {}) {
+        if (!this.config.enabled) {
+            return fetch(want);
+        }
+
+        const entry = this.entries.get(tweetId);
+        const stale = fresh || !entry ? want : want.filter(group => !this.isFresh(entry, group));
+
+        if (fresh) {
+            this.stats.bypassed++;
+        } else if (stale.length === 0) {
+            this.stats.hits++;
+            this.touch(tweetId, entry);
+            return copy(entry.metrics);
+        } else if (stale.length < want.length) {
+            this.stats.partialHits++;
+        } else {
+            this.stats.misses++;
+        }
+
+        const key = `${tweetId}:${[...stale].sort().join(',')}`;
+        let pending = this.inFlight.get(key);
+        if (pending) {
+            this.stats.coalesced++;
+        } else {
+            pending = Promise.resolve()
+                .then(() => fetch(stale))
+                .then(metrics => metrics ? this.store(tweetId, metrics) : null)
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, pending);
+        }
+
+        const fetched = await pending;
+        if (fetched) {
+            return copy(fetched);
+        }
+        // The refresh failed - a partial hit still has its fresh groups (stale ones keep their last value)
+        return stale.length < want.length ? copy(entry.metrics) : null;
+    }
+
+    /**
+     * Merge freshly fetched groups into the entry
+     * @returns {TweetMetrics} The merged metrics
+     */
+    store(tweetId, metrics) {
+        const now = Date.now();
+        const entry = this.entries.get(tweetId) || { metrics: createTweetMetrics({ tweetId }), fetchedAt: {} };
+
+        for (const [group, provider] of Object.entries(metrics.sources || {})) {
+            for (const field of METRIC_GROUPS[group] || []) {
+                entry.metrics[field] = metrics[field];
+            }
+            entry.metrics.sources = { ...entry.metrics.sources, [group]: provider };
+            entry.fetchedAt[group] = now;
+        }
+        entry.metrics.link = metrics.link || entry.metrics.link;
+
+        this.touch(tweetId, entry);
+        this.evict();
+        return entry.metrics;
+    }
+
+    isFresh(entry, group) {
+        const ttl = group === 'views' ? this.config.viewsTtl : this.config.likesTtl;
+        return entry.fetchedAt[group] !== undefined && Date.now() - entry.fetchedAt[group] < ttl;
+    }
+
+    touch(tweetId, entry) {
+        this.entries.delete(tweetId);
+        this.entries.set(tweetId, entry);
+    }
+
+    evict() {
+        // Map order is LRU order
+        for (const tweetId of this.entries.keys()) {
+            if (this.entries.size <= this.config.maxEntries) break;
+            this.entries.delete(tweetId);
+            this.stats.evicted++;
+        }
+    }
+
+    getStatus() {
+        const lookups = this.stats.hits + this.stats.partialHits + this.stats.misses;
+        return {
+            enabled: this.config.enabled,
+            entries: this.entries.size,
+            inFlight: this.inFlight.size,
+            likesTtl: this.config.likesTtl,
+            viewsTtl: this.config.viewsTtl,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) / 100 : null,
+            stats: this.stats
+        };
+    }
+}
+
+// Callers add pipeline fields to what they get back - keep those out of the cache
+function copy(metrics) {
+    return createTweetMetrics({ ...metrics, sources: { ...metrics.sources } });
+}
+
+let sharedCache = null;
+
+/**
+ * Process-wide cache shared by all monitors
+ */
+function getTweetMetricsCache() {
+    if (!sharedCache) {
+        sharedCache = new TweetMetricsCache(require('../config').tweetMetricsCache);
+    }
+    return sharedCache;
+}
+
+module.exports = {
+    TweetMetricsCache,
+    getTweetMetricsCache
+};
@@ -0,0 +1,97 @@
+// src/services/watchlistStore.js - Watchlist file: mints to analyze on demand and keep under watch
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FILE_VERSION = 1;
+
+/**
+ * The watchlist is a hand-editable JSON file:
+ *
+ *   { "version": 1, "tokens": [{ "mint": "...", "symbol": "ABC", "interval": 900000, "note": "...",
+ *                                 "addedAt": 1717000000000, "refreshRequestedAt": 1717000500000 }] }
+ *
+ * A bare array of mints (or of entries) is accepted too. Only `mint` is required;
+ * `interval` overrides the re-analysis schedule for that token, and bumping
+ * `refreshRequestedAt` asks the running monitor for an immediate analysis.
+ *
+ * Writes go to a temp file that is renamed into place, so the monitor never
+ * reads a half-written list.
+ */
+class WatchlistStore {
+    constructor(filePath) {
+        this.filePath = filePath || path.join(process.cwd(), 'data', 'watchlist.json');
+    }
+
+    /**
+     * @returns {Object[]} Valid entries, keyed by unique mint
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const rawEntries = Array.isArray(content) ? content : content.tokens || [];
+        const entries = new Map();
+
+        for (const raw of rawEntries) {
+            const entry = typeof raw === 'string' ? { mint: raw } : raw;
+            if (!entry || typeof entry.mint !== 'string' || entry.mint.trim().length === 0) {
+                logger.warn(`⚠️ Ignoring invalid watchlist entry: ${JSON.stringify(raw)}`);
+                continue;
+            }
+            entries.set(entry.mint.trim(), { ...entry, mint: entry.mint.trim() });
+        }
+
+        return Array.from(entries.values());
+    }
+
+    save(entries) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: FILE_VERSION, tokens: entries }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Add a mint, or update it if it's already listed
+     * @param {string} mint
+     * @param {Object} fields - { symbol, interval, note, refresh } refresh requests an immediate analysis
+     * @returns {Object} The stored entry
+     */
+    upsert(mint, { refresh = false, ...fields } = {}) {
+        const entries = this.load();
+        let entry = entries.find(existing => existing.mint === mint);
+
+        if (!entry) {
+            entry = { mint, addedAt: Date.now() };
+            entries.push(entry);
+        }
+
+        Object.assign(entry, fields);
+        if (refresh) {
+            entry.refreshRequestedAt = Date.now();
+        }
+
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} Whether the mint was listed
+     */
+    remove(mint) {
+        const entries = this.load();
+        const remaining = entries.filter(entry => entry.mint !== mint);
+
+        if (remaining.length === entries.length) {
+            return false;
+        }
+
+        this.save(remaining);
+        return true;
+    }
+}
+
+module.exports = WatchlistStore;
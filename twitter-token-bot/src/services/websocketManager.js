@@ -2,18 +2,40 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
-const { createTimer } = require('../utils/simpleTimer');
+const { createTokenEvent, createMigrationEvent } = require('../sources/tokenEvents');
+const { classifyMessage, validateMessage } = require('../validators/messageSchemas');
 
 class WebSocketManager extends EventEmitter {
     constructor(config = {}) {
         super();
-        this.url = 'wss://pumpportal.fun/api/data';
+        this.url = config.url || 'wss://pumpportal.fun/api/data';
         this.ws = null;
         this.isConnected = false;
+        this.shouldReconnect = true;
         this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.connectionId = Math.random().toString(36).substring(7);
+        
+        // Consecutive failed connections before the circuit opens
         this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
         this.reconnectDelay = config.reconnectDelay || 5000;
-        this.connectionId = Math.random().toString(36).substring(7);
+        this.maxReconnectDelay = config.maxReconnectDelay || 5 * 60 * 1000;
+        this.circuitOpenDuration = config.circuitOpenDuration || 5 * 60 * 1000;
+        
+        // Heartbeat + stall detection (0 disables a subscription's silence check)
+        this.pingInterval = config.pingInterval || 30000;
+        this.pongTimeout = config.pongTimeout || 10000;
+        this.stallCheckInterval = config.stallCheckInterval || 10000;
+        this.silenceThresholds = {
+            newToken: config.creationSilenceTimeout ?? 60 * 1000,
+            migration: config.migrationSilenceTimeout ?? 30 * 60 * 1000
+        };
+        
+        // Optional raw message recorder (see EventRecorder)
+        this.recorder = config.recorder || null;
+        
+        // Optional store for messages that fail schema validation (see MessageQuarantine)
+        this.quarantine = config.quarantine || null;
         
         // Track what we should be subscribed to
         this.subscriptionState = {
@@ -25,12 +47,39 @@ class WebSocketManager extends EventEmitter {
             }
         };
         
+        // key → number of consumers that want it (subscribeTokenTrade / subscribeAccountTrade)
+        this.tokenTradeSubscriptions = new Map();
+        this.accountTradeSubscriptions = new Map();
+        
+        this.health = {
+            connectedAt: null,
+            isHealthy: false, // Set once the current connection has delivered data
+            lastMessageAt: null,
+            lastCreationAt: null,
+            lastMigrationAt: null,
+            lastPingAt: null,
+            lastPongAt: null,
+            forcedReconnects: 0,
+            lastForcedReconnect: null
+        };
+        this.heartbeatTimer = null;
+        this.stallTimer = null;
+        
+        this.circuit = {
+            state: 'CLOSED', // CLOSED → OPEN (cooling down) → HALF_OPEN (trial connection) → CLOSED
+            openedAt: null,
+            nextAttemptAt: null,
+            timesOpened: 0
+        };
+        
         this.messageStats = {
             received: 0,
             processed: 0,
             errors: 0,
             migrations: 0,
             creations: 0,
+            trades: 0,
+            rejected: 0,
             unknownTypes: 0
         };
     }
@@ -41,14 +90,19 @@ class WebSocketManager extends EventEmitter {
             return;
         }
 
+        this.shouldReconnect = true;
         logger.info(`[${this.connectionId}] Connecting to PumpPortal...`);
         
-        this.ws = new WebSocket(this.url);
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
         
-        this.ws.on('open', () => {
+        ws.on('open', () => {
             logger.info(`[${this.connectionId}] ✅ Connected successfully`);
             this.isConnected = true;
-            this.reconnectAttempts = 0;
+            this.health.connectedAt = Date.now();
+            this.health.isHealthy = false;
+            this.health.lastPingAt = null;
+            this.health.lastPongAt = null;
             
             // Reset subscription state
             this.subscriptionState.newToken = false;
@@ -59,55 +113,32 @@ class WebSocketManager extends EventEmitter {
                 this.resubscribeAll();
             }, 1000);
             
+            this.startHeartbeat();
             this.emit('connected');
         });
 
-        this.ws.on('message', (data) => {
-            this.messageStats.received++;
-            
-            try {
-                const message = JSON.parse(data.toString());
-                
-                // Handle subscription confirmations (only for new tokens)
-                if (message.message && message.message.includes('Successfully subscribed')) {
-                    logger.info(`[${this.connectionId}] ✅ ${message.message}`);
-                    
-                    // Update subscription state based on confirmation
-                    if (message.message.includes('new token')) {
-                        this.subscriptionState.newToken = true;
-                    }
-                    // Note: Migration subscriptions don't seem to send confirmations
-                    return;
-                }
-                
-                // 🚀 ENHANCED: Migration detection with multiple patterns
-                if (this.isMigrationMessage(message)) {
-                    this.handleMigrationMessage(message);
-                }
-                // Token creation
-                else if (message.txType === 'create') {
-                    this.handleCreationMessage(message);
-                }
-                // Unknown message types - log for debugging
-                else {
-                    this.handleUnknownMessage(message);
-                }
-                
-            } catch (error) {
-                this.messageStats.errors++;
-                logger.error(`[${this.connectionId}] ❌ Message parse error:`, error);
-                logger.debug(`[${this.connectionId}] Raw message: ${data.toString().substring(0, 200)}...`);
-            }
+        ws.on('message', (data) => {
+            this.handleRawMessage(data);
+        });
+
+        ws.on('pong', () => {
+            this.health.lastPongAt = Date.now();
         });
 
-        this.ws.on('error', (error) => {
+        ws.on('error', (error) => {
             logger.error(`[${this.connectionId}] WebSocket error:`, error);
             this.emit('error', error);
         });
 
-        this.ws.on('close', (code, reason) => {
+        ws.on('close', (code, reason) => {
+            if (this.ws !== ws) {
+                return; // Superseded socket (forced reconnect or manual disconnect)
+            }
+            
             logger.warn(`[${this.connectionId}] Closed: ${code} - ${reason}`);
+            this.ws = null;
             this.isConnected = false;
+            this.stopHeartbeat();
             
             // Reset subscription state on disconnect
             this.subscriptionState.newToken = false;
@@ -115,43 +146,115 @@ class WebSocketManager extends EventEmitter {
             
             this.emit('disconnected', { code, reason });
             
-            if (code !== 1000) {
+            if (code !== 1000 && this.shouldReconnect) {
                 this.scheduleReconnect();
             }
         });
     }
 
-    // 🚀 FIXED: Migration detection based on actual PumpPortal data
-    isMigrationMessage(message) {
-        // 🔥 ACTUAL PATTERN: txType === "migrate" (not "migration")
-        if (message.txType === 'migrate') {
-            return true;
+    /**
+     * Parse and route one raw message (live socket or replayed recording)
+     */
+    handleRawMessage(data, options = {}) {
+        this.messageStats.received++;
+
+        if (this.recorder && !options.replay) {
+            this.recorder.record(data, Date.now());
         }
         
-        // Standard migration pattern (keep as fallback)
-        if (message.txType === 'migration') {
-            return true;
+        this.emit('activity');
+        this.health.lastMessageAt = Date.now();
+        
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.rejectMessage(data, 'unparseable', 'parse_error', [error.message]);
+            return;
         }
         
-        // Alternative patterns that might indicate migration
-        if (message.type === 'migration' || message.type === 'migrate') {
-            return true;
+        const type = classifyMessage(message);
+        
+        if (type === 'control') {
+            this.handleControlMessage(message);
+            return;
         }
         
-        // Check for other potential migration indicators
-        if (message.action === 'migrate' || message.event === 'migration') {
-            return true;
+        if (type === 'unknown') {
+            this.rejectMessage(data, 'unknown', 'unknown_type', [`txType: ${JSON.stringify(message.txType ?? message.type ?? null)}`]);
+            return;
         }
         
-        // Look for pump-amm pool migrations specifically
-        if (message.mint && message.signature && message.pool === 'pump-amm') {
-            return true;
+        const { valid, value, errors, schemaVersion } = validateMessage(type, message);
+        if (!valid) {
+            this.rejectMessage(data, type, 'schema_violation', errors, schemaVersion);
+            return;
         }
         
-        return false;
+        if (this.quarantine) {
+            this.quarantine.recordAccepted(type);
+        }
+        
+        // Acks and rejected frames don't count - only subscribed data proves the connection works
+        this.markHealthy();
+        
+        try {
+            if (type === 'create') {
+                this.handleCreationMessage(value);
+            } else if (type === 'migrate') {
+                this.handleMigrationMessage(value);
+            } else {
+                this.handleTradeMessage(value);
+            }
+        } catch (error) {
+            this.messageStats.errors++;
+            logger.error(`[${this.connectionId}] ❌ Error handling ${type} message:`, error);
+        }
+    }
+
+    handleControlMessage(message) {
+        if (message.errors !== undefined) {
+            logger.warn(`[${this.connectionId}] ⚠️ PumpPortal error: ${JSON.stringify(message.errors)}`);
+            return;
+        }
+        
+        // Handle subscription confirmations (only for new tokens)
+        if (message.message.includes('Successfully subscribed')) {
+            logger.info(`[${this.connectionId}] ✅ ${message.message}`);
+            
+            // Update subscription state based on confirmation
+            if (message.message.includes('new token')) {
+                this.subscriptionState.newToken = true;
+            }
+            // Note: Migration subscriptions don't seem to send confirmations
+            return;
+        }
+        
+        logger.debug(`[${this.connectionId}] PumpPortal: ${message.message}`);
+    }
+
+    /**
+     * Malformed or unrecognised payloads never reach the monitors - they are
+     * counted and quarantined so a format change upstream is visible
+     */
+    rejectMessage(data, type, reason, errors, schemaVersion = null) {
+        this.messageStats.rejected++;
+        
+        if (type === 'unknown') {
+            this.messageStats.unknownTypes++;
+        } else if (type === 'unparseable') {
+            this.messageStats.errors++;
+        }
+        
+        if (this.quarantine) {
+            this.quarantine.quarantine(data, { type, reason, errors, schemaVersion });
+        } else {
+            logger.warn(`[${this.connectionId}] 🧪 Rejected ${type} message (${reason}): ${errors.join('; ')}`);
+        }
     }
 
     handleMigrationMessage(message) {
+        this.health.lastMigrationAt = Date.now();
         this.messageStats.migrations++;
         this.messageStats.processed++;
         
@@ -164,83 +267,217 @@ class WebSocketManager extends EventEmitter {
             keys: Object.keys(message)
         });
         
-        const migrationEvent = {
-            eventType: 'migration',
-            mint: message.mint,
-            signature: message.signature,
-            pool: message.pool, // Add pool info
-            timestamp: Date.now(),
-            operationId: `${message.mint}_migration_${Date.now()}`,
-            timer: createTimer(`${message.mint}_migration_${Date.now()}`),
-            rawData: message
-        };
+        const migrationEvent = createMigrationEvent(message, 'pumpportal');
         
         this.emit('tokenMigration', migrationEvent);
     }
 
     handleCreationMessage(message) {
+        this.health.lastCreationAt = Date.now();
         this.messageStats.creations++;
         this.messageStats.processed++;
         
         logger.info(`[${this.connectionId}] 🪙 NEW TOKEN: ${message.name} (${message.symbol}) - ${message.mint}`);
         
-        const tokenEvent = {
-            eventType: 'creation',
+        const tokenEvent = createTokenEvent(message, 'pumpportal');
+        
+        this.emit('newToken', tokenEvent);
+    }
+
+    handleTradeMessage(message) {
+        this.messageStats.trades++;
+        this.messageStats.processed++;
+        
+        this.emit('trade', {
             mint: message.mint,
-            name: message.name,
-            symbol: message.symbol,
-            creator: message.traderPublicKey,
             signature: message.signature,
-            timestamp: Date.now(),
-            operationId: `${message.symbol}_creation_${Date.now()}`,
-            timer: createTimer(`${message.symbol}_creation_${Date.now()}`)
-        };
+            trader: message.traderPublicKey,
+            side: message.txType,
+            solAmount: Number(message.solAmount) || 0,
+            tokenAmount: Number(message.tokenAmount) || 0,
+            traderTokenBalance: message.newTokenBalance !== undefined ? Number(message.newTokenBalance) : null,
+            marketCapSol: Number(message.marketCapSol) || null,
+            vSolInBondingCurve: Number(message.vSolInBondingCurve) || null,
+            vTokensInBondingCurve: Number(message.vTokensInBondingCurve) || null,
+            pool: message.pool || 'pump',
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * First create / migration / trade event on a fresh connection proves it works -
+     * close the circuit and reset backoff
+     */
+    markHealthy() {
+        if (!this.isConnected || this.health.isHealthy) {
+            return;
+        }
         
-        this.emit('newToken', tokenEvent);
+        this.health.isHealthy = true;
+        this.reconnectAttempts = 0;
+        
+        if (this.circuit.state !== 'CLOSED') {
+            logger.info(`[${this.connectionId}] 🟢 Circuit closed - connection healthy again`);
+            this.circuit.state = 'CLOSED';
+            this.circuit.openedAt = null;
+            this.circuit.nextAttemptAt = null;
+            this.emit('circuitClosed');
+        }
     }
 
-    handleUnknownMessage(message) {
-        this.messageStats.unknownTypes++;
+    startHeartbeat() {
+        this.stopHeartbeat();
         
-        // Log unknown message types for debugging (but skip migrations since we handle them now)
-        if (message.txType !== 'migrate' && message.txType !== 'migration') {
-            logger.debug(`[${this.connectionId}] UNKNOWN MESSAGE TYPE: ${message.txType || message.type || 'NO_TYPE'}`);
-            logger.debug(`[${this.connectionId}] Message keys: ${Object.keys(message).join(', ')}`);
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                return;
+            }
             
-            // Check if this might be a new pattern we should handle
-            if (message.mint && (message.signature || message.sig)) {
-                logger.warn(`[${this.connectionId}] ⚠️ Unknown transaction with mint/signature:`, {
-                    txType: message.txType || message.type,
-                    mint: message.mint,
-                    signature: message.signature || message.sig,
-                    allKeys: Object.keys(message),
-                    sample: JSON.stringify(message, null, 2).substring(0, 300) + '...'
-                });
+            // Previous ping never answered - the socket is half-open
+            const { lastPingAt, lastPongAt } = this.health;
+            if (lastPingAt && (!lastPongAt || lastPongAt < lastPingAt) && Date.now() - lastPingAt > this.pongTimeout) {
+                this.forceReconnect(`no pong for ${Math.round((Date.now() - lastPingAt) / 1000)}s`);
+                return;
+            }
+            
+            this.health.lastPingAt = Date.now();
+            this.ws.ping();
+        }, this.pingInterval);
+        
+        this.stallTimer = setInterval(() => {
+            this.checkForStall();
+        }, this.stallCheckInterval);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        if (this.stallTimer) {
+            clearInterval(this.stallTimer);
+            this.stallTimer = null;
+        }
+    }
+
+    /**
+     * Per-subscription silence: a socket can answer pings while a feed has quietly stopped
+     */
+    getStalledSubscriptions(now = Date.now()) {
+        if (!this.isConnected || !this.health.connectedAt) {
+            return [];
+        }
+        
+        const lastEventAt = {
+            newToken: this.health.lastCreationAt,
+            migration: this.health.lastMigrationAt
+        };
+        
+        return Object.keys(this.silenceThresholds).filter(subscription => {
+            const threshold = this.silenceThresholds[subscription];
+            if (!threshold || !this.subscriptionState.targetSubscriptions[subscription]) {
+                return false;
             }
+            
+            const reference = Math.max(lastEventAt[subscription] || 0, this.health.connectedAt);
+            return now - reference > threshold;
+        });
+    }
+
+    checkForStall() {
+        const stalled = this.getStalledSubscriptions();
+        
+        if (stalled.length > 0) {
+            this.forceReconnect(`no ${stalled.join('/')} events within silence threshold`);
         }
     }
 
+    /**
+     * Drop the current socket without waiting for a close handshake and reconnect
+     */
+    forceReconnect(reason) {
+        logger.warn(`[${this.connectionId}] 🔌 Forcing reconnect: ${reason}`);
+        
+        this.health.forcedReconnects++;
+        this.health.lastForcedReconnect = { reason, at: Date.now() };
+        this.emit('stalled', { reason });
+        
+        const ws = this.ws;
+        this.ws = null;
+        this.isConnected = false;
+        this.stopHeartbeat();
+        this.subscriptionState.newToken = false;
+        this.subscriptionState.migration = false;
+        
+        if (ws) {
+            ws.removeAllListeners('message');
+            ws.on('error', () => {}); // terminate() on a connecting socket errors
+            ws.terminate();
+        }
+        
+        this.emit('disconnected', { code: 1006, reason });
+        this.scheduleReconnect();
+    }
+
     scheduleReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            logger.error(`[${this.connectionId}] Max reconnects reached`);
-            this.emit('maxReconnectAttemptsReached');
+        if (this.reconnectTimer) {
             return;
         }
-
+        
+        // A connection that never delivered data counts as a failure
         this.reconnectAttempts++;
-        const delay = Math.min(this.reconnectDelay * this.reconnectAttempts, 60000);
         
-        logger.info(`[${this.connectionId}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        let delay;
+        if (this.circuit.state === 'HALF_OPEN' || this.reconnectAttempts >= this.maxReconnectAttempts) {
+            delay = this.openCircuit();
+        } else {
+            delay = this.getBackoffDelay(this.reconnectAttempts);
+            logger.info(`[${this.connectionId}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        }
         
-        setTimeout(() => {
-            if (!this.isConnected) {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            
+            if (this.circuit.state === 'OPEN') {
+                this.circuit.state = 'HALF_OPEN';
+                logger.info(`[${this.connectionId}] 🟡 Circuit half-open - trying a trial connection`);
+            }
+            
+            if (!this.isConnected && this.shouldReconnect) {
                 this.connect();
             }
         }, delay);
     }
 
+    /**
+     * Exponential backoff with equal jitter, capped at maxReconnectDelay
+     */
+    getBackoffDelay(attempt) {
+        const exponential = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    openCircuit() {
+        const wasOpen = this.circuit.state !== 'CLOSED';
+        
+        this.circuit.state = 'OPEN';
+        this.circuit.openedAt = Date.now();
+        this.circuit.nextAttemptAt = Date.now() + this.circuitOpenDuration;
+        this.circuit.timesOpened++;
+        
+        logger.error(`[${this.connectionId}] 🔴 Circuit open after ${this.reconnectAttempts} failed connections - retrying in ${Math.round(this.circuitOpenDuration / 1000)}s`);
+        
+        if (!wasOpen) {
+            this.emit('circuitOpen', { attempts: this.reconnectAttempts });
+            // Kept for listeners that fail over to another source
+            this.emit('maxReconnectAttemptsReached');
+        }
+        
+        return this.circuitOpenDuration;
+    }
+
     send(payload) {
-        if (!this.isConnected || this.ws.readyState !== WebSocket.OPEN) {
+        if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
             logger.warn(`[${this.connectionId}] Cannot send: not connected`);
             return false;
         }
@@ -278,6 +515,78 @@ class WebSocketManager extends EventEmitter {
         return false;
     }
 
+    /**
+     * Reference-counted trade subscriptions: only mints going 0 → 1 are sent to PumpPortal
+     * @param {string|string[]} mints
+     */
+    subscribeTokenTrade(mints) {
+        return this.addKeyedSubscription(this.tokenTradeSubscriptions, 'subscribeTokenTrade', mints);
+    }
+
+    /**
+     * Release trade subscriptions; PumpPortal is only told once the last consumer lets go
+     * @param {string|string[]} mints
+     */
+    unsubscribeTokenTrade(mints) {
+        return this.removeKeyedSubscription(this.tokenTradeSubscriptions, 'unsubscribeTokenTrade', mints);
+    }
+
+    /**
+     * Reference-counted wallet subscriptions (every trade made by the account, any mint)
+     * @param {string|string[]} accounts
+     */
+    subscribeAccountTrade(accounts) {
+        return this.addKeyedSubscription(this.accountTradeSubscriptions, 'subscribeAccountTrade', accounts);
+    }
+
+    unsubscribeAccountTrade(accounts) {
+        return this.removeKeyedSubscription(this.accountTradeSubscriptions, 'unsubscribeAccountTrade', accounts);
+    }
+
+    addKeyedSubscription(registry, method, keys) {
+        const added = [].concat(keys).filter(key => {
+            const count = registry.get(key) || 0;
+            registry.set(key, count + 1);
+            return count === 0;
+        });
+        
+        if (added.length === 0) {
+            return true;
+        }
+        
+        // Not connected is fine - resubscribeAll() picks them up on connect
+        if (this.send({ method, keys: added })) {
+            logger.debug(`[${this.connectionId}] 📤 ${method}: ${added.length} key(s)`);
+            return true;
+        }
+        return false;
+    }
+
+    removeKeyedSubscription(registry, method, keys) {
+        const removed = [].concat(keys).filter(key => {
+            const count = registry.get(key);
+            if (!count) {
+                return false;
+            }
+            if (count > 1) {
+                registry.set(key, count - 1);
+                return false;
+            }
+            registry.delete(key);
+            return true;
+        });
+        
+        if (removed.length === 0) {
+            return true;
+        }
+        
+        if (this.send({ method, keys: removed })) {
+            logger.debug(`[${this.connectionId}] 📤 ${method}: ${removed.length} key(s)`);
+            return true;
+        }
+        return false;
+    }
+
     // 🚀 FIXED: Updated resubscription logic
     resubscribeAll() {
         const subscriptions = [];
@@ -292,6 +601,18 @@ class WebSocketManager extends EventEmitter {
             setTimeout(() => this.subscribeMigration(), 200);
         }
         
+        if (this.tokenTradeSubscriptions.size > 0) {
+            const mints = Array.from(this.tokenTradeSubscriptions.keys());
+            subscriptions.push(`trades for ${mints.length} token(s)`);
+            setTimeout(() => this.send({ method: 'subscribeTokenTrade', keys: mints }), 300);
+        }
+        
+        if (this.accountTradeSubscriptions.size > 0) {
+            const accounts = Array.from(this.accountTradeSubscriptions.keys());
+            subscriptions.push(`trades by ${accounts.length} wallet(s)`);
+            setTimeout(() => this.send({ method: 'subscribeAccountTrade', keys: accounts }), 400);
+        }
+        
         if (subscriptions.length > 0) {
             logger.info(`[${this.connectionId}] 🔄 Resubscribing to: ${subscriptions.join(', ')}`);
         } else {
@@ -337,33 +658,60 @@ class WebSocketManager extends EventEmitter {
                     actual: this.subscriptionState.migration,
                     working: this.subscriptionState.targetSubscriptions.migration === this.subscriptionState.migration,
                     note: "Migration subscription assumed working (no confirmation expected)"
+                },
+                tokenTrades: {
+                    mints: this.tokenTradeSubscriptions.size
+                },
+                accountTrades: {
+                    wallets: this.accountTradeSubscriptions.size
                 }
             }
         };
     }
 
     getConnectionInfo() {
+        const now = Date.now();
+        
         return {
             connectionId: this.connectionId,
             isConnected: this.isConnected,
             reconnectAttempts: this.reconnectAttempts,
+            reconnectScheduled: !!this.reconnectTimer,
+            circuit: { ...this.circuit },
+            health: {
+                ...this.health,
+                silenceMs: this.health.lastMessageAt ? now - this.health.lastMessageAt : null,
+                stalledSubscriptions: this.getStalledSubscriptions(now),
+                silenceThresholds: this.silenceThresholds
+            },
             messageStats: this.messageStats,
-            subscriptionStatus: this.getSubscriptionStatus()
+            subscriptionStatus: this.getSubscriptionStatus(),
+            recording: this.recorder ? this.recorder.getStatus() : null,
+            quarantine: this.quarantine ? this.quarantine.getStatus() : null
         };
     }
 
     // 🚀 UPDATED: Get detailed stats string
     getStatsString() {
-        const { received, processed, errors, migrations, creations, unknownTypes } = this.messageStats;
+        const { received, processed, errors, migrations, creations, trades, rejected, unknownTypes } = this.messageStats;
         const subscriptionStatus = this.getSubscriptionStatus();
         
-        return `📡 WebSocket Stats: ${received} received | ${processed} processed | ${creations} creations | ${migrations} migrations | ${unknownTypes} unknown | ${errors} errors | Subscriptions: newToken=${subscriptionStatus.subscriptions.newToken.working ? '✅' : '❌'} migration=${subscriptionStatus.subscriptions.migration.working ? '✅' : '🔶'}`;
+        return `📡 WebSocket Stats: ${received} received | ${processed} processed | ${creations} creations | ${migrations} migrations | ${trades} trades | ${rejected} rejected (${unknownTypes} unknown) | ${errors} errors | Subscriptions: newToken=${subscriptionStatus.subscriptions.newToken.working ? '✅' : '❌'} migration=${subscriptionStatus.subscriptions.migration.working ? '✅' : '🔶'}`;
     }
 
     disconnect() {
+        this.shouldReconnect = false;
+        this.stopHeartbeat();
+        
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        
         if (this.ws) {
-            this.ws.close(1000, 'Manual disconnect');
+            const ws = this.ws;
             this.ws = null;
+            ws.close(1000, 'Manual disconnect');
         }
         this.isConnected = false;
         
@@ -0,0 +1,118 @@
+// src/sources/eventSource.js - Base class for anything that produces newToken / tokenMigration events
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Event sources emit:
+ *   - 'newToken'       (tokenEvent)
+ *   - 'tokenMigration' (migrationEvent)
+ *   - 'failed'         ({ reason }) when the source cannot recover on its own
+ *
+ * Subclasses implement connect() / disconnect() and call recordActivity()
+ * for every inbound message so the EventSourceManager can detect silence.
+ */
+class EventSource extends EventEmitter {
+    constructor(name, config = {}) {
+        super();
+        this.name = name;
+        this.config = {
+            ...config,
+            creation: config.creation !== false,
+            migration: config.migration !== false
+        };
+
+        this.isRunning = false;
+        this.startedAt = null;
+        this.lastActivityAt = null;
+        this.lastEventAt = null;
+        this.stats = {
+            messages: 0,
+            creations: 0,
+            migrations: 0,
+            errors: 0,
+            starts: 0
+        };
+    }
+
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.startedAt = Date.now();
+        this.stats.starts++;
+        logger.info(`📡 Starting event source: ${this.name}`);
+
+        try {
+            await this.connect();
+        } catch (error) {
+            this.isRunning = false;
+            this.stats.errors++;
+            logger.error(`❌ Event source ${this.name} failed to start: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        logger.info(`📡 Stopping event source: ${this.name}`);
+
+        try {
+            await this.disconnect();
+        } catch (error) {
+            logger.warn(`Event source ${this.name} stop error: ${error.message}`);
+        }
+    }
+
+    async connect() {
+        throw new Error(`${this.name}: connect() not implemented`);
+    }
+
+    async disconnect() {}
+
+    recordActivity() {
+        this.lastActivityAt = Date.now();
+        this.stats.messages++;
+    }
+
+    emitTokenEvent(tokenEvent) {
+        if (!this.config.creation) return;
+        this.lastEventAt = Date.now();
+        this.stats.creations++;
+        this.emit('newToken', tokenEvent);
+    }
+
+    emitMigrationEvent(migrationEvent) {
+        if (!this.config.migration) return;
+        this.lastEventAt = Date.now();
+        this.stats.migrations++;
+        this.emit('tokenMigration', migrationEvent);
+    }
+
+    /**
+     * Milliseconds since the source last showed any sign of life
+     */
+    getSilenceMs(now = Date.now()) {
+        const reference = this.lastActivityAt || this.startedAt;
+        return reference ? now - reference : 0;
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            isRunning: this.isRunning,
+            startedAt: this.startedAt,
+            lastActivityAt: this.lastActivityAt,
+            lastEventAt: this.lastEventAt,
+            silenceMs: this.isRunning ? this.getSilenceMs() : null,
+            stats: this.stats
+        };
+    }
+}
+
+module.exports = EventSource;
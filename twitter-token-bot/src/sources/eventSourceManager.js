@@ -0,0 +1,238 @@
+// src/sources/eventSourceManager.js - Failover and cross-source dedupe for token event sources
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Runs one event source at a time, in priority order.
+ *
+ * - If the active source goes silent (no inbound traffic for silenceTimeout) or
+ *   reports itself failed, the next source is started and the old one stopped.
+ * - While running on a fallback, the primary is periodically probed; once it
+ *   delivers a real event again it is promoted back and the fallback stopped.
+ * - Events are deduped by signature, so overlap during a switch never
+ *   produces the same token twice.
+ */
+class EventSourceManager extends EventEmitter {
+    constructor(sources = [], config = {}) {
+        super();
+
+        if (sources.length === 0) {
+            throw new Error('EventSourceManager requires at least one event source');
+        }
+
+        this.sources = sources;
+        this.config = {
+            silenceTimeout: config.silenceTimeout || 2 * 60 * 1000,
+            failbackDelay: config.failbackDelay || 10 * 60 * 1000,
+            checkInterval: config.checkInterval || 5000,
+            dedupeWindow: config.dedupeWindow || 10 * 60 * 1000
+        };
+
+        this.activeIndex = 0;
+        this.probe = null;
+        this.probeStartedAt = null;
+        this.lastSwitchAt = null;
+        this.lastProbeAt = null;
+        this.isSwitching = false;
+        this.consecutiveFailures = 0;
+        this.watchdog = null;
+        this.seenEvents = new Map();
+
+        this.stats = {
+            forwarded: 0,
+            duplicates: 0,
+            failovers: 0,
+            failbacks: 0,
+            probes: 0
+        };
+
+        this.sources.forEach(source => {
+            source.on('newToken', (event) => this.forward('newToken', event, source));
+            source.on('tokenMigration', (event) => this.forward('tokenMigration', event, source));
+            source.on('failed', ({ reason }) => this.handleSourceFailure(source, reason));
+            source.on('finished', (stats) => this.emit('sourceFinished', { source: source.name, stats }));
+            source.on('sourceError', (error) => this.emit('error', error));
+        });
+    }
+
+    get activeSource() {
+        return this.sources[this.activeIndex];
+    }
+
+    getSource(name) {
+        return this.sources.find(source => source.name === name) || null;
+    }
+
+    async start() {
+        logger.info(`📡 Event sources (priority order): ${this.sources.map(s => s.name).join(' → ')}`);
+        await this.activeSource.start();
+        this.lastSwitchAt = Date.now();
+
+        this.watchdog = setInterval(() => {
+            this.checkSources().catch(error => {
+                logger.error('Event source watchdog error:', error);
+            });
+        }, this.config.checkInterval);
+    }
+
+    async stop() {
+        if (this.watchdog) {
+            clearInterval(this.watchdog);
+            this.watchdog = null;
+        }
+
+        await Promise.allSettled(this.sources.map(source => source.stop()));
+        this.probe = null;
+    }
+
+    forward(eventName, event, source) {
+        if (source === this.probe) {
+            // Primary is delivering again - switch back to it
+            this.promoteProbe();
+        }
+
+        const key = `${eventName}:${event.signature || event.mint}`;
+        if (this.seenEvents.has(key)) {
+            this.stats.duplicates++;
+            logger.debug(`Duplicate ${eventName} from ${source.name} dropped (${event.mint})`);
+            return;
+        }
+
+        this.seenEvents.set(key, Date.now());
+        this.consecutiveFailures = 0;
+        this.stats.forwarded++;
+        this.emit(eventName, event);
+    }
+
+    async checkSources() {
+        const now = Date.now();
+        this.pruneSeenEvents(now);
+
+        if (this.isSwitching) {
+            return;
+        }
+
+        const active = this.activeSource;
+        if (active.isRunning && active.getSilenceMs(now) > this.config.silenceTimeout) {
+            await this.failover(`${active.name} silent for ${Math.round(active.getSilenceMs(now) / 1000)}s`);
+            return;
+        }
+
+        // Give up on a probe that produced nothing within the silence window
+        if (this.probe && now - this.probeStartedAt > this.config.silenceTimeout) {
+            logger.info(`📡 Probe of ${this.probe.name} produced no events, staying on ${active.name}`);
+            await this.probe.stop();
+            this.probe = null;
+            this.lastProbeAt = now;
+            return;
+        }
+
+        const canProbe = this.activeIndex > 0 &&
+            !this.probe &&
+            now - this.lastSwitchAt > this.config.failbackDelay &&
+            (!this.lastProbeAt || now - this.lastProbeAt > this.config.failbackDelay);
+
+        if (canProbe) {
+            this.probe = this.sources[0];
+            this.probeStartedAt = now;
+            this.stats.probes++;
+            logger.info(`📡 Probing primary source ${this.probe.name} for failback...`);
+            try {
+                await this.probe.start();
+            } catch (error) {
+                this.probe = null;
+                this.lastProbeAt = now;
+            }
+        }
+    }
+
+    async failover(reason) {
+        if (this.isSwitching) {
+            return;
+        }
+
+        this.isSwitching = true;
+        const previous = this.activeSource;
+        const nextIndex = (this.activeIndex + 1) % this.sources.length;
+        const next = this.sources[nextIndex];
+
+        this.consecutiveFailures++;
+        this.stats.failovers++;
+        logger.warn(`🔀 Event source failover: ${previous.name} → ${next.name} (${reason})`);
+
+        try {
+            if (this.probe && this.probe !== next) {
+                await this.probe.stop();
+            }
+            this.probe = null;
+
+            await previous.stop();
+            this.activeIndex = nextIndex;
+            this.lastSwitchAt = Date.now();
+            await next.start();
+
+            this.emit('failover', { from: previous.name, to: next.name, reason });
+
+        } catch (error) {
+            logger.error(`❌ Failed to start event source ${next.name}: ${error.message}`);
+        } finally {
+            this.isSwitching = false;
+        }
+
+        if (this.consecutiveFailures >= this.sources.length * 2) {
+            this.emit('exhausted', { reason, failures: this.consecutiveFailures });
+        }
+    }
+
+    promoteProbe() {
+        const probe = this.probe;
+        const previous = this.activeSource;
+
+        this.probe = null;
+        this.activeIndex = this.sources.indexOf(probe);
+        this.lastSwitchAt = Date.now();
+        this.stats.failbacks++;
+
+        logger.info(`🔀 Event source failback: ${previous.name} → ${probe.name}`);
+        previous.stop().catch(() => {});
+        this.emit('failover', { from: previous.name, to: probe.name, reason: 'primary recovered' });
+    }
+
+    handleSourceFailure(source, reason) {
+        if (source === this.probe) {
+            this.probe.stop().catch(() => {});
+            this.probe = null;
+            this.lastProbeAt = Date.now();
+            return;
+        }
+
+        if (source === this.activeSource) {
+            this.failover(reason).catch(error => {
+                logger.error('Event source failover error:', error);
+            });
+        }
+    }
+
+    pruneSeenEvents(now) {
+        for (const [key, seenAt] of this.seenEvents) {
+            if (now - seenAt <= this.config.dedupeWindow) {
+                break; // Map is insertion ordered - everything after is newer
+            }
+            this.seenEvents.delete(key);
+        }
+    }
+
+    getStatus() {
+        return {
+            active: this.activeSource.name,
+            probing: this.probe ? this.probe.name : null,
+            lastSwitchAt: this.lastSwitchAt,
+            dedupeEntries: this.seenEvents.size,
+            stats: this.stats,
+            config: this.config,
+            sources: this.sources.map(source => source.getStatus())
+        };
+    }
+}
+
+module.exports = EventSourceManager;
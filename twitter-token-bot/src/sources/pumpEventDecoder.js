@@ -0,0 +1,159 @@
+// src/sources/pumpEventDecoder.js - Decodes pump.fun Anchor events from program log lines
+const crypto = require('crypto');
+const { encodeBase58 } = require('../utils/base58');
+
+const PUMPFUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const PROGRAM_DATA_PREFIX = 'Program data: ';
+
+// Anchor event discriminator: first 8 bytes of sha256("event:<EventName>")
+function eventDiscriminator(eventName) {
+    return crypto.createHash('sha256').update(`event:${eventName}`).digest().subarray(0, 8);
+}
+
+const DISCRIMINATORS = {
+    create: eventDiscriminator('CreateEvent'),
+    migrate: eventDiscriminator('CompletePumpAmmMigrationEvent')
+};
+
+class BorshReader {
+    constructor(buffer, offset = 0) {
+        this.buffer = buffer;
+        this.offset = offset;
+    }
+
+    remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    string() {
+        const length = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        if (length > this.remaining()) {
+            throw new Error('String length exceeds buffer');
+        }
+        const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+
+    publicKey() {
+        if (this.remaining() < 32) {
+            throw new Error('Public key exceeds buffer');
+        }
+        const value = encodeBase58(this.buffer.subarray(this.offset, this.offset + 32));
+        this.offset += 32;
+        return value;
+    }
+
+    u64() {
+        const value = this.buffer.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    i64() {
+        const value = this.buffer.readBigInt64LE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+}
+
+function decodeCreateEvent(data) {
+    const reader = new BorshReader(data, 8);
+    const event = {
+        type: 'create',
+        name: reader.string(),
+        symbol: reader.string(),
+        uri: reader.string(),
+        mint: reader.publicKey(),
+        bondingCurve: reader.publicKey(),
+        user: reader.publicKey()
+    };
+
+    // Newer program versions append creator + timestamp
+    if (reader.remaining() >= 40) {
+        event.creator = reader.publicKey();
+        event.timestamp = Number(reader.i64());
+    }
+
+    return event;
+}
+
+function decodeMigrationEvent(data) {
+    const reader = new BorshReader(data, 8);
+    const event = {
+        type: 'migrate',
+        user: reader.publicKey(),
+        mint: reader.publicKey(),
+        mintAmount: reader.u64().toString(),
+        solAmount: reader.u64().toString(),
+        poolMigrationFee: reader.u64().toString(),
+        bondingCurve: reader.publicKey()
+    };
+
+    if (reader.remaining() >= 40) {
+        event.timestamp = Number(reader.i64());
+        event.pool = reader.publicKey();
+    }
+
+    return event;
+}
+
+/**
+ * Decode every pump.fun create / migration event found in a transaction's logs
+ * @param {string[]} logs - logMessages from a logsNotification
+ * @returns {Object[]} Decoded events ({ type: 'create' | 'migrate', ... })
+ */
+function decodePumpLogs(logs) {
+    if (!Array.isArray(logs)) {
+        return [];
+    }
+
+    const events = [];
+
+    for (const line of logs) {
+        if (typeof line !== 'string' || !line.startsWith(PROGRAM_DATA_PREFIX)) {
+            continue;
+        }
+
+        let data;
+        try {
+            data = Buffer.from(line.slice(PROGRAM_DATA_PREFIX.length), 'base64');
+        } catch (error) {
+            continue;
+        }
+
+        if (data.length < 8) {
+            continue;
+        }
+
+        const discriminator = data.subarray(0, 8);
+        try {
+            if (discriminator.equals(DISCRIMINATORS.create)) {
+                events.push(decodeCreateEvent(data));
+            } else if (discriminator.equals(DISCRIMINATORS.migrate)) {
+                events.push(decodeMigrationEvent(data));
+            }
+        } catch (error) {
+            // Truncated or foreign payload sharing a discriminator - ignore
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Cheap pre-filter so trade notifications skip base64 decoding entirely
+ * (prefix match so versioned instructions like CreateV2 count too)
+ */
+function hasInstruction(logs, instruction) {
+    const prefix = `Program log: Instruction: ${instruction}`;
+    return Array.isArray(logs) && logs.some(line => typeof line === 'string' && line.startsWith(prefix));
+}
+
+module.exports = {
+    PUMPFUN_PROGRAM_ID,
+    DISCRIMINATORS,
+    decodePumpLogs,
+    hasInstruction
+};
@@ -0,0 +1,102 @@
+// src/sources/pumpPortalSource.js - PumpPortal WebSocket feed as an event source
+const EventSource = require('./eventSource');
+const WebSocketManager = require('../services/websocketManager');
+const logger = require('../utils/logger');
+
+class PumpPortalSource extends EventSource {
+    constructor(config = {}) {
+        super('pumpportal', {
+            ...config,
+            subscriptionCheckInterval: config.subscriptionCheckInterval || 60000
+        });
+
+        this.wsManager = new WebSocketManager({
+            ...this.config.websocket,
+            recorder: this.config.recorder || null,
+            quarantine: this.config.quarantine || null
+        });
+        this.subscriptionTimer = null;
+
+        this.wsManager.on('activity', () => this.recordActivity());
+        this.wsManager.on('newToken', (tokenEvent) => this.emitTokenEvent(tokenEvent));
+        this.wsManager.on('tokenMigration', (migrationEvent) => this.emitMigrationEvent(migrationEvent));
+
+        this.wsManager.on('connected', () => {
+            // 🚀 FIXED: Explicitly set what we want to subscribe to
+            if (this.config.creation) {
+                logger.info('🆕 Setting up NEW TOKEN subscription...');
+                this.wsManager.subscribeNewToken();
+            }
+            
+            if (this.config.migration) {
+                logger.info('🔄 Setting up MIGRATION subscription...');
+                this.wsManager.subscribeMigration();
+            }
+            
+            // 🚀 ADDED: Log subscription status after setup
+            setTimeout(() => {
+                const status = this.wsManager.getSubscriptionStatus();
+                logger.info('📊 Subscription Status:', JSON.stringify(status, null, 2));
+            }, 3000);
+        });
+
+        this.wsManager.on('disconnected', (details) => this.emit('disconnected', details));
+        this.wsManager.on('error', (error) => {
+            this.stats.errors++;
+            this.emit('sourceError', error);
+        });
+
+        this.wsManager.on('maxReconnectAttemptsReached', () => {
+            logger.error('❌ Max WebSocket reconnection attempts reached');
+            this.emit('failed', { reason: 'PumpPortal reconnection attempts exhausted' });
+        });
+    }
+
+    async connect() {
+        await this.wsManager.connect();
+        this.startSubscriptionMonitoring();
+    }
+
+    async disconnect() {
+        if (this.subscriptionTimer) {
+            clearInterval(this.subscriptionTimer);
+            this.subscriptionTimer = null;
+        }
+        this.wsManager.disconnect();
+    }
+
+    startSubscriptionMonitoring() {
+        if (this.subscriptionTimer) {
+            clearInterval(this.subscriptionTimer);
+        }
+
+        this.subscriptionTimer = setInterval(() => {
+            if (!this.wsManager.isConnected) {
+                return;
+            }
+
+            logger.debug(this.wsManager.getStatsString());
+            const status = this.wsManager.getSubscriptionStatus();
+            
+            // Check for subscription issues
+            if (this.config.migration && !status.subscriptions.migration.working) {
+                logger.warn('⚠️ Migration subscription not working, attempting resubscribe...');
+                this.wsManager.subscribeMigration();
+            }
+            
+            if (this.config.creation && !status.subscriptions.newToken.working) {
+                logger.warn('⚠️ New token subscription not working, attempting resubscribe...');
+                this.wsManager.subscribeNewToken();
+            }
+        }, this.config.subscriptionCheckInterval);
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            connection: this.wsManager.getConnectionInfo()
+        };
+    }
+}
+
+module.exports = PumpPortalSource;
@@ -0,0 +1,49 @@
+// src/sources/replaySource.js - Recorded PumpPortal traffic (see EventRecorder) as an event source
+const EventSource = require('./eventSource');
+const WebSocketManager = require('../services/websocketManager');
+const EventReplayer = require('../services/eventReplayer');
+const logger = require('../utils/logger');
+
+class ReplaySource extends EventSource {
+    constructor(config = {}) {
+        super('replay', config);
+
+        // Offline manager: never connects, only routes replayed messages
+        this.wsManager = new WebSocketManager();
+        this.replayer = new EventReplayer(this.wsManager, {
+            path: this.config.path,
+            speed: this.config.speed
+        });
+
+        this.wsManager.on('activity', () => this.recordActivity());
+        this.wsManager.on('newToken', (tokenEvent) => this.emitTokenEvent(tokenEvent));
+        this.wsManager.on('tokenMigration', (migrationEvent) => this.emitMigrationEvent(migrationEvent));
+
+        this.replayer.on('end', (stats) => {
+            logger.info(`📼 Replay source exhausted after ${stats.replayed} messages`);
+            this.emit('finished', stats);
+        });
+    }
+
+    async connect() {
+        // Run in the background; the manager treats the source as live while it plays
+        this.replayer.start().catch(error => {
+            this.stats.errors++;
+            logger.error(`❌ Replay failed: ${error.message}`);
+            this.emit('failed', { reason: `Replay failed: ${error.message}` });
+        });
+    }
+
+    async disconnect() {
+        this.replayer.stop();
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            replay: this.replayer.getStatus()
+        };
+    }
+}
+
+module.exports = ReplaySource;
@@ -0,0 +1,234 @@
+// src/sources/solanaLogsSource.js - pump.fun program logsSubscribe over the Solana RPC WebSocket
+const WebSocket = require('ws');
+const EventSource = require('./eventSource');
+const { createTokenEvent, createMigrationEvent } = require('./tokenEvents');
+const { PUMPFUN_PROGRAM_ID, decodePumpLogs, hasInstruction } = require('./pumpEventDecoder');
+const logger = require('../utils/logger');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+class SolanaLogsSource extends EventSource {
+    constructor(config = {}) {
+        super('solana', {
+            ...config,
+            wsUrl: config.wsUrl || SolanaLogsSource.deriveWsUrl(process.env.HELIUS_RPC_URL),
+            programId: config.programId || PUMPFUN_PROGRAM_ID,
+            commitment: config.commitment || 'confirmed',
+            reconnectDelay: config.reconnectDelay || 5000,
+            pingInterval: config.pingInterval || 30000
+        });
+
+        this.ws = null;
+        this.subscriptionId = null;
+        this.pingTimer = null;
+        this.reconnectTimer = null;
+        this.requestId = 0;
+        this.solanaApi = null;
+    }
+
+    static deriveWsUrl(rpcUrl) {
+        if (!rpcUrl) return null;
+        return rpcUrl.replace(/^http/, 'ws');
+    }
+
+    async connect() {
+        if (!this.config.wsUrl) {
+            throw new Error('No Solana WebSocket URL configured (SOLANA_WS_URL or HELIUS_RPC_URL)');
+        }
+
+        this.openSocket();
+    }
+
+    openSocket() {
+        logger.info(`[solana] Connecting to RPC WebSocket for ${this.config.programId} logs...`);
+        const ws = new WebSocket(this.config.wsUrl);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            logger.info('[solana] ✅ RPC WebSocket connected');
+            this.subscribe();
+            this.startPing();
+        });
+
+        ws.on('message', (data) => this.handleMessage(data));
+
+        ws.on('error', (error) => {
+            this.stats.errors++;
+            logger.warn(`[solana] WebSocket error: ${error.message}`);
+        });
+
+        ws.on('close', (code) => {
+            if (this.ws !== ws) {
+                return; // Superseded socket
+            }
+
+            logger.warn(`[solana] RPC WebSocket closed: ${code}`);
+            this.stopPing();
+            this.subscriptionId = null;
+            this.ws = null;
+
+            if (this.isRunning) {
+                this.reconnectTimer = setTimeout(() => this.openSocket(), this.config.reconnectDelay);
+            }
+        });
+    }
+
+    subscribe() {
+        this.send({
+            jsonrpc: '2.0',
+            id: ++this.requestId,
+            method: 'logsSubscribe',
+            params: [
+                { mentions: [this.config.programId] },
+                { commitment: this.config.commitment }
+            ]
+        });
+    }
+
+    send(payload) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        this.ws.send(JSON.stringify(payload));
+        return true;
+    }
+
+    startPing() {
+        this.stopPing();
+        this.pingTimer = setInterval(() => {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.ws.ping();
+            }
+        }, this.config.pingInterval);
+    }
+
+    stopPing() {
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+
+    handleMessage(data) {
+        this.recordActivity();
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.stats.errors++;
+            return;
+        }
+
+        // Subscription confirmation
+        if (message.id && message.result !== undefined && this.subscriptionId === null) {
+            this.subscriptionId = message.result;
+            logger.info(`[solana] ✅ Subscribed to program logs (subscription ${this.subscriptionId})`);
+            return;
+        }
+
+        if (message.method !== 'logsNotification') {
+            return;
+        }
+
+        const value = message.params?.result?.value;
+        if (!value || value.err) {
+            return;
+        }
+
+        this.handleLogs(value.signature, value.logs);
+    }
+
+    handleLogs(signature, logs) {
+        const isCreate = this.config.creation && hasInstruction(logs, 'Create');
+        const isMigrate = this.config.migration && hasInstruction(logs, 'Migrate');
+
+        if (!isCreate && !isMigrate) {
+            return;
+        }
+
+        const events = decodePumpLogs(logs);
+
+        for (const event of events) {
+            if (event.type === 'create' && isCreate) {
+                this.emitTokenEvent(createTokenEvent({
+                    mint: event.mint,
+                    name: event.name,
+                    symbol: event.symbol,
+                    uri: event.uri,
+                    traderPublicKey: event.creator || event.user,
+                    bondingCurveKey: event.bondingCurve,
+                    signature
+                }, this.name));
+            } else if (event.type === 'migrate' && isMigrate) {
+                this.emitMigrationEvent(createMigrationEvent({
+                    mint: event.mint,
+                    signature,
+                    pool: 'pump-amm',
+                    txType: 'migrate',
+                    poolAddress: event.pool
+                }, this.name));
+            }
+        }
+
+        // Migration events may be emitted via CPI rather than logs - resolve the mint from the transaction
+        if (isMigrate && !events.some(event => event.type === 'migrate')) {
+            this.resolveMigrationFromTransaction(signature);
+        }
+    }
+
+    async resolveMigrationFromTransaction(signature) {
+        try {
+            if (!this.solanaApi) {
+                const { getSolanaApi } = require('../integrations/solanaApi');
+                this.solanaApi = getSolanaApi();
+            }
+
+            const transaction = await this.solanaApi.getTransaction(signature);
+            const balances = transaction?.meta?.postTokenBalances || [];
+            const mint = balances.map(balance => balance.mint).find(m => m && m !== WRAPPED_SOL_MINT);
+
+            if (!mint) {
+                logger.debug(`[solana] Could not resolve migrated mint for ${signature}`);
+                return;
+            }
+
+            this.emitMigrationEvent(createMigrationEvent({
+                mint,
+                signature,
+                pool: 'pump-amm',
+                txType: 'migrate'
+            }, this.name));
+
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`[solana] Migration lookup failed for ${signature}: ${error.message}`);
+        }
+    }
+
+    async disconnect() {
+        this.stopPing();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            this.subscriptionId = null;
+            ws.close(1000, 'Source stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            connected: !!this.ws && this.ws.readyState === WebSocket.OPEN,
+            subscriptionId: this.subscriptionId,
+            programId: this.config.programId
+        };
+    }
+}
+
+module.exports = SolanaLogsSource;
@@ -0,0 +1,79 @@
+// src/sources/tokenEvents.js - Shared builders for the newToken / tokenMigration event payloads
+const { createTimer } = require('../utils/simpleTimer');
+
+/**
+ * Build a creation event from a PumpPortal-shaped create message
+ * @param {Object} message - Message with mint, name, symbol, traderPublicKey, signature, uri
+ * @param {string} source - Name of the event source that produced it
+ * @returns {Object} tokenEvent consumed by TokenDeploymentMonitor
+ */
+function createTokenEvent(message, source = 'pumpportal') {
+    const operationId = `${message.symbol}_creation_${Date.now()}`;
+
+    return {
+        eventType: 'creation',
+        mint: message.mint,
+        name: message.name,
+        symbol: message.symbol,
+        creator: message.traderPublicKey,
+        signature: message.signature,
+        uri: message.uri,
+        bondingCurveKey: message.bondingCurveKey,
+        marketCapSol: message.marketCapSol,
+        source,
+        timestamp: Date.now(),
+        operationId,
+        timer: createTimer(operationId)
+    };
+}
+
+/**
+ * Build a migration event from a PumpPortal-shaped migrate message
+ * @param {Object} message - Message with mint, signature, pool
+ * @param {string} source - Name of the event source that produced it
+ * @returns {Object} migrationEvent consumed by MigrationMonitor
+ */
+function createMigrationEvent(message, source = 'pumpportal') {
+    const operationId = `${message.mint}_migration_${Date.now()}`;
+
+    return {
+        eventType: 'migration',
+        mint: message.mint,
+        signature: message.signature,
+        pool: message.pool,
+        source,
+        timestamp: Date.now(),
+        operationId,
+        timer: createTimer(operationId),
+        rawData: message
+    };
+}
+
+/**
+ * Strip runtime-only fields so an event can be written to disk (see DurableQueue)
+ * @param {Object} event - tokenEvent or migrationEvent
+ * @returns {Object} JSON-safe copy
+ */
+function serializeEvent(event) {
+    const { timer, ...rest } = event;
+    return rest;
+}
+
+/**
+ * Restore runtime-only fields on an event read back from disk. The timer keeps
+ * counting from the original event time, so latency logs stay honest after a restart.
+ * @param {Object} event - Output of serializeEvent()
+ * @returns {Object} Event with a live timer
+ */
+function rehydrateEvent(event) {
+    const timer = createTimer(event.operationId);
+    timer.startTime = event.timestamp || timer.startTime;
+    return { ...event, timer };
+}
+
+module.exports = {
+    createTokenEvent,
+    createMigrationEvent,
+    serializeEvent,
+    rehydrateEvent
+};
@@ -0,0 +1,59 @@
+// src/utils/analysisPriority.js - Scores qualified tokens so the hottest are analyzed first
+const DEFAULT_WEIGHTS = {
+    likes: 10,          // per order of magnitude of likes
+    velocity: 15,       // per order of magnitude of likes/minute since the tweet was posted
+    agePerHour: 2,      // penalty per hour of tweet age
+    maxAgeHours: 24,    // age penalty stops growing here
+    eventType: {
+        migration: 5,
+        bondingCurve: 3,
+        creation: 0
+    }
+};
+
+/**
+ * Higher is more urgent. Log scales keep a 50k-like tweet from starving
+ * everything else, and tweets without a known publish time get no velocity
+ * or age term rather than a guessed one.
+ * A sampled likes/minute (see engagementVelocity) replaces the since-posted
+ * rate, which flatters old tweets that have stopped growing.
+ * @param {Object} metrics - { likes, publishedAt, eventType, velocity }
+ * @param {Object} weights - Overrides for DEFAULT_WEIGHTS
+ * @returns {Object} { score, likes, likesPerMinute, ageMinutes }
+ */
+function scoreAnalysisPriority({ likes = 0, publishedAt = null, eventType = 'creation', velocity = null }, weights = {}) {
+    const w = {
+        ...DEFAULT_WEIGHTS,
+        ...weights,
+        eventType: { ...DEFAULT_WEIGHTS.eventType, ...weights.eventType }
+    };
+
+    let score = w.likes * Math.log10(1 + likes);
+    let likesPerMinute = null;
+    let ageMinutes = null;
+
+    const publishedTime = publishedAt ? new Date(publishedAt).getTime() : NaN;
+    if (Number.isFinite(publishedTime)) {
+        ageMinutes = Math.max(1, (Date.now() - publishedTime) / 60000);
+        likesPerMinute = velocity?.samples > 1 && velocity.likesPerMinute !== null
+            ? velocity.likesPerMinute
+            : likes / ageMinutes;
+
+        score += w.velocity * Math.log10(1 + likesPerMinute);
+        score -= w.agePerHour * Math.min(ageMinutes / 60, w.maxAgeHours);
+    }
+
+    score += w.eventType[eventType] || 0;
+
+    return {
+        score: Math.round(score * 100) / 100,
+        likes,
+        likesPerMinute: likesPerMinute !== null ? Math.round(likesPerMinute * 100) / 100 : null,
+        ageMinutes: ageMinutes !== null ? Math.round(ageMinutes) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    scoreAnalysisPriority
+};
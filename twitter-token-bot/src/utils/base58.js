@@ -0,0 +1,41 @@
+// src/utils/base58.js - Minimal base58 encoder for Solana public keys and signatures
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as a base58 string (Bitcoin/Solana alphabet)
+ * @param {Buffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base58 string
+ */
+function encodeBase58(bytes) {
+    if (!bytes || bytes.length === 0) {
+        return '';
+    }
+
+    const digits = [0];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+
+    let result = '';
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+        result += ALPHABET[0];
+    }
+    for (let i = digits.length - 1; i >= 0; i--) {
+        result += ALPHABET[digits[i]];
+    }
+
+    return result;
+}
+
+module.exports = {
+    encodeBase58
+};
@@ -0,0 +1,89 @@
+// src/utils/engagementVelocity.js - Likes/views per minute and acceleration from repeated tweet samples
+
+/**
+ * @typedef {Object} EngagementVelocity
+ * @property {number} samples - Snapshots the rates were computed from
+ * @property {number} windowMs - Time between the first and last snapshot
+ * @property {number|null} likesPerMinute - Over the sampling window; since publication with a single sample
+ * @property {number|null} viewsPerMinute - null unless views were sampled
+ * @property {number|null} lifetimeLikesPerMinute - Likes / minutes since the tweet was posted
+ * @property {number|null} acceleration - Change in likes/minute per minute (needs 3+ samples)
+ * @property {string|null} trend - 'accelerating' | 'steady' | 'slowing' | 'stalled'
+ */
+
+// Within ±this share of the average rate, a change in rate counts as steady
+const STEADY_TOLERANCE = 0.2;
+
+/**
+ * @param {Object[]} samples - [{ at, likes, views? }] oldest first
+ * @param {string|null} publishedAt - Tweet publication time (ISO)
+ * @returns {EngagementVelocity}
+ */
+function computeVelocity(samples, publishedAt = null) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const windowMs = last.at - first.at;
+
+    const publishedTime = publishedAt ? new Date(publishedAt).getTime() : NaN;
+    const lifetimeLikesPerMinute = Number.isFinite(publishedTime)
+        ? last.likes / Math.max(1, (last.at - publishedTime) / 60000)
+        : null;
+
+    if (samples.length < 2 || windowMs <= 0) {
+        return {
+            samples: samples.length,
+            windowMs: 0,
+            likesPerMinute: round(lifetimeLikesPerMinute),
+            viewsPerMinute: null,
+            lifetimeLikesPerMinute: round(lifetimeLikesPerMinute),
+            acceleration: null,
+            trend: null
+        };
+    }
+
+    const likesPerMinute = ratePerMinute(first, last, 'likes');
+    const viewsPerMinute = samples.every(sample => sample.views > 0) ? ratePerMinute(first, last, 'views') : null;
+
+    // Rate over the first interval vs the last one, per minute between their midpoints
+    let acceleration = null;
+    if (samples.length >= 3) {
+        const early = ratePerMinute(samples[0], samples[1], 'likes');
+        const late = ratePerMinute(samples[samples.length - 2], last, 'likes');
+        const midpointGap = ((last.at + samples[samples.length - 2].at) - (samples[1].at + samples[0].at)) / 2 / 60000;
+        acceleration = midpointGap > 0 ? (late - early) / midpointGap : null;
+    }
+
+    return {
+        samples: samples.length,
+        windowMs,
+        likesPerMinute: round(likesPerMinute),
+        viewsPerMinute: round(viewsPerMinute),
+        lifetimeLikesPerMinute: round(lifetimeLikesPerMinute),
+        acceleration: round(acceleration),
+        trend: describeTrend(likesPerMinute, acceleration, windowMs)
+    };
+}
+
+function ratePerMinute(from, to, field) {
+    // Like counts occasionally dip between cached responses - a dip is no engagement, not negative engagement
+    return Math.max(0, to[field] - from[field]) / ((to.at - from.at) / 60000);
+}
+
+function describeTrend(likesPerMinute, acceleration, windowMs) {
+    if (likesPerMinute === 0) return 'stalled';
+    if (acceleration === null) return null;
+
+    // Compare the change over the window with the average rate itself
+    const change = acceleration * (windowMs / 60000);
+    if (change > likesPerMinute * STEADY_TOLERANCE) return 'accelerating';
+    if (change < -likesPerMinute * STEADY_TOLERANCE) return 'slowing';
+    return 'steady';
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    computeVelocity
+};
@@ -0,0 +1,624 @@
+// src/utils/imageDecoder.js - Minimal PNG / GIF / JPEG decoding to grayscale for image fingerprints
+const zlib = require('zlib');
+
+// Anything bigger is not token artwork - refuse rather than allocate hundreds of MB
+const MAX_PIXELS = 25 * 1000 * 1000;
+
+const ADAM7_PASSES = [
+    { x0: 0, y0: 0, dx: 8, dy: 8 },
+    { x0: 4, y0: 0, dx: 8, dy: 8 },
+    { x0: 0, y0: 4, dx: 4, dy: 8 },
+    { x0: 2, y0: 0, dx: 4, dy: 4 },
+    { x0: 0, y0: 2, dx: 2, dy: 4 },
+    { x0: 1, y0: 0, dx: 2, dy: 2 },
+    { x0: 0, y0: 1, dx: 1, dy: 2 }
+];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string|null} 'png' | 'gif' | 'jpeg' | 'webp' | null
+ */
+function detectImageFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+/**
+ * Decode an image to 8-bit luminance. Transparent pixels are composited onto
+ * white. JPEGs are decoded at 1/8 scale from the DC coefficients only (enough
+ * for a 9x8 fingerprint, and progressive files only need their first scan).
+ * @param {Buffer} buffer - Raw file bytes
+ * @returns {Object|null} { format, width, height, pixels: Uint8Array, extent? }, null for unsupported formats (WebP, arithmetic/lossless JPEG)
+ * @throws {Error} When the file is truncated or malformed
+ */
+function decodeGrayscale(buffer) {
+    const format = detectImageFormat(buffer);
+    const decoder = { png: decodePng, gif: decodeGif, jpeg: decodeJpeg }[format];
+    if (!decoder) return null;
+
+    const image = decoder(buffer);
+    return image && { format, ...image };
+}
+
+function luminance(r, g, b, alpha = 255) {
+    const lum = (299 * r + 587 * g + 114 * b) / 1000;
+    return Math.round(lum * alpha / 255 + 255 * (1 - alpha / 255));
+}
+
+function checkDimensions(width, height) {
+    if (!width || !height) throw new Error('image has no pixels');
+    if (width * height > MAX_PIXELS) throw new Error(`image too large (${width}x${height})`);
+}
+
+// ---- PNG ----
+
+function decodePng(buffer) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlaced: data[12] === 1
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || idat.length === 0) throw new Error('PNG without IHDR/IDAT');
+
+    const { width, height, bitDepth, colorType } = header;
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`unknown PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('indexed PNG without palette');
+    checkDimensions(width, height);
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = new Uint8Array(width * height);
+    const maxSample = (1 << bitDepth) - 1;
+    const bytesPerPixel = Math.max(1, (channels * bitDepth) >> 3);
+
+    const sample = (row, x, channel) => {
+        if (bitDepth === 16) return row[(x * channels + channel) * 2];
+        if (bitDepth === 8) return row[x * channels + channel];
+        // Sub-byte depths only exist for single-channel (gray / indexed) images
+        const bit = x * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+
+    const toGray = (row, x) => {
+        switch (colorType) {
+            case 0:
+                return bitDepth < 8 ? Math.round(sample(row, x, 0) * 255 / maxSample) : sample(row, x, 0);
+            case 2:
+                return luminance(sample(row, x, 0), sample(row, x, 1), sample(row, x, 2));
+            case 3: {
+                const index = sample(row, x, 0);
+                const alpha = transparency && index < transparency.length ? transparency[index] : 255;
+                return luminance(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha);
+            }
+            case 4:
+                return luminance(sample(row, x, 0), sample(row, x, 0), sample(row, x, 0), sample(row, x, 1));
+            default:
+                return luminance(sample(row, x, 0), sample(row, x, 1), sample(row, x, 2), sample(row, x, 3));
+        }
+    };
+
+    let position = 0;
+    const passes = header.interlaced ? ADAM7_PASSES : [{ x0: 0, y0: 0, dx: 1, dy: 1 }];
+
+    for (const { x0, y0, dx, dy } of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const rowBytes = Math.ceil(passWidth * channels * bitDepth / 8);
+        let previous = new Uint8Array(rowBytes);
+
+        for (let y = 0; y < passHeight; y++) {
+            if (position + 1 + rowBytes > raw.length) throw new Error('truncated PNG data');
+
+            const filter = raw[position];
+            const row = Uint8Array.from(raw.subarray(position + 1, position + 1 + rowBytes));
+            position += 1 + rowBytes;
+            unfilterRow(filter, row, previous, bytesPerPixel);
+
+            for (let x = 0; x < passWidth; x++) {
+                pixels[(y0 + y * dy) * width + x0 + x * dx] = toGray(row, x);
+            }
+            previous = row;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filter) {
+            case 0: break;
+            case 1: row[i] += left; break;
+            case 2: row[i] += up; break;
+            case 3: row[i] += (left + up) >> 1; break;
+            case 4: row[i] += paeth(left, up, upLeft); break;
+            default: throw new Error(`unknown PNG filter ${filter}`);
+        }
+    }
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// ---- GIF (first frame) ----
+
+function decodeGif(buffer) {
+    const width = buffer.readUInt16LE(6);
+    const height = buffer.readUInt16LE(8);
+    checkDimensions(width, height);
+
+    const screenFlags = buffer[10];
+    let position = 13;
+    let globalPalette = null;
+    if (screenFlags & 0x80) {
+        const size = 3 * (2 << (screenFlags & 7));
+        globalPalette = buffer.subarray(position, position + size);
+        position += size;
+    }
+
+    let transparentIndex = null;
+
+    while (position < buffer.length) {
+        const block = buffer[position++];
+
+        if (block === 0x21) {
+            const label = buffer[position++];
+            if (label === 0xf9 && buffer[position + 1] & 1) {
+                transparentIndex = buffer[position + 4];
+            }
+            position = skipSubBlocks(buffer, position);
+        } else if (block === 0x2c) {
+            const left = buffer.readUInt16LE(position);
+            const top = buffer.readUInt16LE(position + 2);
+            const frameWidth = buffer.readUInt16LE(position + 4);
+            const frameHeight = buffer.readUInt16LE(position + 6);
+            const flags = buffer[position + 8];
+            position += 9;
+
+            let palette = globalPalette;
+            if (flags & 0x80) {
+                const size = 3 * (2 << (flags & 7));
+                palette = buffer.subarray(position, position + size);
+                position += size;
+            }
+            if (!palette) throw new Error('GIF without color table');
+
+            const minCodeSize = buffer[position++];
+            const chunks = [];
+            while (position < buffer.length && buffer[position] !== 0) {
+                const size = buffer[position];
+                chunks.push(buffer.subarray(position + 1, position + 1 + size));
+                position += 1 + size;
+            }
+
+            const indices = lzwDecode(Buffer.concat(chunks), minCodeSize, frameWidth * frameHeight);
+            const rows = (flags & 0x40) ? interlacedRows(frameHeight) : null;
+            const pixels = new Uint8Array(width * height).fill(255);
+
+            for (let row = 0; row < frameHeight; row++) {
+                const y = top + (rows ? rows[row] : row);
+                if (y >= height) continue;
+                for (let x = 0; x < frameWidth && left + x < width; x++) {
+                    const index = indices[row * frameWidth + x];
+                    if (index !== transparentIndex && index * 3 + 2 < palette.length) {
+                        pixels[y * width + left + x] = luminance(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]);
+                    }
+                }
+            }
+
+            return { width, height, pixels };
+        } else if (block === 0x3b) {
+            break;
+        } else {
+            throw new Error(`unexpected GIF block 0x${block?.toString(16)}`);
+        }
+    }
+
+    throw new Error('GIF without image data');
+}
+
+function skipSubBlocks(buffer, position) {
+    while (position < buffer.length && buffer[position] !== 0) {
+        position += 1 + buffer[position];
+    }
+    return position + 1;
+}
+
+// Interlaced GIFs store rows 0, 8, 16… then 4, 12… then 2, 6… then 1, 3…
+function interlacedRows(height) {
+    const rows = [];
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) rows.push(y);
+    }
+    return rows;
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    for (let code = 0; code < clearCode; code++) suffix[code] = code;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let firstOfPrevious = 0;
+    let bits = 0;
+    let datum = 0;
+    let written = 0;
+
+    for (let i = 0; i < data.length && written < pixelCount; i++) {
+        datum |= data[i] << bits;
+        bits += 8;
+
+        while (bits >= codeSize && written < pixelCount) {
+            let code = datum & ((1 << codeSize) - 1);
+            datum >>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) {
+                return output;
+            }
+            if (previous === -1) {
+                output[written++] = suffix[code];
+                previous = code;
+                firstOfPrevious = suffix[code];
+                continue;
+            }
+
+            const inCode = code;
+            let top = 0;
+            if (code >= nextCode) {
+                stack[top++] = firstOfPrevious;
+                code = previous;
+            }
+            while (code >= clearCode) {
+                stack[top++] = suffix[code];
+                code = prefix[code];
+            }
+            const first = suffix[code];
+            stack[top++] = first;
+
+            while (top > 0 && written < pixelCount) {
+                output[written++] = stack[--top];
+            }
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                nextCode++;
+                if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+            }
+            previous = inCode;
+            firstOfPrevious = first;
+        }
+    }
+
+    return output;
+}
+
+// ---- JPEG (DC coefficients of the luma component) ----
+
+function decodeJpeg(buffer) {
+    const quantDc = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let position = 2;
+
+    while (position + 4 <= buffer.length) {
+        if (buffer[position] !== 0xff) {
+            position++;
+            continue;
+        }
+
+        const marker = buffer[position + 1];
+        // Fill bytes and standalone markers carry no length
+        if (marker === 0xff || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+            position += marker === 0xff ? 1 : 2;
+            continue;
+        }
+        if (marker === 0xd9) break;
+
+        const length = buffer.readUInt16BE(position + 2);
+        const data = buffer.subarray(position + 4, position + 2 + length);
+        position += 2 + length;
+
+        if (marker === 0xdb) {
+            for (let p = 0; p < data.length;) {
+                const precision = data[p] >> 4;
+                quantDc[data[p] & 15] = precision ? data.readUInt16BE(p + 1) : data[p + 1];
+                p += 1 + (precision ? 128 : 64);
+            }
+        } else if (marker === 0xc4) {
+            for (let p = 0; p < data.length;) {
+                const counts = data.subarray(p + 1, p + 17);
+                const total = counts.reduce((sum, count) => sum + count, 0);
+                const table = buildHuffmanTable(counts, data.subarray(p + 17, p + 17 + total));
+                ((data[p] >> 4) === 0 ? dcTables : acTables)[data[p] & 15] = table;
+                p += 17 + total;
+            }
+        } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+            const components = [];
+            for (let i = 0; i < data[5]; i++) {
+                components.push({
+                    id: data[6 + i * 3],
+                    h: data[7 + i * 3] >> 4,
+                    v: data[7 + i * 3] & 15,
+                    quantTable: data[8 + i * 3]
+                });
+            }
+            frame = {
+                progressive: marker === 0xc2,
+                height: data.readUInt16BE(1),
+                width: data.readUInt16BE(3),
+                components
+            };
+            checkDimensions(frame.width, frame.height);
+        } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            // Lossless / arithmetic-coded JPEGs - practically never used for artwork
+            return null;
+        } else if (marker === 0xdd) {
+            restartInterval = data.readUInt16BE(0);
+        } else if (marker === 0xda) {
+            if (!frame) throw new Error('JPEG scan before frame header');
+
+            const scan = parseScanHeader(data, frame);
+            const luma = frame.components[0];
+            const coversLuma = scan.components.some(entry => entry.component === luma);
+            // Progressive files: only the first DC scan matters
+            const usable = coversLuma && (!frame.progressive || (scan.spectralStart === 0 && scan.approximationHigh === 0));
+
+            if (usable) {
+                return decodeLumaDc(buffer, position, frame, scan, { dcTables, acTables, quantDc, restartInterval });
+            }
+            position = skipEntropyData(buffer, position);
+        }
+    }
+
+    throw new Error('JPEG without a usable scan');
+}
+
+function parseScanHeader(data, frame) {
+    const count = data[0];
+    const components = [];
+    for (let i = 0; i < count; i++) {
+        const component = frame.components.find(entry => entry.id === data[1 + i * 2]);
+        if (!component) throw new Error('JPEG scan references unknown component');
+        components.push({ component, dcTable: data[2 + i * 2] >> 4, acTable: data[2 + i * 2] & 15 });
+    }
+
+    const tail = 1 + count * 2;
+    return {
+        components,
+        spectralStart: data[tail],
+        spectralEnd: data[tail + 1],
+        approximationHigh: data[tail + 2] >> 4,
+        approximationLow: data[tail + 2] & 15
+    };
+}
+
+function buildHuffmanTable(counts, values) {
+    const maxCode = new Int32Array(17).fill(-1);
+    const minCode = new Int32Array(17);
+    const valueOffset = new Int32Array(17);
+    let code = 0;
+    let index = 0;
+
+    for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = index;
+        minCode[length] = code;
+        code += counts[length - 1];
+        index += counts[length - 1];
+        if (counts[length - 1] > 0) maxCode[length] = code - 1;
+        code <<= 1;
+    }
+
+    return { maxCode, minCode, valueOffset, values };
+}
+
+function skipEntropyData(buffer, position) {
+    while (position + 1 < buffer.length) {
+        if (buffer[position] === 0xff && buffer[position + 1] !== 0 && (buffer[position + 1] < 0xd0 || buffer[position + 1] > 0xd7)) {
+            return position;
+        }
+        position++;
+    }
+    return buffer.length;
+}
+
+function decodeLumaDc(buffer, position, frame, scan, { dcTables, acTables, quantDc, restartInterval }) {
+    const maxH = Math.max(...frame.components.map(component => component.h));
+    const maxV = Math.max(...frame.components.map(component => component.v));
+    const mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+    const luma = frame.components[0];
+    const lumaBlocksPerLine = Math.ceil(Math.ceil(frame.width * luma.h / maxH) / 8);
+    const lumaBlocksPerColumn = Math.ceil(Math.ceil(frame.height * luma.v / maxV) / 8);
+    const gridWidth = mcusPerLine * luma.h;
+    const grid = new Float32Array(gridWidth * mcusPerColumn * luma.v);
+    const quant = quantDc[luma.quantTable] || 1;
+
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const readBit = () => {
+        if (bitCount === 0) {
+            let byte = 0;
+            if (position < buffer.length) {
+                byte = buffer[position++];
+                if (byte === 0xff) {
+                    // Stuffed zero byte; a real marker means the data ran out - read zeros from here
+                    if (buffer[position] === 0) position++;
+                    else { position--; byte = 0; }
+                }
+            }
+            bitBuffer = byte;
+            bitCount = 8;
+        }
+        bitCount--;
+        return (bitBuffer >> bitCount) & 1;
+    };
+    const readBits = (count) => {
+        let value = 0;
+        for (let i = 0; i < count; i++) value = (value << 1) | readBit();
+        return value;
+    };
+    const receiveExtend = (size) => {
+        if (size === 0) return 0;
+        const value = readBits(size);
+        return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+    };
+    const decodeSymbol = (table) => {
+        if (!table) throw new Error('JPEG scan uses an undefined Huffman table');
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | readBit();
+            if (code <= table.maxCode[length]) {
+                return table.values[table.valueOffset[length] + code - table.minCode[length]];
+            }
+        }
+        throw new Error('invalid JPEG Huffman code');
+    };
+
+    const decodeBlock = (entry, row, column) => {
+        entry.predictor += receiveExtend(decodeSymbol(dcTables[entry.dcTable]));
+
+        if (!frame.progressive) {
+            // AC coefficients still have to be decoded to find the next block
+            for (let k = 1; k < 64; k++) {
+                const symbol = decodeSymbol(acTables[entry.acTable]);
+                const run = symbol >> 4;
+                const size = symbol & 15;
+                if (size === 0) {
+                    if (run < 15) break;
+                    k += 15;
+                    continue;
+                }
+                k += run;
+                readBits(size);
+            }
+        }
+
+        if (entry.component === luma) {
+            grid[row * gridWidth + column] = entry.predictor << scan.approximationLow;
+        }
+    };
+
+    const restart = () => {
+        bitCount = 0;
+        while (position + 1 < buffer.length && !(buffer[position] === 0xff && buffer[position + 1] >= 0xd0 && buffer[position + 1] <= 0xd7)) {
+            position++;
+        }
+        position += 2;
+        scan.components.forEach(entry => { entry.predictor = 0; });
+    };
+
+    scan.components.forEach(entry => { entry.predictor = 0; });
+
+    if (scan.components.length === 1) {
+        // Non-interleaved: the component's own blocks in raster order, no MCU padding
+        const entry = scan.components[0];
+        const blocksPerLine = Math.ceil(Math.ceil(frame.width * entry.component.h / maxH) / 8);
+        const blocksPerColumn = Math.ceil(Math.ceil(frame.height * entry.component.v / maxV) / 8);
+        const total = blocksPerLine * blocksPerColumn;
+
+        for (let n = 0; n < total; n++) {
+            if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+            decodeBlock(entry, Math.floor(n / blocksPerLine), n % blocksPerLine);
+        }
+    } else {
+        const total = mcusPerLine * mcusPerColumn;
+
+        for (let n = 0; n < total; n++) {
+            if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+            const mcuRow = Math.floor(n / mcusPerLine);
+            const mcuColumn = n % mcusPerLine;
+            for (const entry of scan.components) {
+                for (let v = 0; v < entry.component.v; v++) {
+                    for (let h = 0; h < entry.component.h; h++) {
+                        decodeBlock(entry, mcuRow * entry.component.v + v, mcuColumn * entry.component.h + h);
+                    }
+                }
+            }
+        }
+    }
+
+    // Each DC coefficient is 8x the block's mean level shifted by -128
+    const pixels = new Uint8Array(lumaBlocksPerLine * lumaBlocksPerColumn);
+    for (let y = 0; y < lumaBlocksPerColumn; y++) {
+        for (let x = 0; x < lumaBlocksPerLine; x++) {
+            const level = grid[y * gridWidth + x] * quant / 8 + 128;
+            pixels[y * lumaBlocksPerLine + x] = Math.max(0, Math.min(255, Math.round(level)));
+        }
+    }
+
+    return {
+        width: lumaBlocksPerLine,
+        height: lumaBlocksPerColumn,
+        pixels,
+        // The last block row/column is padding past the image edge
+        extent: {
+            width: frame.width * luma.h / maxH / 8,
+            height: frame.height * luma.v / maxV / 8
+        }
+    };
+}
+
+module.exports = {
+    detectImageFormat,
+    decodeGrayscale
+};
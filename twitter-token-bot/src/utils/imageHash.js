@@ -0,0 +1,95 @@
+// src/utils/imageHash.js - 64-bit difference hash (dHash) of a grayscale image
+
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
+// Below this spread between the darkest and brightest cell the image is a flat
+// color and its hash (all zeros) would match every other flat image
+const MIN_CONTRAST = 8;
+
+/**
+ * Shrink to 9x8 by area averaging and set one bit per horizontally adjacent
+ * pair: 1 when the right cell is brighter. Survives rescaling, recompression
+ * and format changes, so the same artwork re-uploaded hashes within a few bits.
+ * @param {Object} image - { width, height, pixels } from imageDecoder.decodeGrayscale(); an optional
+ *                        `extent` { width, height } limits the hash to the part of the grid the picture covers
+ * @returns {Object} { hash: 16 hex chars, flat }
+ */
+function differenceHash({ width, height, pixels, extent }) {
+    const cells = new Float64Array(HASH_COLUMNS * HASH_ROWS);
+    const columnSpans = boxSpans(extent ? extent.width : width, HASH_COLUMNS);
+    const rowSpans = boxSpans(extent ? extent.height : height, HASH_ROWS);
+
+    // Fractional box filter - small sources (JPEG DC grids are 1/8 scale) have no whole pixels to spare
+    for (let row = 0; row < HASH_ROWS; row++) {
+        for (let column = 0; column < HASH_COLUMNS; column++) {
+            let sum = 0;
+            let area = 0;
+
+            for (const [y, rowWeight] of rowSpans[row]) {
+                for (const [x, columnWeight] of columnSpans[column]) {
+                    sum += pixels[y * width + x] * rowWeight * columnWeight;
+                    area += rowWeight * columnWeight;
+                }
+            }
+            cells[row * HASH_COLUMNS + column] = sum / area;
+        }
+    }
+
+    let high = 0;
+    let low = 0;
+    for (let row = 0; row < HASH_ROWS; row++) {
+        for (let column = 0; column < HASH_COLUMNS - 1; column++) {
+            const bit = row * (HASH_COLUMNS - 1) + column;
+            if (cells[row * HASH_COLUMNS + column] < cells[row * HASH_COLUMNS + column + 1]) {
+                if (bit < 32) high |= 1 << (31 - bit);
+                else low |= 1 << (63 - bit);
+            }
+        }
+    }
+
+    const hex = value => (value >>> 0).toString(16).padStart(8, '0');
+    return {
+        hash: hex(high) + hex(low),
+        flat: Math.max(...cells) - Math.min(...cells) < MIN_CONTRAST
+    };
+}
+
+/**
+ * Source pixels (and how much of each) covered by each of `cells` equal slices of [0, size)
+ * @returns {Array<Array<[number, number]>>} Per cell: [pixelIndex, weight] pairs
+ */
+function boxSpans(size, cells) {
+    const spans = [];
+    for (let cell = 0; cell < cells; cell++) {
+        const start = cell * size / cells;
+        const end = (cell + 1) * size / cells;
+        const span = [];
+        for (let pixel = Math.floor(start); pixel < Math.ceil(end); pixel++) {
+            span.push([pixel, Math.min(end, pixel + 1) - Math.max(start, pixel)]);
+        }
+        spans.push(span);
+    }
+    return spans;
+}
+
+/**
+ * @param {string} a - Hash from differenceHash()
+ * @param {string} b
+ * @returns {number} Differing bits, 0-64
+ */
+function hammingDistance(a, b) {
+    return popcount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+        popcount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+function popcount(value) {
+    value = value - ((value >>> 1) & 0x55555555);
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+module.exports = {
+    differenceHash,
+    hammingDistance
+};
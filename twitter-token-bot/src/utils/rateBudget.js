@@ -0,0 +1,55 @@
+// src/utils/rateBudget.js - Request budget over a sliding window, with pauses for upstream rate limits
+
+/**
+ * At most `requests` calls per `window` ms. A 429 (or a revoked token) can
+ * pause the budget outright until the upstream limit resets.
+ */
+class RateBudget {
+    /**
+     * @param {Object} config - { requests, window }
+     */
+    constructor({ requests = 60, window = 60000 } = {}) {
+        this.requests = requests;
+        this.window = window;
+        this.calls = [];
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Use one request if the budget allows it
+     * @returns {boolean}
+     */
+    tryTake() {
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            return false;
+        }
+
+        while (this.calls.length > 0 && this.calls[0] <= now - this.window) {
+            this.calls.shift();
+        }
+        if (this.calls.length >= this.requests) {
+            return false;
+        }
+
+        this.calls.push(now);
+        return true;
+    }
+
+    pauseUntil(timestamp) {
+        this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const recent = this.calls.filter(at => at > now - this.window).length;
+        return {
+            remaining: Math.max(0, this.requests - recent),
+            requests: this.requests,
+            window: this.window,
+            pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null
+        };
+    }
+}
+
+module.exports = RateBudget;
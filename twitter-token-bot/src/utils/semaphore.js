@@ -0,0 +1,70 @@
+// src/utils/semaphore.js - Counting semaphore for bounding concurrent async work
+class Semaphore {
+    constructor(permits) {
+        this.permits = Math.max(1, permits || 1);
+        this.inUse = 0;
+        this.waiters = [];
+    }
+
+    get available() {
+        return this.permits - this.inUse;
+    }
+
+    get pending() {
+        return this.waiters.length;
+    }
+
+    /**
+     * Take a permit without waiting
+     * @returns {Function|null} release function, or null when none is free
+     */
+    tryAcquire() {
+        if (this.inUse >= this.permits) {
+            return null;
+        }
+        this.inUse++;
+        return this.createRelease();
+    }
+
+    /**
+     * Wait for a permit (FIFO)
+     * @returns {Promise<Function>} release function - call exactly once
+     */
+    acquire() {
+        const release = this.tryAcquire();
+        if (release) {
+            return Promise.resolve(release);
+        }
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    /**
+     * Run fn while holding a permit
+     */
+    async run(fn) {
+        const release = await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    createRelease() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+
+            const next = this.waiters.shift();
+            if (next) {
+                // Hand the permit straight to the next waiter
+                next(this.createRelease());
+            } else {
+                this.inUse--;
+            }
+        };
+    }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,113 @@
+// src/utils/textNormalization.js - Folds token names/tickers so look-alike spellings compare equal
+
+// Capitals first: several lowercase forms look like different Latin letters (Greek Η → η, which reads as n)
+const UPPERCASE_CONFUSABLES = {
+    // Greek
+    'Α': 'a', 'Β': 'b', 'Ε': 'e', 'Ζ': 'z', 'Η': 'h', 'Ι': 'i', 'Κ': 'k', 'Μ': 'm',
+    'Ν': 'n', 'Ο': 'o', 'Ρ': 'p', 'Τ': 't', 'Υ': 'y', 'Χ': 'x',
+    // Cyrillic
+    'А': 'a', 'В': 'b', 'Е': 'e', 'Ѕ': 's', 'І': 'i', 'Ј': 'j', 'К': 'k', 'М': 'm',
+    'Н': 'h', 'О': 'o', 'Р': 'p', 'С': 'c', 'Т': 't', 'У': 'y', 'Х': 'x'
+};
+
+const LOWERCASE_CONFUSABLES = {
+    // Greek
+    'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'η': 'n',
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm',
+    'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ԁ': 'd',
+    // Latin look-alikes NFKC leaves alone
+    'ı': 'i', 'ɡ': 'g', 'ℓ': 'l', 'ø': 'o', 'ð': 'd', 'ł': 'l', 'ß': 'ss'
+};
+
+// Digits and symbols used in place of letters ("PEP3", "$HIB")
+const LEET = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '$': 's', '@': 'a'
+};
+
+function mapCharacters(text, table) {
+    let mapped = '';
+    for (const char of text) {
+        mapped += table[char] !== undefined ? table[char] : char;
+    }
+    return mapped;
+}
+
+/**
+ * Comparison key for a name or ticker: compatibility forms (fullwidth,
+ * mathematical bold…) and accents are folded, Greek/Cyrillic look-alikes and
+ * leetspeak become Latin letters, then everything but [a-z0-9] is dropped.
+ * @param {string} text
+ * @returns {string} '' when nothing comparable is left (e.g. emoji-only names)
+ */
+function normalizeTokenText(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    let folded = text.normalize('NFKC');
+    folded = folded.normalize('NFD').replace(/\p{M}/gu, '');
+    folded = mapCharacters(folded, UPPERCASE_CONFUSABLES).toLowerCase();
+    folded = mapCharacters(folded, LOWERCASE_CONFUSABLES);
+    folded = mapCharacters(folded, LEET);
+
+    return folded.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether the text uses non-ASCII characters that fold into Latin letters -
+ * a deliberate look-alike rather than a different word
+ */
+function containsConfusables(text) {
+    if (!text || typeof text !== 'string') return false;
+
+    for (const char of text) {
+        if (char.charCodeAt(0) > 0x7f && /[a-z]/.test(normalizeTokenText(char))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Levenshtein distance, giving up once it must exceed maxDistance
+ * @returns {number} Distance, or maxDistance + 1 when it is larger
+ */
+function levenshtein(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * @returns {number} 0-1, 1 for identical strings
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest;
+}
+
+module.exports = {
+    normalizeTokenText,
+    containsConfusables,
+    levenshtein,
+    similarity
+};
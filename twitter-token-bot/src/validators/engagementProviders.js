@@ -0,0 +1,256 @@
+// src/validators/engagementProviders.js - Tweet engagement sources tried in priority order, each within its own budget
+const logger = require('../utils/logger');
+const RateBudget = require('../utils/rateBudget');
+const XApiClient = require('../integrations/xApi');
+const { createTweetMetrics, parseSyndicationTweet, parseXApiTweet, isTweetUnavailable } = require('./tweetMetrics');
+
+/**
+ * @typedef {Object} EngagementProvider
+ * @property {string} name - 'syndication' | 'xapi' | 'page'
+ * @property {string[]} supplies - Metric groups (keys of METRIC_GROUPS) it can report
+ * @property {boolean} [authenticated] - A 401/403 means bad credentials and pauses it for an hour
+ * @property {Function} fetch - (tweetId, twitterUrl, budget) => Promise<TweetMetrics|Object|null>
+ */
+
+// Metric group → the TweetMetrics fields that come with it; the first field tells whether it's known
+const METRIC_GROUPS = {
+    likes: ['likes'],
+    views: ['views'],
+    retweets: ['retweets'],
+    replies: ['replies'],
+    quotes: ['quotes'],
+    publishedAt: ['publishedAt'],
+    author: ['author'],
+    text: ['text', 'lang'],
+    media: ['hasMedia', 'mediaTypes', 'mediaUrls'],
+    reply: ['isReply', 'inReplyTo'],
+    quote: ['isQuote', 'quotedTweetId'],
+    availability: ['availability', 'withheldIn']
+};
+
+const RATE_LIMIT_PAUSE = 60 * 1000;      // after a 429 without a reset time
+const AUTH_FAILURE_PAUSE = 60 * 60 * 1000;
+
+// Upstream limits are per IP / per token, not per monitor - every chain draws from the same budgets
+const budgets = new Map();
+
+function getBudget(name, config) {
+    if (!budgets.has(name)) {
+        budgets.set(name, new RateBudget(config));
+    }
+    return budgets.get(name);
+}
+
+function isKnown(metrics, group) {
+    const value = metrics[METRIC_GROUPS[group][0]];
+    // Views are reported as 0 when a source doesn't have them
+    return group === 'views' ? value > 0 : value !== null && value !== undefined;
+}
+
+/**
+ * Public embed endpoint - no token, everything but views
+ */
+function syndicationProvider(twitterValidator) {
+    return {
+        name: 'syndication',
+        supplies: Object.keys(METRIC_GROUPS).filter(group => group !== 'views'),
+        async fetch(tweetId, twitterUrl) {
+            try {
+                const response = await twitterValidator.httpClient.get(
+                    `https://cdn.syndication.twimg.com/tweet-result?id=${tweetId}&lang=en&token=a`,
+                    { headers: { 'Referer': 'https://platform.twitter.com/', 'Origin': 'https://platform.twitter.com' } }
+                );
+                return response.data
+                    ? parseSyndicationTweet(response.data, twitterUrl, date => twitterValidator.parseTwitterDate(date))
+                    : null;
+            } catch (error) {
+                // Deleted (or never existed) - an answer, not a failure
+                if (error.response?.status === 404) {
+                    return createTweetMetrics({ link: twitterUrl, availability: 'deleted' });
+                }
+                if (error.response) error.status = error.response.status;
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Official X API v2 - public_metrics including impression_count
+ */
+function xApiProvider(client, twitterValidator) {
+    return {
+        name: 'xapi',
+        supplies: Object.keys(METRIC_GROUPS),
+        authenticated: true,
+        async fetch(tweetId, twitterUrl, budget) {
+            const { body, rateLimit } = await client.getTweet(tweetId);
+            // Stop before the API starts answering 429
+            if (rateLimit && rateLimit.remaining === 0) {
+                budget.pauseUntil(rateLimit.resetAt);
+            }
+            return parseXApiTweet(body, twitterUrl, date => twitterValidator.parseTwitterDate(date));
+        }
+    };
+}
+
+/**
+ * Rendered tweet page in the shared browser pool - views only, and the slowest
+ */
+function pageProvider(twitterValidator) {
+    return {
+        name: 'page',
+        supplies: ['views'],
+        async fetch(tweetId) {
+            const pageMetrics = await twitterValidator.getViewsFromPage(tweetId);
+            return pageMetrics?.views > 0 ? { views: pageMetrics.views } : null;
+        }
+    };
+}
+
+/**
+ * Asks providers in order until every requested metric group is known. A
+ * provider is skipped when it can't supply anything still missing, when its
+ * budget is spent or paused, and on errors the next one is tried. Everything a
+ * provider returns is kept (the X API answers likes and views in one call) as
+ * long as an earlier provider didn't already supply it, and the result's
+ * `sources` records which provider each group came from. A provider reporting
+ * the tweet deleted / protected / withheld ends the search - the others would
+ * only spend their budget saying the same.
+ */
+class EngagementProviderChain {
+    /**
+     * @param {EngagementProvider[]} providers - Highest priority first
+     * @param {Object} budgetConfig - Provider name → { requests, window }
+     */
+    constructor(providers, budgetConfig = {}) {
+        this.providers = providers.map(provider => ({
+            provider,
+            budget: getBudget(provider.name, budgetConfig[provider.name]),
+            stats: { requests: 0, supplied: 0, empty: 0, unavailable: 0, failures: 0, overBudget: 0 }
+        }));
+    }
+
+    /**
+     * @param {string} twitterUrl
+     * @param {string} tweetId
+     * @param {string[]} want - Metric groups the caller needs, e.g. ['likes'] or ['likes', 'views']
+     * @returns {Promise<TweetMetrics|null>} null when no provider supplied anything
+     */
+    async fetch(twitterUrl, tweetId, want) {
+        const merged = {};
+        const sources = {};
+
+        for (const entry of this.providers) {
+            const { provider, budget, stats } = entry;
+            const missing = want.filter(group => !sources[group]);
+            if (missing.length === 0) break;
+            if (!missing.some(group => provider.supplies.includes(group))) continue;
+
+            if (!budget.tryTake()) {
+                stats.overBudget++;
+                continue;
+            }
+
+            stats.requests++;
+            let result;
+            try {
+                result = await provider.fetch(tweetId, twitterUrl, budget);
+            } catch (error) {
+                stats.failures++;
+                this.handleFailure(entry, error, tweetId);
+                continue;
+            }
+
+            if (!result) {
+                stats.empty++;
+                continue;
+            }
+
+            if (isTweetUnavailable(result)) {
+                stats.unavailable++;
+                return createTweetMetrics({
+                    link: twitterUrl,
+                    tweetId,
+                    availability: result.availability,
+                    sources: { availability: provider.name }
+                });
+            }
+
+            let supplied = false;
+            for (const group of provider.supplies) {
+                if (!sources[group] && isKnown(result, group)) {
+                    for (const field of METRIC_GROUPS[group]) {
+                        merged[field] = result[field];
+                    }
+                    sources[group] = provider.name;
+                    supplied = true;
+                }
+            }
+            if (supplied) stats.supplied++;
+        }
+
+        if (Object.keys(sources).length === 0) {
+            return null;
+        }
+
+        return createTweetMetrics({ ...merged, link: twitterUrl, tweetId, sources });
+    }
+
+    handleFailure({ provider, budget }, error, tweetId) {
+        const status = error.status || error.response?.status;
+
+        if (status === 429) {
+            budget.pauseUntil(error.resetAt || Date.now() + RATE_LIMIT_PAUSE);
+            logger.warn(`⏳ ${provider.name} rate limited - paused until ${new Date(budget.pausedUntil).toLocaleTimeString()}`);
+        } else if (provider.authenticated && (status === 401 || status === 403)) {
+            budget.pauseUntil(Date.now() + AUTH_FAILURE_PAUSE);
+            logger.warn(`🔑 ${provider.name} rejected the bearer token (${status}) - paused for ${AUTH_FAILURE_PAUSE / 60000}min`);
+        } else {
+            logger.debug(`${provider.name} engagement lookup failed for ${tweetId}: ${error.message}`);
+        }
+    }
+
+    getStatus() {
+        return Object.fromEntries(this.providers.map(({ provider, budget, stats }, index) => [
+            provider.name,
+            { priority: index + 1, ...stats, budget: budget.getStatus() }
+        ]));
+    }
+}
+
+/**
+ * Build the chain for a validator from the engagementProviders config
+ * @param {TwitterValidator} twitterValidator - HTTP client, date parsing and page scraping
+ * @param {Object} config - { order, bearerToken, timeout, budgets }
+ * @returns {EngagementProviderChain}
+ */
+function createEngagementChain(twitterValidator, config) {
+    const factories = {
+        syndication: () => syndicationProvider(twitterValidator),
+        xapi: () => config.bearerToken
+            ? xApiProvider(new XApiClient({ bearerToken: config.bearerToken, timeout: config.timeout }), twitterValidator)
+            : null,
+        page: () => twitterValidator.config.enablePageExtraction ? pageProvider(twitterValidator) : null
+    };
+
+    const providers = [];
+    for (const name of config.order) {
+        if (!factories[name]) {
+            logger.warn(`⚠️ Unknown engagement provider "${name}" - expected ${Object.keys(factories).join(', ')}`);
+            continue;
+        }
+        const provider = factories[name]();
+        if (provider && !providers.some(existing => existing.name === name)) {
+            providers.push(provider);
+        }
+    }
+
+    return new EngagementProviderChain(providers, config.budgets);
+}
+
+module.exports = {
+    METRIC_GROUPS,
+    EngagementProviderChain,
+    createEngagementChain
+};
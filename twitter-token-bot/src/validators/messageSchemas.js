@@ -0,0 +1,182 @@
+// src/validators/messageSchemas.js - Versioned schemas for inbound PumpPortal payloads
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const BASE58_SIGNATURE = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+/**
+ * Field rules:
+ *   type      - 'string' | 'number' | 'address' | 'signature'
+ *   required  - reject the message when missing
+ *   equals    - literal value (after coercion)
+ *
+ * Every message type keeps a list of versions, newest first. When PumpPortal
+ * changes a payload, add a new version on top instead of editing the old one,
+ * so recordings made against the old format still validate.
+ */
+const SCHEMAS = {
+    create: [
+        {
+            version: 1,
+            fields: {
+                txType: { type: 'string', required: true, equals: 'create' },
+                signature: { type: 'signature', required: true },
+                mint: { type: 'address', required: true },
+                traderPublicKey: { type: 'address', required: true },
+                name: { type: 'string', required: true },
+                symbol: { type: 'string', required: true },
+                uri: { type: 'string' },
+                bondingCurveKey: { type: 'address' },
+                initialBuy: { type: 'number' },
+                solAmount: { type: 'number' },
+                vTokensInBondingCurve: { type: 'number' },
+                vSolInBondingCurve: { type: 'number' },
+                marketCapSol: { type: 'number' },
+                pool: { type: 'string' }
+            }
+        }
+    ],
+    migrate: [
+        {
+            version: 1,
+            fields: {
+                txType: { type: 'string', required: true, equals: 'migrate' },
+                signature: { type: 'signature', required: true },
+                mint: { type: 'address', required: true },
+                pool: { type: 'string' }
+            }
+        }
+    ],
+    trade: [
+        {
+            version: 1,
+            fields: {
+                txType: { type: 'string', required: true },
+                signature: { type: 'signature', required: true },
+                mint: { type: 'address', required: true },
+                traderPublicKey: { type: 'address', required: true },
+                tokenAmount: { type: 'number', required: true },
+                solAmount: { type: 'number', required: true },
+                newTokenBalance: { type: 'number' },
+                bondingCurveKey: { type: 'address' },
+                vTokensInBondingCurve: { type: 'number' },
+                vSolInBondingCurve: { type: 'number' },
+                marketCapSol: { type: 'number' },
+                pool: { type: 'string' }
+            }
+        }
+    ]
+};
+
+/**
+ * Decide which schema a parsed message should be held to. Only PumpPortal's
+ * documented txType values are accepted - everything else is 'unknown'.
+ * @param {Object} message - Parsed JSON message
+ * @returns {string} 'control' | 'create' | 'migrate' | 'trade' | 'unknown'
+ */
+function classifyMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return 'unknown';
+    }
+
+    // Subscription confirmations and server-side errors
+    if (typeof message.message === 'string' || message.errors !== undefined) {
+        return 'control';
+    }
+
+    switch (message.txType) {
+        case 'create':
+            return 'create';
+        case 'migrate':
+            return 'migrate';
+        case 'buy':
+        case 'sell':
+            return 'trade';
+        default:
+            return 'unknown';
+    }
+}
+
+function coerceField(value, rule) {
+    switch (rule.type) {
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number)
+                ? { value: number }
+                : { error: `expected number, got ${JSON.stringify(value)}` };
+        }
+        case 'address':
+        case 'signature': {
+            const pattern = rule.type === 'address' ? BASE58_ADDRESS : BASE58_SIGNATURE;
+            const text = typeof value === 'string' ? value.trim() : value;
+            return typeof text === 'string' && pattern.test(text)
+                ? { value: text }
+                : { error: `expected base58 ${rule.type}` };
+        }
+        case 'string':
+        default:
+            if (typeof value === 'string') return { value: value.trim() };
+            if (typeof value === 'number') return { value: String(value) };
+            return { error: `expected string, got ${typeof value}` };
+    }
+}
+
+function validateAgainst(schema, message) {
+    const value = { ...message }; // Unknown extra fields pass through untouched
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const raw = message[field];
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (rule.required) {
+                errors.push(`${field}: missing`);
+            }
+            continue;
+        }
+
+        const result = coerceField(raw, rule);
+        if (result.error) {
+            errors.push(`${field}: ${result.error}`);
+            continue;
+        }
+
+        if (rule.equals !== undefined && result.value !== rule.equals) {
+            errors.push(`${field}: expected "${rule.equals}"`);
+            continue;
+        }
+
+        value[field] = result.value;
+    }
+
+    return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Validate and coerce a message against every known version of its schema
+ * @param {string} type - Message type from classifyMessage()
+ * @param {Object} message - Parsed JSON message
+ * @returns {Object} { valid, value, errors, schemaVersion }
+ */
+function validateMessage(type, message) {
+    const versions = SCHEMAS[type];
+    if (!versions) {
+        return { valid: false, value: null, errors: [`no schema for type "${type}"`], schemaVersion: null };
+    }
+
+    let newest = null;
+    for (const schema of versions) {
+        const result = validateAgainst(schema, message);
+        if (result.valid) {
+            return { ...result, schemaVersion: schema.version };
+        }
+        newest = newest || { ...result, schemaVersion: schema.version };
+    }
+
+    // Report errors against the newest version - that's the one upstream should match
+    return { ...newest, valid: false, value: null };
+}
+
+module.exports = {
+    SCHEMAS,
+    classifyMessage,
+    validateMessage
+};
@@ -0,0 +1,235 @@
+// src/validators/tweetMetrics.js - The TweetMetrics shape shared by validators, pipeline, alerts and logs
+
+/**
+ * @typedef {Object} TweetAuthor
+ * @property {string} handle - screen name without the @
+ * @property {string|null} name - Display name
+ * @property {number|null} followers - null when the source doesn't report it
+ * @property {boolean} verified - Legacy / organization verification
+ * @property {boolean} blueVerified - Paid verification
+ * @property {string|null} verifiedType - e.g. 'Business', 'Government'
+ * @property {string|null} createdAt - Account creation (ISO), when the payload has it
+ */
+
+/**
+ * @typedef {Object} TweetMetrics
+ * @property {string|null} link
+ * @property {string|null} tweetId
+ * @property {number} likes
+ * @property {number} views - 0 while unknown (syndication does not report views)
+ * @property {number|null} retweets - null when the source doesn't report it (not 0)
+ * @property {number|null} replies
+ * @property {number|null} quotes
+ * @property {string|null} publishedAt - ISO timestamp
+ * @property {TweetAuthor|null} author
+ * @property {string|null} text - Tweet text without the trailing media link
+ * @property {string|null} lang
+ * @property {boolean} hasMedia
+ * @property {string[]} mediaTypes - 'photo' | 'video' | 'animated_gif'
+ * @property {string[]} mediaUrls - Photo URLs, and the preview image of videos / GIFs
+ * @property {boolean} isReply
+ * @property {string|null} inReplyTo - Handle being replied to
+ * @property {boolean} isQuote
+ * @property {string|null} quotedTweetId
+ * @property {string|null} availability - 'available' | 'deleted' | 'protected' | 'withheld' |
+ *           'suspended' | 'unavailable', null when unknown; unavailable tweets carry no engagement.
+ *           'withheld' means withheld everywhere (copyright) - see withheldIn for single countries
+ * @property {string[]} withheldIn - Country codes the tweet is withheld in; it stays available elsewhere
+ * @property {Object} sources - Metric group → engagement provider that supplied it,
+ *           e.g. { likes: 'syndication', views: 'xapi' } (see engagementProviders)
+ */
+
+/**
+ * TweetMetrics with every field present; unknown counts stay null
+ * @param {Object} fields - Any TweetMetrics fields (extra pipeline fields are kept)
+ * @returns {TweetMetrics}
+ */
+function createTweetMetrics(fields = {}) {
+    return {
+        link: null,
+        tweetId: null,
+        likes: 0,
+        views: 0,
+        retweets: null,
+        replies: null,
+        quotes: null,
+        publishedAt: null,
+        author: null,
+        text: null,
+        lang: null,
+        hasMedia: false,
+        mediaTypes: [],
+        mediaUrls: [],
+        isReply: false,
+        inReplyTo: null,
+        isQuote: false,
+        quotedTweetId: null,
+        availability: null,
+        withheldIn: [],
+        sources: {},
+        ...fields
+    };
+}
+
+/**
+ * Parse a cdn.syndication.twimg.com tweet-result payload
+ * @param {Object} data - Response body
+ * @param {string} link - Tweet URL the payload was fetched for
+ * @param {Function} parseDate - (value) => ISO string | null
+ * @returns {TweetMetrics}
+ */
+function parseSyndicationTweet(data, link, parseDate) {
+    // Deleted, protected and withheld tweets come back as a tombstone with an explanation
+    if (data.__typename === 'TweetTombstone' || data.tombstone) {
+        return createTweetMetrics({ link, availability: classifyUnavailable(data.tombstone?.text?.text) });
+    }
+
+    const user = data.user || null;
+    const mediaTypes = Array.from(new Set([
+        ...(data.mediaDetails || []).map(media => media.type),
+        ...(data.photos?.length ? ['photo'] : []),
+        ...(data.video ? ['video'] : [])
+    ].filter(Boolean)));
+    const mediaUrls = Array.from(new Set([
+        ...(data.mediaDetails || []).map(media => media.media_url_https),
+        ...(data.photos || []).map(photo => photo.url),
+        data.video?.poster
+    ].filter(url => typeof url === 'string')));
+
+    return createTweetMetrics({
+        link,
+        tweetId: data.id_str || null,
+        likes: toCount(data.favorite_count ?? data.favoriteCount ?? data.like_count) || 0,
+        retweets: toCount(data.retweet_count),
+        // Syndication calls the reply count conversation_count
+        replies: toCount(data.reply_count ?? data.conversation_count),
+        quotes: toCount(data.quote_count),
+        publishedAt: parseDate(data.created_at || data.created_time),
+        author: user && user.screen_name ? {
+            handle: user.screen_name,
+            name: user.name || null,
+            followers: toCount(user.followers_count),
+            verified: Boolean(user.verified),
+            blueVerified: Boolean(user.is_blue_verified),
+            verifiedType: user.verified_type || null,
+            createdAt: user.created_at ? parseDate(user.created_at) : null
+        } : null,
+        text: displayText(data),
+        lang: data.lang || null,
+        hasMedia: mediaTypes.length > 0,
+        mediaTypes,
+        mediaUrls,
+        isReply: Boolean(data.in_reply_to_status_id_str || data.parent),
+        inReplyTo: data.in_reply_to_screen_name || data.parent?.user?.screen_name || null,
+        isQuote: Boolean(data.quoted_tweet),
+        quotedTweetId: data.quoted_tweet?.id_str || null,
+        availability: data.withheld_copyright ? 'withheld' : 'available',
+        withheldIn: data.withheld_in_countries || []
+    });
+}
+
+/**
+ * Parse an X API v2 tweet lookup (GET /2/tweets/:id with the author, media and
+ * replied-to user expanded)
+ * @param {Object} body - Response body { data, includes }
+ * @param {string} link - Tweet URL the payload was fetched for
+ * @param {Function} parseDate - (value) => ISO string | null
+ * @returns {TweetMetrics|null} Only availability is set when the API explains why there's no
+ *          tweet (deleted, protected, suspended author), null for an empty response
+ */
+function parseXApiTweet(body, link, parseDate) {
+    const tweet = body?.data;
+    if (!tweet) {
+        const problem = body?.errors?.[0];
+        if (!problem) return null;
+
+        const availability = /resource-not-found/.test(problem.type || '') ? 'deleted'
+            : /not-authorized/.test(problem.type || '') ? 'protected'
+            : classifyUnavailable(problem.detail);
+        return createTweetMetrics({ link, availability });
+    }
+
+    const users = body.includes?.users || [];
+    const user = users.find(candidate => candidate.id === tweet.author_id);
+    const repliedTo = users.find(candidate => candidate.id === tweet.in_reply_to_user_id);
+    const mediaKeys = tweet.attachments?.media_keys || [];
+    const media = (body.includes?.media || []).filter(item => mediaKeys.includes(item.media_key));
+    const mediaTypes = Array.from(new Set(media.map(item => item.type).filter(Boolean)));
+    const mediaUrls = media.map(item => item.url || item.preview_image_url).filter(Boolean);
+    const references = tweet.referenced_tweets || [];
+    const quoted = references.find(reference => reference.type === 'quoted');
+    const counts = tweet.public_metrics || {};
+
+    return createTweetMetrics({
+        link,
+        tweetId: tweet.id,
+        likes: toCount(counts.like_count) || 0,
+        views: toCount(counts.impression_count) || 0,
+        retweets: toCount(counts.retweet_count),
+        replies: toCount(counts.reply_count),
+        quotes: toCount(counts.quote_count),
+        publishedAt: parseDate(tweet.created_at),
+        author: user ? {
+            handle: user.username,
+            name: user.name || null,
+            followers: toCount(user.public_metrics?.followers_count),
+            // v2 reports any checkmark as verified - the type tells paid from organization
+            verified: Boolean(user.verified) && user.verified_type !== 'blue',
+            blueVerified: user.verified_type === 'blue',
+            verifiedType: ['business', 'government'].includes(user.verified_type)
+                ? user.verified_type.charAt(0).toUpperCase() + user.verified_type.slice(1)
+                : null,
+            createdAt: user.created_at ? parseDate(user.created_at) : null
+        } : null,
+        text: tweet.note_tweet?.text || tweet.text || null,
+        lang: tweet.lang || null,
+        hasMedia: mediaKeys.length > 0,
+        mediaTypes,
+        mediaUrls,
+        isReply: references.some(reference => reference.type === 'replied_to'),
+        inReplyTo: repliedTo?.username || null,
+        isQuote: Boolean(quoted),
+        quotedTweetId: quoted?.id || null,
+        availability: tweet.withheld?.copyright ? 'withheld' : 'available',
+        withheldIn: tweet.withheld?.country_codes || []
+    });
+}
+
+/**
+ * @returns {boolean} true when the tweet is known to be gone (unknown availability is not)
+ */
+function isTweetUnavailable(metrics) {
+    return Boolean(metrics?.availability) && metrics.availability !== 'available';
+}
+
+// Tombstone / error wording → availability
+function classifyUnavailable(text = '') {
+    if (/deleted|doesn.t exist|does not exist|not found/i.test(text)) return 'deleted';
+    if (/limits who can view|protected/i.test(text)) return 'protected';
+    if (/withheld/i.test(text)) return 'withheld';
+    if (/suspended/i.test(text)) return 'suspended';
+    return 'unavailable';
+}
+
+function toCount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const count = parseInt(value);
+    return isNaN(count) ? null : count;
+}
+
+// display_text_range cuts the leading @mentions of replies and the trailing media link
+function displayText(data) {
+    if (typeof data.text !== 'string') return null;
+
+    const range = data.display_text_range;
+    if (!Array.isArray(range) || range.length !== 2) return data.text;
+
+    return Array.from(data.text).slice(range[0], range[1]).join('');
+}
+
+module.exports = {
+    createTweetMetrics,
+    parseSyndicationTweet,
+    parseXApiTweet,
+    isTweetUnavailable
+};
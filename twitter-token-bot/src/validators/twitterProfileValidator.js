@@ -0,0 +1,239 @@
+// src/validators/twitterProfileValidator.js - Qualifies tokens that link an X profile or community instead of a tweet
+const logger = require('../utils/logger');
+const { getBrowserPool } = require('../services/browserPool');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Second qualification path next to the tweet likes check. Profiles are read
+ * from the public syndication timeline (no API token): followers, account age,
+ * verification and the likes on the latest posts. Communities have no public
+ * endpoint, so their page is rendered in the shared browser pool and the
+ * member count and visible post likes are read from it.
+ *
+ * Resolved metadata is cached - many tokens link the same big account.
+ */
+class TwitterProfileValidator {
+    /**
+     * @param {Object} config - { profile, community, cacheTtl, recentPosts }
+     * @param {TwitterValidator} twitterValidator - Provides the HTTP client and number parsing
+     */
+    constructor(config = {}, twitterValidator) {
+        this.config = {
+            cacheTtl: 10 * 60 * 1000,
+            maxCacheEntries: 1000,
+            recentPosts: 10,
+            pageTimeout: 20000,
+            ...config,
+            profile: {
+                minFollowers: 5000,
+                minAccountAgeDays: 30,
+                requireVerified: false,
+                minAvgRecentLikes: 50,
+                ...config.profile
+            },
+            community: {
+                minMembers: 1000,
+                minAvgRecentLikes: 20,
+                ...config.community
+            }
+        };
+
+        this.twitterValidator = twitterValidator;
+        this.cache = new Map(); // "type:id" → { metrics, expiresAt }
+
+        this.stats = {
+            checks: 0,
+            cacheHits: 0,
+            unresolved: 0,
+            qualified: 0,
+            rejected: 0
+        };
+    }
+
+    /**
+     * Resolve the link and compare it against the thresholds for its type
+     * @param {Object} profileLink - From TwitterValidator.extractTwitterLinks()
+     * @returns {Promise<Object|null>} { qualified, reasons, metrics }, null when the link couldn't be resolved
+     */
+    async check(profileLink) {
+        this.stats.checks++;
+
+        const metrics = await this.resolve(profileLink);
+        if (!metrics) {
+            this.stats.unresolved++;
+            return null;
+        }
+
+        const reasons = this.evaluate(metrics);
+        const qualified = reasons.length === 0;
+        this.stats[qualified ? 'qualified' : 'rejected']++;
+
+        return { qualified, reasons, metrics };
+    }
+
+    async resolve(profileLink) {
+        const cacheKey = `${profileLink.type}:${(profileLink.handle || profileLink.communityId).toLowerCase()}`;
+        const cached = this.cache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return cached.metrics;
+        }
+
+        const metrics = profileLink.type === 'community'
+            ? await this.resolveCommunity(profileLink)
+            : await this.resolveProfile(profileLink);
+
+        if (metrics) {
+            if (this.cache.size >= this.config.maxCacheEntries) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(cacheKey, { metrics, expiresAt: Date.now() + this.config.cacheTtl });
+        }
+
+        return metrics;
+    }
+
+    /**
+     * @returns {string[]} Failed thresholds, empty when the link qualifies
+     */
+    evaluate(metrics) {
+        const reasons = [];
+
+        if (metrics.type === 'community') {
+            const thresholds = this.config.community;
+            if (metrics.members < thresholds.minMembers) {
+                reasons.push(`${metrics.members} members < ${thresholds.minMembers}`);
+            }
+            if (metrics.avgRecentLikes < thresholds.minAvgRecentLikes) {
+                reasons.push(`avg ${metrics.avgRecentLikes} likes < ${thresholds.minAvgRecentLikes}`);
+            }
+            return reasons;
+        }
+
+        const thresholds = this.config.profile;
+        if (metrics.followers < thresholds.minFollowers) {
+            reasons.push(`${metrics.followers} followers < ${thresholds.minFollowers}`);
+        }
+        if (metrics.accountAgeDays !== null && metrics.accountAgeDays < thresholds.minAccountAgeDays) {
+            reasons.push(`account ${metrics.accountAgeDays}d old < ${thresholds.minAccountAgeDays}d`);
+        }
+        if (thresholds.requireVerified && !metrics.verified) {
+            reasons.push('not verified');
+        }
+        if (metrics.avgRecentLikes < thresholds.minAvgRecentLikes) {
+            reasons.push(`avg ${metrics.avgRecentLikes} likes < ${thresholds.minAvgRecentLikes}`);
+        }
+        return reasons;
+    }
+
+    async resolveProfile({ handle, url }) {
+        try {
+            const response = await this.twitterValidator.httpClient.get(
+                `https://syndication.twitter.com/srv/timeline-profile/screen-name/${encodeURIComponent(handle)}`,
+                { headers: { 'Referer': 'https://platform.twitter.com/' } }
+            );
+
+            const nextData = String(response.data).match(/<script id="__NEXT_DATA__" type="application\/json">([\s\S]*?)<\/script>/);
+            if (!nextData) {
+                return null;
+            }
+
+            const entries = JSON.parse(nextData[1])?.props?.pageProps?.timeline?.entries || [];
+            const tweets = entries.map(entry => entry.content?.tweet).filter(Boolean);
+            const ownTweets = tweets.filter(tweet => tweet.user?.screen_name?.toLowerCase() === handle.toLowerCase());
+            const user = ownTweets[0]?.user;
+
+            if (!user) {
+                return null;
+            }
+
+            const recent = ownTweets.filter(tweet => !tweet.retweeted_status).slice(0, this.config.recentPosts);
+            const createdAt = this.twitterValidator.parseTwitterDate(user.created_at);
+
+            return {
+                type: 'profile',
+                url,
+                handle: user.screen_name,
+                name: user.name,
+                followers: user.followers_count || 0,
+                accountCreatedAt: createdAt,
+                accountAgeDays: createdAt ? Math.floor((Date.now() - new Date(createdAt).getTime()) / DAY_MS) : null,
+                verified: Boolean(user.verified || user.is_blue_verified),
+                recentPosts: recent.length,
+                avgRecentLikes: average(recent.map(tweet => tweet.favorite_count || 0)),
+                lastPostAt: this.twitterValidator.parseTwitterDate(recent[0]?.created_at)
+            };
+
+        } catch (error) {
+            logger.debug(`Profile lookup failed for @${handle}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async resolveCommunity({ communityId, url }) {
+        const pageUrl = `https://x.com/i/communities/${communityId}`;
+
+        try {
+            const scraped = await getBrowserPool().withPage(pageUrl, async (page) => {
+                await page.goto(pageUrl, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: this.config.pageTimeout
+                });
+                await new Promise(resolve => setTimeout(resolve, 3000));
+
+                return page.evaluate(() => {
+                    const text = document.body.innerText || '';
+                    const members = text.match(/([\d.,]+\s*[KMB]?)\s+Members?/i);
+                    const likes = Array.from(document.querySelectorAll('[data-testid="like"], [data-testid="unlike"]'))
+                        .map(button => button.getAttribute('aria-label') || '');
+                    return {
+                        name: document.title.replace(/\s*\/\s*X\s*$/, '').trim(),
+                        members: members ? members[1] : null,
+                        likes
+                    };
+                });
+            }, { profile: 'twitter' });
+
+            if (!scraped.members) {
+                return null;
+            }
+
+            const likes = scraped.likes
+                .slice(0, this.config.recentPosts)
+                .map(label => this.twitterValidator.parseCompactNumber(label));
+
+            return {
+                type: 'community',
+                url,
+                communityId,
+                name: scraped.name || null,
+                members: this.twitterValidator.parseCompactNumber(scraped.members),
+                recentPosts: likes.length,
+                avgRecentLikes: average(likes)
+            };
+
+        } catch (error) {
+            logger.debug(`Community lookup failed for ${communityId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            cached: this.cache.size,
+            thresholds: {
+                profile: this.config.profile,
+                community: this.config.community
+            },
+            stats: this.stats
+        };
+    }
+}
+
+function average(values) {
+    return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+}
+
+module.exports = TwitterProfileValidator;
@@ -1,10 +1,18 @@
-// Cleaned TwitterValidator - Only fast likes + puppeteer views with SIMPLE views detection
+// Cleaned TwitterValidator - Engagement from the provider chain (syndication, X API, page views)
 const axios = require('axios');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const logger = require('../utils/logger');
-
-puppeteer.use(StealthPlugin());
+const { getBrowserPool } = require('../services/browserPool');
+const { fetchTokenMetadata } = require('../integrations/tokenMetadata');
+const { createTweetMetrics, isTweetUnavailable } = require('./tweetMetrics');
+const { createEngagementChain } = require('./engagementProviders');
+const { getTweetMetricsCache } = require('../services/tweetMetricsCache');
+const { computeVelocity } = require('../utils/engagementVelocity');
+
+// x.com paths that look like a handle but aren't an account
+const RESERVED_PATHS = new Set([
+    'i', 'home', 'search', 'explore', 'hashtag', 'intent', 'share', 'settings', 'messages',
+    'notifications', 'login', 'signup', 'logout', 'tos', 'privacy', 'compose', 'communities'
+]);
 
 class TwitterValidator {
     constructor(config = {}) {
@@ -14,35 +22,59 @@ class TwitterValidator {
             ...config
         };
 
-        this.browser = null;
         this.httpClient = axios.create({
             timeout: this.config.quickTimeout,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
             }
         });
+
+        // Provider order, budgets and the X API token (the page provider follows enablePageExtraction)
+        this.engagement = createEngagementChain(this, {
+            ...require('../config').engagementProviders,
+            ...config.engagementProviders
+        });
     }
 
     /**
      * Extract Twitter status URL from token event
      */
     async extractTwitterUrl(tokenEvent) {
+        const { statusUrl } = await this.extractTwitterLinks(tokenEvent, { includeProfiles: false });
+        return statusUrl;
+    }
+
+    /**
+     * Status URL plus, for tokens without one, the X profile or community they link
+     * @param {Object} tokenEvent - Event or token info with twitter/social fields and/or a metadata uri
+     * @param {Object} options - { includeProfiles }
+     * @returns {Promise<Object>} { statusUrl, profileLink } profileLink is
+     *          { type: 'profile', url, handle } | { type: 'community', url, communityId } | null
+     */
+    async extractTwitterLinks(tokenEvent, { includeProfiles = true } = {}) {
         // Check direct fields first
         const possibleFields = ['twitter', 'social', 'socials'];
+        let profileLink = null;
         
         for (const field of possibleFields) {
             if (tokenEvent[field]) {
                 const statusUrl = this.findTwitterStatusUrl(tokenEvent[field]);
-                if (statusUrl) return statusUrl;
+                if (statusUrl) return { statusUrl, profileLink: null };
+                profileLink = profileLink || (includeProfiles ? this.findTwitterProfileLink(tokenEvent[field]) : null);
             }
         }
 
         // Check metadata URI
         if (tokenEvent.uri) {
-            return await this.extractFromMetadataUri(tokenEvent.uri);
+            const metadata = await this.fetchMetadata(tokenEvent.uri);
+            if (metadata) {
+                const statusUrl = this.findTwitterStatusInMetadata(metadata);
+                if (statusUrl) return { statusUrl, profileLink: null };
+                profileLink = profileLink || (includeProfiles ? this.findTwitterProfileInMetadata(metadata) : null);
+            }
         }
 
-        return null;
+        return { statusUrl: null, profileLink };
     }
 
     findTwitterStatusUrl(text) {
@@ -62,28 +94,13 @@ class TwitterValidator {
     }
 
     async extractFromMetadataUri(uri) {
-        try {
-            let fetchUrl = uri;
-            if (uri.startsWith('ipfs://')) {
-                fetchUrl = uri.replace('ipfs://', 'https://ipfs.io/ipfs/');
-            } else if (uri.startsWith('ar://')) {
-                fetchUrl = uri.replace('ar://', 'https://arweave.net/');
-            }
-            
-            const response = await axios.get(fetchUrl, { 
-                timeout: 10000,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; TokenScanner/1.0)' }
-            });
-            
-            if (response.data) {
-                return this.findTwitterStatusInMetadata(response.data);
-            }
-            return null;
-            
-        } catch (error) {
-            logger.debug(`Failed to fetch metadata from ${uri}: ${error.message}`);
-            return null;
-        }
+        const metadata = await this.fetchMetadata(uri);
+        return metadata ? this.findTwitterStatusInMetadata(metadata) : null;
+    }
+
+    async fetchMetadata(uri) {
+        // Shared (and cached) with the artwork check, which reads `image` from the same document
+        return fetchTokenMetadata(uri);
     }
 
     findTwitterStatusInMetadata(metadata) {
@@ -116,147 +133,189 @@ class TwitterValidator {
     }
 
     /**
-     * Fast likes check using syndication API
+     * X community or profile link - only used when there is no status URL
+     * @returns {Object|null} { type: 'community', url, communityId } | { type: 'profile', url, handle }
      */
-    async quickLikesCheck(twitterUrl) {
-        if (!twitterUrl) return null;
-
-        const tweetId = this.extractTweetId(twitterUrl);
-        if (!tweetId) return null;
+    findTwitterProfileLink(text) {
+        if (!text || typeof text !== 'string') return null;
 
-        try {
-            const url = `https://cdn.syndication.twimg.com/tweet-result?id=${tweetId}&lang=en&token=a`;
-            
-            const response = await this.httpClient.get(url, {
-                headers: {
-                    'Referer': 'https://platform.twitter.com/',
-                    'Origin': 'https://platform.twitter.com'
-                }
-            });
+        const community = text.match(/https?:\/\/(?:www\.)?(?:twitter\.com|x\.com)\/i\/communities\/(\d+)/i);
+        if (community) {
+            return { type: 'community', url: community[0], communityId: community[1] };
+        }
 
-            if (response.data) {
-                const likes = parseInt(response.data.favorite_count || response.data.favoriteCount || response.data.like_count) || 0;
-                
-                if (likes > 0) {
-                    return {
-                        link: twitterUrl,
-                        likes: likes,
-                        publishedAt: this.parseTwitterDate(response.data.created_at || response.data.created_time),
-                        views: 0,
-                        retweets: 0,
-                        replies: 0
-                    };
-                }
+        const profilePattern = /https?:\/\/(?:www\.)?(?:twitter\.com|x\.com)\/([A-Za-z0-9_]{1,15})(?![A-Za-z0-9_])/gi;
+        for (const match of text.matchAll(profilePattern)) {
+            if (!RESERVED_PATHS.has(match[1].toLowerCase())) {
+                return { type: 'profile', url: match[0], handle: match[1] };
             }
-            return null;
+        }
 
-        } catch (error) {
-            logger.debug(`Quick likes check failed for ${tweetId}: ${error.message}`);
-            return null;
+        return null;
+    }
+
+    findTwitterProfileInMetadata(metadata) {
+        const fieldsToCheck = ['twitter', 'social', 'socials', 'links', 'external_url', 'website'];
+
+        for (const field of fieldsToCheck) {
+            if (metadata[field]) {
+                const link = this.findTwitterProfileLink(JSON.stringify(metadata[field]));
+                if (link) return link;
+            }
         }
+
+        // The description often mentions unrelated accounts - only trust link fields
+        return null;
+    }
+
+    /**
+     * Fast check - likes from the first provider in the chain that can supply them
+     * (syndication by default), with whatever else that provider reports
+     * @returns {Promise<TweetMetrics|null>} null when the tweet can't be read or has no likes;
+     *          deleted / protected / withheld tweets come back with their availability set
+     */
+    async quickLikesCheck(twitterUrl) {
+        const metrics = await this.fetchEngagement(twitterUrl, ['likes']);
+        return metrics && (metrics.likes > 0 || isTweetUnavailable(metrics)) ? metrics : null;
+    }
+
+    /**
+     * Fresh read of whether the tweet still exists (cached answers are skipped)
+     * @returns {Promise<TweetMetrics|null>} null when no provider could tell
+     */
+    async checkAvailability(twitterUrl) {
+        return this.fetchEngagement(twitterUrl, ['availability'], { fresh: true });
     }
 
     /**
-     * Full validation with views using puppeteer
+     * Full validation - likes and views, falling back through the providers
+     * @returns {Promise<TweetMetrics|null>}
      */
     async validateEngagement(twitterUrl) {
         if (!twitterUrl) return null;
 
+        const metrics = await this.fetchEngagement(twitterUrl, ['likes', 'views']);
+        return metrics || createTweetMetrics({ link: twitterUrl });
+    }
+
+    /**
+     * Views only - the X API when configured, otherwise the rendered page
+     * @returns {Promise<TweetMetrics|null>}
+     */
+    async fetchViews(twitterUrl) {
+        return this.fetchEngagement(twitterUrl, ['views']);
+    }
+
+    /**
+     * Through the shared tweet metrics cache - only groups that have gone stale are fetched
+     * @param {string} twitterUrl
+     * @param {string[]} want - Metric groups to collect (see engagementProviders)
+     * @param {Object} options - { fresh } fresh ignores cached values
+     * @returns {Promise<TweetMetrics|null>} with `sources` naming the provider of each metric
+     */
+    async fetchEngagement(twitterUrl, want, { fresh = false } = {}) {
+        if (!twitterUrl) return null;
+
         const tweetId = this.extractTweetId(twitterUrl);
         if (!tweetId) return null;
 
         try {
-            // Get likes first (this already works)
-            const quickMetrics = await this.quickLikesCheck(twitterUrl);
-            
-            // Get views if enabled
-            if (this.config.enablePageExtraction) {
-                const pageMetrics = await this.getViewsFromPage(tweetId);
-                if (pageMetrics && pageMetrics.views > 0) {
-                    // Combine: views from page + likes from quickMetrics
-                    return {
-                        link: twitterUrl,
-                        views: pageMetrics.views,
-                        likes: quickMetrics?.likes || 0,
-                        retweets: 0,
-                        replies: 0,
-                        publishedAt: quickMetrics?.publishedAt || null
-                    };
-                }
+            const metrics = await getTweetMetricsCache().get(
+                tweetId,
+                want,
+                groups => this.engagement.fetch(twitterUrl, tweetId, groups),
+                { fresh }
+            );
+            // Cached under another spelling of the URL (twitter.com vs x.com)
+            return metrics ? { ...metrics, link: twitterUrl } : null;
+        } catch (error) {
+            logger.debug(`Engagement lookup failed for ${tweetId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Re-read the tweet a few times to see how fast engagement is growing
+     * @param {string} twitterUrl
+     * @param {Object} options - { samples, interval, sampleViews, first } first is an already-taken
+     *                          snapshot { at, likes, metrics } counted as the first sample
+     * @param {Function} run - Wraps each request, e.g. to hold a likes-check slot only while fetching
+     * @returns {Promise<Object|null>} { metrics, velocity } with metrics from the latest sample,
+     *          null when no sample could be read
+     */
+    async sampleEngagement(twitterUrl, { samples = 3, interval = 20000, sampleViews = false, first = null } = {}, run = fn => fn()) {
+        if (!this.extractTweetId(twitterUrl)) return null;
+
+        const snapshots = first ? [first] : [];
+
+        while (snapshots.length < samples) {
+            if (snapshots.length > 0) {
+                await new Promise(resolve => setTimeout(resolve, interval));
             }
 
-            // Fallback to just likes
-            return quickMetrics || {
-                link: twitterUrl,
-                views: 0,
-                likes: 0,
-                retweets: 0,
-                replies: 0,
-                publishedAt: null
-            };
+            const at = Date.now();
+            // Cached numbers would flatten the rate - every sample is a real read
+            const metrics = await run(() => this.fetchEngagement(twitterUrl, sampleViews ? ['likes', 'views'] : ['likes'], { fresh: true }));
 
-        } catch (error) {
-            logger.debug(`Validation failed for ${tweetId}: ${error.message}`);
-            return {
-                link: twitterUrl,
-                views: 0,
-                likes: 0,
-                retweets: 0,
-                replies: 0,
-                publishedAt: null
-            };
+            // A failed read shortens the series rather than adding a fake zero
+            if (metrics?.likes > 0 && !isTweetUnavailable(metrics)) {
+                snapshots.push({ at, likes: metrics.likes, views: metrics.views, metrics });
+            } else if (snapshots.length === 0) {
+                return null;
+            } else {
+                samples--;
+            }
         }
+
+        const latest = snapshots[snapshots.length - 1].metrics;
+        return {
+            metrics: latest,
+            velocity: computeVelocity(snapshots, latest.publishedAt)
+        };
     }
 
     /**
-     * Get views from page - EXACTLY like your test script
+     * Get views from page - EXACTLY like your test script (the chain's 'page' provider)
      */
     async getViewsFromPage(tweetId) {
-        if (!this.browser) {
-            this.browser = await puppeteer.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-            });
-        }
+        const url = `https://twitter.com/i/status/${tweetId}`;
 
-        const page = await this.browser.newPage();
-        
         try {
-            await page.goto(`https://twitter.com/i/status/${tweetId}`, { 
-                waitUntil: 'domcontentloaded', 
-                timeout: 30000 
-            });
-
-            await new Promise(resolve => setTimeout(resolve, 3000));
-
-            // Find the exact span that contains "Views"
-            const views = await page.evaluate(() => {
-                const spans = document.querySelectorAll('span.css-1jxf684.r-bcqeeo.r-1ttztb7.r-qvutc0.r-poiln3');
-                
-                for (const span of spans) {
-                    const text = span.textContent.trim();
-                    if (text.includes('Views')) {
-                        return text;
+            return await getBrowserPool().withPage(url, async (page) => {
+                await page.goto(url, { 
+                    waitUntil: 'domcontentloaded', 
+                    timeout: 30000 
+                });
+
+                await new Promise(resolve => setTimeout(resolve, 3000));
+
+                // Find the exact span that contains "Views"
+                const views = await page.evaluate(() => {
+                    const spans = document.querySelectorAll('span.css-1jxf684.r-bcqeeo.r-1ttztb7.r-qvutc0.r-poiln3');
+                    
+                    for (const span of spans) {
+                        const text = span.textContent.trim();
+                        if (text.includes('Views')) {
+                            return text;
+                        }
                     }
-                }
-                
-                return null;
-            });
+                    
+                    return null;
+                });
 
-            if (!views) {
-                return null;
-            }
+                if (!views) {
+                    return null;
+                }
 
-            // Parse the views number
-            const viewCount = this.parseNumber(views);
-            
-            return { views: viewCount, likes: 0 };
+                // Parse the views number
+                const viewCount = this.parseNumber(views);
+                
+                return { views: viewCount, likes: 0 };
+            }, { profile: 'twitter' });
 
         } catch (error) {
             logger.debug(`Page scraping failed for ${tweetId}: ${error.message}`);
             return null;
-        } finally {
-            await page.close();
         }
     }
 
@@ -273,6 +332,19 @@ class TwitterValidator {
         return parseInt(number.replace(/,/g, '')) || 0;
     }
 
+    /**
+     * Parse abbreviated counts like "12.5K Members" or "1.2M"
+     */
+    parseCompactNumber(str) {
+        if (!str || typeof str !== 'string') return 0;
+
+        const match = str.replace(/,/g, '').match(/([\d.]+)\s*([KMB])?/i);
+        if (!match) return 0;
+
+        const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier) || 0;
+    }
+
     extractTweetId(url) {
         const patterns = [
             /(?:twitter\.com|x\.com)\/[\w]+\/status\/(\d+)/,
@@ -288,6 +360,10 @@ class TwitterValidator {
         return null;
     }
 
+    getStatus() {
+        return this.engagement.getStatus();
+    }
+
     parseTwitterDate(dateString) {
         if (!dateString) return null;
         
@@ -300,13 +376,6 @@ class TwitterValidator {
             return null;
         }
     }
-
-    async cleanup() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-        }
-    }
 }
 
 module.exports = TwitterValidator;
\ No newline at end of file
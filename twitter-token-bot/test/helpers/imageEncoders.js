@@ -0,0 +1,505 @@
+// test/helpers/imageEncoders.js - Small PNG / GIF / JPEG writers for decoder and artwork fixtures
+const zlib = require('zlib');
+
+/**
+ * An RGB test image: { width, height, rgb } with rgb holding 3 bytes per pixel.
+ * `paint` maps normalized coordinates (u, v in [0, 1)) to [r, g, b], so the
+ * same artwork can be rendered at any size - a resized copy.
+ */
+function renderImage(width, height, paint) {
+    const rgb = new Uint8Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = paint((x + 0.5) / width, (y + 0.5) / height);
+            rgb.set([clamp(r), clamp(g), clamp(b)], (y * width + x) * 3);
+        }
+    }
+    return { width, height, rgb };
+}
+
+// Same weights as the decoder, without alpha
+function luminance(r, g, b) {
+    return Math.round((299 * r + 587 * g + 114 * b) / 1000);
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+// ---- PNG ----
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    Buffer.from(data).copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * @param {Object} image - From renderImage()
+ * @param {Object} options - { colorType: 0 (gray) | 2 (RGB) | 6 (RGBA), alpha: (x, y) => 0-255,
+ *                           interlace, filters: filter types cycled per row (0-4) }
+ */
+function encodePng({ width, height, rgb }, { colorType = 2, alpha = () => 255, interlace = false, filters = [0, 1, 2, 3, 4] } = {}) {
+    const channels = { 0: 1, 2: 3, 6: 4 }[colorType];
+    const pixel = (x, y) => {
+        const [r, g, b] = rgb.subarray((y * width + x) * 3, (y * width + x) * 3 + 3);
+        if (colorType === 0) return [luminance(r, g, b)];
+        return colorType === 6 ? [r, g, b, alpha(x, y)] : [r, g, b];
+    };
+
+    const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    const rows = [];
+    let rowIndex = 0;
+
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        let previous = new Uint8Array(passWidth * channels);
+        for (let y = 0; y < passHeight; y++) {
+            const raw = new Uint8Array(passWidth * channels);
+            for (let x = 0; x < passWidth; x++) {
+                raw.set(pixel(x0 + x * dx, y0 + y * dy), x * channels);
+            }
+
+            const filter = filters[rowIndex++ % filters.length];
+            rows.push(Buffer.from([filter]), Buffer.from(filterRow(filter, raw, previous, channels)));
+            previous = raw;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+    header[12] = interlace ? 1 : 0;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function filterRow(filter, raw, previous, bytesPerPixel) {
+    const out = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+        const left = i >= bytesPerPixel ? raw[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+        out[i] = (raw[i] - predictor) & 0xff;
+    }
+    return out;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// ---- GIF ----
+
+/**
+ * @param {Object} image - From renderImage(), with at most 255 distinct colors (one palette slot is
+ *                         kept for transparency)
+ * @param {Object} options - { interlace, transparent: (x, y) => boolean }
+ * @returns {Buffer} GIF89a with a single frame and a global color table
+ */
+function encodeGif({ width, height, rgb }, { interlace = false, transparent = null } = {}) {
+    const TRANSPARENT_INDEX = 255;
+    const palette = new Map(); // 0xRRGGBB → index
+    const indices = new Uint8Array(width * height);
+    const order = interlace ? interlacedRows(height) : Array.from({ length: height }, (_, y) => y);
+
+    order.forEach((y, row) => {
+        for (let x = 0; x < width; x++) {
+            if (transparent && transparent(x, y)) {
+                indices[row * width + x] = TRANSPARENT_INDEX;
+                continue;
+            }
+            const offset = (y * width + x) * 3;
+            const key = (rgb[offset] << 16) | (rgb[offset + 1] << 8) | rgb[offset + 2];
+            if (!palette.has(key)) {
+                if (palette.size === TRANSPARENT_INDEX) throw new Error('GIF fixture has more than 255 colors');
+                palette.set(key, palette.size);
+            }
+            indices[row * width + x] = palette.get(key);
+        }
+    });
+
+    const colorTable = Buffer.alloc(256 * 3);
+    for (const [key, index] of palette) {
+        colorTable.set([key >> 16, (key >> 8) & 0xff, key & 0xff], index * 3);
+    }
+
+    const screen = Buffer.alloc(7);
+    screen.writeUInt16LE(width, 0);
+    screen.writeUInt16LE(height, 2);
+    screen[4] = 0xf7; // global color table, 256 entries
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+    descriptor[9] = interlace ? 0x40 : 0;
+
+    const parts = [Buffer.from('GIF89a', 'ascii'), screen, colorTable];
+    if (transparent) {
+        parts.push(Buffer.from([0x21, 0xf9, 4, 0x01, 0, 0, TRANSPARENT_INDEX, 0]));
+    }
+    parts.push(descriptor, Buffer.from([8]), subBlocks(lzwEncode(indices, 8)), Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+}
+
+function interlacedRows(height) {
+    const rows = [];
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step) rows.push(y);
+    }
+    return rows;
+}
+
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+            table = new Map();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+    return Buffer.from(bytes);
+}
+
+function subBlocks(data) {
+    const parts = [];
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        parts.push(Buffer.from([block.length]), block);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+// ---- JPEG ----
+
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// Fixed-length Huffman codes keep the writer short: 4 bits per DC size category,
+// 8 bits per AC run/size symbol (EOB, ZRL and every run 0-15 x size 1-10)
+const DC_SYMBOLS = Array.from({ length: 12 }, (_, size) => size);
+const AC_SYMBOLS = [0x00, 0xf0];
+for (let run = 0; run < 16; run++) {
+    for (let size = 1; size <= 10; size++) AC_SYMBOLS.push((run << 4) | size);
+}
+
+function huffmanSegment(tableClass, length, symbols) {
+    const counts = new Array(16).fill(0);
+    counts[length - 1] = symbols.length;
+    return [(tableClass << 4) | 0, ...counts, ...symbols];
+}
+
+/**
+ * @param {Object} image - From renderImage()
+ * @param {Object} options - { color: YCbCr 4:2:0 instead of grayscale, progressive: DC scan then one AC
+ *                           scan per component, dcQuant / acQuant: quantizer steps (lower = higher
+ *                           quality), restartInterval: MCUs between RST markers }
+ * @returns {Buffer}
+ */
+function encodeJpeg({ width, height, rgb }, { color = false, progressive = false, dcQuant = 8, acQuant = 16, restartInterval = 0 } = {}) {
+    const planes = toPlanes(width, height, rgb, color);
+    const maxH = color ? 2 : 1;
+    const maxV = color ? 2 : 1;
+    const mcusPerLine = Math.ceil(width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+    const components = planes.map((plane, index) => {
+        const h = index === 0 ? maxH : 1;
+        const v = index === 0 ? maxV : 1;
+        const blocksPerLine = mcusPerLine * h;
+        const blocksPerColumn = mcusPerColumn * v;
+        const blocks = [];
+        for (let row = 0; row < blocksPerColumn; row++) {
+            for (let column = 0; column < blocksPerLine; column++) {
+                blocks.push(forwardDct(plane, row, column, dcQuant, acQuant));
+            }
+        }
+        return {
+            id: index + 1,
+            h,
+            v,
+            blocks,
+            blocksPerLine,
+            // Non-interleaved scans cover only the blocks inside the image
+            ownBlocksPerLine: Math.ceil(Math.ceil(width * h / maxH) / 8),
+            ownBlocksPerColumn: Math.ceil(Math.ceil(height * v / maxV) / 8)
+        };
+    });
+
+    const segments = [];
+    const segment = (marker, data) => {
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(0xff00 | marker, 0);
+        header.writeUInt16BE(data.length + 2, 2);
+        segments.push(header, Buffer.from(data));
+    };
+
+    const quantTable = new Array(64).fill(acQuant);
+    quantTable[0] = dcQuant;
+    segment(0xdb, [0, ...quantTable]);
+
+    const frame = [8, height >> 8, height & 0xff, width >> 8, width & 0xff, components.length];
+    components.forEach(component => frame.push(component.id, (component.h << 4) | component.v, 0));
+    segment(progressive ? 0xc2 : 0xc0, frame);
+
+    segment(0xc4, [...huffmanSegment(0, 4, DC_SYMBOLS), ...huffmanSegment(1, 8, AC_SYMBOLS)]);
+    if (restartInterval) {
+        segment(0xdd, [restartInterval >> 8, restartInterval & 0xff]);
+    }
+
+    const writeScan = (scanComponents, spectralStart, spectralEnd) => {
+        const header = [scanComponents.length];
+        scanComponents.forEach(component => header.push(component.id, 0x00));
+        header.push(spectralStart, spectralEnd, 0);
+        segment(0xda, header);
+        segments.push(entropyCode(scanComponents, spectralStart, spectralEnd, { mcusPerLine, mcusPerColumn, restartInterval }));
+    };
+
+    if (progressive) {
+        writeScan(components, 0, 0);
+        components.forEach(component => writeScan([component], 1, 63));
+    } else {
+        writeScan(components, 0, 63);
+    }
+
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), ...segments, Buffer.from([0xff, 0xd9])]);
+}
+
+function toPlanes(width, height, rgb, color) {
+    const plane = (planeWidth, planeHeight, sample) => ({ width: planeWidth, height: planeHeight, sample });
+    const at = (x, y) => rgb.subarray((y * width + x) * 3, (y * width + x) * 3 + 3);
+    const luma = plane(width, height, (x, y) => {
+        const [r, g, b] = at(x, y);
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    });
+    if (!color) return [luma];
+
+    // 2x2 averaged chroma
+    const chroma = (weights) => plane(Math.ceil(width / 2), Math.ceil(height / 2), (x, y) => {
+        let sum = 0;
+        let count = 0;
+        for (let dy = 0; dy < 2; dy++) {
+            for (let dx = 0; dx < 2; dx++) {
+                const sx = Math.min(width - 1, x * 2 + dx);
+                const sy = Math.min(height - 1, y * 2 + dy);
+                const [r, g, b] = at(sx, sy);
+                sum += weights[0] * r + weights[1] * g + weights[2] * b + 128;
+                count++;
+            }
+        }
+        return sum / count;
+    });
+
+    return [luma, chroma([-0.1687, -0.3313, 0.5]), chroma([0.5, -0.4187, -0.0813])];
+}
+
+// COSINES[x * 8 + u] = cos((2x + 1)uπ / 16)
+const COSINES = Array.from({ length: 64 }, (_, i) => Math.cos((2 * Math.floor(i / 8) + 1) * (i % 8) * Math.PI / 16));
+
+// Quantized coefficients of one 8x8 block in zigzag order; edges repeat the last pixel
+function forwardDct(plane, blockRow, blockColumn, dcQuant, acQuant) {
+    const samples = new Float64Array(64);
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const sx = Math.min(plane.width - 1, blockColumn * 8 + x);
+            const sy = Math.min(plane.height - 1, blockRow * 8 + y);
+            samples[y * 8 + x] = plane.sample(sx, sy) - 128;
+        }
+    }
+
+    const coefficients = new Int32Array(64);
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    sum += samples[y * 8 + x] * COSINES[x * 8 + u] * COSINES[y * 8 + v];
+                }
+            }
+            const scale = (u === 0 ? Math.SQRT1_2 : 1) * (v === 0 ? Math.SQRT1_2 : 1) / 4;
+            coefficients[v * 8 + u] = Math.round(sum * scale / (u === 0 && v === 0 ? dcQuant : acQuant));
+        }
+    }
+
+    return ZIGZAG.map(index => coefficients[index]);
+}
+
+function entropyCode(scanComponents, spectralStart, spectralEnd, { mcusPerLine, mcusPerColumn, restartInterval }) {
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const writeBits = (value, length) => {
+        for (let bit = length - 1; bit >= 0; bit--) {
+            bitBuffer = (bitBuffer << 1) | ((value >> bit) & 1);
+            if (++bitCount === 8) {
+                bytes.push(bitBuffer);
+                if (bitBuffer === 0xff) bytes.push(0); // byte stuffing
+                bitBuffer = 0;
+                bitCount = 0;
+            }
+        }
+    };
+    const flush = () => {
+        if (bitCount > 0) writeBits(0x7f, 8 - bitCount); // pad with ones
+    };
+    const category = value => (value === 0 ? 0 : Math.floor(Math.log2(Math.abs(value))) + 1);
+    const writeValue = (value, size) => writeBits(value < 0 ? value + (1 << size) - 1 : value, size);
+
+    const predictors = new Map(scanComponents.map(component => [component, 0]));
+
+    const writeBlock = (component, coefficients) => {
+        if (spectralStart === 0) {
+            const diff = coefficients[0] - predictors.get(component);
+            predictors.set(component, coefficients[0]);
+            const size = category(diff);
+            writeBits(DC_SYMBOLS.indexOf(size), 4);
+            writeValue(diff, size);
+        }
+        if (spectralEnd === 0) return;
+
+        let run = 0;
+        for (let k = Math.max(1, spectralStart); k <= spectralEnd; k++) {
+            const value = coefficients[k];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                writeBits(AC_SYMBOLS.indexOf(0xf0), 8);
+                run -= 16;
+            }
+            const size = category(value);
+            writeBits(AC_SYMBOLS.indexOf((run << 4) | size), 8);
+            writeValue(value, size);
+            run = 0;
+        }
+        if (run > 0) writeBits(AC_SYMBOLS.indexOf(0x00), 8);
+    };
+
+    // One unit is an MCU (interleaved scan) or a single block (non-interleaved)
+    const units = [];
+    if (scanComponents.length === 1) {
+        const [component] = scanComponents;
+        for (let row = 0; row < component.ownBlocksPerColumn; row++) {
+            for (let column = 0; column < component.ownBlocksPerLine; column++) {
+                units.push([[component, component.blocks[row * component.blocksPerLine + column]]]);
+            }
+        }
+    } else {
+        for (let mcu = 0; mcu < mcusPerLine * mcusPerColumn; mcu++) {
+            const mcuRow = Math.floor(mcu / mcusPerLine);
+            const mcuColumn = mcu % mcusPerLine;
+            const unit = [];
+            for (const component of scanComponents) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        const row = mcuRow * component.v + v;
+                        const column = mcuColumn * component.h + h;
+                        unit.push([component, component.blocks[row * component.blocksPerLine + column]]);
+                    }
+                }
+            }
+            units.push(unit);
+        }
+    }
+
+    units.forEach((unit, index) => {
+        if (restartInterval && index > 0 && index % restartInterval === 0) {
+            flush();
+            bytes.push(0xff, 0xd0 + ((index / restartInterval - 1) % 8));
+            scanComponents.forEach(component => predictors.set(component, 0));
+        }
+        unit.forEach(([component, coefficients]) => writeBlock(component, coefficients));
+    });
+    flush();
+
+    return Buffer.from(bytes);
+}
+
+module.exports = {
+    renderImage,
+    luminance,
+    encodePng,
+    encodeGif,
+    encodeJpeg
+};
@@ -0,0 +1,43 @@
+// test/helpers/stubGateway.js - Local HTTP server standing in for the IPFS gateway
+const http = require('http');
+
+/**
+ * Serves whatever is put in `files` (CID path → Buffer | Object) under /ipfs/.
+ * Objects are sent as JSON, anything missing is a 404.
+ * @returns {Promise<Object>} { url, files, requests: path → count, close }
+ */
+async function startStubGateway() {
+    const files = new Map();
+    const requests = new Map();
+
+    const server = http.createServer((req, res) => {
+        const cid = req.url.replace(/^\/ipfs\//, '');
+        requests.set(cid, (requests.get(cid) || 0) + 1);
+
+        const file = files.get(cid);
+        if (file === undefined) {
+            res.writeHead(404);
+            res.end('not found');
+            return;
+        }
+
+        if (Buffer.isBuffer(file)) {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': file.length });
+            res.end(file);
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(file));
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/ipfs/`,
+        files,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startStubGateway };
@@ -0,0 +1,86 @@
+// test/integrations/tokenMetadata.test.js
+const { startStubGateway } = require('../helpers/stubGateway');
+
+describe('tokenMetadata', () => {
+    let gateway;
+    let resolveContentUrl;
+    let fetchTokenMetadata;
+    let fetchImage;
+
+    beforeAll(async () => {
+        gateway = await startStubGateway();
+        // config reads the gateway at require time
+        process.env.IPFS_GATEWAY_URL = gateway.url;
+        process.env.ARWEAVE_GATEWAY_URL = 'https://arweave.example/';
+        ({ resolveContentUrl, fetchTokenMetadata, fetchImage } = require('../../src/integrations/tokenMetadata'));
+    });
+
+    afterAll(async () => {
+        delete process.env.IPFS_GATEWAY_URL;
+        delete process.env.ARWEAVE_GATEWAY_URL;
+        await gateway.close();
+    });
+
+    describe('resolveContentUrl', () => {
+        test('maps ipfs:// and ar:// URIs onto the configured gateways', () => {
+            expect(resolveContentUrl('ipfs://QmMeta')).toBe(`${gateway.url}QmMeta`);
+            expect(resolveContentUrl('ipfs://ipfs/QmMeta')).toBe(`${gateway.url}QmMeta`);
+            expect(resolveContentUrl('ar://tx123')).toBe('https://arweave.example/tx123');
+        });
+
+        test('routes public IPFS gateway links through the configured gateway', () => {
+            expect(resolveContentUrl('https://cf-ipfs.com/ipfs/QmImage')).toBe(`${gateway.url}QmImage`);
+            expect(resolveContentUrl(`${gateway.url}QmImage`)).toBe(`${gateway.url}QmImage`);
+        });
+
+        test('leaves other URLs and non-strings alone', () => {
+            expect(resolveContentUrl('https://example.com/token.json')).toBe('https://example.com/token.json');
+            expect(resolveContentUrl(null)).toBeNull();
+        });
+    });
+
+    describe('fetchTokenMetadata', () => {
+        test('fetches through the gateway and caches per URI', async () => {
+            gateway.files.set('QmCached', { name: 'Cached', symbol: 'CCH', image: 'ipfs://QmArt' });
+
+            const first = await fetchTokenMetadata('ipfs://QmCached');
+            const second = await fetchTokenMetadata('ipfs://QmCached');
+
+            expect(first).toEqual({ name: 'Cached', symbol: 'CCH', image: 'ipfs://QmArt' });
+            expect(second).toEqual(first);
+            expect(gateway.requests.get('QmCached')).toBe(1);
+        });
+
+        test('returns null when the gateway has no such file', async () => {
+            expect(await fetchTokenMetadata('ipfs://QmMissing')).toBeNull();
+        });
+
+        test('does not cache failures', async () => {
+            expect(await fetchTokenMetadata('ipfs://QmLate')).toBeNull();
+
+            gateway.files.set('QmLate', { name: 'Late' });
+            expect(await fetchTokenMetadata('ipfs://QmLate')).toEqual({ name: 'Late' });
+            expect(gateway.requests.get('QmLate')).toBe(2);
+        });
+    });
+
+    describe('fetchImage', () => {
+        test('returns the raw bytes', async () => {
+            const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3, 4]);
+            gateway.files.set('QmBytes', bytes);
+
+            const fetched = await fetchImage('ipfs://QmBytes');
+            expect(Buffer.isBuffer(fetched)).toBe(true);
+            expect(fetched.equals(bytes)).toBe(true);
+        });
+
+        test('rejects images over maxBytes', async () => {
+            gateway.files.set('QmHuge', Buffer.alloc(4096));
+            await expect(fetchImage('ipfs://QmHuge', { maxBytes: 1024 })).rejects.toThrow();
+        });
+
+        test('rejects on 404', async () => {
+            await expect(fetchImage('ipfs://QmNothing')).rejects.toThrow();
+        });
+    });
+});
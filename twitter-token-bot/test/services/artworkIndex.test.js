@@ -0,0 +1,132 @@
+// test/services/artworkIndex.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubGateway } = require('../helpers/stubGateway');
+const { renderImage, encodePng, encodeGif, encodeJpeg } = require('../helpers/imageEncoders');
+
+// Token artwork: a disc over diagonal color bands. The bands are posterized to
+// a few dozen colors so the GIF copy fits a palette without dithering.
+const artwork = (u, v) => {
+    if (Math.hypot(u - 0.4, v - 0.45) < 0.25) return [240, 200, 60];
+    const wave = Math.round(20 * Math.sin(2 * Math.PI * (u * 1.3 + v * 0.7))) / 20;
+    return [128 + 100 * wave, 90 + 60 * wave, 160 - 80 * wave];
+};
+
+// Different artwork entirely: coarse diagonal stripes
+const stripes = (u, v) => (Math.floor(u * 3 + v * 5) % 2 ? [20, 200, 90] : [200, 30, 120]);
+
+describe('ArtworkIndex', () => {
+    let gateway;
+    let tempDir;
+    let config;
+    let ArtworkIndex;
+    let index;
+    let nextMint = 0;
+
+    // Publishes metadata pointing at the image and returns the token as a create event would carry it
+    const launch = (imageBytes, symbol = 'ART') => {
+        const id = `Qm${++nextMint}`;
+        gateway.files.set(`${id}-image`, imageBytes);
+        gateway.files.set(`${id}-meta`, { name: symbol, symbol, image: `ipfs://${id}-image` });
+        return { address: `mint${nextMint}`, symbol, uri: `ipfs://${id}-meta` };
+    };
+
+    beforeAll(async () => {
+        gateway = await startStubGateway();
+        process.env.IPFS_GATEWAY_URL = gateway.url;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artwork-index-'));
+
+        config = require('../../src/config').artwork;
+        ({ ArtworkIndex } = require('../../src/services/artworkIndex'));
+    });
+
+    beforeEach(() => {
+        index = new ArtworkIndex({ ...config, filePath: path.join(tempDir, `index-${Date.now()}-${nextMint}.json`) });
+        index.original = launch(encodePng(renderImage(256, 256, artwork)), 'ORIG');
+    });
+
+    afterEach(() => {
+        clearTimeout(index.flushTimer);
+        process.off('exit', index.flushOnExit);
+    });
+
+    afterAll(async () => {
+        delete process.env.IPFS_GATEWAY_URL;
+        await gateway.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('fingerprints the image named in the token metadata', async () => {
+        const result = await index.check(index.original);
+
+        expect(result).toMatchObject({ fingerprinted: true, reused: false, otherTokens: 0, first: null });
+        expect(result.hash).toMatch(/^[0-9a-f]{16}$/);
+        expect(index.get(index.original.address).imageUrl).toMatch(/-image$/);
+    });
+
+    test.each([
+        ['re-encoded as baseline JPEG', () => encodeJpeg(renderImage(256, 256, artwork), { color: true })],
+        ['re-encoded as low quality JPEG', () => encodeJpeg(renderImage(256, 256, artwork), { color: true, dcQuant: 16, acQuant: 40 })],
+        ['resized to 180px progressive JPEG', () => encodeJpeg(renderImage(180, 180, artwork), { color: true, progressive: true })],
+        ['resized to 128px GIF', () => encodeGif(renderImage(128, 128, artwork))],
+        ['resized to 96px PNG', () => encodePng(renderImage(96, 96, artwork))],
+        ['saved as interlaced grayscale PNG', () => encodePng(renderImage(256, 256, artwork), { colorType: 0, interlace: true })]
+    ])('flags a copy %s as reused', async (_, encode) => {
+        await index.check(index.original);
+        const result = await index.check(launch(encode(), 'COPY'));
+
+        expect(result.reused).toBe(true);
+        expect(result.first).toMatchObject({ mint: index.original.address, symbol: 'ORIG' });
+        expect(result.first.distance).toBeLessThanOrEqual(config.maxDistance);
+    });
+
+    test.each([
+        ['PNG', () => encodePng(renderImage(256, 256, stripes))],
+        ['JPEG', () => encodeJpeg(renderImage(256, 256, stripes), { color: true })]
+    ])('does not match unrelated artwork (%s)', async (_, encode) => {
+        await index.check(index.original);
+        const result = await index.check(launch(encode(), 'OTHER'));
+
+        expect(result).toMatchObject({ fingerprinted: true, reused: false, otherTokens: 0 });
+    });
+
+    test('counts every earlier copy and reports the oldest first', async () => {
+        await index.check(index.original);
+        await index.check(launch(encodeGif(renderImage(128, 128, artwork)), 'COPY1'));
+        const result = await index.check(launch(encodePng(renderImage(96, 96, artwork)), 'COPY2'));
+
+        expect(result.otherTokens).toBe(2);
+        expect(result.first.symbol).toBe('ORIG');
+    });
+
+    test('skips flat images', async () => {
+        const result = await index.check(launch(encodePng(renderImage(64, 64, () => [90, 90, 90]))));
+
+        expect(result).toMatchObject({ fingerprinted: false, reason: 'flat' });
+        expect(index.stats.flat).toBe(1);
+    });
+
+    test('reports unsupported formats and missing images', async () => {
+        const webp = await index.check(launch(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'ascii')));
+        gateway.files.set('QmNoImage', { name: 'No image' });
+        const noImage = await index.check({ address: 'mintNoImage', uri: 'ipfs://QmNoImage' });
+
+        expect(webp).toMatchObject({ fingerprinted: false, reason: 'unsupported' });
+        expect(noImage).toMatchObject({ fingerprinted: false, reason: 'no_image' });
+    });
+
+    test('persists hashes so a new instance still catches the copy', async () => {
+        await index.check(index.original);
+        await index.flush();
+
+        const reloaded = new ArtworkIndex({ ...config, filePath: index.config.filePath });
+        try {
+            const result = await reloaded.check(launch(encodeJpeg(renderImage(256, 256, artwork), { color: true }), 'COPY'));
+            expect(result.reused).toBe(true);
+        } finally {
+            clearTimeout(reloaded.flushTimer);
+            process.off('exit', reloaded.flushOnExit);
+        }
+    });
+});
@@ -0,0 +1,190 @@
+// test/services/durableQueue.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DurableQueue = require('../../src/services/durableQueue');
+
+describe('DurableQueue', () => {
+    let directory;
+    let now;
+
+    const createQueue = (config = {}) => new DurableQueue({
+        name: 'test',
+        directory,
+        visibilityTimeout: 60000,
+        maxAttempts: 3,
+        retryDelay: 30000,
+        ...config
+    });
+
+    const readDeadLetters = () => fs.readFileSync(path.join(directory, 'test.dead.jsonl'), 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line));
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'durable-queue-'));
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('lease', () => {
+        test('hands out items in enqueue order, one attempt each', () => {
+            const queue = createQueue();
+            queue.enqueue({ mint: 'a' });
+            queue.enqueue({ mint: 'b' });
+            queue.enqueue({ mint: 'c' });
+
+            const leased = queue.lease(2);
+
+            expect(leased.map(item => item.payload.mint)).toEqual(['a', 'b']);
+            expect(leased.every(item => item.attempts === 1 && item.resumed === false)).toBe(true);
+            expect(queue.lease(5).map(item => item.payload.mint)).toEqual(['c']);
+        });
+
+        test('holds back delayed items until they are due', () => {
+            const queue = createQueue();
+            queue.enqueue({ mint: 'later' }, { delay: 5000 });
+
+            expect(queue.lease()).toEqual([]);
+            now += 5000;
+            expect(queue.lease()).toHaveLength(1);
+        });
+
+        test('does not hand out a leased item again until the lease expires', () => {
+            const queue = createQueue();
+            queue.enqueue({ mint: 'a' });
+            queue.lease();
+
+            now += 59999;
+            expect(queue.lease()).toEqual([]);
+
+            now += 1;
+            const [retry] = queue.lease();
+            expect(retry.attempts).toBe(2);
+            expect(queue.stats.leaseExpired).toBe(1);
+        });
+
+        test('removes acked items', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a' });
+            queue.lease();
+
+            expect(queue.ack(id)).toBe(true);
+            expect(queue.length).toBe(0);
+            expect(queue.ack(id)).toBe(false);
+        });
+    });
+
+    describe('nack', () => {
+        test('makes the item available again after retryDelay', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a' });
+            queue.lease();
+
+            queue.nack(id, { error: 'rpc timeout' });
+
+            now += 29999;
+            expect(queue.lease()).toEqual([]);
+            now += 1;
+            expect(queue.lease()).toEqual([expect.objectContaining({ id, attempts: 2 })]);
+            expect(queue.stats.retried).toBe(1);
+        });
+
+        test('honors a custom delay', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a' });
+            queue.lease();
+
+            queue.nack(id, { delay: 0 });
+            expect(queue.lease()).toHaveLength(1);
+        });
+
+        test('dead-letters the item once maxAttempts is used up', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a' });
+
+            for (let attempt = 1; attempt <= 3; attempt++) {
+                queue.lease();
+                queue.nack(id, { error: `failure ${attempt}`, delay: 0 });
+            }
+
+            expect(queue.length).toBe(0);
+            expect(queue.stats.deadLettered).toBe(1);
+            expect(readDeadLetters()).toEqual([
+                expect.objectContaining({ id, payload: { mint: 'a' }, attempts: 3, reason: 'failure 3', deadLetteredAt: now })
+            ]);
+        });
+
+        test('dead-letters an item whose final lease expired', () => {
+            const queue = createQueue({ maxAttempts: 1 });
+            queue.enqueue({ mint: 'a' });
+            queue.lease();
+
+            now += 60000;
+            expect(queue.lease()).toEqual([]);
+            expect(readDeadLetters()[0].reason).toBe('lease expired on final attempt');
+        });
+    });
+
+    test('defer puts the item back without spending an attempt', () => {
+        const queue = createQueue();
+        const id = queue.enqueue({ mint: 'a', step: 1 });
+        queue.lease();
+
+        queue.defer(id, 1000, { mint: 'a', step: 2 });
+
+        now += 1000;
+        expect(queue.lease()).toEqual([expect.objectContaining({ attempts: 1, payload: { mint: 'a', step: 2 } })]);
+    });
+
+    describe('restart', () => {
+        test('resumes waiting and in-flight items from disk', () => {
+            const queue = createQueue();
+            const inFlight = queue.enqueue({ mint: 'a' });
+            const waiting = queue.enqueue({ mint: 'b' });
+            queue.lease();
+
+            const restarted = createQueue();
+            const leased = restarted.lease(2);
+
+            expect(restarted.stats.resumed).toBe(2);
+            // The lease died with the old process - no need to wait out the visibility timeout
+            expect(leased).toEqual([
+                expect.objectContaining({ id: inFlight, attempts: 2, resumed: true }),
+                expect.objectContaining({ id: waiting, attempts: 1, resumed: true })
+            ]);
+        });
+
+        test('keeps progress recorded with update', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a', stage: 'enrich' });
+            queue.lease();
+            queue.update(id, { mint: 'a', stage: 'analyze' }, { label: 'A' });
+
+            const [resumed] = createQueue().lease();
+            expect(resumed.payload).toEqual({ mint: 'a', stage: 'analyze' });
+        });
+
+        test('does not resume acked items', () => {
+            const queue = createQueue();
+            const id = queue.enqueue({ mint: 'a' });
+            queue.lease();
+            queue.ack(id);
+
+            expect(createQueue().length).toBe(0);
+        });
+
+        test('moves an unreadable state file aside and starts empty', () => {
+            fs.writeFileSync(path.join(directory, 'test.json'), '{ not json');
+
+            const queue = createQueue();
+
+            expect(queue.length).toBe(0);
+            expect(fs.readdirSync(directory).some(file => file.startsWith('test.json.corrupt-'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+// test/services/engagementRechecker.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EngagementRechecker = require('../../src/services/engagementRechecker');
+
+describe('EngagementRechecker persistence', () => {
+    let directory;
+    let filePath;
+    let now;
+    const instances = [];
+
+    const create = (checkLikes = async () => null) => {
+        const instance = new EngagementRechecker({ name: 'test', filePath, schedule: [60000, 180000] }, checkLikes);
+        instances.push(instance);
+        return instance;
+    };
+
+    const near = { twitterUrl: 'https://x.com/dev/status/1', likes: 40, threshold: 100, symbol: 'NEAR', payload: { mint: 'mintA' } };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rechecker-'));
+        filePath = path.join(directory, 'creation.recheck.json');
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        instances.splice(0).forEach(instance => instance.stop());
+        jest.restoreAllMocks();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('resumes watched tokens after a restart and qualifies them', async () => {
+        create().watch('mintA', near);
+
+        const restarted = create(async () => ({ likes: 120, availability: 'available' }));
+        const qualified = jest.fn();
+        restarted.on('qualified', qualified);
+
+        expect(restarted.getStatus()).toMatchObject({ watching: 1, stats: { resumed: 1 } });
+
+        now += 60000;
+        await restarted.runDueChecks();
+
+        expect(qualified).toHaveBeenCalledWith(expect.objectContaining({
+            key: 'mintA',
+            payload: { mint: 'mintA' },
+            lateQualification: expect.objectContaining({ initialLikes: 40, likes: 120, delay: 60000 })
+        }));
+        expect(create().getStatus().watching).toBe(0);
+    });
+
+    test('keeps check progress across restarts', async () => {
+        const first = create(async () => ({ likes: 50 }));
+        first.watch('mintA', near);
+        now += 60000;
+        await first.runDueChecks();
+
+        const [entry] = create().watched.values();
+        expect(entry).toMatchObject({ checks: 1, lastLikes: 50, nextCheckAt: now - 60000 + 180000 });
+    });
+
+    test('stop keeps the list on disk, unwatch removes the token', () => {
+        const first = create();
+        first.watch('mintA', near);
+        first.stop();
+
+        const second = create();
+        expect(second.getStatus().watching).toBe(1);
+
+        second.unwatch('mintA');
+        expect(create().getStatus().watching).toBe(0);
+    });
+
+    test('a pass that finishes after stop does not wipe the list', async () => {
+        let answer;
+        const first = create(() => new Promise(resolve => { answer = resolve; }));
+        first.watch('mintA', near);
+
+        now += 60000;
+        const pass = first.runDueChecks();
+        first.stop();
+        answer({ likes: 50 });
+        await pass;
+
+        expect(create().getStatus().watching).toBe(1);
+    });
+
+    test('starts empty when the file is unreadable', () => {
+        fs.writeFileSync(filePath, '{ not json');
+        expect(create().getStatus().watching).toBe(0);
+    });
+});
@@ -0,0 +1,166 @@
+// test/services/tweetMetricsCache.test.js
+const { TweetMetricsCache } = require('../../src/services/tweetMetricsCache');
+const { createTweetMetrics } = require('../../src/validators/tweetMetrics');
+
+// A provider answer for the requested groups, the way TwitterValidator merges them
+function answer(groups, values) {
+    return createTweetMetrics({
+        tweetId: '1',
+        link: 'https://x.com/dev/status/1',
+        ...values,
+        sources: Object.fromEntries(groups.map(group => [group, group === 'views' ? 'xapi' : 'syndication']))
+    });
+}
+
+describe('TweetMetricsCache', () => {
+    let now;
+    let cache;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        cache = new TweetMetricsCache({ likesTtl: 15000, viewsTtl: 120000, maxEntries: 3 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('serves cached groups until their TTL runs out', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10, views: 500 }));
+
+        await cache.get('1', ['likes', 'views'], fetch);
+        now += 14999;
+        const cached = await cache.get('1', ['likes', 'views'], fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cached).toMatchObject({ likes: 10, views: 500, sources: { likes: 'syndication', views: 'xapi' } });
+        expect(cache.stats).toMatchObject({ misses: 1, hits: 1 });
+    });
+
+    test('re-fetches only the groups whose own TTL expired', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10, views: 500 }));
+        await cache.get('1', ['likes', 'views'], fetch);
+
+        // Likes are stale after 15s, views stay fresh for 2 minutes
+        now += 15000;
+        fetch.mockImplementation(async groups => answer(groups, { likes: 25 }));
+        const refreshed = await cache.get('1', ['likes', 'views'], fetch);
+
+        expect(fetch).toHaveBeenLastCalledWith(['likes']);
+        expect(refreshed).toMatchObject({ likes: 25, views: 500 });
+        expect(cache.stats.partialHits).toBe(1);
+
+        now += 105000;
+        fetch.mockImplementation(async groups => answer(groups, { likes: 40, views: 900 }));
+        await cache.get('1', ['likes', 'views'], fetch);
+        expect(fetch).toHaveBeenLastCalledWith(['likes', 'views']);
+    });
+
+    test('answers a views-only lookup from cache while likes are stale', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10, views: 500 }));
+        await cache.get('1', ['likes', 'views'], fetch);
+
+        now += 60000;
+        const views = await cache.get('1', ['views'], fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(views.views).toBe(500);
+    });
+
+    test('shares one fetch between concurrent lookups of the same stale groups', async () => {
+        let resolve;
+        const fetch = jest.fn(groups => new Promise(done => {
+            resolve = () => done(answer(groups, { likes: 10 }));
+        }));
+
+        const first = cache.get('1', ['likes'], fetch);
+        const second = cache.get('1', ['likes'], fetch);
+        await Promise.resolve();
+        resolve();
+
+        const [a, b] = await Promise.all([first, second]);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cache.stats.coalesced).toBe(1);
+        expect(a).toEqual(b);
+        // Each caller gets its own copy
+        expect(a).not.toBe(b);
+        expect(cache.inFlight.size).toBe(0);
+    });
+
+    test('does not coalesce lookups for different groups', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10, views: 500 }));
+
+        await Promise.all([cache.get('1', ['likes'], fetch), cache.get('1', ['views'], fetch)]);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(cache.stats.coalesced).toBe(0);
+    });
+
+    test('fresh lookups bypass the cache but still store the result', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10 }));
+        await cache.get('1', ['likes'], fetch);
+
+        fetch.mockImplementation(async groups => answer(groups, { likes: 12 }));
+        const fresh = await cache.get('1', ['likes'], fetch, { fresh: true });
+        const cached = await cache.get('1', ['likes'], fetch);
+
+        expect(fresh.likes).toBe(12);
+        expect(cached.likes).toBe(12);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(cache.stats.bypassed).toBe(1);
+    });
+
+    test('falls back to the cached entry when a partial refresh fails', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10, views: 500 }));
+        await cache.get('1', ['likes', 'views'], fetch);
+
+        now += 20000;
+        fetch.mockResolvedValue(null);
+        const result = await cache.get('1', ['likes', 'views'], fetch);
+
+        expect(result).toMatchObject({ likes: 10, views: 500 });
+    });
+
+    test('returns null when nothing is cached and the fetch finds nothing', async () => {
+        expect(await cache.get('1', ['likes'], async () => null)).toBeNull();
+        expect(cache.entries.size).toBe(0);
+    });
+
+    test('keeps fields callers add out of the cache', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10 }));
+
+        const first = await cache.get('1', ['likes'], fetch);
+        first.likes = 999;
+        first.velocity = 3;
+
+        const second = await cache.get('1', ['likes'], fetch);
+        expect(second.likes).toBe(10);
+        expect(second.velocity).toBeUndefined();
+    });
+
+    test('evicts the least recently used tweet past maxEntries', async () => {
+        const fetch = jest.fn(async groups => answer(groups, { likes: 1 }));
+        for (const tweetId of ['1', '2', '3']) {
+            await cache.get(tweetId, ['likes'], fetch);
+        }
+
+        // Reading tweet 1 makes tweet 2 the oldest
+        await cache.get('1', ['likes'], fetch);
+        await cache.get('4', ['likes'], fetch);
+
+        expect(Array.from(cache.entries.keys())).toEqual(['3', '1', '4']);
+        expect(cache.stats.evicted).toBe(1);
+    });
+
+    test('passes every lookup through when disabled', async () => {
+        const disabled = new TweetMetricsCache({ enabled: false });
+        const fetch = jest.fn(async groups => answer(groups, { likes: 10 }));
+
+        await disabled.get('1', ['likes'], fetch);
+        await disabled.get('1', ['likes'], fetch);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(disabled.entries.size).toBe(0);
+    });
+});
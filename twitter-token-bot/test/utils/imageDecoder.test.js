@@ -0,0 +1,181 @@
+// test/utils/imageDecoder.test.js
+const { detectImageFormat, decodeGrayscale } = require('../../src/utils/imageDecoder');
+const { renderImage, luminance, encodePng, encodeGif, encodeJpeg } = require('../helpers/imageEncoders');
+
+// Smooth gradient with a bright disc - JPEG blocks have a well defined mean
+const paint = (u, v) => Math.hypot(u - 0.5, v - 0.5) < 0.3 ? [240, 200, 60] : [40 + 160 * u, 60 + 120 * v, 180 - 100 * u];
+
+function expectedLuminance({ width, height, rgb }) {
+    const pixels = new Uint8Array(width * height);
+    for (let i = 0; i < pixels.length; i++) {
+        pixels[i] = luminance(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
+    }
+    return pixels;
+}
+
+// Mean luminance of each 8x8 block - what the DC-only JPEG decode should return
+function blockMeans({ width, height, rgb }) {
+    const columns = Math.ceil(width / 8);
+    const rows = Math.ceil(height / 8);
+    const means = new Float64Array(columns * rows);
+    const full = expectedLuminance({ width, height, rgb });
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            let sum = 0;
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    // Edge blocks are padded by repeating the last row/column
+                    const px = Math.min(column * 8 + x, width - 1);
+                    const py = Math.min(row * 8 + y, height - 1);
+                    sum += full[py * width + px];
+                }
+            }
+            means[row * columns + column] = sum / 64;
+        }
+    }
+    return means;
+}
+
+function maxDifference(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+    return max;
+}
+
+describe('detectImageFormat', () => {
+    const image = renderImage(8, 8, paint);
+
+    test('recognizes PNG, GIF, JPEG and WebP signatures', () => {
+        expect(detectImageFormat(encodePng(image))).toBe('png');
+        expect(detectImageFormat(encodeGif(renderImage(8, 8, () => [10, 20, 30])))).toBe('gif');
+        expect(detectImageFormat(encodeJpeg(image))).toBe('jpeg');
+        expect(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'ascii'))).toBe('webp');
+    });
+
+    test('returns null for short or unknown buffers', () => {
+        expect(detectImageFormat(null)).toBeNull();
+        expect(detectImageFormat(Buffer.from([0x89, 0x50]))).toBeNull();
+        expect(detectImageFormat(Buffer.from('<html><body>404</body></html>'))).toBeNull();
+    });
+});
+
+describe('decodeGrayscale - PNG', () => {
+    const image = renderImage(37, 23, paint);
+
+    test('decodes RGB with every filter type to exact luminance', () => {
+        const decoded = decodeGrayscale(encodePng(image));
+
+        expect(decoded).toMatchObject({ format: 'png', width: 37, height: 23 });
+        expect(Array.from(decoded.pixels)).toEqual(Array.from(expectedLuminance(image)));
+    });
+
+    test('decodes grayscale', () => {
+        const decoded = decodeGrayscale(encodePng(image, { colorType: 0 }));
+        expect(Array.from(decoded.pixels)).toEqual(Array.from(expectedLuminance(image)));
+    });
+
+    test('composites transparent pixels onto white', () => {
+        const decoded = decodeGrayscale(encodePng(image, { colorType: 6, alpha: x => (x < 10 ? 0 : 255) }));
+        const expected = expectedLuminance(image);
+
+        expect(decoded.pixels[5 * 37 + 3]).toBe(255);
+        expect(decoded.pixels[5 * 37 + 20]).toBe(expected[5 * 37 + 20]);
+    });
+
+    test('decodes Adam7 interlacing the same as a plain file', () => {
+        const plain = decodeGrayscale(encodePng(image));
+        const interlaced = decodeGrayscale(encodePng(image, { interlace: true }));
+        expect(Array.from(interlaced.pixels)).toEqual(Array.from(plain.pixels));
+    });
+
+    test('throws on a truncated file', () => {
+        const bytes = encodePng(image);
+        expect(() => decodeGrayscale(bytes.subarray(0, bytes.length - 40))).toThrow();
+    });
+});
+
+describe('decodeGrayscale - GIF', () => {
+    // GIF fixtures need 255 colors or fewer
+    const poster = (u, v) => paint(u, v).map(channel => Math.round(channel / 32) * 32);
+    const image = renderImage(41, 29, poster);
+
+    test('decodes palette indices to luminance', () => {
+        const decoded = decodeGrayscale(encodeGif(image));
+
+        expect(decoded).toMatchObject({ format: 'gif', width: 41, height: 29 });
+        expect(Array.from(decoded.pixels)).toEqual(Array.from(expectedLuminance(image)));
+    });
+
+    test('decodes interlaced rows back into place', () => {
+        const decoded = decodeGrayscale(encodeGif(image, { interlace: true }));
+        expect(Array.from(decoded.pixels)).toEqual(Array.from(expectedLuminance(image)));
+    });
+
+    test('renders the transparent index as white', () => {
+        const decoded = decodeGrayscale(encodeGif(image, { transparent: (x, y) => y < 3 }));
+
+        expect(decoded.pixels[1 * 41 + 7]).toBe(255);
+        expect(decoded.pixels[10 * 41 + 7]).toBe(expectedLuminance(image)[10 * 41 + 7]);
+    });
+
+    test('survives LZW table resets on large noisy images', () => {
+        // Pseudo-random pixels fill the 4096-entry code table several times over
+        let seed = 7;
+        const noise = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return (seed >> 8) % 6 * 51;
+        };
+        const noisy = renderImage(200, 150, () => [noise(), noise(), noise()]);
+        const decoded = decodeGrayscale(encodeGif(noisy));
+
+        expect(Array.from(decoded.pixels)).toEqual(Array.from(expectedLuminance(noisy)));
+    });
+});
+
+describe('decodeGrayscale - JPEG', () => {
+    const image = renderImage(64, 48, paint);
+
+    test('decodes a baseline grayscale file at 1/8 scale from the block means', () => {
+        const decoded = decodeGrayscale(encodeJpeg(image));
+
+        expect(decoded).toMatchObject({ format: 'jpeg', width: 8, height: 6 });
+        expect(maxDifference(decoded.pixels, blockMeans(image))).toBeLessThanOrEqual(2);
+    });
+
+    test('decodes the luma of a 4:2:0 color file', () => {
+        const decoded = decodeGrayscale(encodeJpeg(image, { color: true }));
+
+        expect(decoded).toMatchObject({ width: 8, height: 6 });
+        expect(maxDifference(decoded.pixels, blockMeans(image))).toBeLessThanOrEqual(2);
+    });
+
+    test('decodes progressive and restart-interval files like the baseline file', () => {
+        const baseline = decodeGrayscale(encodeJpeg(image, { color: true }));
+        const progressive = decodeGrayscale(encodeJpeg(image, { color: true, progressive: true }));
+        const restarts = decodeGrayscale(encodeJpeg(image, { color: true, restartInterval: 2 }));
+
+        expect(Array.from(progressive.pixels)).toEqual(Array.from(baseline.pixels));
+        expect(Array.from(restarts.pixels)).toEqual(Array.from(baseline.pixels));
+    });
+
+    test('reports the covered extent when the size is not a multiple of the block size', () => {
+        const decoded = decodeGrayscale(encodeJpeg(renderImage(100, 60, paint), { color: true }));
+
+        expect(decoded.width).toBe(13);
+        expect(decoded.height).toBe(8);
+        expect(decoded.extent).toEqual({ width: 12.5, height: 7.5 });
+    });
+
+    test('returns null for arithmetic-coded files', () => {
+        const bytes = Buffer.from(encodeJpeg(image));
+        const sof = bytes.indexOf(Buffer.from([0xff, 0xc0]));
+        bytes[sof + 1] = 0xc9;
+
+        expect(decodeGrayscale(bytes)).toBeNull();
+    });
+});
+
+test('decodeGrayscale returns null for WebP', () => {
+    expect(decodeGrayscale(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'ascii'))).toBeNull();
+});